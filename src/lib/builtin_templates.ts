@@ -0,0 +1,432 @@
+import {
+  ProjectTemplate,
+  TEMPLATE_FORMAT,
+  TemplateCard,
+} from "./project_templates";
+
+// Starter kits offered in the New Project dialog. Card lists are generated
+// so each deck stays complete and consistently worded.
+
+const MAJOR_ARCANA: [string, string][] = [
+  [
+    "The Fool",
+    "a carefree young traveler at a cliff's edge, a small white dog at their heels, a bundle on a staff over one shoulder, the sun rising behind",
+  ],
+  [
+    "The Magician",
+    "a robed figure at a table raising a wand to the sky, a cup, a sword and a pentacle laid out before them, an infinity sign above their head",
+  ],
+  [
+    "The High Priestess",
+    "a serene priestess seated between a black and a white pillar, a crescent moon at her feet and a scroll in her lap",
+  ],
+  [
+    "The Empress",
+    "a crowned woman resting on a cushioned throne in a golden wheat field, a forest and waterfall behind her",
+  ],
+  [
+    "The Emperor",
+    "a stern bearded ruler on a stone throne carved with ram heads, barren red mountains behind him",
+  ],
+  [
+    "The Hierophant",
+    "a religious teacher raising a hand in blessing between two pillars, two acolytes kneeling before him, crossed keys at his feet",
+  ],
+  [
+    "The Lovers",
+    "two figures standing beneath a radiant winged angel, a fruit tree and a flaming tree behind them",
+  ],
+  [
+    "The Chariot",
+    "an armored charioteer in a canopied chariot drawn by a black and a white sphinx, a walled city behind",
+  ],
+  [
+    "Strength",
+    "a calm woman gently closing the jaws of a lion, an infinity sign above her head, flowers in her hair",
+  ],
+  [
+    "The Hermit",
+    "a cloaked old man on a snowy peak holding up a lantern that holds a six-pointed star",
+  ],
+  [
+    "Wheel of Fortune",
+    "a great turning wheel inscribed with symbols among the clouds, a sphinx atop it and winged creatures in the corners",
+  ],
+  [
+    "Justice",
+    "a crowned figure seated between two pillars holding an upright sword and balanced scales",
+  ],
+  [
+    "The Hanged Man",
+    "a man hanging upside down by one foot from a living tree, his face serene and a halo around his head",
+  ],
+  [
+    "Death",
+    "a skeleton knight in black armor riding a pale horse, carrying a black banner with a white rose",
+  ],
+  [
+    "Temperance",
+    "a winged angel pouring water between two cups, one foot on land and one in a pool",
+  ],
+  [
+    "The Devil",
+    "a horned winged creature on a dark pedestal, two chained figures standing below",
+  ],
+  [
+    "The Tower",
+    "a tall tower struck by lightning, its crown blown off, figures falling amid flames",
+  ],
+  [
+    "The Star",
+    "a kneeling woman pouring water into a pool and onto the land beneath one great star and seven smaller ones",
+  ],
+  [
+    "The Moon",
+    "a full moon with a face above a winding path between two towers, a dog and a wolf howling, a crayfish crawling from a pool",
+  ],
+  [
+    "The Sun",
+    "a radiant sun above a walled garden of sunflowers, a joyful child riding a white horse",
+  ],
+  [
+    "Judgement",
+    "an angel blowing a trumpet from the clouds, figures rising from their coffins with arms outstretched",
+  ],
+  [
+    "The World",
+    "a dancing figure inside a great laurel wreath holding two wands, a lion, a bull, an eagle and an angel in the corners",
+  ],
+];
+
+const TAROT_SUITS = [
+  { name: "Wands", element: "fire", symbol: "wooden staves" },
+  { name: "Cups", element: "water", symbol: "golden chalices" },
+  { name: "Swords", element: "air", symbol: "steel swords" },
+  { name: "Pentacles", element: "earth", symbol: "golden pentacle coins" },
+];
+
+const TAROT_RANKS = [
+  "Ace",
+  "Two",
+  "Three",
+  "Four",
+  "Five",
+  "Six",
+  "Seven",
+  "Eight",
+  "Nine",
+  "Ten",
+  "Page",
+  "Knight",
+  "Queen",
+  "King",
+];
+
+const TAROT_COURT: Record<string, string> = {
+  Page: "a young messenger studying",
+  Knight: "a knight on horseback charging forward with",
+  Queen: "a queen seated on a throne holding",
+  King: "a king seated on a throne holding",
+};
+
+function tarotMinorPrompt(rank: string, index: number, symbol: string) {
+  if (rank === "Ace") {
+    return `a single one of the ${symbol} held by a hand emerging from a cloud`;
+  }
+  if (TAROT_COURT[rank]) return `${TAROT_COURT[rank]} one of the ${symbol}`;
+  return `${index + 1} ${symbol} arranged around a figure in a symbolic scene`;
+}
+
+function tarotTemplate(): ProjectTemplate {
+  const cards: TemplateCard[] = MAJOR_ARCANA.map(([name, prompt], index) => ({
+    name,
+    prompt,
+    setId: "major",
+    cardNumber: index,
+    tags: ["major-arcana"],
+  }));
+  for (const suit of TAROT_SUITS) {
+    TAROT_RANKS.forEach((rank, index) =>
+      cards.push({
+        name: `${rank} of ${suit.name}`,
+        prompt: tarotMinorPrompt(rank, index, suit.symbol),
+        setId: "minor",
+        cardNumber: cards.length,
+        attributes: { suit: suit.name, element: suit.element, rank },
+        tags: ["minor-arcana", suit.name.toLowerCase()],
+      }),
+    );
+  }
+
+  return {
+    format: TEMPLATE_FORMAT,
+    version: 1,
+    id: "builtin-tarot",
+    name: "Tarot (78 cards)",
+    description:
+      "The 22 Major Arcana and 56 Minor Arcana, with traditional imagery, suits and elements as attributes.",
+    builtIn: true,
+    project: {
+      defaultAspectRatio: "9:16",
+      defaultResolution: "2K",
+      negativePrompt: "text, letters, watermark, signature",
+      promptModifiers: [
+        {
+          id: "tarot-style",
+          name: "Tarot style",
+          text: "Tarot card illustration, rich symbolic art with an ornate border",
+          type: "prefix",
+        },
+      ],
+    },
+    sets: [
+      { id: "major", name: "Major Arcana" },
+      {
+        id: "minor",
+        name: "Minor Arcana",
+        promptModifiers: [
+          {
+            id: "tarot-suit",
+            name: "Suit",
+            text: "The {{card.name}}, suit of {{suit}}, colors and mood of the element {{element}}",
+            type: "prefix",
+          },
+        ],
+      },
+    ],
+    tags: [
+      { name: "major-arcana", color: "#a855f7" },
+      { name: "minor-arcana", color: "#64748b" },
+      { name: "wands", color: "#ea580c" },
+      { name: "cups", color: "#2563eb" },
+      { name: "swords", color: "#94a3b8" },
+      { name: "pentacles", color: "#ca8a04" },
+    ],
+    cards,
+  };
+}
+
+const PLAYING_CARD_SUITS = [
+  { name: "Spades", color: "black" },
+  { name: "Hearts", color: "red" },
+  { name: "Diamonds", color: "red" },
+  { name: "Clubs", color: "black" },
+];
+
+const PLAYING_CARD_RANKS = [
+  "Ace",
+  "2",
+  "3",
+  "4",
+  "5",
+  "6",
+  "7",
+  "8",
+  "9",
+  "10",
+  "Jack",
+  "Queen",
+  "King",
+];
+
+const PLAYING_CARD_FACES: Record<string, string> = {
+  Jack: "a young squire",
+  Queen: "a regal queen",
+  King: "a bearded king",
+};
+
+function playingCardPrompt(rank: string) {
+  if (rank === "Ace") {
+    return "a single large ornate {{suit}} symbol at the center";
+  }
+  if (PLAYING_CARD_FACES[rank]) {
+    return `a double-ended portrait of ${PLAYING_CARD_FACES[rank]} holding a {{suit}} emblem, mirrored top and bottom`;
+  }
+  return `${rank} {{suit}} symbols arranged in the classic pip layout`;
+}
+
+function playingCardsTemplate(): ProjectTemplate {
+  const cards: TemplateCard[] = [];
+  for (const suit of PLAYING_CARD_SUITS) {
+    for (const rank of PLAYING_CARD_RANKS) {
+      cards.push({
+        name: `${rank} of ${suit.name}`,
+        prompt: playingCardPrompt(rank),
+        setId: suit.name.toLowerCase(),
+        cardNumber: cards.length + 1,
+        attributes: { suit: suit.name, rank, color: suit.color },
+        tags: PLAYING_CARD_FACES[rank] ? ["face-card"] : [],
+      });
+    }
+  }
+
+  return {
+    format: TEMPLATE_FORMAT,
+    version: 1,
+    id: "builtin-playing-cards",
+    name: "Standard Deck (52 cards)",
+    description:
+      "Four suits of Ace to King, with suit, rank and color as attributes.",
+    builtIn: true,
+    project: {
+      defaultAspectRatio: "2:3",
+      defaultResolution: "2K",
+      negativePrompt: "blurry, watermark, signature",
+      promptModifiers: [
+        {
+          id: "playing-card-style",
+          name: "Card face style",
+          text: "Playing card face design in an elegant vintage engraving style, {{color}} ink on cream paper",
+          type: "prefix",
+        },
+      ],
+    },
+    sets: PLAYING_CARD_SUITS.map((suit) => ({
+      id: suit.name.toLowerCase(),
+      name: suit.name,
+    })),
+    tags: [{ name: "face-card", color: "#e11d48" }],
+    cards,
+  };
+}
+
+const TCG_CARDS: {
+  name: string;
+  type: string;
+  rarity: string;
+  prompt: string;
+}[] = [
+  {
+    name: "Forest Scout",
+    type: "Creature",
+    rarity: "Common",
+    prompt: "a nimble elven scout crouched on a mossy branch, bow drawn",
+  },
+  {
+    name: "Ironclad Sentinel",
+    type: "Creature",
+    rarity: "Common",
+    prompt: "a hulking armored guardian standing watch at a fortress gate",
+  },
+  {
+    name: "Ember Drake",
+    type: "Creature",
+    rarity: "Uncommon",
+    prompt: "a young red dragon spreading its wings over a volcanic ridge",
+  },
+  {
+    name: "Tidecaller Adept",
+    type: "Creature",
+    rarity: "Uncommon",
+    prompt: "a robed mage summoning a towering wave on a stormy shore",
+  },
+  {
+    name: "Ancient Colossus",
+    type: "Creature",
+    rarity: "Rare",
+    prompt: "a mountain-sized stone titan awakening in a misty valley",
+  },
+  {
+    name: "Fireball",
+    type: "Spell",
+    rarity: "Common",
+    prompt: "a roaring sphere of flame streaking across a battlefield",
+  },
+  {
+    name: "Healing Light",
+    type: "Spell",
+    rarity: "Common",
+    prompt: "golden light pouring over a wounded knight kneeling in prayer",
+  },
+  {
+    name: "Arcane Barrier",
+    type: "Spell",
+    rarity: "Uncommon",
+    prompt: "a shimmering dome of runes deflecting a volley of arrows",
+  },
+  {
+    name: "Time Warp",
+    type: "Spell",
+    rarity: "Rare",
+    prompt: "a clockwork vortex bending the sky over a frozen city",
+  },
+  {
+    name: "Whispering Woods",
+    type: "Location",
+    rarity: "Common",
+    prompt: "an ancient forest with glowing mushrooms and drifting spirits",
+  },
+  {
+    name: "Sunken Temple",
+    type: "Location",
+    rarity: "Uncommon",
+    prompt: "crumbling temple ruins half-submerged in a turquoise lagoon",
+  },
+  {
+    name: "Sky Citadel",
+    type: "Location",
+    rarity: "Rare",
+    prompt: "a gleaming fortress floating among the clouds at sunrise",
+  },
+];
+
+function tcgTemplate(): ProjectTemplate {
+  const setIds: Record<string, string> = {
+    Creature: "creatures",
+    Spell: "spells",
+    Location: "locations",
+  };
+
+  return {
+    format: TEMPLATE_FORMAT,
+    version: 1,
+    id: "builtin-tcg",
+    name: "Trading Card Game Set",
+    description:
+      "A starter set of creatures, spells and locations with type and rarity attributes. Art is landscape for a card frame's art box.",
+    builtIn: true,
+    project: {
+      defaultAspectRatio: "4:3",
+      defaultResolution: "2K",
+      negativePrompt: "text, card frame, border, watermark",
+      promptModifiers: [
+        {
+          id: "tcg-style",
+          name: "TCG art style",
+          text: "Fantasy trading card game illustration, painterly, dramatic lighting",
+          type: "prefix",
+        },
+        {
+          id: "tcg-art-only",
+          name: "Art only",
+          text: "Art only, no card frame or text",
+          type: "suffix",
+        },
+      ],
+    },
+    sets: [
+      { id: "creatures", name: "Creatures" },
+      { id: "spells", name: "Spells" },
+      { id: "locations", name: "Locations" },
+    ],
+    tags: [
+      { name: "common", color: "#64748b" },
+      { name: "uncommon", color: "#0ea5e9" },
+      { name: "rare", color: "#eab308" },
+    ],
+    cards: TCG_CARDS.map((card, index) => ({
+      name: card.name,
+      prompt: card.prompt,
+      setId: setIds[card.type],
+      cardNumber: index + 1,
+      attributes: { type: card.type, rarity: card.rarity },
+      tags: [card.rarity.toLowerCase()],
+    })),
+  };
+}
+
+export const BUILT_IN_TEMPLATES: ProjectTemplate[] = [
+  tarotTemplate(),
+  playingCardsTemplate(),
+  tcgTemplate(),
+];
@@ -0,0 +1,685 @@
+import { Card, DataService, Project, PromptSections } from "./data_service";
+import { createSetId, nextCardOrders, sortCards } from "./card_sets";
+import { normalizeTags } from "./card_selection";
+import { ATTRIBUTE_NAME_PATTERN, PROMPT_SECTIONS } from "./prompt_builder";
+import { JournalOperation } from "./undo_journal";
+
+/**
+ * Bulk import and export of card definitions as CSV or JSON, e.g. card
+ * lists drafted in a spreadsheet. Each column maps to a target: a card
+ * field ("name", "tags", ...), a prompt section (`section:subject`), an
+ * attribute (`attr:suit`) or "" to skip it.
+ */
+
+export type CardImportFormat = "csv" | "json";
+/** create: new names only; update: existing names only; upsert: both */
+export type CardImportMode = "create" | "update" | "upsert";
+
+export const CARD_IMPORT_MODES: CardImportMode[] = [
+  "create",
+  "update",
+  "upsert",
+];
+
+/** Marks a JSON file as a card export */
+export const CARD_EXPORT_FORMAT = "ai-art-cards-cards";
+
+/** Card fields a column can be imported into, in display order */
+export const CARD_IMPORT_FIELDS: { target: string; label: string }[] = [
+  { target: "name", label: "Name" },
+  { target: "prompt", label: "Prompt" },
+  { target: "set", label: "Set" },
+  { target: "cardNumber", label: "Card Number" },
+  { target: "aspectRatio", label: "Aspect Ratio" },
+  { target: "resolution", label: "Resolution" },
+  { target: "negativePrompt", label: "Negative Prompt" },
+  { target: "tags", label: "Tags" },
+  ...PROMPT_SECTIONS.map(({ key, label }) => ({
+    target: `section:${key}`,
+    label: `Section: ${label}`,
+  })),
+];
+
+// Header spellings (lowercase, without spaces, "_" or "-") per field
+const FIELD_ALIASES: Record<string, string> = {
+  name: "name",
+  cardname: "name",
+  title: "name",
+  prompt: "prompt",
+  set: "set",
+  setname: "set",
+  setid: "set",
+  cardnumber: "cardNumber",
+  cardno: "cardNumber",
+  aspectratio: "aspectRatio",
+  ar: "aspectRatio",
+  resolution: "resolution",
+  res: "resolution",
+  negativeprompt: "negativePrompt",
+  negative: "negativePrompt",
+  tags: "tags",
+  tag: "tags",
+};
+
+// Written by the export, not imported
+const EXPORT_ONLY_COLUMNS = new Set([
+  "id",
+  "imagecount",
+  "favoritecount",
+  "archivedcount",
+  "starredimage",
+]);
+
+/** Parsed rows keyed by column name, columns in file order */
+export interface CardTable {
+  columns: string[];
+  rows: Record<string, string>[];
+}
+
+export interface CardImportRow {
+  /** 1-based data row (the header isn't counted) */
+  row: number;
+  name: string;
+  action: "create" | "update" | "skip";
+  cardId?: string;
+  /** Fields a new card gets, or an existing card's fields that change */
+  changes: string[];
+  /** Why the row is skipped */
+  error?: string;
+}
+
+export interface CardImportPlan {
+  columns: string[];
+  mapping: Record<string, string>;
+  rows: CardImportRow[];
+  /** Sets named in the import that don't exist yet and will be created */
+  newSets: string[];
+  counts: { create: number; update: number; skip: number };
+}
+
+/** Image statistics written next to each card by the export */
+export interface CardImageStats {
+  images: number;
+  favorites: number;
+  archived: number;
+  starred: string;
+}
+
+// --- CSV ---
+
+/** The likeliest delimiter: spreadsheets in some locales write ";" */
+function detectDelimiter(text: string): string {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [",", ";", "\t"].map(
+    (d) => [d, firstLine.split(d).length] as const,
+  );
+  return counts.reduce((best, next) => (next[1] > best[1] ? next : best))[0];
+}
+
+/** Parses CSV (RFC 4180 quoting, any line ending); drops blank lines */
+export function parseCsv(text: string): string[][] {
+  text = text.replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(text);
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (text[i + 1] === '"') field += text[i++];
+      else quoted = false;
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+function csvCell(value: string): string {
+  return /[",\r\n]|^\s|\s$/.test(value)
+    ? `"${value.replace(/"/g, '""')}"`
+    : value;
+}
+
+export function toCsv(rows: string[][]): string {
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// --- Reading ---
+
+/** Flattens a JSON card into columns the way the CSV export names them */
+function flattenJsonCard(input: Record<string, any>): Record<string, string> {
+  const record: Record<string, string> = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (value === null || value === undefined) continue;
+    if (key === "attributes" || key === "promptSections") {
+      if (typeof value !== "object") continue;
+      const prefix = key === "attributes" ? "attr" : "section";
+      for (const [name, inner] of Object.entries(value)) {
+        if (inner !== null && inner !== undefined) {
+          record[`${prefix}:${name}`] = String(inner);
+        }
+      }
+    } else if (Array.isArray(value)) {
+      record[key] = value.join(", ");
+    } else if (typeof value !== "object") {
+      record[key] = String(value);
+    }
+  }
+  return record;
+}
+
+/**
+ * Reads an import file into a table. JSON may be an array of cards or a
+ * card export (`{ cards: [...] }`). Throws with a message for the user.
+ */
+export function parseCardTable(
+  format: CardImportFormat,
+  data: string,
+): CardTable {
+  if (format === "csv") {
+    const [header, ...lines] = parseCsv(data);
+    if (!header) throw new Error("The CSV file is empty");
+    const columns = header.map((column) => column.trim());
+    const rows = lines.map((cells) =>
+      Object.fromEntries(
+        columns.map((column, i) => [column, (cells[i] ?? "").trim()]),
+      ),
+    );
+    return { columns: columns.filter(Boolean), rows };
+  }
+
+  let parsed: any;
+  try {
+    parsed = JSON.parse(data);
+  } catch {
+    throw new Error("The JSON file could not be read");
+  }
+  const cards = Array.isArray(parsed) ? parsed : parsed?.cards;
+  if (!Array.isArray(cards)) {
+    throw new Error("Expected a list of cards (or an object with `cards`)");
+  }
+  const rows = cards
+    .filter((card) => card && typeof card === "object")
+    .map(flattenJsonCard);
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  for (const row of rows) {
+    for (const column of columns) row[column] = (row[column] ?? "").trim();
+  }
+  return { columns, rows };
+}
+
+/** Attribute a column is imported into by default: "Card Suit" → Card_Suit */
+function attributeNameFor(column: string): string {
+  return column
+    .trim()
+    .replace(/\s+/g, "_")
+    .replace(/[^\w-]/g, "")
+    .replace(/^[\d-]+/, "");
+}
+
+/** The target a column maps to unless the user picks another */
+export function defaultColumnTarget(column: string): string {
+  const prefixed = column.match(/^(attr|section):(.+)$/i);
+  if (prefixed) {
+    const target = `${prefixed[1].toLowerCase()}:${prefixed[2].trim()}`;
+    return isValidTarget(target) ? target : "";
+  }
+  const key = column.toLowerCase().replace(/[\s_-]/g, "");
+  if (FIELD_ALIASES[key]) return FIELD_ALIASES[key];
+  if (EXPORT_ONLY_COLUMNS.has(key)) return "";
+  const attribute = attributeNameFor(column);
+  return attribute ? `attr:${attribute}` : "";
+}
+
+export function isValidTarget(target: string): boolean {
+  if (target === "") return true;
+  if (target.startsWith("attr:")) {
+    return ATTRIBUTE_NAME_PATTERN.test(target.slice(5));
+  }
+  return CARD_IMPORT_FIELDS.some((field) => field.target === target);
+}
+
+// --- Planning ---
+
+/** One row's values after mapping; missing keys leave a card unchanged */
+interface CardDraft {
+  name: string;
+  prompt?: string;
+  set?: string;
+  cardNumber?: number;
+  aspectRatio?: string;
+  resolution?: string;
+  negativePrompt?: string;
+  tags?: string[];
+  promptSections?: PromptSections;
+  attributes?: Record<string, string>;
+}
+
+const TEXT_FIELDS = [
+  "prompt",
+  "aspectRatio",
+  "resolution",
+  "negativePrompt",
+] as const;
+
+function readRow(
+  record: Record<string, string>,
+  mapping: Record<string, string>,
+): CardDraft {
+  const draft: CardDraft = { name: "" };
+  for (const [column, target] of Object.entries(mapping)) {
+    const value = record[column];
+    if (!target || !value) continue;
+
+    if (target === "name") {
+      draft.name = value;
+    } else if (target === "set") {
+      draft.set = value;
+    } else if (target === "tags") {
+      draft.tags = normalizeTags(value.split(/[,;]/));
+    } else if (target === "cardNumber") {
+      const number = Number(value.replace(/^#/, ""));
+      if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`Card number "${value}" is not a whole number`);
+      }
+      draft.cardNumber = number;
+    } else if (target === "aspectRatio") {
+      if (!/^\d+:\d+$/.test(value)) {
+        throw new Error(`Aspect ratio "${value}" should look like 2:3`);
+      }
+      draft.aspectRatio = value;
+    } else if (target === "resolution") {
+      if (!/^[124]k$/i.test(value)) {
+        throw new Error(`Resolution "${value}" should be 1K, 2K or 4K`);
+      }
+      draft.resolution = value.toUpperCase();
+    } else if (target.startsWith("section:")) {
+      const key = target.slice(8) as keyof PromptSections;
+      draft.promptSections = { ...draft.promptSections, [key]: value };
+    } else if (target.startsWith("attr:")) {
+      draft.attributes = { ...draft.attributes, [target.slice(5)]: value };
+    } else if ((TEXT_FIELDS as readonly string[]).includes(target)) {
+      draft[target as (typeof TEXT_FIELDS)[number]] = value;
+    }
+  }
+  return draft;
+}
+
+/** Applies a draft to `card`, returning the names of the fields changed */
+function applyDraft(
+  card: Card,
+  draft: CardDraft,
+  setId: string | undefined,
+): string[] {
+  const changes: string[] = [];
+  for (const key of TEXT_FIELDS) {
+    if (draft[key] !== undefined && draft[key] !== card[key]) {
+      card[key] = draft[key];
+      changes.push(key);
+    }
+  }
+  if (draft.cardNumber !== undefined && draft.cardNumber !== card.cardNumber) {
+    card.cardNumber = draft.cardNumber;
+    changes.push("cardNumber");
+  }
+  if (setId !== undefined && setId !== card.setId) {
+    card.setId = setId;
+    // Sorts after the cards already in the new set
+    delete card.order;
+    changes.push("set");
+  }
+  if (draft.tags && draft.tags.join(",") !== (card.tags || []).join(",")) {
+    card.tags = draft.tags;
+    changes.push("tags");
+  }
+  for (const [key, value] of Object.entries(draft.promptSections || {})) {
+    const section = key as keyof PromptSections;
+    if (card.promptSections?.[section] === value) continue;
+    card.promptSections = { ...card.promptSections, [section]: value };
+    changes.push(`section:${key}`);
+  }
+  for (const [name, value] of Object.entries(draft.attributes || {})) {
+    if (card.attributes?.[name] === value) continue;
+    card.attributes = { ...card.attributes, [name]: value };
+    changes.push(`attr:${name}`);
+  }
+  return changes;
+}
+
+/** The set a draft names (by ID or name), or its name if it's new */
+function findSetId(project: Project, name: string): string | undefined {
+  const lower = name.toLowerCase();
+  return project.sets?.find(
+    (set) => set.id === name || set.name.toLowerCase() === lower,
+  )?.id;
+}
+
+interface PlannedImport {
+  plan: CardImportPlan;
+  drafts: Map<number, CardDraft>;
+}
+
+function buildPlan(
+  project: Project,
+  cards: Card[],
+  table: CardTable,
+  mapping: Record<string, string>,
+  mode: CardImportMode,
+): PlannedImport {
+  const byName = new Map<string, Card[]>();
+  for (const card of cards) {
+    const key = card.name.trim().toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), card]);
+  }
+
+  const seen = new Set<string>();
+  const newSets = new Map<string, string>();
+  const drafts = new Map<number, CardDraft>();
+  const rows = table.rows.map((record, index): CardImportRow => {
+    const row = index + 1;
+    let draft: CardDraft;
+    try {
+      draft = readRow(record, mapping);
+    } catch (e: any) {
+      const nameColumn = Object.keys(mapping).find(
+        (column) => mapping[column] === "name",
+      );
+      const name = (nameColumn && record[nameColumn]) || "";
+      return { row, name, action: "skip", changes: [], error: e.message };
+    }
+    const skip = (error: string): CardImportRow => ({
+      row,
+      name: draft.name,
+      action: "skip",
+      changes: [],
+      error,
+    });
+
+    if (!draft.name) return skip("No name");
+    const key = draft.name.toLowerCase();
+    if (seen.has(key)) return skip("Name appears earlier in the import");
+    seen.add(key);
+
+    const matches = byName.get(key) || [];
+    if (matches.length > 1) {
+      return skip(`${matches.length} cards are named "${draft.name}"`);
+    }
+    const existing = matches[0];
+    if (existing && mode === "create") return skip("Card already exists");
+    if (!existing && mode === "update") return skip("No card with this name");
+
+    const setId = draft.set ? findSetId(project, draft.set) : undefined;
+    if (draft.set && !setId && !newSets.has(draft.set.toLowerCase())) {
+      newSets.set(draft.set.toLowerCase(), draft.set);
+    }
+    drafts.set(row, draft);
+
+    // Planned against a copy; new sets get a placeholder ID
+    const target = existing
+      ? structuredClone(existing)
+      : ({ name: draft.name } as Card);
+    const changes = applyDraft(
+      target,
+      draft,
+      draft.set ? setId || `new:${draft.set}` : undefined,
+    );
+    if (!existing) {
+      return { row, name: draft.name, action: "create", changes };
+    }
+    return {
+      row,
+      name: draft.name,
+      action: changes.length ? "update" : "skip",
+      cardId: existing.id,
+      changes,
+      error: changes.length ? undefined : "No changes",
+    };
+  });
+
+  const count = (action: CardImportRow["action"]) =>
+    rows.filter((r) => r.action === action).length;
+  return {
+    plan: {
+      columns: table.columns,
+      mapping,
+      rows,
+      newSets: [...newSets.values()],
+      counts: {
+        create: count("create"),
+        update: count("update"),
+        skip: count("skip"),
+      },
+    },
+    drafts,
+  };
+}
+
+/**
+ * Completes a user's column mapping with the default target of every
+ * column it doesn't mention. Throws on unknown targets.
+ */
+export function resolveMapping(
+  columns: string[],
+  mapping: Record<string, string> = {},
+): Record<string, string> {
+  const resolved: Record<string, string> = {};
+  for (const column of columns) {
+    const target = mapping[column] ?? defaultColumnTarget(column);
+    if (!isValidTarget(target)) {
+      throw new Error(`Column "${column}" can't be imported into "${target}"`);
+    }
+    resolved[column] = target;
+  }
+  if (!Object.values(resolved).includes("name")) {
+    throw new Error("Map a column to the card name");
+  }
+  return resolved;
+}
+
+/** What an import would do, without changing anything */
+export function planCardImport(
+  project: Project,
+  cards: Card[],
+  table: CardTable,
+  mapping: Record<string, string>,
+  mode: CardImportMode,
+): CardImportPlan {
+  return buildPlan(project, cards, table, mapping, mode).plan;
+}
+
+/**
+ * Runs an import: creates the new sets, then creates and updates cards as
+ * planned. New cards go after the cards already in their set.
+ */
+export async function applyCardImport(
+  dataService: DataService,
+  projectId: string,
+  table: CardTable,
+  mapping: Record<string, string>,
+  mode: CardImportMode,
+  operation?: JournalOperation,
+): Promise<CardImportPlan> {
+  let project = await dataService.getProject(projectId);
+  if (!project) throw new Error("Project not found");
+  const cards = await dataService.getCards(projectId);
+  const { plan, drafts } = buildPlan(project, cards, table, mapping, mode);
+
+  if (plan.newSets.length) {
+    const updated = await dataService.updateProject(
+      projectId,
+      (latest) => {
+        latest.sets = [
+          ...(latest.sets || []),
+          ...plan.newSets.map((name) => ({ id: createSetId(), name })),
+        ];
+      },
+      { operation },
+    );
+    if (!updated) throw new Error("Project not found");
+    project = updated.project;
+  }
+
+  const orders = nextCardOrders(cards);
+  for (const row of plan.rows) {
+    const draft = drafts.get(row.row);
+    if (!draft || row.action === "skip") continue;
+    const setId = draft.set ? findSetId(project, draft.set) : undefined;
+
+    if (row.action === "update") {
+      await dataService.updateCard(
+        projectId,
+        row.cardId!,
+        (card) => {
+          applyDraft(card, draft, setId);
+        },
+        { operation },
+      );
+      continue;
+    }
+
+    const key = setId || "";
+    const order = orders.get(key) || 0;
+    orders.set(key, order + 1);
+    const id = await dataService.generateCardId(projectId);
+    const card: Card = {
+      id,
+      projectId,
+      name: draft.name,
+      prompt: "",
+      // Names can collide once sanitized; card IDs can't
+      outputSubfolder: id,
+    };
+    applyDraft(card, draft, setId);
+    card.order = order;
+    await dataService.saveCard(card, { operation });
+  }
+  return plan;
+}
+
+// --- Export ---
+
+/** Counts a card's images, as shown next to it in the export */
+export async function cardImageStats(
+  dataService: DataService,
+  card: Card,
+): Promise<CardImageStats> {
+  const { images } = await dataService.listCardImages(
+    card.projectId,
+    card.id,
+    true,
+  );
+  const visible = images.filter((img) => !img.isArchived);
+  return {
+    images: visible.length,
+    favorites: visible.filter((img) => img.isFavorite).length,
+    archived: images.length - visible.length,
+    starred: images.find((img) => img.isStarred)?.filename || "",
+  };
+}
+
+/** All card definitions with image statistics, in card list order */
+export function exportCardsJson(
+  project: Project,
+  cards: Card[],
+  stats: Map<string, CardImageStats>,
+) {
+  return {
+    format: CARD_EXPORT_FORMAT,
+    version: 1,
+    project: { id: project.id, name: project.name },
+    exportedAt: new Date().toISOString(),
+    cards: sortCards(project, cards).map((card) => ({
+      id: card.id,
+      name: card.name,
+      prompt: card.prompt,
+      set: project.sets?.find((s) => s.id === card.setId)?.name,
+      cardNumber: card.cardNumber,
+      aspectRatio: card.aspectRatio,
+      resolution: card.resolution,
+      negativePrompt: card.negativePrompt,
+      tags: card.tags,
+      promptSections: card.promptSections,
+      attributes: card.attributes,
+      images: stats.get(card.id),
+    })),
+  };
+}
+
+/**
+ * The same as a spreadsheet: one column per field, prompt section and
+ * attribute in use. Importing the file again maps every column back.
+ */
+export function exportCardsCsv(
+  project: Project,
+  cards: Card[],
+  stats: Map<string, CardImageStats>,
+): string {
+  const sorted = sortCards(project, cards);
+  const sections = PROMPT_SECTIONS.filter(({ key }) =>
+    sorted.some((card) => card.promptSections?.[key]),
+  );
+  const attributes = [
+    ...new Set(sorted.flatMap((card) => Object.keys(card.attributes || {}))),
+  ];
+  // Plain attribute headers unless they'd be read as something else
+  const attributeHeader = (name: string) =>
+    defaultColumnTarget(name) === `attr:${name}` ? name : `attr:${name}`;
+
+  const header = [
+    "id",
+    "name",
+    "prompt",
+    "set",
+    "cardNumber",
+    "aspectRatio",
+    "resolution",
+    "negativePrompt",
+    "tags",
+    ...sections.map(({ key }) => `section:${key}`),
+    ...attributes.map(attributeHeader),
+    "imageCount",
+    "favoriteCount",
+    "archivedCount",
+    "starredImage",
+  ];
+  const rows = sorted.map((card) => {
+    const stat = stats.get(card.id);
+    return [
+      card.id,
+      card.name,
+      card.prompt || "",
+      project.sets?.find((s) => s.id === card.setId)?.name || "",
+      card.cardNumber === undefined ? "" : String(card.cardNumber),
+      card.aspectRatio || "",
+      card.resolution || "",
+      card.negativePrompt || "",
+      (card.tags || []).join(", "),
+      ...sections.map(({ key }) => card.promptSections?.[key] || ""),
+      ...attributes.map((name) => card.attributes?.[name] || ""),
+      String(stat?.images ?? ""),
+      String(stat?.favorites ?? ""),
+      String(stat?.archived ?? ""),
+      stat?.starred || "",
+    ];
+  });
+  return toCsv([header, ...rows]);
+}
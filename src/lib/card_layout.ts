@@ -0,0 +1,591 @@
+import path from "path";
+import fs from "fs/promises";
+import { Archiver } from "archiver";
+import {
+  Card,
+  CardLayout,
+  CardLayoutText,
+  LayoutBox,
+  Project,
+} from "./data_service";
+import { DEFAULT_ASPECT_RATIO } from "./card_sets";
+import { decodePNG, isPNG, Raster, RGBA } from "./png";
+import { decodeJPEG, isJPEG } from "./jpeg";
+import { TrueTypeFont } from "./truetype";
+import { ExportEntry } from "./export_profiles";
+import { logger } from "./logger";
+
+/**
+ * Card layouts: how a finished card is composed from its art. The starred
+ * image fills the art window, the frame image (with a transparent window)
+ * goes over it, and text boxes are filled in from the card's fields. Frame
+ * images and fonts live in the project's `layout/` folder.
+ */
+
+export const LAYOUT_FITS = ["cover", "contain"];
+export const LAYOUT_ALIGNS = ["left", "center", "right"];
+export const LAYOUT_VERTICAL_ALIGNS = ["top", "middle", "bottom"];
+/** Text tokens, besides {attr.<name>} for a card attribute */
+export const LAYOUT_TEXT_TOKENS = ["name", "number", "set", "tags", "id"];
+export const LAYOUT_IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg"];
+export const LAYOUT_FONT_EXTENSIONS = [".ttf", ".ttc"];
+
+const MAX_LAYOUT_SIZE = 4096;
+const MAX_TEXT_SIZE = 400;
+const MAX_TEXTS = 20;
+// Text that doesn't fit shrinks down to this fraction of its size
+const MIN_TEXT_SHRINK = 0.5;
+const DEFAULT_LAYOUT_WIDTH = 750;
+const TOKEN_PATTERN = /\{([^{}]+)\}/g;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const PLACEHOLDER_ART: RGBA = [55, 65, 81, 255];
+const PLACEHOLDER_TEXT: RGBA = [156, 163, 175, 255];
+
+/** The project's folder of frame images and fonts */
+export function layoutFolder(dataRoot: string, projectId: string): string {
+  return path.join(dataRoot, "projects", projectId, "layout");
+}
+
+/** Frame images and fonts in the layout folder, by kind */
+export async function listLayoutFiles(
+  dir: string,
+): Promise<{ images: string[]; fonts: string[] }> {
+  let names: string[];
+  try {
+    names = (await fs.readdir(dir)).sort();
+  } catch {
+    names = [];
+  }
+  const ext = (name: string) => path.extname(name).toLowerCase();
+  return {
+    images: names.filter((n) => LAYOUT_IMAGE_EXTENSIONS.includes(ext(n))),
+    fonts: names.filter((n) => LAYOUT_FONT_EXTENSIONS.includes(ext(n))),
+  };
+}
+
+/** A safe file name for an upload to the layout folder */
+export function layoutFileName(name: string): string {
+  const base = path
+    .basename(String(name))
+    .replace(/[^a-z0-9._ -]/gi, "_")
+    .trim()
+    .replace(/^\.+/, "");
+  return base || "file";
+}
+
+export function createLayoutTextId(): string {
+  return `text_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+}
+
+function aspectOf(project: Project): number {
+  const [w, h] = (project.defaultAspectRatio || DEFAULT_ASPECT_RATIO)
+    .split(":")
+    .map(Number);
+  return w > 0 && h > 0 ? w / h : 2 / 3;
+}
+
+/**
+ * A starting layout in the project's aspect ratio: the name and a cost at
+ * the top, the art, then rules text and the card number.
+ */
+export function defaultCardLayout(project: Project): CardLayout {
+  const width = DEFAULT_LAYOUT_WIDTH;
+  const height = Math.min(
+    MAX_LAYOUT_SIZE,
+    Math.round(width / aspectOf(project)),
+  );
+  const margin = Math.round(width * 0.05);
+  const inner = width - margin * 2;
+  const artTop = margin + 72;
+  const artHeight = Math.round(height * 0.5);
+  const rulesTop = artTop + artHeight + 20;
+  const text = (fields: Partial<CardLayoutText>): CardLayoutText => ({
+    id: createLayoutTextId(),
+    text: "",
+    x: margin,
+    y: 0,
+    width: inner,
+    height: 40,
+    font: "",
+    size: 28,
+    color: "#f9fafb",
+    align: "left",
+    verticalAlign: "top",
+    ...fields,
+  });
+
+  return {
+    width,
+    height,
+    background: "#1f2937",
+    art: {
+      x: margin,
+      y: artTop,
+      width: inner,
+      height: artHeight,
+      fit: "cover",
+    },
+    texts: [
+      text({
+        text: "{name}",
+        y: margin,
+        width: inner - 100,
+        height: 60,
+        size: 44,
+        verticalAlign: "middle",
+      }),
+      text({
+        text: "{attr.cost}",
+        x: width - margin - 90,
+        y: margin,
+        width: 90,
+        height: 60,
+        size: 44,
+        align: "right",
+        verticalAlign: "middle",
+      }),
+      text({
+        text: "{attr.text}",
+        y: rulesTop,
+        height: Math.max(40, height - rulesTop - margin - 40),
+      }),
+      text({
+        text: "{number}",
+        y: height - margin - 30,
+        height: 30,
+        size: 20,
+        color: "#9ca3af",
+        align: "right",
+        verticalAlign: "bottom",
+      }),
+    ],
+  };
+}
+
+function oneOf(value: unknown, allowed: string[], name: string): string {
+  const text = String(value);
+  if (!allowed.includes(text)) {
+    throw new Error(`${name} must be one of ${allowed.join(", ")}`);
+  }
+  return text;
+}
+
+function whole(value: unknown, name: string, min: number, max: number) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function color(value: unknown, name: string): string {
+  const text = String(value).trim();
+  if (!COLOR_PATTERN.test(text)) {
+    throw new Error(`${name} must be a color like #1f2937`);
+  }
+  return text.toLowerCase();
+}
+
+/** Throws unless every {token} in `text` is known */
+function checkTextTokens(text: string) {
+  for (const [, token] of text.matchAll(TOKEN_PATTERN)) {
+    const known =
+      LAYOUT_TEXT_TOKENS.includes(token) ||
+      (token.startsWith("attr.") && token.length > 5);
+    if (!known) throw new Error(`Unknown text token {${token}}`);
+  }
+}
+
+/** Copies x, y, width and height that were sent onto `box` */
+function applyBox(box: LayoutBox, input: any, name: string) {
+  for (const key of ["x", "y"] as const) {
+    if (input[key] !== undefined) {
+      box[key] = whole(input[key], `${name} ${key}`, 0, MAX_LAYOUT_SIZE);
+    }
+  }
+  for (const key of ["width", "height"] as const) {
+    if (input[key] !== undefined) {
+      box[key] = whole(input[key], `${name} ${key}`, 1, MAX_LAYOUT_SIZE);
+    }
+  }
+}
+
+function normalizeLayoutText(
+  input: any,
+  fonts: string[],
+  index: number,
+): CardLayoutText {
+  const name = `Text ${index + 1}`;
+  const text: CardLayoutText = {
+    id: createLayoutTextId(),
+    text: "",
+    x: 0,
+    y: 0,
+    width: 200,
+    height: 40,
+    font: "",
+    size: 28,
+    color: "#f9fafb",
+    align: "left",
+    verticalAlign: "top",
+  };
+  if (typeof input.id === "string" && input.id) text.id = input.id;
+  if (input.text !== undefined) text.text = String(input.text);
+  checkTextTokens(text.text);
+  applyBox(text, input, name);
+  if (input.font) {
+    text.font = String(input.font);
+    if (!fonts.includes(text.font)) {
+      throw new Error(`${name}: font "${text.font}" not found`);
+    }
+  }
+  if (input.size !== undefined) {
+    text.size = whole(input.size, `${name} size`, 4, MAX_TEXT_SIZE);
+  }
+  if (input.color !== undefined) text.color = color(input.color, name);
+  if (input.align !== undefined) {
+    text.align = oneOf(input.align, LAYOUT_ALIGNS, `${name} align`);
+  }
+  if (input.verticalAlign !== undefined) {
+    text.verticalAlign = oneOf(
+      input.verticalAlign,
+      LAYOUT_VERTICAL_ALIGNS,
+      `${name} verticalAlign`,
+    );
+  }
+  return text;
+}
+
+/**
+ * Builds a layout from request fields over `base` (the project's default
+ * layout when it has none yet). `files` are the layout folder's images and
+ * fonts, which the frame and text fonts must be among. Throws on invalid
+ * values.
+ */
+export function normalizeCardLayout(
+  input: any,
+  base: CardLayout,
+  files: { images: string[]; fonts: string[] },
+): CardLayout {
+  const layout: CardLayout = structuredClone(base);
+  if (!input || typeof input !== "object") {
+    throw new Error("Layout must be an object");
+  }
+
+  for (const key of ["width", "height"] as const) {
+    if (input[key] !== undefined) {
+      layout[key] = whole(input[key], key, 16, MAX_LAYOUT_SIZE);
+    }
+  }
+  if (input.background !== undefined) {
+    layout.background = color(input.background, "background");
+  }
+  if (input.frame !== undefined) {
+    if (input.frame) {
+      layout.frame = String(input.frame);
+      if (!files.images.includes(layout.frame)) {
+        throw new Error(`Frame image "${layout.frame}" not found`);
+      }
+    } else {
+      delete layout.frame;
+    }
+  }
+  if (input.art !== undefined) {
+    applyBox(layout.art, input.art, "Art window");
+    if (input.art.fit !== undefined) {
+      layout.art.fit = oneOf(input.art.fit, LAYOUT_FITS, "Art fit");
+    }
+  }
+  if (input.texts !== undefined) {
+    if (!Array.isArray(input.texts)) throw new Error("texts must be a list");
+    if (input.texts.length > MAX_TEXTS) {
+      throw new Error(`A layout can have at most ${MAX_TEXTS} text boxes`);
+    }
+    layout.texts = input.texts.map((text: any, i: number) =>
+      normalizeLayoutText(text || {}, files.fonts, i),
+    );
+  }
+  return layout;
+}
+
+/** A text box's text for a card, with its {tokens} filled in */
+export function layoutText(
+  template: string,
+  card: Card,
+  project: Project,
+): string {
+  return template.replace(TOKEN_PATTERN, (_, token: string) => {
+    if (token.startsWith("attr.")) {
+      const attributes = card.attributes || {};
+      const key = token.slice(5);
+      return Object.prototype.hasOwnProperty.call(attributes, key)
+        ? attributes[key]
+        : "";
+    }
+    switch (token) {
+      case "name":
+        return card.name;
+      case "number":
+        return card.cardNumber !== undefined ? String(card.cardNumber) : "";
+      case "set":
+        return project.sets?.find((s) => s.id === card.setId)?.name || "";
+      case "tags":
+        return (card.tags || []).join(", ");
+      case "id":
+        return card.id;
+      default:
+        return "";
+    }
+  });
+}
+
+/** What text boxes need from a font, at a size in pixels */
+interface TextFace {
+  measure(text: string, size: number): number;
+  lineHeight(size: number): number;
+  /** From the top of a line to its baseline */
+  ascent(size: number): number;
+  draw(
+    raster: Raster,
+    text: string,
+    x: number,
+    baseline: number,
+    size: number,
+    color: RGBA,
+  ): void;
+}
+
+// The built-in 5x7 font only scales by whole font pixels; a line is ten of
+// them (seven for capitals plus spacing), so its height stays near `size`
+const pixelScale = (size: number) => Math.max(1, Math.round(size / 10));
+const PIXEL_FACE: TextFace = {
+  measure: (text, size) => Raster.measureText(text, pixelScale(size)).width,
+  lineHeight: (size) => pixelScale(size) * 10,
+  ascent: (size) =>
+    Raster.measureText("", pixelScale(size)).height + pixelScale(size) * 1.5,
+  draw: (raster, text, x, baseline, size, color) => {
+    const scale = pixelScale(size);
+    const top = baseline - Raster.measureText("", scale).height;
+    raster.drawText(text, x, top, scale, color);
+  },
+};
+
+function fontFace(font: TrueTypeFont): TextFace {
+  return {
+    measure: (text, size) => font.measure(text, size),
+    lineHeight: (size) => font.lineHeight(size),
+    ascent: (size) =>
+      font.ascent(size) + (font.lineGap * size) / font.unitsPerEm / 2,
+    draw: (raster, text, x, baseline, size, color) =>
+      font.draw(raster, text, x, baseline, size, color),
+  };
+}
+
+// Parsed fonts by path, until the file changes
+const fontCache = new Map<string, { mtimeMs: number; face: TextFace }>();
+
+async function loadFace(dir: string, font: string): Promise<TextFace> {
+  if (!font) return PIXEL_FACE;
+  const file = path.join(dir, path.basename(font));
+  try {
+    const { mtimeMs } = await fs.stat(file);
+    const cached = fontCache.get(file);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.face;
+    const face = fontFace(TrueTypeFont.parse(await fs.readFile(file)));
+    fontCache.set(file, { mtimeMs, face });
+    return face;
+  } catch (e: any) {
+    logger.warn(`[Layout] Using the built-in font for ${font}: ${e.message}`);
+    return PIXEL_FACE;
+  }
+}
+
+async function loadRaster(file: string): Promise<Raster> {
+  const buffer = await fs.readFile(file);
+  if (isPNG(buffer)) return decodePNG(buffer);
+  if (isJPEG(buffer)) return decodeJPEG(buffer);
+  throw new Error(`${path.basename(file)} is not a PNG or JPEG image`);
+}
+
+function parseColor(hex: string): RGBA {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255, 255];
+}
+
+/** Words wrapped to `width`, keeping the text's own line breaks */
+function wrapLines(
+  face: TextFace,
+  text: string,
+  size: number,
+  width: number,
+): string[] {
+  const lines: string[] = [];
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && face.measure(candidate, size) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function drawTextBox(
+  raster: Raster,
+  box: CardLayoutText,
+  text: string,
+  face: TextFace,
+) {
+  if (!text.trim()) return;
+
+  // Shrink until the wrapped text fits the box, or as far as allowed
+  const minSize = Math.max(4, box.size * MIN_TEXT_SHRINK);
+  let size = box.size;
+  let lines: string[];
+  for (;;) {
+    lines = wrapLines(face, text, size, box.width);
+    const fits =
+      lines.length * face.lineHeight(size) <= box.height &&
+      lines.every((line) => face.measure(line, size) <= box.width);
+    if (fits || size <= minSize) break;
+    size = Math.max(minSize, size * 0.9);
+  }
+
+  const lineHeight = face.lineHeight(size);
+  const blockHeight = lines.length * lineHeight;
+  let top = box.y;
+  if (box.verticalAlign === "middle") top += (box.height - blockHeight) / 2;
+  if (box.verticalAlign === "bottom") top += box.height - blockHeight;
+
+  const color = parseColor(box.color);
+  lines.forEach((line, i) => {
+    const width = face.measure(line, size);
+    let x = box.x;
+    if (box.align === "center") x += (box.width - width) / 2;
+    if (box.align === "right") x += box.width - width;
+    face.draw(
+      raster,
+      line,
+      x,
+      top + i * lineHeight + face.ascent(size),
+      size,
+      color,
+    );
+  });
+}
+
+function drawArt(raster: Raster, art: CardLayout["art"], image: Raster) {
+  if (art.fit === "contain") {
+    const scale = Math.min(art.width / image.width, art.height / image.height);
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    raster.draw(
+      image.resize(width, height),
+      art.x + (art.width - width) / 2,
+      art.y + (art.height - height) / 2,
+    );
+  } else {
+    raster.draw(image.cover(art.width, art.height), art.x, art.y);
+  }
+}
+
+/**
+ * Renders a card: `artFile` (usually its starred image; a placeholder when
+ * missing) in the art window, the frame over it, then the text boxes.
+ */
+export async function renderCardLayout(
+  layout: CardLayout,
+  project: Project,
+  card: Card,
+  dir: string,
+  artFile?: string,
+): Promise<Raster> {
+  const raster = new Raster(
+    layout.width,
+    layout.height,
+    parseColor(layout.background),
+  );
+
+  const { art } = layout;
+  let image: Raster | undefined;
+  if (artFile) {
+    try {
+      image = await loadRaster(artFile);
+    } catch (e: any) {
+      logger.warn(`[Layout] Could not load art ${artFile}: ${e.message}`);
+    }
+  }
+  if (image) {
+    drawArt(raster, art, image);
+  } else {
+    raster.fillRect(art.x, art.y, art.width, art.height, PLACEHOLDER_ART);
+    const scale = Math.max(1, Math.floor(art.width / 100));
+    const label = Raster.measureText("NO ART", scale);
+    raster.drawText(
+      "NO ART",
+      art.x + (art.width - label.width) / 2,
+      art.y + (art.height - label.height) / 2,
+      scale,
+      PLACEHOLDER_TEXT,
+    );
+  }
+
+  if (layout.frame) {
+    try {
+      let frame = await loadRaster(path.join(dir, path.basename(layout.frame)));
+      if (frame.width !== layout.width || frame.height !== layout.height) {
+        frame = frame.resize(layout.width, layout.height);
+      }
+      raster.draw(frame, 0, 0);
+    } catch (e: any) {
+      logger.warn(
+        `[Layout] Could not load frame ${layout.frame}: ${e.message}`,
+      );
+    }
+  }
+
+  for (const box of layout.texts) {
+    drawTextBox(
+      raster,
+      box,
+      layoutText(box.text, card, project),
+      await loadFace(dir, box.font),
+    );
+  }
+  return raster;
+}
+
+/**
+ * Adds each export entry rendered with the layout as a PNG under
+ * `rendered/`, next to the raw art of the same name.
+ */
+export async function addRenderedEntries(
+  archive: Archiver,
+  entries: ExportEntry[],
+  project: Project,
+  layout: CardLayout,
+  dir: string,
+) {
+  for (const entry of entries) {
+    const raster = await renderCardLayout(
+      layout,
+      project,
+      entry.card,
+      dir,
+      entry.file,
+    );
+    const ext = path.extname(entry.name);
+    archive.append(raster.toPNG(), {
+      name: `rendered/${entry.name.slice(0, entry.name.length - ext.length)}.png`,
+    });
+    // Rendering is CPU-bound; let other requests run between cards
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
@@ -0,0 +1,141 @@
+import fs from "fs/promises";
+import path from "path";
+import type { Card, PromptSections } from "./data_service";
+import { logger } from "./logger";
+
+export type RevisionAuthor = "user" | "assistant";
+
+/** The fields of a card that shape its images, as of one save. */
+export interface CardRevision {
+  /** The card's `revision` after this save */
+  revision: number;
+  savedAt: number;
+  author: RevisionAuthor;
+  /** Set when this save restored an earlier revision */
+  restoredFrom?: number;
+  name: string;
+  prompt: string;
+  negativePrompt?: string;
+  promptSections?: PromptSections;
+  attributes?: Record<string, string>;
+  inactiveModifiers?: string[];
+  aspectRatio?: string;
+  resolution?: string;
+  imageProvider?: string;
+}
+
+/** Card fields captured in a revision and written back on restore */
+export const REVISION_FIELDS = [
+  "name",
+  "prompt",
+  "negativePrompt",
+  "promptSections",
+  "attributes",
+  "inactiveModifiers",
+  "aspectRatio",
+  "resolution",
+  "imageProvider",
+] as const;
+
+/** Treats unset, empty strings and empty lists/objects as the same value */
+function isEmpty(value: unknown): boolean {
+  if (value === undefined || value === null || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === "object") return Object.keys(value).length === 0;
+  return false;
+}
+
+function snapshotKey(source: Partial<Card> | CardRevision): string {
+  return JSON.stringify(
+    REVISION_FIELDS.map((field) =>
+      isEmpty(source[field]) ? null : source[field],
+    ),
+  );
+}
+
+/**
+ * Append-only log of each card's prompt settings over time, stored at
+ * `projects/{projectId}/history/cards/{cardId}.jsonl` next to the job
+ * history.
+ *
+ * Saves that don't touch a tracked field (favorite and star toggles, say)
+ * bump the card's revision without adding an entry.
+ */
+export class CardRevisionLog {
+  constructor(private projectsDir: string) {}
+
+  private logFile(projectId: string, cardId: string) {
+    return path.join(
+      this.projectsDir,
+      projectId,
+      "history",
+      "cards",
+      `${cardId}.jsonl`,
+    );
+  }
+
+  /**
+   * Records the card as just saved. Callers serialize writes per card, so
+   * the last entry read here is the last one written.
+   */
+  async record(card: Card, author: RevisionAuthor, restoredFrom?: number) {
+    const entries = await this.list(card.projectId, card.id);
+    const latest = entries[0];
+    if (
+      latest &&
+      restoredFrom === undefined &&
+      snapshotKey(latest) === snapshotKey(card)
+    ) {
+      return;
+    }
+
+    const entry: CardRevision = {
+      revision: card.revision || 0,
+      savedAt: Date.now(),
+      author,
+      restoredFrom,
+      name: card.name,
+      prompt: card.prompt || "",
+    };
+    for (const field of REVISION_FIELDS) {
+      if (card[field] !== undefined) (entry as any)[field] = card[field];
+    }
+
+    const file = this.logFile(card.projectId, card.id);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify(entry) + "\n", "utf-8");
+  }
+
+  /** Revisions of a card, newest first. */
+  async list(projectId: string, cardId: string): Promise<CardRevision[]> {
+    let content: string;
+    try {
+      content = await fs.readFile(this.logFile(projectId, cardId), "utf-8");
+    } catch {
+      return [];
+    }
+    const entries: CardRevision[] = [];
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        logger.warn(`[Revisions] Skipping unreadable line for ${cardId}`);
+      }
+    }
+    return entries.reverse();
+  }
+
+  async get(
+    projectId: string,
+    cardId: string,
+    revision: number,
+  ): Promise<CardRevision | null> {
+    const entries = await this.list(projectId, cardId);
+    return entries.find((entry) => entry.revision === revision) || null;
+  }
+
+  async remove(projectId: string, cardId: string) {
+    await fs.rm(this.logFile(projectId, cardId), { force: true });
+  }
+}
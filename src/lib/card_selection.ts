@@ -0,0 +1,195 @@
+import { Card, DataService } from "./data_service";
+
+/** Which cards of a project a batch operation applies to */
+export type CardSelectionMode =
+  | "all"
+  | "no-images" // No (non-archived) images generated yet
+  | "no-starred" // No starred image picked
+  | "search" // Name or prompt contains `query`
+  | "tag"; // Tagged with `tag`
+
+export const CARD_SELECTION_MODES: CardSelectionMode[] = [
+  "all",
+  "no-images",
+  "no-starred",
+  "search",
+  "tag",
+];
+
+export type TagMatchMode = "all" | "any";
+
+export interface CardSelection {
+  mode: CardSelectionMode;
+  query?: string;
+  tag?: string;
+}
+
+/** Returns the project's cards matching the selection, in card order. */
+export async function selectCards(
+  dataService: DataService,
+  projectId: string,
+  selection: CardSelection,
+): Promise<Card[]> {
+  const cards = await dataService.getCards(projectId);
+
+  switch (selection.mode) {
+    case "all":
+      return cards;
+
+    case "no-images": {
+      const counts = await Promise.all(
+        cards.map((c) => dataService.countCardImages(c)),
+      );
+      return cards.filter((_, i) => counts[i] === 0);
+    }
+
+    case "no-starred":
+      return cards.filter((c) => !c.starredImage);
+
+    case "search": {
+      const query = (selection.query || "").trim().toLowerCase();
+      if (!query) return [];
+      return cards.filter(
+        (c) =>
+          c.name.toLowerCase().includes(query) ||
+          (c.prompt || "").toLowerCase().includes(query),
+      );
+    }
+
+    case "tag": {
+      const tag = (selection.tag || "").trim();
+      if (!tag) return [];
+      return cards.filter((c) => matchesTags(c, [tag]));
+    }
+  }
+}
+
+/**
+ * Trims and de-duplicates tag names (case-insensitively, keeping the first
+ * spelling), dropping empty ones.
+ */
+export function normalizeTags(tags: unknown): string[] {
+  if (!Array.isArray(tags)) return [];
+  const seen = new Set<string>();
+  const result: string[] = [];
+  for (const tag of tags) {
+    if (typeof tag !== "string") continue;
+    const name = tag.trim();
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    result.push(name);
+  }
+  return result;
+}
+
+/**
+ * Whether a card has all (or, with mode "any", at least one) of the tags.
+ * Tags compare case-insensitively.
+ */
+export function matchesTags(
+  card: Card,
+  tags: string[],
+  mode: TagMatchMode = "all",
+): boolean {
+  const cardTags = new Set((card.tags || []).map((t) => t.toLowerCase()));
+  const has = (tag: string) => cardTags.has(tag.trim().toLowerCase());
+  return mode === "any" ? tags.some(has) : tags.every(has);
+}
+
+// --- Smart collection queries (see public/js/utils/cardQuery.js) ---
+
+const QUERY_TOKEN = /\s*(\(|\)|-(?=\S)|[^\s()"]*"[^"]*"?|[^\s()]+)/g;
+
+/** Stands in for a dropped term while the query around it is tidied */
+const DROPPED = "\0";
+
+function tokenizeQuery(query: string): string[] {
+  const tokens: string[] = [];
+  let match;
+  QUERY_TOKEN.lastIndex = 0;
+  while ((match = QUERY_TOKEN.exec(query)) && match[1]) {
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+function isTagTerm(token: string, tag: string) {
+  const colon = token.indexOf(":");
+  if (colon <= 0 || token.slice(0, colon).toLowerCase() !== "tag") {
+    return false;
+  }
+  const value = token.slice(colon + 1).replace(/^"|"$/g, "");
+  return value.toLowerCase() === tag.toLowerCase();
+}
+
+function tagTerm(tag: string) {
+  return /[\s()"]/.test(tag) ? `tag:"${tag.replace(/"/g, "")}"` : `tag:${tag}`;
+}
+
+/**
+ * Removes dropped terms along with the NOT, AND or OR that applied to them
+ * and any parentheses left empty. AND (written or implied) binds tighter
+ * than OR, so a term is only cut out of an OR once it stands alone there.
+ */
+function tidyDroppedTerms(tokens: string[]) {
+  const endsTerm = (t?: string) => t !== undefined && t !== "(" && t !== "OR";
+  const startsTerm = (t?: string) =>
+    t !== undefined && t !== ")" && t !== "OR" && t !== "AND";
+
+  // Makes one cut around a dropped term; false once none applies
+  const step = (orPass: boolean) => {
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i] !== DROPPED) continue;
+      const prev = tokens[i - 1];
+      const next = tokens[i + 1];
+      if (orPass) {
+        if (next === "OR") tokens.splice(i, 2);
+        else if (prev === "OR") tokens.splice(i - 1, 2);
+        else continue;
+      } else if (prev === "NOT" || prev === "-") {
+        tokens.splice(i - 1, 1);
+      } else if (prev === "(" && next === ")") {
+        tokens.splice(i - 1, 3, DROPPED);
+      } else if (next === "AND") {
+        tokens.splice(i, 2);
+      } else if (prev === "AND") {
+        tokens.splice(i - 1, 2);
+      } else if (startsTerm(next) || endsTerm(prev)) {
+        tokens.splice(i, 1);
+      } else {
+        continue;
+      }
+      return true;
+    }
+    return false;
+  };
+  while (step(false) || step(true)) {
+    // Repeat until the query is tidy
+  }
+  return tokens.filter((t) => t !== DROPPED);
+}
+
+/**
+ * Rewrites a smart collection query's `tag:` terms for a renamed tag, or
+ * drops them for a deleted one (`to` null). Returns the query unchanged if
+ * it doesn't mention the tag, and null if nothing of it is left.
+ */
+export function replaceQueryTag(
+  query: string,
+  from: string,
+  to: string | null,
+): string | null {
+  const tokens = tokenizeQuery(query);
+  if (!tokens.some((t) => isTagTerm(t, from))) return query;
+
+  let result = tokens.map((t) =>
+    isTagTerm(t, from) ? (to ? tagTerm(to) : DROPPED) : t,
+  );
+  if (!to) result = tidyDroppedTerms(result);
+  if (result.length === 0) return null;
+  return result.reduce((text, token, i) =>
+    i === 0 || token === ")" || ["(", "-"].includes(result[i - 1])
+      ? text + token
+      : `${text} ${token}`,
+  );
+}
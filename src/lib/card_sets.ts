@@ -0,0 +1,143 @@
+import { Card, CardSet, Project, PromptModifier } from "./data_service";
+
+export const DEFAULT_ASPECT_RATIO = "2:3";
+export const DEFAULT_RESOLUTION = "2K";
+
+/** The set a card belongs to; undefined if it has none or it was deleted */
+export function findCardSet(
+  project: Project | null | undefined,
+  card: Card,
+): CardSet | undefined {
+  if (!card.setId) return undefined;
+  return project?.sets?.find((s) => s.id === card.setId);
+}
+
+/**
+ * Orders cards the way the card list shows them: by set in the project's
+ * set order (cards without a set last), then by `order`, then by ID.
+ */
+export function sortCards(
+  project: Project | null | undefined,
+  cards: Card[],
+): Card[] {
+  const setIndex = new Map(
+    (project?.sets || []).map((set, index) => [set.id, index]),
+  );
+  const rank = (card: Card) => setIndex.get(card.setId ?? "") ?? Infinity;
+  const order = (card: Card) => card.order ?? Infinity;
+  // Not plain subtraction: Infinity - Infinity is NaN
+  const compare = (x: number, y: number) => (x === y ? 0 : x < y ? -1 : 1);
+
+  return [...cards].sort(
+    (a, b) =>
+      compare(rank(a), rank(b)) ||
+      compare(order(a), order(b)) ||
+      a.id.localeCompare(b.id),
+  );
+}
+
+/**
+ * The next free `order` in each set ("" for unsorted cards), for adding
+ * cards after those already there.
+ */
+export function nextCardOrders(cards: Card[]): Map<string, number> {
+  const orders = new Map<string, number>();
+  for (const card of cards) {
+    const key = card.setId || "";
+    orders.set(key, Math.max(orders.get(key) || 0, (card.order ?? -1) + 1));
+  }
+  return orders;
+}
+
+/**
+ * Numbers `cards` in the order given, counting up from `start`. With
+ * `perSet`, numbering restarts at `start` in each set (and for the
+ * unsorted cards).
+ */
+export function numberCards(
+  cards: Card[],
+  options: { start?: number; perSet?: boolean } = {},
+): Map<string, number> {
+  const start = options.start ?? 1;
+  const next = new Map<string, number>();
+  const numbers = new Map<string, number>();
+  for (const card of cards) {
+    const group = options.perSet ? card.setId || "" : "";
+    const number = next.get(group) ?? start;
+    numbers.set(card.id, number);
+    next.set(group, number + 1);
+  }
+  return numbers;
+}
+
+/** Zero-padded so exported files sort in deck order: 7 → "07" */
+export function formatCardNumber(number: number, width = 2): string {
+  return String(number).padStart(width, "0");
+}
+
+/**
+ * Aspect ratio and resolution a card is generated at: the card's own, else
+ * its set's, else the project's defaults.
+ */
+export function resolveImageSettings(
+  project: Project,
+  card: Card,
+): { aspectRatio: string; resolution: string } {
+  const set = findCardSet(project, card);
+  return {
+    aspectRatio:
+      card.aspectRatio ||
+      set?.aspectRatio ||
+      project.defaultAspectRatio ||
+      DEFAULT_ASPECT_RATIO,
+    resolution:
+      card.resolution ||
+      set?.resolution ||
+      project.defaultResolution ||
+      DEFAULT_RESOLUTION,
+  };
+}
+
+export function createSetId(): string {
+  return `set_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+}
+
+/** Valid prompt modifiers from user input; missing IDs are generated */
+export function normalizePromptModifiers(modifiers: unknown): PromptModifier[] {
+  if (!Array.isArray(modifiers)) return [];
+  return modifiers
+    .filter((m) => m && typeof m.text === "string" && m.text.trim())
+    .map((m) => ({
+      id:
+        typeof m.id === "string" && m.id
+          ? m.id
+          : Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      name: String(m.name || "").trim() || "Modifier",
+      text: m.text.trim(),
+      type: m.type === "suffix" ? "suffix" : "prefix",
+    }));
+}
+
+/**
+ * Builds a set from request fields, keeping `existing` values for fields
+ * that weren't sent. Throws if the set would have no name.
+ */
+export function normalizeCardSet(input: any, existing?: CardSet): CardSet {
+  const set: CardSet = existing
+    ? structuredClone(existing)
+    : { id: createSetId(), name: "" };
+
+  if (input.name !== undefined) set.name = String(input.name).trim();
+  if (!set.name) throw new Error("Set name is required");
+
+  for (const key of ["aspectRatio", "resolution"] as const) {
+    if (input[key] === undefined) continue;
+    const value = String(input[key] || "").trim();
+    if (value) set[key] = value;
+    else delete set[key];
+  }
+  if (input.promptModifiers !== undefined) {
+    set.promptModifiers = normalizePromptModifiers(input.promptModifiers);
+  }
+  return set;
+}
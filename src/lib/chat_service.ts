@@ -2,6 +2,7 @@ import { GoogleGenerativeAI, Part } from "@google/generative-ai";
 import { DataService } from "./data_service";
 import { logger } from "./logger";
 import { SYSTEM_INSTRUCTION } from "./system_instruction";
+import { UsageLedger } from "./usage_ledger";
 import path from "path";
 import fs from "fs/promises";
 import { TOOL_DEFINITIONS, handleToolCall } from "../tools";
@@ -19,16 +20,52 @@ export interface Conversation {
   lastUpdated: number;
 }
 
+/**
+ * Every saved conversation under `dataRoot`, newest first. Works without
+ * an API key, e.g. for project search.
+ */
+export async function listConversations(
+  dataRoot: string,
+): Promise<Conversation[]> {
+  try {
+    const dir = path.join(dataRoot, "conversations");
+    const files = await fs.readdir(dir).catch((e) => {
+      if (e.code === "ENOENT") return [] as string[];
+      throw e;
+    });
+    const convs: Conversation[] = [];
+    for (const f of files) {
+      if (!f.endsWith(".json")) continue;
+      try {
+        const data = JSON.parse(await fs.readFile(path.join(dir, f), "utf-8"));
+        convs.push(data);
+      } catch (err) {
+        logger.error(`[ChatService] Failed to parse conversation ${f}:`, err);
+      }
+    }
+
+    const sorted = convs.sort((a, b) => b.lastUpdated - a.lastUpdated);
+    logger.info(`[ChatService] Listing ${sorted.length} conversations`);
+    return sorted;
+  } catch (e) {
+    logger.error("[ChatService] Error listing conversations:", e);
+    return [];
+  }
+}
+
 export class ChatService {
   private genAI: GoogleGenerativeAI | null = null;
   private dataService: DataService;
   private dataRoot: string;
   private getActiveJobs: () => any[] = () => [];
+  private usageLedger: UsageLedger | null = null;
+  private apiKey: string;
 
   constructor(apiKey: string | undefined, dataService: DataService) {
     if (apiKey) {
       this.genAI = new GoogleGenerativeAI(apiKey);
     }
+    this.apiKey = apiKey || "";
     this.dataService = dataService;
     this.dataRoot = path.join(process.cwd(), "data");
   }
@@ -37,6 +74,33 @@ export class ChatService {
     this.getActiveJobs = getter;
   }
 
+  setUsageLedger(ledger: UsageLedger) {
+    this.usageLedger = ledger;
+  }
+
+  // Record token usage once a response has fully arrived. Not awaited so a
+  // slow ledger write never holds up the stream.
+  private recordUsage(
+    result: { response: Promise<any> },
+    model: string,
+    context: { projectId?: string; cardId?: string; conversationId?: string },
+  ) {
+    if (!this.usageLedger) return;
+    const ledger = this.usageLedger;
+    result.response
+      .then((response) =>
+        ledger.recordChat({
+          ...context,
+          model,
+          apiKey: this.apiKey,
+          usageMetadata: response.usageMetadata,
+        }),
+      )
+      .catch((e) =>
+        logger.warn(`[ChatService] Could not record token usage: ${e.message}`),
+      );
+  }
+
   // Allow setting the root data directory (called from server)
   setDataRoot(dir: string) {
     this.dataRoot = dir;
@@ -80,6 +144,10 @@ export class ChatService {
       logger.warn(`[ChatService] Conversation not found: ${conversationId}`);
       throw new Error("Conversation not found");
     }
+    // Remember where the conversation started so search can scope it
+    if (projectId && !conversation.projectId) {
+      conversation.projectId = projectId;
+    }
 
     if (!this.genAI) {
       throw new Error("API Key not set. Cannot generate response.");
@@ -131,6 +199,9 @@ ${projects.map((p) => `- ${p.name} (ID: ${p.id}): ${p.description}`).join("\n")}
         } else if (job.status === "error") {
           contextStr += ` - Error: ${job.error}`;
         }
+        if (job.failures?.length) {
+          contextStr += ` - Outcome: ${job.summary}`;
+        }
         contextStr += `\n`;
       });
       contextStr += `\nNote: You can use 'getGeneratedImage' with the filenames above to analyze specific results.\n`;
@@ -396,6 +467,11 @@ ${projects.map((p) => `- ${p.name} (ID: ${p.id}): ${p.description}`).join("\n")}
         const result = await model.generateContentStream({
           contents: fullHistory as any[],
         });
+        this.recordUsage(result, modelName, {
+          projectId,
+          cardId: activeCardId || undefined,
+          conversationId,
+        });
 
         // Collect model response parts for this turn
         const currentModelParts: Part[] = [];
@@ -676,8 +752,9 @@ ${projects.map((p) => `- ${p.name} (ID: ${p.id}): ${p.description}`).join("\n")}
     if (!this.genAI) return null;
     try {
       // Use a lightweight model or same model for titling
+      const titleModel = "gemini-2.0-flash-exp";
       const model = this.genAI.getGenerativeModel({
-        model: "gemini-2.0-flash-exp",
+        model: titleModel,
       });
 
       // Construct a simple prompt
@@ -689,6 +766,11 @@ ${projects.map((p) => `- ${p.name} (ID: ${p.id}): ${p.description}`).join("\n")}
       const prompt = `Based on the following conversation, generate a short, concise, and descriptive title (max 6 words). Do not use quotes or prefixes. Just the title.\n\n${context}`;
 
       const result = await model.generateContent(prompt);
+      this.recordUsage(
+        { response: Promise.resolve(result.response) },
+        titleModel,
+        {},
+      );
       const title = result.response
         .text()
         .trim()
@@ -703,29 +785,8 @@ ${projects.map((p) => `- ${p.name} (ID: ${p.id}): ${p.description}`).join("\n")}
   // --- Persistence ---
 
   async listConversations(): Promise<Conversation[]> {
-    try {
-      const dir = await this.ensureConversationsDir();
-      const files = await fs.readdir(dir);
-      const convs: Conversation[] = [];
-      for (const f of files) {
-        if (!f.endsWith(".json")) continue;
-        try {
-          const data = JSON.parse(
-            await fs.readFile(path.join(dir, f), "utf-8"),
-          );
-          convs.push(data);
-        } catch (err) {
-          logger.error(`[ChatService] Failed to parse conversation ${f}:`, err);
-        }
-      }
-
-      const sorted = convs.sort((a, b) => b.lastUpdated - a.lastUpdated);
-      logger.info(`[ChatService] Listing ${sorted.length} conversations`);
-      return sorted;
-    } catch (e) {
-      logger.error("[ChatService] Error listing conversations:", e);
-      return [];
-    }
+    await this.ensureConversationsDir();
+    return listConversations(this.dataRoot);
   }
 
   async loadConversation(conversationId: string): Promise<Conversation | null> {
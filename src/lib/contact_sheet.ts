@@ -0,0 +1,502 @@
+import path from "path";
+import fs from "fs/promises";
+import { Card, DataService, Project } from "./data_service";
+import { DEFAULT_ASPECT_RATIO, sortCards } from "./card_sets";
+import { decodePNG, isPNG, Raster, RGBA } from "./png";
+import { decodeJPEG, isJPEG } from "./jpeg";
+import { PdfPage, PdfWriter, POINTS_PER_MM } from "./pdf";
+import { PAPER_SIZES } from "./print_deck";
+
+/**
+ * Contact (proof) sheets: a grid of thumbnails with captions for reviewing
+ * a deck at a glance, as one PNG or as PDF pages. Covers the project's
+ * cards (starred image, else the newest), one set's, or all favorites of a
+ * single card.
+ */
+
+export const CONTACT_SHEET_SORTS = [
+  "deck",
+  "name",
+  "number",
+  "newest",
+  "oldest",
+];
+export const CONTACT_SHEET_FORMATS = ["png", "pdf"];
+
+export interface ContactSheetOptions {
+  /** Only this set's cards */
+  setId?: string;
+  /** Every favorite of this card, instead of one image per card */
+  cardId?: string;
+  columns: number;
+  /** One of CONTACT_SHEET_SORTS; "deck" is the card list order */
+  sort: string;
+  captions: boolean;
+  format: "png" | "pdf";
+  /** A PAPER_SIZES key (PDF) */
+  paper: string;
+  /** Thumbnail width in pixels (PNG); reduced if the sheet would be huge */
+  thumbWidth: number;
+}
+
+// One PNG sheet holds at most this many images; a PDF pages them
+const MAX_PNG_IMAGES = 200;
+// Thumbnails shrink to keep a PNG sheet within this many pixels (~160 MB
+// of RGBA), so large grids don't exhaust memory
+const MAX_PNG_PIXELS = 40_000_000;
+const MIN_THUMB_WIDTH = 64;
+// PDF pages are rendered at this resolution
+const PDF_DPI = 150;
+const PADDING = 16;
+const GAP = 12;
+
+const BACKGROUND: RGBA = [255, 255, 255, 255];
+const THUMB_BACKGROUND: RGBA = [229, 231, 235, 255];
+const TEXT: RGBA = [17, 24, 39, 255];
+const MUTED: RGBA = [107, 114, 128, 255];
+const STAR: RGBA = [245, 158, 11, 255];
+const HEART: RGBA = [239, 68, 68, 255];
+
+function integerOption(
+  value: unknown,
+  name: string,
+  fallback: number,
+  min: number,
+  max: number,
+): number {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Contact sheet options from a query string or tool arguments; throws on
+ * invalid values.
+ */
+export function parseContactSheetOptions(
+  input: Record<string, unknown>,
+): ContactSheetOptions {
+  const text = (value: unknown) =>
+    typeof value === "string" && value ? value : undefined;
+
+  const sort = text(input.sort) || "deck";
+  if (!CONTACT_SHEET_SORTS.includes(sort)) {
+    throw new Error(`sort must be one of ${CONTACT_SHEET_SORTS.join(", ")}`);
+  }
+  const format = text(input.format) || "png";
+  if (!CONTACT_SHEET_FORMATS.includes(format)) {
+    throw new Error("format must be png or pdf");
+  }
+  const paper = text(input.paper) || "letter";
+  if (!PAPER_SIZES[paper]) {
+    throw new Error(
+      `paper must be one of ${Object.keys(PAPER_SIZES).join(", ")}`,
+    );
+  }
+
+  return {
+    setId: text(input.setId ?? input.set),
+    cardId: text(input.cardId ?? input.card),
+    columns: integerOption(input.columns, "columns", 5, 1, 12),
+    sort,
+    captions: ![false, "0", "false"].includes(input.captions as any),
+    format: format as ContactSheetOptions["format"],
+    paper,
+    thumbWidth: integerOption(input.thumbWidth, "thumbWidth", 240, 64, 1024),
+  };
+}
+
+export interface ContactSheetItem {
+  card: Card;
+  /** Absolute path; undefined for a card without images */
+  file?: string;
+  filename?: string;
+  time: number;
+  starred: boolean;
+  favorite: boolean;
+}
+
+export interface ContactSheet {
+  title: string;
+  items: ContactSheetItem[];
+  /** Thumbnail box width / height, from the project's aspect ratio */
+  aspect: number;
+}
+
+function parseAspect(ratio: string): number {
+  const [w, h] = ratio.split(":").map(Number);
+  return w > 0 && h > 0 ? w / h : 2 / 3;
+}
+
+/**
+ * Picks the images for a sheet. Throws for an unknown set or card, with
+ * the same messages as the routes' 404s.
+ */
+export async function collectContactSheet(
+  dataService: DataService,
+  project: Project,
+  assetsDir: string,
+  options: ContactSheetOptions,
+): Promise<ContactSheet> {
+  const cards = sortCards(project, await dataService.getCards(project.id));
+  const fileFor = (card: Card, filename: string) =>
+    path.join(assetsDir, card.outputSubfolder || "default", filename);
+  const aspect = parseAspect(
+    project.defaultAspectRatio || DEFAULT_ASPECT_RATIO,
+  );
+
+  if (options.cardId) {
+    const card = cards.find((c) => c.id === options.cardId);
+    if (!card) throw new Error("Card not found");
+    const { images } = await dataService.listCardImages(project.id, card.id);
+    const items = images
+      .filter((image) => image.isFavorite)
+      .map((image) => ({
+        card,
+        file: fileFor(card, image.filename),
+        filename: image.filename,
+        time: image.time.getTime(),
+        starred: image.isStarred,
+        favorite: true,
+      }));
+    return {
+      title: `${card.name} - Favorites`,
+      items: sortItems(items, options.sort, true),
+      aspect,
+    };
+  }
+
+  const set = options.setId
+    ? project.sets?.find((s) => s.id === options.setId)
+    : undefined;
+  if (options.setId && !set) throw new Error("Set not found");
+
+  const items: ContactSheetItem[] = [];
+  for (const card of set ? cards.filter((c) => c.setId === set.id) : cards) {
+    const { images } = await dataService.listCardImages(project.id, card.id);
+    const image =
+      images.find((i) => i.isStarred) ||
+      [...images].sort((a, b) => b.time.getTime() - a.time.getTime())[0];
+    items.push(
+      image
+        ? {
+            card,
+            file: fileFor(card, image.filename),
+            filename: image.filename,
+            time: image.time.getTime(),
+            starred: image.isStarred,
+            favorite: image.isFavorite,
+          }
+        : { card, time: 0, starred: false, favorite: false },
+    );
+  }
+  return {
+    title: set ? `${project.name} - ${set.name}` : project.name,
+    items: sortItems(items, options.sort, false),
+    aspect,
+  };
+}
+
+/** Items come in deck order (or newest version first, for favorites) */
+function sortItems(
+  items: ContactSheetItem[],
+  sort: string,
+  favorites: boolean,
+): ContactSheetItem[] {
+  const byFilename = (a: ContactSheetItem, b: ContactSheetItem) =>
+    (a.filename || "").localeCompare(b.filename || "", undefined, {
+      numeric: true,
+    });
+  const sorted = [...items];
+  if (sort === "newest") return sorted.sort((a, b) => b.time - a.time);
+  if (sort === "oldest") return sorted.sort((a, b) => a.time - b.time);
+  // A single card's favorites have no deck order; show them by version
+  if (favorites) return sorted.sort(byFilename);
+  if (sort === "name") {
+    return sorted.sort((a, b) => a.card.name.localeCompare(b.card.name));
+  }
+  if (sort === "number") {
+    // Stable, so unnumbered cards keep deck order at the end
+    const number = (item: ContactSheetItem) => item.card.cardNumber ?? Infinity;
+    return sorted.sort((a, b) =>
+      number(a) === number(b) ? 0 : number(a) < number(b) ? -1 : 1,
+    );
+  }
+  return sorted;
+}
+
+/** The image scaled to fit a w x h box, or null if it can't be read */
+async function loadThumbnail(
+  file: string,
+  w: number,
+  h: number,
+): Promise<Raster | null> {
+  try {
+    const buffer = await fs.readFile(file);
+    const image = isPNG(buffer)
+      ? decodePNG(buffer)
+      : isJPEG(buffer)
+        ? decodeJPEG(buffer)
+        : null;
+    if (!image) return null;
+    const scale = Math.min(w / image.width, h / image.height);
+    return image.resize(image.width * scale, image.height * scale);
+  } catch {
+    return null;
+  }
+}
+
+/** Cuts text to `maxChars`, marking the cut with "..." */
+function fitText(text: string, maxChars: number): string {
+  if (text.length <= maxChars) return text;
+  return maxChars > 3 ? `${text.slice(0, maxChars - 3)}...` : "";
+}
+
+interface SheetLayout {
+  width: number;
+  columns: number;
+  thumbWidth: number;
+  thumbHeight: number;
+  /** Font pixel size for captions; the title is one size up */
+  scale: number;
+  cellHeight: number;
+  headerHeight: number;
+}
+
+function sheetLayout(
+  width: number,
+  columns: number,
+  aspect: number,
+  captions: boolean,
+): SheetLayout {
+  const thumbWidth = Math.floor(
+    (width - PADDING * 2 - GAP * (columns - 1)) / columns,
+  );
+  const thumbHeight = Math.round(thumbWidth / aspect);
+  const scale = thumbWidth >= 160 ? 2 : 1;
+  const lineHeight = 7 * scale + 4 * scale;
+  return {
+    width,
+    columns,
+    thumbWidth,
+    thumbHeight,
+    scale,
+    cellHeight: thumbHeight + (captions ? 4 + lineHeight * 2 : 0),
+    headerHeight: 7 * (scale + 1) + 6 + 7 * scale + GAP * 2,
+  };
+}
+
+/** Draws one page of the sheet: a header, then `items` row by row */
+async function renderPage(
+  sheet: ContactSheet,
+  items: ContactSheetItem[],
+  layout: SheetLayout,
+  height: number,
+  subtitle: string,
+  captions: boolean,
+): Promise<Raster> {
+  const { scale } = layout;
+  const page = new Raster(layout.width, height, BACKGROUND);
+  const titleChars = Math.floor(
+    (layout.width - PADDING * 2) / (6 * (scale + 1)),
+  );
+  page.drawText(
+    fitText(sheet.title, titleChars),
+    PADDING,
+    PADDING,
+    scale + 1,
+    TEXT,
+  );
+  page.drawText(subtitle, PADDING, PADDING + 7 * (scale + 1) + 6, scale, MUTED);
+
+  const lineHeight = 7 * scale + 4 * scale;
+  const maxChars = Math.floor((layout.thumbWidth + scale) / (6 * scale));
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const x = PADDING + (i % layout.columns) * (layout.thumbWidth + GAP);
+    const y =
+      PADDING +
+      layout.headerHeight +
+      Math.floor(i / layout.columns) * (layout.cellHeight + GAP);
+
+    page.fillRect(
+      x,
+      y,
+      layout.thumbWidth,
+      layout.thumbHeight,
+      THUMB_BACKGROUND,
+    );
+    const thumb = item.file
+      ? await loadThumbnail(item.file, layout.thumbWidth, layout.thumbHeight)
+      : null;
+    if (thumb) {
+      page.draw(
+        thumb,
+        x + (layout.thumbWidth - thumb.width) / 2,
+        y + (layout.thumbHeight - thumb.height) / 2,
+      );
+    } else {
+      const label = item.file ? "NO PREVIEW" : "NO IMAGES";
+      const size = Raster.measureText(label, scale);
+      page.drawText(
+        label,
+        x + (layout.thumbWidth - size.width) / 2,
+        y + (layout.thumbHeight - size.height) / 2,
+        scale,
+        MUTED,
+      );
+    }
+
+    if (!captions) continue;
+    const captionY = y + layout.thumbHeight + 4 + 2 * scale;
+    const markers = (item.starred ? "★" : "") + (item.favorite ? "♥" : "");
+    const number =
+      item.card.cardNumber !== undefined ? `${item.card.cardNumber} ` : "";
+    page.drawText(
+      fitText(
+        number + item.card.name,
+        maxChars - (markers ? markers.length + 1 : 0),
+      ),
+      x,
+      captionY,
+      scale,
+      TEXT,
+    );
+    // Markers right-aligned on the name line, in their own colors
+    let markerX =
+      x + layout.thumbWidth - Raster.measureText(markers, scale).width;
+    for (const marker of markers) {
+      page.drawText(
+        marker,
+        markerX,
+        captionY,
+        scale,
+        marker === "★" ? STAR : HEART,
+      );
+      markerX += 6 * scale;
+    }
+    if (item.filename) {
+      page.drawText(
+        fitText(item.filename, maxChars),
+        x,
+        captionY + lineHeight,
+        scale,
+        MUTED,
+      );
+    }
+  }
+  return page;
+}
+
+function describeCount(sheet: ContactSheet): string {
+  const count = sheet.items.length;
+  return `${count} IMAGE${count === 1 ? "" : "S"} - ${new Date()
+    .toISOString()
+    .slice(0, 10)}`;
+}
+
+/** Why the sheet can't be rendered, if it can't */
+export function contactSheetProblem(
+  sheet: ContactSheet,
+  options: ContactSheetOptions,
+): string | null {
+  if (sheet.items.length === 0) return "No images to show";
+  if (options.format === "png" && sheet.items.length > MAX_PNG_IMAGES) {
+    return `A PNG contact sheet holds up to ${MAX_PNG_IMAGES} images (this one has ${sheet.items.length}); use PDF instead`;
+  }
+  return null;
+}
+
+/** Renders the sheet as a PNG or PDF file */
+export async function renderContactSheet(
+  sheet: ContactSheet,
+  options: ContactSheetOptions,
+): Promise<Buffer> {
+  const columns = Math.max(1, Math.min(options.columns, sheet.items.length));
+
+  if (options.format === "png") {
+    const rows = Math.max(1, Math.ceil(sheet.items.length / columns));
+    const pngLayout = (thumbWidth: number) => {
+      const layout = sheetLayout(
+        PADDING * 2 + thumbWidth * columns + GAP * (columns - 1),
+        columns,
+        sheet.aspect,
+        options.captions,
+      );
+      const height =
+        PADDING * 2 +
+        layout.headerHeight +
+        rows * layout.cellHeight +
+        (rows - 1) * GAP;
+      return { layout, height };
+    };
+
+    // The area grows with the square of the thumbnail width
+    let thumbWidth = options.thumbWidth;
+    let { layout, height } = pngLayout(thumbWidth);
+    while (
+      layout.width * height > MAX_PNG_PIXELS &&
+      thumbWidth > MIN_THUMB_WIDTH
+    ) {
+      const ratio = Math.sqrt(MAX_PNG_PIXELS / (layout.width * height));
+      thumbWidth = Math.max(
+        MIN_THUMB_WIDTH,
+        Math.min(thumbWidth - 1, Math.floor(thumbWidth * ratio)),
+      );
+      ({ layout, height } = pngLayout(thumbWidth));
+    }
+    const page = await renderPage(
+      sheet,
+      sheet.items,
+      layout,
+      height,
+      describeCount(sheet),
+      options.captions,
+    );
+    return page.toPNG();
+  }
+
+  const paper = PAPER_SIZES[options.paper];
+  const pixelsPerMm = PDF_DPI / 25.4;
+  const pageWidth = Math.round(paper.width * pixelsPerMm);
+  const pageHeight = Math.round(paper.height * pixelsPerMm);
+  const layout = sheetLayout(
+    pageWidth,
+    options.columns,
+    sheet.aspect,
+    options.captions,
+  );
+  const rows = Math.max(
+    1,
+    Math.floor(
+      (pageHeight - PADDING * 2 - layout.headerHeight + GAP) /
+        (layout.cellHeight + GAP),
+    ),
+  );
+  const perPage = rows * options.columns;
+  const pageCount = Math.max(1, Math.ceil(sheet.items.length / perPage));
+
+  const chunks: Buffer[] = [];
+  const writer = new PdfWriter((chunk) => chunks.push(chunk));
+  for (let index = 0; index < pageCount; index++) {
+    const raster = await renderPage(
+      sheet,
+      sheet.items.slice(index * perPage, (index + 1) * perPage),
+      layout,
+      pageHeight,
+      `${describeCount(sheet)} - PAGE ${index + 1} OF ${pageCount}`,
+      options.captions,
+    );
+    const page = new PdfPage(
+      paper.width * POINTS_PER_MM,
+      paper.height * POINTS_PER_MM,
+    );
+    page.image(writer.addRaster(raster, 85), 0, 0, page.width, page.height);
+    writer.addPage(page);
+  }
+  writer.finish(`${sheet.title} - Contact Sheet`);
+  return Buffer.concat(chunks);
+}
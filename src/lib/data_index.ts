@@ -0,0 +1,280 @@
+import { FSWatcher, watch } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import type { Card } from "./data_service";
+import { logger } from "./logger";
+
+export const IMAGE_FILE_PATTERN = /\.(png|jpg|jpeg|webp)$/i;
+
+/** Cached image metadata entries kept before the oldest are evicted */
+const MAX_METADATA_ENTRIES = 2000;
+
+/** An image file in a card's output folder. */
+export interface IndexedImage {
+  filename: string;
+  /** File creation time (epoch ms) */
+  createdAt: number;
+}
+
+interface ProjectIndex {
+  /** Cards keyed by file name; null until first loaded */
+  cards: Map<string, Card> | null;
+  /** Card files that changed on disk since they were read */
+  staleCards: Set<string>;
+  /** Serializes card loads so concurrent reads never see a partial map */
+  cardsLoading: Promise<void>;
+  /** Image listings keyed by asset subfolder */
+  folders: Map<string, Map<string, IndexedImage>>;
+  /** Image files (per subfolder) that changed since they were listed */
+  staleImages: Map<string, Set<string>>;
+}
+
+function emptyProjectIndex(): ProjectIndex {
+  return {
+    cards: null,
+    staleCards: new Set(),
+    cardsLoading: Promise.resolve(),
+    folders: new Map(),
+    staleImages: new Map(),
+  };
+}
+
+/**
+ * In-memory index of cards, image files and image metadata, so listing
+ * cards or counting images doesn't re-read every card file and stat every
+ * asset on each request.
+ *
+ * Entries are loaded lazily from disk and updated by writes made through
+ * DataService. A recursive watcher on the projects folder marks entries
+ * stale when files change behind our back (Finder, git, a second app
+ * instance), and they're re-read on next access. If the watcher can't be
+ * started, nothing is cached and every read goes to disk as before.
+ */
+export class DataIndex {
+  private projects = new Map<string, ProjectIndex>();
+  private metadata = new Map<string, { modifiedAt: number; value: any }>();
+  private watcher: FSWatcher | null = null;
+
+  constructor(private projectsDir: string) {}
+
+  /** Starts watching the projects folder. Safe to call more than once. */
+  watch() {
+    if (this.watcher) return;
+    try {
+      this.watcher = watch(
+        this.projectsDir,
+        { recursive: true },
+        (_event, filename) => this.onFileChange(filename?.toString() || null),
+      );
+      this.watcher.on("error", (e) => {
+        logger.warn("[Index] Watcher failed, caching disabled:", e);
+        this.unwatch();
+      });
+      logger.info(`[Index] Watching ${this.projectsDir}`);
+    } catch (e) {
+      logger.warn("[Index] Could not watch projects, caching disabled:", e);
+      this.watcher = null;
+    }
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+    this.rebuild();
+  }
+
+  /** Drops everything; the next reads rebuild from disk. */
+  rebuild() {
+    this.projects.clear();
+    this.metadata.clear();
+  }
+
+  private entry(projectId: string): ProjectIndex {
+    // Without a watcher we can't tell when disk changes, so don't keep state
+    if (!this.watcher) return emptyProjectIndex();
+
+    let entry = this.projects.get(projectId);
+    if (!entry) {
+      entry = emptyProjectIndex();
+      this.projects.set(projectId, entry);
+    }
+    return entry;
+  }
+
+  // --- Cards ---
+
+  async getCards(projectId: string): Promise<Card[]> {
+    const entry = this.entry(projectId);
+    entry.cardsLoading = entry.cardsLoading.then(() =>
+      this.refreshCards(projectId, entry),
+    );
+    await entry.cardsLoading;
+
+    // Copies, so callers mutating a card don't change the index until saved
+    return Array.from(entry.cards!.values())
+      .map((card) => structuredClone(card))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  private async refreshCards(projectId: string, entry: ProjectIndex) {
+    const dir = path.join(this.projectsDir, projectId, "cards");
+
+    let files: string[];
+    if (!entry.cards) {
+      entry.cards = new Map();
+      entry.staleCards.clear();
+      try {
+        files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json"));
+      } catch {
+        return;
+      }
+    } else {
+      files = Array.from(entry.staleCards);
+      entry.staleCards.clear();
+    }
+
+    for (const file of files) {
+      try {
+        const card = JSON.parse(
+          await fs.readFile(path.join(dir, file), "utf-8"),
+        );
+        entry.cards.set(file, card);
+      } catch (e: any) {
+        entry.cards.delete(file);
+        if (e.code !== "ENOENT") {
+          logger.warn(`[Index] Skipping unreadable card ${projectId}/${file}`);
+        }
+      }
+    }
+  }
+
+  cardSaved(card: Card) {
+    this.projects
+      .get(card.projectId)
+      ?.cards?.set(`${card.id}.json`, structuredClone(card));
+  }
+
+  cardDeleted(projectId: string, cardId: string) {
+    this.projects.get(projectId)?.cards?.delete(`${cardId}.json`);
+  }
+
+  projectDeleted(projectId: string) {
+    this.projects.delete(projectId);
+  }
+
+  // --- Images ---
+
+  /** Image files in a card's output folder, in no particular order. */
+  async listImages(
+    projectId: string,
+    subfolder: string,
+  ): Promise<IndexedImage[]> {
+    const entry = this.entry(projectId);
+    const dir = path.join(this.projectsDir, projectId, "assets", subfolder);
+
+    let folder = entry.folders.get(subfolder);
+    if (!folder) {
+      folder = new Map();
+      entry.staleImages.delete(subfolder);
+      let files: string[] = [];
+      try {
+        files = (await fs.readdir(dir)).filter((f) =>
+          IMAGE_FILE_PATTERN.test(f),
+        );
+      } catch {
+        // No images generated yet
+      }
+      for (const file of files) await this.statImage(dir, file, folder);
+      entry.folders.set(subfolder, folder);
+    } else {
+      const stale = entry.staleImages.get(subfolder);
+      if (stale?.size) {
+        entry.staleImages.delete(subfolder);
+        for (const file of stale) await this.statImage(dir, file, folder);
+      }
+    }
+    return Array.from(folder.values());
+  }
+
+  private async statImage(
+    dir: string,
+    file: string,
+    folder: Map<string, IndexedImage>,
+  ) {
+    try {
+      const stats = await fs.stat(path.join(dir, file));
+      folder.set(file, { filename: file, createdAt: stats.birthtimeMs });
+    } catch {
+      folder.delete(file);
+    }
+  }
+
+  /**
+   * Marks an image (or a whole folder when `filename` is omitted) as
+   * changed, for writes that shouldn't wait for the watcher to notice.
+   */
+  imageChanged(projectId: string, subfolder: string, filename?: string) {
+    const entry = this.projects.get(projectId);
+    if (!entry) return;
+    if (filename === undefined) {
+      entry.folders.delete(subfolder);
+      entry.staleImages.delete(subfolder);
+      return;
+    }
+    if (!IMAGE_FILE_PATTERN.test(filename)) return;
+    let stale = entry.staleImages.get(subfolder);
+    if (!stale) {
+      stale = new Set();
+      entry.staleImages.set(subfolder, stale);
+    }
+    stale.add(filename);
+  }
+
+  // --- Image metadata ---
+
+  /**
+   * Returns metadata for an image file, calling `read` only when the file
+   * is new or has been modified since it was last read.
+   */
+  async getImageMetadata<T>(
+    fullPath: string,
+    read: () => Promise<T>,
+  ): Promise<T> {
+    const { mtimeMs } = await fs.stat(fullPath);
+    const cached = this.metadata.get(fullPath);
+    if (cached && cached.modifiedAt === mtimeMs) return cached.value;
+
+    const value = await read();
+    this.metadata.delete(fullPath);
+    this.metadata.set(fullPath, { modifiedAt: mtimeMs, value });
+    if (this.metadata.size > MAX_METADATA_ENTRIES) {
+      // Maps iterate in insertion order, so this is the least recently read
+      this.metadata.delete(this.metadata.keys().next().value!);
+    }
+    return value;
+  }
+
+  // --- Watcher ---
+
+  private onFileChange(filename: string | null) {
+    if (!filename) {
+      // The platform couldn't say what changed
+      this.rebuild();
+      return;
+    }
+
+    const [projectId, area, name, file] = filename.split(path.sep);
+    const entry = this.projects.get(projectId);
+    if (!entry) return;
+
+    if (area === undefined) {
+      // The project folder itself was added, removed or renamed
+      this.projects.delete(projectId);
+    } else if (area === "cards") {
+      if (name === undefined) entry.cards = null;
+      else if (name.endsWith(".json")) entry.staleCards.add(name);
+    } else if (area === "assets" && name !== undefined) {
+      this.imageChanged(projectId, name, file);
+    }
+  }
+}
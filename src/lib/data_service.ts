@@ -1,5 +1,20 @@
 import fs from "fs/promises";
 import path from "path";
+import {
+  CardRevision,
+  CardRevisionLog,
+  REVISION_FIELDS,
+  RevisionAuthor,
+} from "./card_revisions";
+import { DataIndex, IndexedImage } from "./data_index";
+import {
+  diffFields,
+  FieldChanges,
+  JournalChange,
+  JournalOperation,
+  TrashSettings,
+  UndoJournal,
+} from "./undo_journal";
 import { logger } from "./logger";
 
 export interface PromptModifier {
@@ -9,6 +24,112 @@ export interface PromptModifier {
   type: "prefix" | "suffix";
 }
 
+/** A project tag and the color its chips are shown in */
+export interface TagDefinition {
+  name: string;
+  /** CSS color, e.g. "#e11d48" */
+  color: string;
+}
+
+/**
+ * A saved card filter shown in the sidebar, e.g. "no:starred AND
+ * tag:character". Queries are evaluated by the card list (see
+ * `public/js/utils/cardQuery.js`).
+ */
+export interface SmartCollection {
+  id: string;
+  name: string;
+  query: string;
+}
+
+/**
+ * A section of a project's cards, e.g. "Core Set" or "Major Arcana". Its
+ * defaults sit between the project's and the card's own settings.
+ */
+export interface CardSet {
+  id: string;
+  name: string;
+  aspectRatio?: string;
+  resolution?: string;
+  /** Added inside the project's modifiers; cards can switch them off too */
+  promptModifiers?: PromptModifier[];
+}
+
+/**
+ * Saved settings for exporting images: which images, how files are named
+ * and whether they are converted or resized (see export_profiles.ts).
+ */
+export interface ExportProfile {
+  id: string;
+  name: string;
+  /** "starred", "starred-or-favorite" or "favorites" */
+  selection: string;
+  /** File name pattern with {tokens}; "/" starts a folder */
+  naming: string;
+  /** "original", "png", "jpeg" or "webp" */
+  format: string;
+  /** JPEG quality, 1-100 */
+  quality: number;
+  /** "none", "fit" (scale down into the box) or "fill" (crop to fill it) */
+  resize: string;
+  width?: number;
+  height?: number;
+  /** When two files get the same name: "suffix", "skip" or "replace" */
+  collision: string;
+}
+
+/** A box in a card layout, in layout pixels from the top left */
+export interface LayoutBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/** Text drawn on a card layout, filled in from the card's fields */
+export interface CardLayoutText extends LayoutBox {
+  id: string;
+  /** Text with {tokens} such as {name} or {attr.cost}; may span lines */
+  text: string;
+  /** Font file in the project's layout folder; "" for the built-in font */
+  font: string;
+  /** Font size in pixels; long text shrinks to fit the box */
+  size: number;
+  /** "#rrggbb" */
+  color: string;
+  /** "left", "center" or "right" */
+  align: string;
+  /** "top", "middle" or "bottom" */
+  verticalAlign: string;
+}
+
+/**
+ * How finished cards are composed from the art (see card_layout.ts): the
+ * starred image in the art window, a frame image over it, then text.
+ */
+export interface CardLayout {
+  width: number;
+  height: number;
+  /** "#rrggbb", behind the art */
+  background: string;
+  /** Image in the project's layout folder, drawn over the art */
+  frame?: string;
+  art: LayoutBox & {
+    /** "cover" (crop to fill the window) or "contain" (fit inside it) */
+    fit: string;
+  };
+  texts: CardLayoutText[];
+}
+
+/** Optional structured parts of a card prompt, composed after the prompt text */
+export interface PromptSections {
+  subject?: string;
+  setting?: string;
+  lighting?: string;
+  composition?: string;
+  style?: string;
+}
+
 export interface Card {
   id: string;
   projectId: string;
@@ -21,6 +142,22 @@ export interface Card {
   favoriteImages?: string[];
   starredImage?: string;
   inactiveModifiers?: string[];
+  /** Overrides the project's image provider for this card */
+  imageProvider?: string;
+  /** Things to keep out of this card's images (added to the project's) */
+  negativePrompt?: string;
+  promptSections?: PromptSections;
+  /** Free-form values (e.g. suit, number) available to prompt templates */
+  attributes?: Record<string, string>;
+  tags?: string[];
+  /** The set the card belongs to; cards without one are "Unsorted" */
+  setId?: string;
+  /** Position within its set (lower first); unordered cards follow by ID */
+  order?: number;
+  /** Printed card number (e.g. 12 of 78); set by hand or by renumbering */
+  cardNumber?: number;
+  /** Incremented on every save; used to reject writes based on stale copies */
+  revision?: number;
 }
 
 export interface Project {
@@ -35,7 +172,23 @@ export interface Project {
   nextCardIndex?: number;
   defaultAspectRatio: string;
   defaultResolution?: string;
+  /** Default image provider id for cards in this project */
+  imageProvider?: string;
+  /** Things to keep out of every image in the project */
+  negativePrompt?: string;
+  /** Tag colors; cards may also use tags not listed here */
+  tags?: TagDefinition[];
+  smartCollections?: SmartCollection[];
+  /** Card sets in display order */
+  sets?: CardSet[];
+  exportProfiles?: ExportProfile[];
+  /** Export profile used for gallery ZIP downloads */
+  galleryExportProfileId?: string;
+  /** Frame and text layout for rendering finished cards */
+  cardLayout?: CardLayout;
   cards?: Card[];
+  /** Incremented on every save; used to reject writes based on stale copies */
+  revision?: number;
 }
 
 export interface StoredKey {
@@ -43,6 +196,86 @@ export interface StoredKey {
   key: string;
 }
 
+export interface SaveOptions {
+  /**
+   * Revision the caller's copy was loaded at. If the stored entity has
+   * moved on since, the save is rejected with a RevisionConflictError.
+   */
+  expectedRevision?: number;
+  /**
+   * Who made a card change, for its revision history. Defaults to the
+   * operation's author, or "user".
+   */
+  author?: RevisionAuthor;
+  /** Undoable operation (see `journaled`) the write belongs to */
+  operation?: JournalOperation;
+}
+
+/** Options for the internal writers */
+interface WriteContext extends Omit<SaveOptions, "expectedRevision"> {
+  /** Revision log note when restoring an earlier revision */
+  restoredFrom?: number;
+}
+
+/** A save was based on an outdated copy of a card or project. */
+export class RevisionConflictError<T = Card | Project> extends Error {
+  constructor(
+    public entity: "card" | "project",
+    /** The stored version the caller should reapply its change to */
+    public current: T,
+  ) {
+    super(`This ${entity} was changed elsewhere; reload and try again`);
+  }
+}
+
+/**
+ * Writes JSON to a temp file and renames it into place, so readers never
+ * see a half-written file.
+ */
+async function writeJsonAtomic(filePath: string, data: unknown) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+  } catch (e) {
+    await fs.rm(tempPath, { force: true });
+    throw e;
+  }
+}
+
+async function readJsonOrNull<T>(filePath: string): Promise<T | null> {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+function sameValue(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Undoes or redoes recorded field changes on `current`, leaving fields
+ * that changed again since alone.
+ */
+function applyFields<T extends object>(
+  current: T,
+  fields: FieldChanges,
+  direction: "undo" | "redo",
+) {
+  for (const [key, change] of Object.entries(fields)) {
+    const field = key as keyof T;
+    const [from, to] =
+      direction === "undo"
+        ? [change.after, change.before]
+        : [change.before, change.after];
+    if (!sameValue(current[field], from)) continue;
+    if (to === undefined) delete current[field];
+    else current[field] = structuredClone(to) as T[keyof T];
+  }
+}
+
 // Default paths relative to __dirname for dev/backward compatibility
 const DEFAULT_PROJECTS_DIR = path.join(__dirname, "../../data/projects");
 const DEFAULT_CARDS_DIR = path.join(__dirname, "../../data/cards");
@@ -57,6 +290,11 @@ export class DataService {
   private dataRoot: string;
   private conversationsDir: string;
   private cacheDir: string;
+  private index: DataIndex;
+  private revisions: CardRevisionLog;
+  private journal: UndoJournal;
+  /** Tail of the pending writes per file, so read-modify-writes don't interleave */
+  private writeLocks = new Map<string, Promise<unknown>>();
 
   constructor(dataRoot?: string) {
     if (dataRoot) {
@@ -74,6 +312,36 @@ export class DataService {
       this.conversationsDir = path.join(this.dataRoot, "conversations");
       this.cacheDir = path.join(this.dataRoot, "cache");
     }
+    this.index = new DataIndex(this.projectsDir);
+    this.revisions = new CardRevisionLog(this.projectsDir);
+    this.journal = new UndoJournal(this.dataRoot, this.projectsDir);
+  }
+
+  /**
+   * Keeps card and image lookups cached in memory, invalidated by watching
+   * the projects folder. Call after migrate(); without it every read goes
+   * to disk.
+   */
+  watch() {
+    this.index.watch();
+  }
+
+  unwatch() {
+    this.index.unwatch();
+  }
+
+  /** Runs `fn` once earlier writes to the same file have finished. */
+  private withWriteLock<T>(filePath: string, fn: () => Promise<T>): Promise<T> {
+    const previous = this.writeLocks.get(filePath) || Promise.resolve();
+    const result = previous.catch(() => {}).then(fn);
+    const tail = result.catch(() => {});
+    this.writeLocks.set(filePath, tail);
+    tail.then(() => {
+      if (this.writeLocks.get(filePath) === tail) {
+        this.writeLocks.delete(filePath);
+      }
+    });
+    return result;
   }
 
   // Helper ensure dirs
@@ -255,18 +523,70 @@ export class DataService {
     }
   }
 
-  async saveProject(project: Project): Promise<void> {
+  private projectFile(id: string) {
+    return path.join(this.projectsDir, id, "project.json");
+  }
+
+  /**
+   * Saves a project, bumping its revision. Pass `expectedRevision` when the
+   * project came from a client that may have missed other changes.
+   */
+  async saveProject(
+    project: Project,
+    options: SaveOptions = {},
+  ): Promise<void> {
     logger.info(
       `[DataService] Saving project: ${project.id} (${project.name})`,
     );
     await this.ensureDirs();
-    const projectDir = path.join(this.projectsDir, project.id);
-    await fs.mkdir(projectDir, { recursive: true });
+    const file = this.projectFile(project.id);
+    await this.withWriteLock(file, async () => {
+      const stored = await readJsonOrNull<Project>(file);
+      if (stored && options.expectedRevision !== undefined) {
+        if ((stored.revision || 0) !== options.expectedRevision) {
+          throw new RevisionConflictError("project", stored);
+        }
+      }
+      await this.writeProject(project, stored, options);
+    });
+  }
 
-    await fs.writeFile(
-      path.join(projectDir, "project.json"),
-      JSON.stringify(project, null, 2),
-    );
+  /**
+   * Applies `mutate` to the latest stored project and saves it, with no
+   * other write to the project in between. Resolves to null when the
+   * project doesn't exist.
+   */
+  async updateProject<R>(
+    id: string,
+    mutate: (project: Project) => R | Promise<R>,
+    options: Omit<SaveOptions, "expectedRevision"> = {},
+  ): Promise<{ project: Project; result: R } | null> {
+    const file = this.projectFile(id);
+    return this.withWriteLock(file, async () => {
+      const project = await readJsonOrNull<Project>(file);
+      if (!project) return null;
+      const stored = structuredClone(project);
+      const result = await mutate(project);
+      await this.writeProject(project, stored, options);
+      return { project, result };
+    });
+  }
+
+  private async writeProject(
+    project: Project,
+    stored: Project | null,
+    context: WriteContext = {},
+  ) {
+    project.revision = (stored?.revision || 0) + 1;
+    await fs.mkdir(path.dirname(this.projectFile(project.id)), {
+      recursive: true,
+    });
+    await writeJsonAtomic(this.projectFile(project.id), project);
+    // Creating a project isn't undoable, only edits to it
+    const fields = stored && diffFields(stored, project);
+    if (fields && Object.keys(fields).length > 0) {
+      context.operation?.changes.push({ type: "project", fields });
+    }
   }
 
   // --- Cards ---
@@ -276,12 +596,13 @@ export class DataService {
    * Format: NNNN_card_RANDOM
    */
   async generateCardId(projectId: string): Promise<string> {
-    const project = await this.getProject(projectId);
-    if (!project) throw new Error("Project not found");
-
-    const index = project.nextCardIndex || 1;
-    project.nextCardIndex = index + 1;
-    await this.saveProject(project);
+    const updated = await this.updateProject(projectId, (project) => {
+      const index = project.nextCardIndex || 1;
+      project.nextCardIndex = index + 1;
+      return index;
+    });
+    if (!updated) throw new Error("Project not found");
+    const index = updated.result;
 
     // Random suffix to ensure global uniqueness even if index resets somehow (though it shouldn't)
     const randomSuffix = Math.random().toString(36).substring(2, 9);
@@ -290,54 +611,151 @@ export class DataService {
     return `${prefix}_card_${randomSuffix}`;
   }
 
+  /**
+   * Gives a card about to be created its ID and, unless it names one, an
+   * asset folder named after the ID (names can collide once sanitized).
+   * An empty aspect ratio or resolution is left unset, so the card follows
+   * its set's and then the project's defaults.
+   */
+  async initNewCard(card: Card): Promise<Card> {
+    card.id = await this.generateCardId(card.projectId);
+    card.outputSubfolder = card.outputSubfolder || card.id;
+    if (!card.aspectRatio) delete card.aspectRatio;
+    if (!card.resolution) delete card.resolution;
+    return card;
+  }
+
   async getCards(projectId: string): Promise<Card[]> {
-    try {
-      // Path: data/projects/{projectId}/cards
-      const projectCardDir = path.join(this.projectsDir, projectId, "cards");
+    // Sorted by ID, which is chronological due to the numeric prefix
+    return this.index.getCards(projectId);
+  }
+
+  private cardFile(projectId: string, cardId: string) {
+    return path.join(this.projectsDir, projectId, "cards", `${cardId}.json`);
+  }
 
-      try {
-        await fs.access(projectCardDir);
-      } catch {
-        return [];
+  /**
+   * Saves a card, bumping its revision. Pass `expectedRevision` when the
+   * card came from a client that may have missed other changes.
+   */
+  async saveCard(card: Card, options: SaveOptions = {}): Promise<void> {
+    logger.info(
+      `[DataService] Saving card: ${card.id} in project: ${card.projectId}`,
+    );
+    const file = this.cardFile(card.projectId, card.id);
+    await this.withWriteLock(file, async () => {
+      const stored = await readJsonOrNull<Card>(file);
+      if (stored && options.expectedRevision !== undefined) {
+        if ((stored.revision || 0) !== options.expectedRevision) {
+          throw new RevisionConflictError("card", stored);
+        }
       }
+      await this.writeCard(card, stored, options);
+    });
+  }
 
-      const files = await fs.readdir(projectCardDir);
-      const cards: Card[] = [];
-      for (const f of files) {
-        if (!f.endsWith(".json")) continue;
-        const data = JSON.parse(
-          await fs.readFile(path.join(projectCardDir, f), "utf-8"),
-        );
-        cards.push(data);
+  /**
+   * Applies `mutate` to the latest stored card and saves it, with no other
+   * write to the card in between. Use this instead of getCards + saveCard
+   * for read-modify-write changes. Resolves to null when the card doesn't
+   * exist.
+   */
+  async updateCard<R>(
+    projectId: string,
+    cardId: string,
+    mutate: (card: Card) => R | Promise<R>,
+    options: Omit<SaveOptions, "expectedRevision"> = {},
+  ): Promise<{ card: Card; result: R } | null> {
+    const file = this.cardFile(projectId, cardId);
+    return this.withWriteLock(file, async () => {
+      const card = await readJsonOrNull<Card>(file);
+      if (!card) return null;
+      const stored = structuredClone(card);
+      const result = await mutate(card);
+      await this.writeCard(card, stored, options);
+      return { card, result };
+    });
+  }
+
+  private async writeCard(
+    card: Card,
+    stored: Card | null,
+    context: WriteContext = {},
+  ) {
+    // A card brought back by undo keeps counting from its old revision
+    card.revision = (stored?.revision ?? card.revision ?? 0) + 1;
+    const file = this.cardFile(card.projectId, card.id);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await writeJsonAtomic(file, card);
+    this.index.cardSaved(card);
+    if (!stored) {
+      context.operation?.changes.push({
+        type: "card",
+        cardId: card.id,
+        before: null,
+        after: structuredClone(card),
+      });
+    } else {
+      const fields = diffFields(stored, card);
+      if (Object.keys(fields).length > 0) {
+        context.operation?.changes.push({
+          type: "card-fields",
+          cardId: card.id,
+          fields,
+        });
       }
+    }
 
-      // Sort cards by ID (alphabetical), which will now be chronological due to prefix
-      return cards.sort((a, b) => a.id.localeCompare(b.id));
-    } catch {
-      return [];
+    // History is best-effort; the save itself already succeeded
+    const author = context.author || context.operation?.author || "user";
+    try {
+      await this.revisions.record(card, author, context.restoredFrom);
+    } catch (e) {
+      logger.error(`[DataService] Failed to record revision of ${card.id}:`, e);
     }
   }
 
-  async saveCard(card: Card): Promise<void> {
-    logger.info(
-      `[DataService] Saving card: ${card.id} in project: ${card.projectId}`,
-    );
-    // Path: data/projects/{projectId}/cards
-    const projectCardDir = path.join(this.projectsDir, card.projectId, "cards");
-    await fs.mkdir(projectCardDir, { recursive: true });
+  /** Prompt-setting revisions of a card, newest first. */
+  async getCardRevisions(
+    projectId: string,
+    cardId: string,
+  ): Promise<CardRevision[]> {
+    return this.revisions.list(projectId, cardId);
+  }
 
-    await fs.writeFile(
-      path.join(projectCardDir, `${card.id}.json`),
-      JSON.stringify(card, null, 2),
-    );
+  /**
+   * Writes a past revision's prompt settings back onto the card as a new
+   * revision. Resolves to null when the card or revision doesn't exist.
+   */
+  async restoreCardRevision(
+    projectId: string,
+    cardId: string,
+    revision: number,
+    options: Omit<SaveOptions, "expectedRevision"> = {},
+  ): Promise<Card | null> {
+    const target = await this.revisions.get(projectId, cardId, revision);
+    if (!target) return null;
+
+    const file = this.cardFile(projectId, cardId);
+    return this.withWriteLock(file, async () => {
+      const card = await readJsonOrNull<Card>(file);
+      if (!card) return null;
+      const stored = structuredClone(card);
+      for (const field of REVISION_FIELDS) {
+        if (target[field] === undefined) delete card[field];
+        else (card as any)[field] = structuredClone(target[field]);
+      }
+      await this.writeCard(card, stored, {
+        ...options,
+        restoredFrom: revision,
+      });
+      return card;
+    });
   }
 
   async getProject(id: string): Promise<Project | null> {
     try {
-      const data = await fs.readFile(
-        path.join(this.projectsDir, id, "project.json"),
-        "utf-8",
-      );
+      const data = await fs.readFile(this.projectFile(id), "utf-8");
       return JSON.parse(data);
     } catch {
       return null;
@@ -379,18 +797,293 @@ export class DataService {
       recursive: true,
       force: true,
     });
+    this.index.projectDeleted(id);
   }
 
-  async deleteCard(projectId: string, cardId: string): Promise<void> {
+  /**
+   * Deletes a card file. Within an operation the card can be brought back
+   * by undo, so its revision log is moved to the trash rather than removed.
+   */
+  async deleteCard(
+    projectId: string,
+    cardId: string,
+    options: Pick<SaveOptions, "operation"> = {},
+  ): Promise<void> {
     logger.info(
       `[DataService] Deleting card: ${cardId} in project: ${projectId}`,
     );
-    await fs.rm(
-      path.join(this.projectsDir, projectId, "cards", `${cardId}.json`),
-      {
-        force: true,
-      },
+    const file = this.cardFile(projectId, cardId);
+    await this.withWriteLock(file, async () => {
+      const stored = await readJsonOrNull<Card>(file);
+      await fs.rm(file, { force: true });
+      if (stored) {
+        options.operation?.changes.push({
+          type: "card",
+          cardId,
+          before: stored,
+          after: null,
+        });
+      }
+    });
+    this.index.cardDeleted(projectId, cardId);
+
+    if (options.operation) {
+      await this.trashPath(
+        projectId,
+        path.join("history", "cards", `${cardId}.jsonl`),
+        options.operation,
+      );
+    } else {
+      await this.revisions.remove(projectId, cardId);
+    }
+  }
+
+  // --- Undo & Trash ---
+
+  /**
+   * Runs `fn` as one undoable operation: every write passed the operation
+   * (via `SaveOptions.operation` or `trashPath`) is undone and redone
+   * together. Operations that changed nothing aren't recorded.
+   */
+  async journaled<T>(
+    label: string,
+    projectId: string,
+    author: RevisionAuthor,
+    fn: (operation: JournalOperation) => Promise<T>,
+  ): Promise<T> {
+    const operation = this.journal.begin(label, projectId, author);
+    try {
+      return await fn(operation);
+    } finally {
+      if (operation.changes.length > 0) {
+        await this.journal.commit(operation);
+      }
+    }
+  }
+
+  /**
+   * Moves a file or folder (relative to the project folder) into the
+   * operation's trash instead of deleting it. Missing paths are ignored.
+   */
+  async trashPath(
+    projectId: string,
+    relativePath: string,
+    operation: JournalOperation,
+  ): Promise<void> {
+    const projectDir = path.join(this.projectsDir, projectId);
+    const source = path.resolve(projectDir, relativePath);
+    if (!source.startsWith(projectDir + path.sep)) {
+      throw new Error(`Refusing to trash outside the project: ${relativePath}`);
+    }
+    const trashPath = path.join(
+      path.relative(projectDir, this.journal.trashDir(projectId, operation.id)),
+      relativePath,
     );
+    try {
+      await this.movePath(projectId, relativePath, trashPath);
+    } catch (e: any) {
+      if (e.code === "ENOENT") return;
+      throw e;
+    }
+    operation.changes.push({ type: "trash", path: relativePath, trashPath });
+  }
+
+  /**
+   * Names the trash holds in a project folder (e.g. `assets/card_1`), which
+   * new files must not take while undo may still move them back.
+   */
+  trashedNames(projectId: string, relativeDir: string) {
+    return this.journal.trashedNames(projectId, relativeDir);
+  }
+
+  /** Moves within a project folder, refusing to overwrite the destination. */
+  private async movePath(projectId: string, from: string, to: string) {
+    const projectDir = path.join(this.projectsDir, projectId);
+    const source = path.join(projectDir, from);
+    const target = path.join(projectDir, to);
+    await this.checkMove(projectId, from, to);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(source, target);
+
+    // Tell the index about image files and whole asset folders
+    for (const moved of [from, to]) {
+      const [area, subfolder, filename] = moved.split(path.sep);
+      if (area === "assets" && subfolder) {
+        this.index.imageChanged(projectId, subfolder, filename);
+      }
+    }
+  }
+
+  /**
+   * Throws unless `from` exists and `to` is free. ENOENT when there's
+   * nothing to move.
+   */
+  private async checkMove(projectId: string, from: string, to: string) {
+    const projectDir = path.join(this.projectsDir, projectId);
+    await fs.stat(path.join(projectDir, from));
+    const exists = await fs.access(path.join(projectDir, to)).then(
+      () => true,
+      () => false,
+    );
+    if (exists) {
+      throw new Error(`Cannot move to ${to}: something is already there`);
+    }
+  }
+
+  /**
+   * Reverts the project's latest operation (or the given one), returning
+   * it, or null when there's nothing to undo.
+   *
+   * Card and project changes are reverted field by field, and only where
+   * the field still holds the value the operation wrote, so later edits to
+   * other fields survive.
+   */
+  async undo(
+    projectId: string,
+    operationId?: string,
+  ): Promise<JournalOperation | null> {
+    const operation = await this.journal.next(projectId, "undo", operationId);
+    if (!operation) return null;
+    await this.applyOperation(projectId, operation, "undo");
+    await this.journal.setUndone(operation, true);
+    logger.info(`[DataService] Undid "${operation.label}" in ${projectId}`);
+    return operation;
+  }
+
+  /** Re-applies the project's most recently undone operation. */
+  async redo(projectId: string): Promise<JournalOperation | null> {
+    const operation = await this.journal.next(projectId, "redo");
+    if (!operation) return null;
+    await this.applyOperation(projectId, operation, "redo");
+    await this.journal.setUndone(operation, false);
+    logger.info(`[DataService] Redid "${operation.label}" in ${projectId}`);
+    return operation;
+  }
+
+  /** Labels of the operations undo and redo would act on next. */
+  peekUndo(projectId: string) {
+    return this.journal.peek(projectId);
+  }
+
+  /**
+   * Applies all of an operation's changes or none: file moves are checked
+   * before anything is touched, and changes already applied are reverted
+   * if a later one fails.
+   */
+  private async applyOperation(
+    projectId: string,
+    operation: JournalOperation,
+    direction: "undo" | "redo",
+  ) {
+    const changes =
+      direction === "undo"
+        ? [...operation.changes].reverse()
+        : operation.changes;
+    for (const change of changes) {
+      if (change.type !== "trash") continue;
+      const [from, to] =
+        direction === "undo"
+          ? [change.trashPath, change.path]
+          : [change.path, change.trashPath];
+      await this.checkMove(projectId, from, to).catch((e) => {
+        if (e.code !== "ENOENT") throw e;
+        throw new Error(`Cannot ${direction}: ${from} is missing`);
+      });
+    }
+
+    const applied: JournalChange[] = [];
+    try {
+      for (const change of changes) {
+        await this.applyChange(projectId, change, direction);
+        applied.push(change);
+      }
+    } catch (e) {
+      const reverse = direction === "undo" ? "redo" : "undo";
+      for (const change of applied.reverse()) {
+        await this.applyChange(projectId, change, reverse).catch((err) =>
+          logger.error(
+            `[DataService] Failed to roll back "${operation.label}":`,
+            err,
+          ),
+        );
+      }
+      throw e;
+    }
+  }
+
+  private async applyChange(
+    projectId: string,
+    change: JournalChange,
+    direction: "undo" | "redo",
+  ) {
+    if (change.type === "trash") {
+      if (direction === "undo") {
+        await this.movePath(projectId, change.trashPath, change.path);
+      } else {
+        await this.movePath(projectId, change.path, change.trashPath);
+      }
+      return;
+    }
+
+    if (change.type === "project") {
+      const file = this.projectFile(projectId);
+      await this.withWriteLock(file, async () => {
+        const current = await readJsonOrNull<Project>(file);
+        if (!current) return;
+        const stored = structuredClone(current);
+        applyFields(current, change.fields, direction);
+        await this.writeProject(current, stored);
+      });
+      return;
+    }
+
+    const file = this.cardFile(projectId, change.cardId);
+    if (change.type === "card-fields") {
+      await this.withWriteLock(file, async () => {
+        const current = await readJsonOrNull<Card>(file);
+        if (!current) return;
+        const stored = structuredClone(current);
+        applyFields(current, change.fields, direction);
+        await this.writeCard(current, stored);
+      });
+      return;
+    }
+
+    // A created or deleted card is written back whole or removed
+    const card = direction === "undo" ? change.before : change.after;
+    await this.withWriteLock(file, async () => {
+      if (!card) {
+        await fs.rm(file, { force: true });
+        this.index.cardDeleted(projectId, change.cardId);
+        return;
+      }
+      await this.writeCard(
+        structuredClone(card),
+        await readJsonOrNull<Card>(file),
+      );
+    });
+  }
+
+  /** Trashed files in a project that undo can still bring back. */
+  listTrash(projectId: string) {
+    return this.journal.listTrash(projectId);
+  }
+
+  emptyTrash(projectId: string) {
+    return this.journal.emptyTrash(projectId);
+  }
+
+  getTrashSettings() {
+    return this.journal.getSettings();
+  }
+
+  updateTrashSettings(updates: Partial<TrashSettings>) {
+    return this.journal.updateSettings(updates);
+  }
+
+  /** Deletes trash (and forgets operations) past the retention period. */
+  purgeTrash() {
+    return this.journal.purgeExpired();
   }
 
   // --- Temp Image Cache ---
@@ -441,6 +1134,65 @@ export class DataService {
   }
 
   // --- Images ---
+  /** Image files in the card's output folder, archived ones included. */
+  private async cardImageFiles(card: Card): Promise<IndexedImage[]> {
+    return this.index.listImages(
+      card.projectId,
+      card.outputSubfolder || "default",
+    );
+  }
+
+  /** Number of non-archived images in the card's output folder. */
+  async countCardImages(card: Card): Promise<number> {
+    const archived = new Set(card.archivedImages || []);
+    const files = await this.cardImageFiles(card);
+    return files.filter((f) => !archived.has(f.filename)).length;
+  }
+
+  /**
+   * Tells the index an image was written or removed (or, without a
+   * filename, that a whole output folder changed) so the next listing
+   * doesn't wait for the file watcher to catch up.
+   */
+  imageChanged(projectId: string, subfolder: string, filename?: string) {
+    this.index.imageChanged(projectId, subfolder, filename);
+  }
+
+  /**
+   * Reads image metadata through `read`, reusing the previous result while
+   * the file's modification time is unchanged.
+   */
+  getImageMetadata<T>(fullPath: string, read: () => Promise<T>): Promise<T> {
+    return this.index.getImageMetadata(fullPath, read);
+  }
+
+  /** The newest non-archived images across all of a project's cards. */
+  async getRecentImages(
+    projectId: string,
+    limit: number,
+  ): Promise<{ path: string; time: number }[]> {
+    const images: { path: string; time: number }[] = [];
+    for (const card of await this.getCards(projectId)) {
+      const subfolder = card.outputSubfolder || "default";
+      const archived = new Set(card.archivedImages || []);
+      for (const file of await this.cardImageFiles(card)) {
+        if (archived.has(file.filename)) continue;
+        images.push({
+          path: path.join(
+            "data",
+            "projects",
+            projectId,
+            "assets",
+            subfolder,
+            file.filename,
+          ),
+          time: file.createdAt,
+        });
+      }
+    }
+    return images.sort((a, b) => b.time - a.time).slice(0, limit);
+  }
+
   async listCardImages(
     projectId: string,
     cardId: string,
@@ -462,31 +1214,16 @@ export class DataService {
       if (!card) return { images: [], count: 0 };
 
       const subfolder = card.outputSubfolder || "default";
-      const assetsDir = path.join(
-        this.projectsDir,
-        projectId,
-        "assets",
-        subfolder,
-      );
-
-      try {
-        await fs.access(assetsDir);
-      } catch {
-        return { images: [], count: 0 };
-      }
-
-      const files = await fs.readdir(assetsDir);
       const images = [];
 
-      for (const file of files) {
-        if (!/\.(png|jpg|jpeg|webp)$/i.test(file)) continue;
-
+      for (const { filename: file, createdAt } of await this.cardImageFiles(
+        card,
+      )) {
         const isArchived = card.archivedImages?.includes(file) || false;
         if (!includeArchived && isArchived) continue;
 
         const isFavorite = card.favoriteImages?.includes(file) || false;
         const isStarred = card.starredImage === file;
-        const stats = await fs.stat(path.join(assetsDir, file));
 
         images.push({
           // Relative path for frontend/client serving "data/projects/..."
@@ -499,7 +1236,7 @@ export class DataService {
             file,
           ),
           filename: file,
-          time: stats.birthtime,
+          time: new Date(createdAt),
           isFavorite,
           isStarred,
           isArchived,
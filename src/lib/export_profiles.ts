@@ -0,0 +1,577 @@
+import path from "path";
+import fs from "fs/promises";
+import { Archiver } from "archiver";
+import { Card, DataService, ExportProfile, Project } from "./data_service";
+import { formatCardNumber, sortCards } from "./card_sets";
+import { decodePNG, isPNG, Raster } from "./png";
+import { decodeJPEG, encodeJPEG, isJPEG } from "./jpeg";
+import { encodeWebP } from "./webp";
+import { logger } from "./logger";
+
+/**
+ * Export profiles: saved choices for Export Deck and gallery ZIP downloads
+ * covering which images go in, how the files are named (a pattern with
+ * {tokens}), whether they are converted or resized, and what happens when
+ * two files end up with the same name.
+ */
+
+export const EXPORT_SELECTIONS = [
+  "starred",
+  "starred-or-favorite",
+  "favorites",
+];
+export const EXPORT_FORMATS = ["original", "png", "jpeg", "webp"];
+/** Formats always encoded losslessly, so a quality setting means nothing */
+const LOSSLESS_FORMATS = ["png", "webp"];
+
+const FORMAT_NAMES: Record<string, string> = {
+  png: "PNG",
+  jpeg: "JPEG",
+  webp: "WebP",
+};
+export const EXPORT_RESIZE_MODES = ["none", "fit", "fill"];
+export const EXPORT_COLLISIONS = ["suffix", "skip", "replace"];
+/** Naming pattern tokens, besides {attr.<name>} for a card attribute */
+export const EXPORT_NAME_TOKENS = [
+  "order",
+  "number",
+  "name",
+  "id",
+  "subfolder",
+  "set",
+  "setFolder",
+  "file",
+  "index",
+];
+
+const MAX_EXPORT_SIZE = 8192;
+const TOKEN_PATTERN = /\{([^{}]+)\}/g;
+
+/** Export Deck without a profile: starred images, numbered, in set folders */
+export const DEFAULT_DECK_PROFILE: ExportProfile = {
+  id: "default",
+  name: "Default",
+  selection: "starred",
+  naming: "{setFolder}/{number}_{subfolder}",
+  format: "original",
+  quality: 90,
+  resize: "none",
+  collision: "suffix",
+};
+
+/** Gallery ZIPs without a profile keep the generated file names */
+export const DEFAULT_GALLERY_PROFILE: ExportProfile = {
+  ...DEFAULT_DECK_PROFILE,
+  naming: "{file}",
+};
+
+export function createExportProfileId(): string {
+  return `export_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+}
+
+/** The profile with `id`; undefined if the project has none by that ID */
+export function findExportProfile(
+  project: Project,
+  id: string,
+): ExportProfile | undefined {
+  return project.exportProfiles?.find((p) => p.id === id);
+}
+
+/** Throws unless every {token} in `naming` is known */
+function checkNamingPattern(naming: string) {
+  if (!naming.replace(/[\s/]/g, "")) {
+    throw new Error("Naming pattern is required");
+  }
+  for (const [, token] of naming.matchAll(TOKEN_PATTERN)) {
+    const known =
+      EXPORT_NAME_TOKENS.includes(token) ||
+      (token.startsWith("attr.") && token.length > 5);
+    if (!known) throw new Error(`Unknown naming token {${token}}`);
+  }
+}
+
+function oneOf(value: unknown, allowed: string[], name: string): string {
+  const text = String(value);
+  if (!allowed.includes(text)) {
+    throw new Error(`${name} must be one of ${allowed.join(", ")}`);
+  }
+  return text;
+}
+
+function sizeOption(value: unknown, name: string): number | undefined {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > MAX_EXPORT_SIZE) {
+    throw new Error(
+      `${name} must be a whole number from 1 to ${MAX_EXPORT_SIZE}`,
+    );
+  }
+  return number;
+}
+
+/**
+ * Builds a profile from request fields, keeping `existing` values (or the
+ * defaults) for fields that weren't sent. Throws on invalid values.
+ */
+export function normalizeExportProfile(
+  input: any,
+  existing?: ExportProfile,
+): ExportProfile {
+  const profile: ExportProfile = existing
+    ? structuredClone(existing)
+    : { ...DEFAULT_DECK_PROFILE, id: createExportProfileId(), name: "" };
+
+  if (input.name !== undefined) profile.name = String(input.name).trim();
+  if (!profile.name) throw new Error("Profile name is required");
+
+  if (input.selection !== undefined) {
+    profile.selection = oneOf(input.selection, EXPORT_SELECTIONS, "selection");
+  }
+  if (input.naming !== undefined) profile.naming = String(input.naming).trim();
+  checkNamingPattern(profile.naming);
+  if (input.format !== undefined) {
+    profile.format = oneOf(input.format, EXPORT_FORMATS, "format");
+  }
+  if (input.quality !== undefined) {
+    if (LOSSLESS_FORMATS.includes(profile.format)) {
+      throw new Error(
+        `quality only applies to JPEG; ${FORMAT_NAMES[profile.format]} exports are lossless`,
+      );
+    }
+    const quality = Number(input.quality);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new Error("quality must be a whole number from 1 to 100");
+    }
+    profile.quality = quality;
+  }
+  if (input.collision !== undefined) {
+    profile.collision = oneOf(input.collision, EXPORT_COLLISIONS, "collision");
+  }
+
+  if (input.resize !== undefined) {
+    profile.resize = oneOf(input.resize, EXPORT_RESIZE_MODES, "resize");
+  }
+  for (const key of ["width", "height"] as const) {
+    if (input[key] === undefined) continue;
+    const size = sizeOption(input[key], key);
+    if (size) profile[key] = size;
+    else delete profile[key];
+  }
+  if (profile.resize === "none") {
+    delete profile.width;
+    delete profile.height;
+  } else if (profile.resize === "fit" && !profile.width && !profile.height) {
+    throw new Error("Resizing to fit needs a width or a height");
+  } else if (profile.resize === "fill" && !(profile.width && profile.height)) {
+    throw new Error("Resizing to fill needs a width and a height");
+  }
+  return profile;
+}
+
+/** One file of an export */
+export interface ExportEntry {
+  card: Card;
+  /** Absolute path of the source image */
+  file: string;
+  /** Path in the ZIP, including the extension */
+  name: string;
+}
+
+/** What a naming pattern can refer to for one image */
+interface NamingContext {
+  card: Card;
+  filename: string;
+  /** 1-based position in the export */
+  order: number;
+  /** Card number, else the position in its set */
+  number: number;
+  setName: string;
+  /** "01 Core Set" style folder; empty for flat exports */
+  setFolder: string;
+  /** 1-based position among the card's exported images */
+  index: number;
+}
+
+export interface ExportPlan {
+  entries: ExportEntry[];
+  /** ZIP paths left out because another file already had the name */
+  skipped: string[];
+}
+
+function cleanSegment(segment: string): string {
+  return segment
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, "_")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^\.+/, "");
+}
+
+function outputExtension(profile: ExportProfile, filename: string): string {
+  switch (profile.format) {
+    case "png":
+      return ".png";
+    case "jpeg":
+      return ".jpg";
+    case "webp":
+      return ".webp";
+    default:
+      return path.extname(filename);
+  }
+}
+
+/** ZIP path (without extension) for an image; "/" separates folders */
+function applyPattern(
+  naming: string,
+  context: NamingContext,
+  widths: { order: number; number: number },
+): string {
+  const { card } = context;
+  const value = (token: string): string => {
+    if (token.startsWith("attr.")) {
+      const attributes = card.attributes || {};
+      const key = token.slice(5);
+      return Object.prototype.hasOwnProperty.call(attributes, key)
+        ? attributes[key]
+        : "";
+    }
+    switch (token) {
+      case "order":
+        return formatCardNumber(context.order, widths.order);
+      case "number":
+        return formatCardNumber(context.number, widths.number);
+      case "name":
+        return card.name;
+      case "id":
+        return card.id;
+      case "subfolder":
+        return card.outputSubfolder || card.id;
+      case "set":
+        return context.setName;
+      case "setFolder":
+        return context.setFolder;
+      case "file":
+        return path.parse(context.filename).name;
+      case "index":
+        return formatCardNumber(context.index);
+      default:
+        return "";
+    }
+  };
+
+  const segments = naming
+    .split("/")
+    .map((segment) =>
+      cleanSegment(segment.replace(TOKEN_PATTERN, (_, token) => value(token))),
+    );
+  // Empty folders are dropped; an empty file name falls back to the card ID
+  const fileName = segments.pop() || card.id;
+  return [...segments.filter(Boolean), fileName].join("/");
+}
+
+/** Names each image by the profile's pattern and resolves collisions */
+function nameEntries(
+  contexts: { context: NamingContext; file: string }[],
+  profile: ExportProfile,
+  widths: { order: number; number: number },
+): ExportPlan {
+  const byName = new Map<string, ExportEntry>();
+  const skipped: string[] = [];
+
+  for (const { context, file } of contexts) {
+    const base = applyPattern(profile.naming, context, widths);
+    const ext = outputExtension(profile, context.filename);
+    let name = base + ext;
+    if (byName.has(name.toLowerCase())) {
+      if (profile.collision === "skip") {
+        skipped.push(name);
+        continue;
+      }
+      if (profile.collision === "suffix") {
+        let n = 2;
+        while (byName.has(`${base}_${n}${ext}`.toLowerCase())) n++;
+        name = `${base}_${n}${ext}`;
+      } else {
+        // "replace": the later file wins
+        skipped.push(byName.get(name.toLowerCase())!.name);
+        byName.delete(name.toLowerCase());
+      }
+    }
+    byName.set(name.toLowerCase(), { card: context.card, file, name });
+  }
+  return { entries: [...byName.values()], skipped };
+}
+
+/** The card's images a profile selects, in export order */
+async function selectImages(
+  dataService: DataService,
+  project: Project,
+  card: Card,
+  selection: string,
+): Promise<string[]> {
+  if (selection === "starred") {
+    return card.starredImage ? [card.starredImage] : [];
+  }
+  const { images } = await dataService.listCardImages(project.id, card.id);
+  const starred = images.find((image) => image.isStarred);
+  const favorites = images
+    .filter((image) => image.isFavorite && !image.isStarred)
+    .sort((a, b) => a.time.getTime() - b.time.getTime());
+
+  if (selection === "starred-or-favorite") {
+    const pick = starred || favorites[favorites.length - 1];
+    return pick ? [pick.filename] : [];
+  }
+  return [...(starred ? [starred] : []), ...favorites].map((i) => i.filename);
+}
+
+function folderName(name: string): string {
+  return name.replace(/[^a-z0-9 _-]/gi, "_").trim() || "Set";
+}
+
+function numberWidth(cards: Card[]): number {
+  return Math.max(
+    2,
+    String(Math.max(cards.length, ...cards.map((c) => c.cardNumber || 0)))
+      .length,
+  );
+}
+
+async function fileExists(file: string): Promise<boolean> {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The files of a deck export: the profile's images of each card in deck
+ * order, optionally only one set's. Missing files are left out. Throws
+ * "Set not found" for an unknown set.
+ */
+export async function planDeckExport(
+  dataService: DataService,
+  project: Project,
+  assetsDir: string,
+  profile: ExportProfile,
+  setId?: string,
+): Promise<ExportPlan> {
+  const sets = project.sets || [];
+  const onlySet = setId ? sets.find((s) => s.id === setId) : undefined;
+  if (setId && !onlySet) throw new Error("Set not found");
+
+  let cards = sortCards(project, await dataService.getCards(project.id));
+  if (onlySet) cards = cards.filter((c) => c.setId === onlySet.id);
+
+  const setFolders = new Map(
+    sets.map((set, index) => [
+      set.id,
+      `${String(index + 1).padStart(2, "0")} ${folderName(set.name)}`,
+    ]),
+  );
+  // A single set's export, or a project without sets, stays flat
+  const flat = Boolean(onlySet) || sets.length === 0;
+  const positions = new Map<string, number>();
+  const contexts: { context: NamingContext; file: string }[] = [];
+  let order = 0;
+
+  for (const card of cards) {
+    const folder = path.join(assetsDir, card.outputSubfolder || "default");
+    const selected = await selectImages(
+      dataService,
+      project,
+      card,
+      profile.selection,
+    );
+    const filenames: string[] = [];
+    for (const filename of selected) {
+      if (await fileExists(path.join(folder, filename))) {
+        filenames.push(filename);
+      }
+    }
+    if (!filenames.length) continue;
+
+    const set = sets.find((s) => s.id === card.setId);
+    const setKey = set?.id || "";
+    const position = (positions.get(setKey) || 0) + 1;
+    positions.set(setKey, position);
+    order++;
+
+    filenames.forEach((filename, i) =>
+      contexts.push({
+        file: path.join(folder, filename),
+        context: {
+          card,
+          filename,
+          order,
+          number: card.cardNumber ?? position,
+          setName: set?.name || "Unsorted",
+          setFolder: flat ? "" : (set && setFolders.get(set.id)) || "Unsorted",
+          index: i + 1,
+        },
+      }),
+    );
+  }
+
+  return nameEntries(contexts, profile, {
+    order: Math.max(2, String(order).length),
+    number: numberWidth(cards),
+  });
+}
+
+/**
+ * The files of a gallery download: `filenames` from the card's output
+ * folder, named by the profile. Missing files are left out.
+ */
+export async function planGalleryExport(
+  dataService: DataService,
+  project: Project,
+  card: Card,
+  assetsDir: string,
+  filenames: string[],
+  profile: ExportProfile,
+): Promise<ExportPlan> {
+  const cards = sortCards(project, await dataService.getCards(project.id));
+  const set = project.sets?.find((s) => s.id === card.setId);
+  const order = cards.findIndex((c) => c.id === card.id) + 1;
+  const position =
+    cards
+      .filter((c) => (c.setId || "") === (card.setId || ""))
+      .findIndex((c) => c.id === card.id) + 1;
+  const folder = path.join(assetsDir, card.outputSubfolder || "default");
+
+  const contexts: { context: NamingContext; file: string }[] = [];
+  for (const filename of filenames.map((f) => path.basename(String(f)))) {
+    const file = path.join(folder, filename);
+    if (!(await fileExists(file))) {
+      logger.warn(`[Export] Skip file not found: ${file}`);
+      continue;
+    }
+    contexts.push({
+      file,
+      context: {
+        card,
+        filename,
+        order,
+        number: card.cardNumber ?? position,
+        setName: set?.name || "Unsorted",
+        setFolder: "",
+        index: contexts.length + 1,
+      },
+    });
+  }
+
+  return nameEntries(contexts, profile, {
+    order: Math.max(2, String(cards.length).length),
+    number: numberWidth(cards),
+  });
+}
+
+function resizeForExport(raster: Raster, profile: ExportProfile): Raster {
+  const { width, height } = profile;
+  if (profile.resize === "fit") {
+    const scale = Math.min(
+      1,
+      width ? width / raster.width : 1,
+      height ? height / raster.height : 1,
+    );
+    if (scale >= 1) return raster;
+    return raster.resize(raster.width * scale, raster.height * scale);
+  }
+  if (profile.resize === "fill" && width && height) {
+    return raster.cover(width, height);
+  }
+  return raster;
+}
+
+/**
+ * The image converted and resized as the profile asks. With the original
+ * format it is re-encoded as the same type, or returned as is if nothing
+ * changes. Throws for images we can't decode (not PNG or baseline JPEG).
+ */
+export function convertExportImage(
+  source: Buffer,
+  profile: ExportProfile,
+): Buffer {
+  if (profile.format === "original" && profile.resize === "none") {
+    return source;
+  }
+
+  let raster: Raster;
+  if (isPNG(source)) raster = decodePNG(source);
+  else if (isJPEG(source)) raster = decodeJPEG(source);
+  else throw new Error("Only PNG and JPEG images can be converted");
+  raster = resizeForExport(raster, profile);
+
+  const format =
+    profile.format === "original"
+      ? isPNG(source)
+        ? "png"
+        : "jpeg"
+      : profile.format;
+  switch (format) {
+    case "jpeg":
+      return encodeJPEG(raster, profile.quality);
+    case "webp":
+      return encodeWebP(raster);
+    default:
+      return raster.toPNG();
+  }
+}
+
+/** Lists the files that went into the ZIP without the profile's conversion */
+export const UNCONVERTED_MANIFEST = "UNCONVERTED.txt";
+
+/**
+ * Adds a plan's files to a ZIP, converting them first if the profile asks.
+ * An image that can't be converted goes in unchanged, under its own
+ * extension, and is listed in UNCONVERTED_MANIFEST so a deck with mixed
+ * formats or sizes doesn't go unnoticed. Resolves to those ZIP paths.
+ */
+export async function addExportEntries(
+  archive: Archiver,
+  entries: ExportEntry[],
+  profile: ExportProfile,
+): Promise<string[]> {
+  const unconverted: string[] = [];
+  for (const entry of entries) {
+    if (profile.format === "original" && profile.resize === "none") {
+      archive.file(entry.file, { name: entry.name });
+      continue;
+    }
+    try {
+      const converted = convertExportImage(
+        await fs.readFile(entry.file),
+        profile,
+      );
+      archive.append(converted, { name: entry.name });
+    } catch (e: any) {
+      logger.warn(`[Export] Could not convert ${entry.file}: ${e.message}`);
+      const ext = path.extname(entry.name);
+      const name =
+        entry.name.slice(0, entry.name.length - ext.length) +
+        path.extname(entry.file);
+      archive.file(entry.file, { name });
+      unconverted.push(`${name}: ${e.message}`);
+    }
+    // Conversion is CPU-bound; let other requests run between images
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  if (unconverted.length > 0) {
+    const wanted = [
+      profile.format !== "original" &&
+        `converted to ${FORMAT_NAMES[profile.format]}`,
+      profile.resize !== "none" && "resized",
+    ].filter(Boolean);
+    archive.append(
+      `${unconverted.length} image(s) couldn't be ${wanted.join(" and ")} ` +
+        `as the export profile asks, and are included unchanged:\n\n` +
+        unconverted.join("\n") +
+        "\n",
+      { name: UNCONVERTED_MANIFEST },
+    );
+  }
+  return unconverted;
+}
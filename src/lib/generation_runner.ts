@@ -0,0 +1,301 @@
+import path from "path";
+import fs from "fs/promises";
+import { DataService } from "./data_service";
+import { ImageGenerator } from "./image_generator";
+import { GenerationJob, JobExecutor, QueueSettings } from "./job_queue";
+import {
+  classifyGenerationError,
+  getImageProvider,
+  ReferenceImage,
+} from "./providers";
+import { estimateImageCost, UsageLedger } from "./usage_ledger";
+import { logger } from "./logger";
+
+interface RunnerDeps {
+  dataService: DataService;
+  dataRoot: string;
+  getApiKey: () => string;
+  usageLedger: UsageLedger;
+  /** Current queue settings, read per job so retry changes apply right away */
+  getSettings: () => QueueSettings;
+  /** Called after each image so progress is persisted and broadcast */
+  onProgress: (job: GenerationJob) => void;
+}
+
+/**
+ * Loads reference images for a job. Missing files are skipped with a warning
+ * rather than failing the whole job.
+ */
+async function resolveReferenceImages(
+  job: GenerationJob,
+  dataService: DataService,
+  dataRoot: string,
+): Promise<ReferenceImage[]> {
+  const request = job.request!;
+  const referenceImages: ReferenceImage[] = [];
+
+  // 1. Resolve temporary IDs
+  if (request.referenceImageIds.length > 0) {
+    logger.info(
+      `[Runner] Using temporary reference images: ${request.referenceImageIds.join(
+        ", ",
+      )}`,
+    );
+    for (const id of request.referenceImageIds) {
+      const buf = await dataService.getTempImage(id, job.projectId);
+      if (buf) {
+        // Temp images are usually PNGs or JPEGs, we'll assume PNG for now or try to detect
+        // For simplicity, we'll use a generic image/png if we don't know
+        referenceImages.push({ buffer: buf, mimeType: "image/png" });
+      }
+    }
+  }
+
+  // 2. Resolve historical files
+  if (request.referenceImageFiles.length > 0) {
+    logger.info(
+      `[Runner] Resolving ${request.referenceImageFiles.length} historical reference files...`,
+    );
+    for (const refFile of request.referenceImageFiles) {
+      try {
+        const {
+          projectId: refProjectId,
+          cardId: refCardId,
+          filename: refFilename,
+        } = refFile;
+
+        logger.info(
+          `[Runner] Attempting to resolve: project=${refProjectId}, card=${refCardId}, file=${refFilename}`,
+        );
+
+        const refCards = await dataService.getCards(refProjectId);
+        const refCard = refCards.find((c) => c.id === refCardId);
+
+        if (refCard) {
+          const refSubfolder = refCard.outputSubfolder || "default";
+          const filePath = path.join(
+            dataRoot,
+            "projects",
+            refProjectId,
+            "assets",
+            refSubfolder,
+            refFilename,
+          );
+
+          logger.info(`[Runner] Final resolved path: ${filePath}`);
+          const buf = await fs.readFile(filePath);
+
+          // Determine mime type from extension
+          const ext = path.extname(refFilename).toLowerCase();
+          const mimeType =
+            ext === ".jpg" || ext === ".jpeg" ? "image/jpeg" : "image/png";
+
+          referenceImages.push({ buffer: buf, mimeType });
+          logger.info(
+            `[Runner] Found and loaded reference image: ${refFilename} (${buf.length} bytes, type=${mimeType})`,
+          );
+        } else {
+          logger.warn(
+            `[Runner] Failed to find card for reference: ${refCardId} in project ${refProjectId}`,
+          );
+        }
+      } catch (e: any) {
+        logger.warn(
+          `[Runner] Failed to resolve reference file ${refFile.filename}: ${e.message}`,
+        );
+      }
+    }
+  }
+
+  return referenceImages;
+}
+
+/**
+ * Estimated cost of the images a job has left to generate. Providers that
+ * need no API key are free.
+ */
+export function estimateJobCost(job: GenerationJob): number {
+  const providerDef = job.request && getImageProvider(job.request.providerId);
+  if (!providerDef?.requiresApiKey || !providerDef.model) return 0;
+  const imageCost = estimateImageCost(
+    providerDef.model,
+    job.request!.resolution,
+  );
+  return imageCost * (job.total - job.current);
+}
+
+/**
+ * Creates the queue executor that turns a GenerationJob into saved images.
+ * Resumes from `job.current`, so recovered jobs only generate what's left.
+ */
+export function createGenerationRunner(deps: RunnerDeps): JobExecutor {
+  const {
+    dataService,
+    dataRoot,
+    getApiKey,
+    usageLedger,
+    getSettings,
+    onProgress,
+  } = deps;
+
+  return async (job: GenerationJob, signal: AbortSignal) => {
+    const request = job.request;
+    if (!request) throw new Error("Job has no generation request");
+
+    const project = await dataService.getProject(job.projectId);
+    if (!project) throw new Error("Project not found");
+
+    const providerDef = getImageProvider(request.providerId);
+    if (!providerDef) {
+      throw new Error(`Unknown image provider: ${request.providerId}`);
+    }
+    const apiKey = getApiKey();
+    if (providerDef.requiresApiKey && !apiKey) {
+      throw new Error("API Key not set");
+    }
+    const generator = new ImageGenerator(providerDef.create(apiKey));
+
+    const outputFolder = path.join(
+      dataRoot,
+      "projects",
+      job.projectId,
+      "assets",
+      request.outputSubfolder,
+    );
+    const referenceImages = await resolveReferenceImages(
+      job,
+      dataService,
+      dataRoot,
+    );
+
+    const { prompt, negativePrompt, aspectRatio, resolution } = request;
+    logger.info(
+      `[Runner] Job ${job.id}: provider=${providerDef.id}, AR=${aspectRatio}, Res=${resolution}`,
+    );
+
+    const settings = getSettings();
+    const retryPolicy = {
+      maxRetries: settings.maxRetries,
+      baseDelayMs: settings.retryBaseDelayMs,
+      maxDelayMs: settings.retryMaxDelayMs,
+    };
+
+    job.results = job.results || [];
+    job.failures = job.failures || [];
+    for (let i = job.current; i < job.total; i++) {
+      if (signal.aborted) throw new Error("Generation cancelled");
+      // Spend may have grown since the job was queued (other jobs, chat, or
+      // a resumed job), so check before paying for each image
+      if (providerDef.requiresApiKey) {
+        await usageLedger.assertWithinBudget(
+          job.projectId,
+          apiKey,
+          providerDef.model
+            ? estimateImageCost(providerDef.model, resolution)
+            : 0,
+        );
+      }
+
+      let generated;
+      try {
+        generated = await generator.generateImageBuffer(
+          prompt,
+          {
+            aspectRatio,
+            resolution,
+            referenceImages,
+            negativePrompt,
+            label: job.cardName,
+            signal,
+          },
+          retryPolicy,
+        );
+      } catch (e) {
+        const error = classifyGenerationError(e);
+        // Cancellation and bad credentials affect every image, so stop here
+        if (error.kind === "cancelled" || error.kind === "auth") throw error;
+
+        logger.warn(
+          `[Runner] Job ${job.id} image ${i + 1}/${job.total} failed (${error.kind}, ${error.attempts} attempt(s)): ${error.message}`,
+        );
+        job.failures.push({
+          index: i,
+          kind: error.kind,
+          message: error.message,
+          attempts: error.attempts,
+        });
+        job.current = i + 1;
+        onProgress(job);
+        continue;
+      }
+      const { buffer, mimeType, modelName } = generated;
+
+      const savedPath = await generator.saveImage(
+        buffer,
+        mimeType,
+        outputFolder,
+        job.cardId,
+        prompt,
+        {
+          title: job.cardName,
+          project: project.name,
+          cardId: job.cardId,
+          generationArgs: {
+            prompt,
+            negativePrompt: negativePrompt || undefined,
+            promptBody: request.promptBody,
+            promptSections: request.promptSections,
+            cardRevision: request.cardRevision,
+            aspectRatio,
+            resolution,
+            referenceImageIds: request.referenceImageIds,
+            referenceImageFiles: request.referenceImageFiles,
+            provider: providerDef.id,
+            model: modelName,
+          },
+        },
+        // Undo may still restore trashed versions under their old names
+        await dataService.trashedNames(
+          job.projectId,
+          path.join("assets", request.outputSubfolder),
+        ),
+      );
+      dataService.imageChanged(
+        job.projectId,
+        request.outputSubfolder,
+        path.basename(savedPath),
+      );
+
+      // Return relative path for frontend
+      // Front end expects "data/..."
+      // savedPath is .../data/projects/123/assets/sub/img.png
+      // relToRoot is projects/123/assets/sub/img.png
+      const relToRoot = path.relative(dataRoot, savedPath);
+      const webPath = path.join("data", relToRoot);
+      job.results.push(webPath);
+      job.model = modelName;
+
+      await usageLedger.recordImage({
+        jobId: job.id,
+        projectId: job.projectId,
+        cardId: job.cardId,
+        provider: providerDef.id,
+        model: modelName,
+        resolution,
+        apiKey: providerDef.requiresApiKey ? apiKey : undefined,
+      });
+
+      // Update job progress
+      job.current = i + 1;
+      onProgress(job);
+      logger.info(
+        `[Runner] Job ${job.id} progress: ${job.current}/${job.total}`,
+      );
+    }
+
+    // Nothing came out of this job at all: report it as a failed job
+    if (job.results.length === 0 && job.failures.length > 0) {
+      throw new Error(job.failures[job.failures.length - 1].message);
+    }
+  };
+}
@@ -1,144 +1,101 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import mime from "mime";
 import fs from "fs/promises";
 import path from "path";
 import { exiftool } from "exiftool-vendored";
 import { logger } from "./logger";
+import {
+  classifyGenerationError,
+  GeneratedImage,
+  ImageGenerationError,
+  ImageProvider,
+  ImageRequestOptions,
+} from "./providers";
+
+export interface RetryPolicy {
+  /** Extra attempts after the first failure (0 disables retries) */
+  maxRetries: number;
+  /** Delay before the first retry; doubles on each further attempt */
+  baseDelayMs: number;
+  maxDelayMs: number;
+  onRetry?: (
+    error: ImageGenerationError,
+    attempt: number,
+    delayMs: number,
+  ) => void;
+}
 
-export class ImageGenerator {
-  private genAI: GoogleGenerativeAI;
-  private apiKey: string;
-
-  constructor(apiKey: string) {
-    this.apiKey = apiKey;
-    this.genAI = new GoogleGenerativeAI(apiKey);
-  }
-
-  async generateImageBuffer(
-    prompt: string,
-    options: {
-      aspectRatio?: string;
-      resolution?: string;
-      referenceImages?: { buffer: Buffer; mimeType: string }[];
-    } = {},
-  ): Promise<{ buffer: Buffer; mimeType: string; modelName: string }> {
-    const modelName = "gemini-3-pro-image-preview";
-    const aspectRatio = options.aspectRatio || "auto";
-    const imageSize = options.resolution || "1K"; // Default 1K
-
-    const model = this.genAI.getGenerativeModel({
-      model: modelName,
-      // @ts-ignore
-      tools: [{ googleSearch: {} }],
-      generationConfig: {
-        responseModalities: ["IMAGE", "TEXT"],
-        imageConfig: {
-          aspectRatio: aspectRatio,
-          imageSize: imageSize,
-        },
-      } as any,
-    });
+const NO_RETRY: RetryPolicy = { maxRetries: 0, baseDelayMs: 0, maxDelayMs: 0 };
 
-    const contents = [
-      {
-        role: "user",
-        parts: [
-          ...(options.referenceImages || []).map((img) => ({
-            inlineData: {
-              mimeType: img.mimeType,
-              data: img.buffer.toString("base64"),
-            },
-          })),
-          { text: `${prompt}` },
-        ],
-      },
-    ];
+/** Exponential backoff with +/-20% jitter so parallel jobs don't retry in lockstep. */
+function backoffDelay(policy: RetryPolicy, attempt: number): number {
+  const exponential = policy.baseDelayMs * 2 ** (attempt - 1);
+  const capped = Math.min(policy.maxDelayMs, exponential);
+  return Math.round(capped * (0.8 + Math.random() * 0.4));
+}
 
-    logger.info(
-      `[ImageGenerator] Starting generation with model: ${modelName}`,
-    );
-    logger.info(`[ImageGenerator] Config: AR=${aspectRatio}, Res=${imageSize}`);
-    if (options.referenceImages?.length) {
-      logger.info(
-        `[ImageGenerator] Including ${options.referenceImages.length} reference images.`,
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(
+        new ImageGenerationError("cancelled", "Generation cancelled"),
       );
-      options.referenceImages.forEach((img, i) => {
-        logger.info(
-          `[ImageGenerator] Ref Image ${i + 1}: ${
-            img.buffer.length
-          } bytes (type: ${img.mimeType})`,
-        );
-      });
     }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ImageGenerationError("cancelled", "Generation cancelled"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
 
-    // Deep debug of contents structure
-    logger.info(
-      `[ImageGenerator] Payload Parts Count: ${contents[0].parts.length}`,
-    );
-    contents[0].parts.forEach((p: any, i) => {
-      if (p.text)
-        logger.info(
-          `[ImageGenerator] Part ${i}: TEXT ("${p.text.substring(0, 50)}...")`,
-        );
-      if (p.inlineData)
-        logger.info(
-          `[ImageGenerator] Part ${i}: INLINE_DATA (mime: ${p.inlineData.mimeType}, data_len: ${p.inlineData.data.length})`,
-        );
-    });
-
-    try {
-      const result = await model.generateContentStream({ contents });
-      let chunkCount = 0;
-      for await (const chunk of result.stream) {
-        chunkCount++;
-        // Check Prompt Feedback (safety block on input)
-        if (chunk.promptFeedback?.blockReason) {
-          logger.error(
-            `[ImageGenerator] Prompt blocked: ${chunk.promptFeedback.blockReason}`,
-          );
-          throw new Error(
-            `Safety: ${chunk.promptFeedback.blockReason} (Prompt Blocked)`,
-          );
-        }
+export class ImageGenerator {
+  private provider: ImageProvider;
 
-        if (!chunk.candidates?.[0]) continue;
-        const candidate = chunk.candidates[0];
+  constructor(provider: ImageProvider) {
+    this.provider = provider;
+  }
 
-        if (candidate.finishReason === "SAFETY") {
-          logger.error(
-            `[ImageGenerator] Generation blocked by safety filters.`,
-          );
-          throw new Error("Safety: Image generation blocked by filters.");
-        }
+  get providerId(): string {
+    return this.provider.id;
+  }
 
-        if (candidate.finishReason && candidate.finishReason !== "STOP") {
-          // Other reasons: RECITATION, OTHER
-          logger.warn(
-            `[ImageGenerator] Generation stopped: ${candidate.finishReason}`,
-          );
-          throw new Error(`Generation stopped: ${candidate.finishReason}`);
+  /**
+   * Generates one image, retrying transient failures (quota, network, empty
+   * responses) per the retry policy. Always rejects with a classified
+   * ImageGenerationError.
+   */
+  async generateImageBuffer(
+    prompt: string,
+    options: ImageRequestOptions = {},
+    retry: RetryPolicy = NO_RETRY,
+  ): Promise<GeneratedImage> {
+    logger.info(
+      `[ImageGenerator] Generating with provider: ${this.provider.id}`,
+    );
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.provider.generateImage(prompt, options);
+      } catch (e) {
+        const error = classifyGenerationError(e);
+        error.attempts = attempt;
+        if (options.signal?.aborted) {
+          throw new ImageGenerationError("cancelled", "Generation cancelled");
         }
+        if (!error.retryable || attempt > retry.maxRetries) throw error;
 
-        if (!candidate.content?.parts) continue;
-        const parts = candidate.content.parts;
-        for (const part of parts) {
-          if (part.inlineData) {
-            const mimeType = part.inlineData.mimeType || "image/png";
-            const buffer = Buffer.from(part.inlineData.data || "", "base64");
-            logger.info(
-              `[ImageGenerator] Image received (mime: ${mimeType}, size: ${buffer.length} bytes)`,
-            );
-            return { buffer, mimeType, modelName };
-          }
-        }
+        const delayMs = backoffDelay(retry, attempt);
+        logger.warn(
+          `[ImageGenerator] ${error.kind} error (attempt ${attempt}/${
+            retry.maxRetries + 1
+          }), retrying in ${delayMs}ms: ${error.message}`,
+        );
+        retry.onRetry?.(error, attempt, delayMs);
+        await sleep(delayMs, options.signal);
       }
-      logger.error(
-        `[ImageGenerator] No images received after ${chunkCount} chunks.`,
-      );
-      throw new Error("No images received from API (Unknown Reason).");
-    } catch (error) {
-      logger.error("Gemini Generation Error:", (error as Error).message);
-      throw error;
     }
   }
 
@@ -154,6 +111,8 @@ export class ImageGenerator {
       cardId?: string;
       generationArgs?: any;
     } = {},
+    // Names not to reuse though they're gone from the folder (e.g. trashed)
+    reservedNames: string[] = [],
   ): Promise<string> {
     logger.info(`[ImageGenerator] Saving image to: ${outputFolder}`);
     await fs.mkdir(outputFolder, { recursive: true });
@@ -169,7 +128,7 @@ export class ImageGenerator {
       const nextVersion = await this.getNextVersion(
         outputFolder,
         filename,
-        fileExtension,
+        reservedNames,
       );
       const finalFilename = `${filename}_v${nextVersion}.${fileExtension}`;
       finalOutputPath = path.join(outputFolder, finalFilename);
@@ -213,8 +172,10 @@ export class ImageGenerator {
         {
           "XMP-dc:Title": metadata.title || "Generated Image",
           "XMP-dc:Description": prompt,
-          "XMP-dc:Creator": "AI Art Cards (Gemini 3 Pro)",
-          "XMP-exif:Model": metadata.generationArgs?.model || "Gemini 3 Pro",
+          "XMP-dc:Creator": `AI Art Cards (${
+            metadata.generationArgs?.model || this.provider.id
+          })`,
+          "XMP-exif:Model": metadata.generationArgs?.model || this.provider.id,
           // Store generation args in XMP UserComment for structured retrieval
           "XMP:UserComment": metadata.generationArgs
             ? JSON.stringify(metadata.generationArgs)
@@ -238,11 +199,11 @@ export class ImageGenerator {
   private async getNextVersion(
     dir: string,
     name: string,
-    ext: string,
+    reservedNames: string[],
   ): Promise<string> {
     try {
       const files = await fs.readdir(dir);
-      const versions = files
+      const versions = [...files, ...reservedNames]
         .filter((f) => f.startsWith(name))
         .map((f) => {
           const match = f.match(/_v(\d+)\./);
@@ -0,0 +1,51 @@
+import { exiftool } from "exiftool-vendored";
+import { DataService } from "./data_service";
+import { logger } from "./logger";
+
+export interface ImageMetadata {
+  tags: any;
+  generationArgs: any;
+}
+
+/**
+ * Reads the XMP/EXIF tags `ImageGenerator.saveImage` wrote into an image,
+ * including the generation arguments kept as JSON in UserComment. Results
+ * are cached by the data index until the file changes, since exiftool
+ * spawns a process per read.
+ */
+export function readImageMetadata(
+  dataService: DataService,
+  fullPath: string,
+): Promise<ImageMetadata> {
+  return dataService.getImageMetadata(fullPath, async () => {
+    const tags: any = await exiftool.read(fullPath);
+
+    let generationArgs: any = null;
+    // Try to parse UserComment (where we stored JSON)
+    const userComment = tags.UserComment || tags["XMP:UserComment"];
+    if (userComment) {
+      try {
+        // Sometimes it might be wrapped or have a header, but our writer does clean JSON usually.
+        // exiftool might return it as a string.
+        if (typeof userComment === "string" && userComment.startsWith("{")) {
+          generationArgs = JSON.parse(userComment);
+        } else if (typeof userComment === "object") {
+          generationArgs = userComment;
+        }
+      } catch (e) {
+        logger.warn("Failed to parse UserComment JSON", e);
+      }
+    }
+    return { tags, generationArgs };
+  });
+}
+
+/** The prompt an image was generated from, or "" if it wasn't recorded. */
+export function imagePrompt(tags: any): string {
+  return (
+    tags["XMP-dc:Description"] ||
+    tags.Description ||
+    tags.ImageDescription ||
+    ""
+  );
+}
@@ -0,0 +1,182 @@
+import fs from "fs/promises";
+import path from "path";
+import { GenerationJob, ImageFailure, JobStatus } from "./job_queue";
+import { logger } from "./logger";
+
+/** A finished generation job as stored in a project's history log. */
+export interface JobHistoryEntry {
+  id: string;
+  projectId: string;
+  cardId: string;
+  cardName: string;
+  status: JobStatus;
+  prompt: string;
+  negativePrompt?: string;
+  /** Card revision the prompt was built from */
+  cardRevision?: number;
+  aspectRatio?: string;
+  resolution?: string;
+  provider?: string;
+  model?: string;
+  referenceImageIds: string[];
+  referenceImageFiles: {
+    projectId: string;
+    cardId: string;
+    filename: string;
+  }[];
+  /** Images requested vs. images actually produced */
+  total: number;
+  completed: number;
+  error?: string;
+  /** e.g. "7 succeeded, 1 blocked by safety, 2 failed" */
+  summary?: string;
+  failures: ImageFailure[];
+  results: string[];
+  priority: number;
+  retryOf?: string;
+  queuedAt: number;
+  startedAt?: number;
+  completedAt: number;
+  /** Time spent generating (excludes time waiting in the queue) */
+  durationMs: number;
+}
+
+export interface JobHistoryQuery {
+  cardId?: string;
+  statuses?: JobStatus[];
+  /** Inclusive bounds on completedAt (epoch ms) */
+  from?: number;
+  to?: number;
+  /** Case-insensitive match against card name, prompt and error */
+  search?: string;
+  limit?: number;
+  offset?: number;
+}
+
+const FINISHED_STATUSES: JobStatus[] = ["completed", "error", "cancelled"];
+
+/**
+ * Append-only archive of finished generation jobs.
+ *
+ * Each project keeps its own JSON Lines file at
+ * `projects/{projectId}/history/jobs.jsonl`, so history is exported and
+ * deleted together with the project.
+ */
+export class JobHistory {
+  private projectsDir: string;
+  private recorded = new Set<string>();
+  private writeChain: Promise<void> = Promise.resolve();
+
+  constructor(dataRoot: string) {
+    this.projectsDir = path.join(dataRoot, "projects");
+  }
+
+  private historyFile(projectId: string) {
+    return path.join(this.projectsDir, projectId, "history", "jobs.jsonl");
+  }
+
+  /** Appends a job once it has finished. Other statuses are ignored. */
+  record(job: GenerationJob) {
+    if (!FINISHED_STATUSES.includes(job.status)) return;
+    if (this.recorded.has(job.id)) return;
+    this.recorded.add(job.id);
+
+    const entry = this.toEntry(job);
+    const file = this.historyFile(job.projectId);
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, JSON.stringify(entry) + "\n", "utf-8");
+      })
+      .catch((e) =>
+        logger.error(`[History] Failed to record job ${job.id}:`, e),
+      );
+  }
+
+  /** Returns matching entries, newest first, plus the unpaginated count. */
+  async query(
+    projectId: string,
+    filters: JobHistoryQuery = {},
+  ): Promise<{ jobs: JobHistoryEntry[]; total: number }> {
+    // Make sure pending appends are visible
+    await this.writeChain;
+
+    const search = filters.search?.toLowerCase();
+    const matches = (await this.readAll(projectId)).filter((entry) => {
+      if (filters.cardId && entry.cardId !== filters.cardId) return false;
+      if (filters.statuses?.length && !filters.statuses.includes(entry.status))
+        return false;
+      if (filters.from !== undefined && entry.completedAt < filters.from)
+        return false;
+      if (filters.to !== undefined && entry.completedAt > filters.to)
+        return false;
+      if (search) {
+        const haystack =
+          `${entry.cardName}\n${entry.prompt}\n${entry.error || ""}`.toLowerCase();
+        if (!haystack.includes(search)) return false;
+      }
+      return true;
+    });
+
+    matches.sort((a, b) => b.completedAt - a.completedAt);
+    const offset = filters.offset || 0;
+    const limit = filters.limit || 50;
+    return {
+      jobs: matches.slice(offset, offset + limit),
+      total: matches.length,
+    };
+  }
+
+  private async readAll(projectId: string): Promise<JobHistoryEntry[]> {
+    let content: string;
+    try {
+      content = await fs.readFile(this.historyFile(projectId), "utf-8");
+    } catch {
+      return [];
+    }
+    const entries: JobHistoryEntry[] = [];
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // A torn final line (e.g. crash mid-append) shouldn't hide the rest
+        logger.warn(`[History] Skipping unreadable line in ${projectId}`);
+      }
+    }
+    return entries;
+  }
+
+  private toEntry(job: GenerationJob): JobHistoryEntry {
+    const request = job.request;
+    const completedAt = job.completedAt || Date.now();
+    return {
+      id: job.id,
+      projectId: job.projectId,
+      cardId: job.cardId,
+      cardName: job.cardName,
+      status: job.status,
+      prompt: request?.prompt || "",
+      negativePrompt: request?.negativePrompt || undefined,
+      cardRevision: request?.cardRevision,
+      aspectRatio: request?.aspectRatio || job.aspectRatio,
+      resolution: request?.resolution,
+      provider: request?.providerId,
+      model: job.model,
+      referenceImageIds: request?.referenceImageIds || [],
+      referenceImageFiles: request?.referenceImageFiles || [],
+      total: job.total,
+      completed: job.results?.length || 0,
+      error: job.error,
+      summary: job.summary,
+      failures: job.failures || [],
+      results: job.results || [],
+      priority: job.priority,
+      retryOf: job.retryOf,
+      queuedAt: job.queuedAt,
+      startedAt: job.startedAt,
+      completedAt,
+      durationMs: job.startedAt ? completedAt - job.startedAt : 0,
+    };
+  }
+}
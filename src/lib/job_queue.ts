@@ -0,0 +1,460 @@
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger";
+import { GenerationErrorKind } from "./providers";
+import { PromptSections } from "./data_service";
+
+export type JobStatus =
+  "queued" | "generating" | "completed" | "error" | "cancelled";
+
+/** Everything needed to (re)run a job, persisted so jobs survive a restart. */
+export interface GenerationRequest {
+  prompt: string;
+  /** Content to keep out of the image; empty when none */
+  negativePrompt?: string;
+  /** Card body (or override) the modifiers were added around, if any */
+  promptBody?: string;
+  /** Structured sections the prompt was composed from (for metadata) */
+  promptSections?: PromptSections;
+  /** Card revision the prompt was built from, linking images to history */
+  cardRevision?: number;
+  aspectRatio: string;
+  resolution: string;
+  providerId: string;
+  outputSubfolder: string;
+  referenceImageIds: string[];
+  referenceImageFiles: {
+    projectId: string;
+    cardId: string;
+    filename: string;
+  }[];
+}
+
+/** An image within a job that failed after exhausting its retries. */
+export interface ImageFailure {
+  /** Zero-based position of the image within the job */
+  index: number;
+  kind: GenerationErrorKind;
+  message: string;
+  attempts: number;
+}
+
+export interface GenerationJob {
+  id: string;
+  projectId: string;
+  cardId: string;
+  cardName: string;
+  status: JobStatus;
+  current: number;
+  total: number;
+  error?: string;
+  /** Higher runs first. Jobs with equal priority run in FIFO order. */
+  priority: number;
+  queuedAt: number;
+  startedAt?: number;
+  completedAt?: number;
+  results?: string[]; // Array of web paths (data/...)
+  aspectRatio?: string;
+  request?: GenerationRequest;
+  /** Set when the job was picked back up after a server restart */
+  recovered?: boolean;
+  /** ID of the job this one retries */
+  retryOf?: string;
+  /** Set on jobs queued together by a batch generation */
+  batchId?: string;
+  /** Number of cards (jobs) in the batch */
+  batchTotal?: number;
+  /** Model reported by the provider for the images produced so far */
+  model?: string;
+  /** Images that failed; the rest of the job carries on without them */
+  failures?: ImageFailure[];
+  /** Human readable outcome, e.g. "7 succeeded, 1 blocked by safety, 2 failed" */
+  summary?: string;
+}
+
+export interface QueueSettings {
+  /** Max jobs running at once across all projects */
+  globalConcurrency: number;
+  /** Max jobs running at once within a single project */
+  perProjectConcurrency: number;
+  /** Per-project overrides of perProjectConcurrency, keyed by project ID */
+  projectConcurrency: Record<string, number>;
+  paused: boolean;
+  /** Retries per image for transient errors (quota, network, empty response) */
+  maxRetries: number;
+  /** Backoff before the first retry; doubles each attempt up to the max */
+  retryBaseDelayMs: number;
+  retryMaxDelayMs: number;
+}
+
+export interface QueueState {
+  settings: QueueSettings;
+  queued: number;
+  running: number;
+}
+
+export type JobExecutor = (
+  job: GenerationJob,
+  signal: AbortSignal,
+) => Promise<void>;
+
+export function createJobId(): string {
+  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+export class JobStateError extends Error {}
+
+/** Images a job still owes: never attempted, plus attempted but failed. */
+export function remainingImages(job: GenerationJob): number {
+  return job.total - job.current + (job.failures?.length || 0);
+}
+
+/** Builds the outcome line shown in toasts, the queue and history. */
+export function summarizeJob(job: GenerationJob): string {
+  const failures = job.failures || [];
+  const blocked = failures.filter((f) => f.kind === "safety").length;
+  const failed = failures.length - blocked;
+  const parts = [`${job.results?.length || 0} succeeded`];
+  if (blocked) parts.push(`${blocked} blocked by safety`);
+  if (failed) parts.push(`${failed} failed`);
+  if (job.status === "cancelled" && job.total > job.current) {
+    parts.push(`${job.total - job.current} cancelled`);
+  }
+  return parts.join(", ");
+}
+
+const DEFAULT_SETTINGS: QueueSettings = {
+  globalConcurrency: 2,
+  perProjectConcurrency: 1,
+  projectConcurrency: {},
+  paused: false,
+  maxRetries: 3,
+  retryBaseDelayMs: 2000,
+  retryMaxDelayMs: 60000,
+};
+
+/**
+ * Durable FIFO + priority queue for generation jobs.
+ *
+ * Jobs and settings are stored under `{dataRoot}/queue/`. On startup, queued
+ * jobs are restored and jobs that were mid-generation are re-queued so the
+ * remaining images get generated.
+ */
+export class JobQueue {
+  private queueDir: string;
+  private jobsFile: string;
+  private settingsFile: string;
+  private settings: QueueSettings = { ...DEFAULT_SETTINGS };
+  private running = new Set<string>();
+  private abortControllers = new Map<string, AbortController>();
+  private executor: JobExecutor | null = null;
+  private loaded = false;
+  private writeChain: Promise<void> = Promise.resolve();
+
+  constructor(
+    dataRoot: string,
+    private jobs: Map<string, GenerationJob>,
+    private onJobUpdate: (job: GenerationJob) => void,
+    private onStateChange: (state: QueueState) => void = () => {},
+  ) {
+    this.queueDir = path.join(dataRoot, "queue");
+    this.jobsFile = path.join(this.queueDir, "jobs.json");
+    this.settingsFile = path.join(this.queueDir, "settings.json");
+  }
+
+  /** Restores settings and persisted jobs. Call once at startup. */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.settingsFile, "utf-8"));
+      this.settings = { ...DEFAULT_SETTINGS, ...data };
+    } catch {
+      // First run, keep defaults
+    }
+
+    try {
+      const stored: GenerationJob[] = JSON.parse(
+        await fs.readFile(this.jobsFile, "utf-8"),
+      );
+      let recovered = 0;
+      for (const job of stored) {
+        if (job.status === "generating") {
+          // Interrupted mid-run: re-queue so the remaining images still get made
+          job.status = "queued";
+          job.recovered = true;
+          recovered++;
+        } else if (job.status === "queued") {
+          recovered++;
+        }
+        this.jobs.set(job.id, job);
+      }
+      if (recovered > 0) {
+        logger.info(`[Queue] Recovered ${recovered} pending job(s) from disk`);
+      }
+    } catch {
+      // No stored jobs
+    }
+
+    this.loaded = true;
+    this.pump();
+  }
+
+  setExecutor(executor: JobExecutor) {
+    this.executor = executor;
+    this.pump();
+  }
+
+  getSettings(): QueueSettings {
+    return { ...this.settings };
+  }
+
+  getState(): QueueState {
+    let queued = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === "queued") queued++;
+    }
+    return {
+      settings: this.getSettings(),
+      queued,
+      running: this.running.size,
+    };
+  }
+
+  get(jobId: string): GenerationJob | undefined {
+    return this.jobs.get(jobId);
+  }
+
+  list(): GenerationJob[] {
+    return Array.from(this.jobs.values());
+  }
+
+  async updateSettings(updates: Partial<QueueSettings>) {
+    const next = { ...this.settings };
+    if (updates.globalConcurrency !== undefined) {
+      next.globalConcurrency = Math.max(
+        1,
+        Math.floor(updates.globalConcurrency),
+      );
+    }
+    if (updates.perProjectConcurrency !== undefined) {
+      next.perProjectConcurrency = Math.max(
+        1,
+        Math.floor(updates.perProjectConcurrency),
+      );
+    }
+    if (updates.projectConcurrency) {
+      next.projectConcurrency = { ...next.projectConcurrency };
+      for (const [projectId, limit] of Object.entries(
+        updates.projectConcurrency,
+      )) {
+        // null/0 clears the override
+        if (!limit) delete next.projectConcurrency[projectId];
+        else
+          next.projectConcurrency[projectId] = Math.max(1, Math.floor(limit));
+      }
+    }
+    if (updates.paused !== undefined) next.paused = !!updates.paused;
+    if (updates.maxRetries !== undefined) {
+      next.maxRetries = Math.max(0, Math.floor(updates.maxRetries));
+    }
+    if (updates.retryBaseDelayMs !== undefined) {
+      next.retryBaseDelayMs = Math.max(0, updates.retryBaseDelayMs);
+    }
+    if (updates.retryMaxDelayMs !== undefined) {
+      next.retryMaxDelayMs = Math.max(0, updates.retryMaxDelayMs);
+    }
+
+    this.settings = next;
+    await this.saveSettings();
+    this.onStateChange(this.getState());
+    this.pump();
+  }
+
+  async pause() {
+    logger.info("[Queue] Paused");
+    await this.updateSettings({ paused: true });
+  }
+
+  async resume() {
+    logger.info("[Queue] Resumed");
+    await this.updateSettings({ paused: false });
+  }
+
+  /** Adds a job to the queue. Status and timestamps are set here. */
+  enqueue(job: GenerationJob) {
+    job.status = "queued";
+    job.queuedAt = job.queuedAt || Date.now();
+    job.priority = job.priority || 0;
+    this.jobs.set(job.id, job);
+    logger.info(
+      `[Queue] Enqueued ${job.id} for ${job.cardName} (${job.total} images, priority ${job.priority})`,
+    );
+    this.update(job);
+    this.onStateChange(this.getState());
+    this.pump();
+  }
+
+  /** Persists a job change and notifies listeners. */
+  update(job: GenerationJob) {
+    this.persist();
+    this.onJobUpdate(job);
+  }
+
+  /**
+   * Cancels a queued or running job. Running jobs are aborted mid-request;
+   * images already saved are kept.
+   */
+  cancel(jobId: string): GenerationJob {
+    const job = this.jobs.get(jobId);
+    if (!job) throw new JobStateError("Job not found");
+
+    if (job.status === "queued") {
+      job.status = "cancelled";
+      job.completedAt = Date.now();
+      job.summary = summarizeJob(job);
+      logger.info(`[Queue] Cancelled queued job ${jobId}`);
+      this.update(job);
+      this.onStateChange(this.getState());
+    } else if (job.status === "generating") {
+      logger.info(`[Queue] Aborting running job ${jobId}`);
+      // run() marks the job as cancelled once the executor unwinds
+      this.abortControllers.get(jobId)?.abort();
+    } else {
+      throw new JobStateError(`Cannot cancel a job that is ${job.status}`);
+    }
+    return job;
+  }
+
+  /**
+   * Queues a new job for the images a job didn't produce: failed or
+   * cancelled jobs, and completed jobs where some images failed.
+   */
+  retry(jobId: string): GenerationJob {
+    const job = this.jobs.get(jobId);
+    if (!job) throw new JobStateError("Job not found");
+    const partial = job.status === "completed" && !!job.failures?.length;
+    if (job.status !== "error" && job.status !== "cancelled" && !partial) {
+      throw new JobStateError(`Cannot retry a job that is ${job.status}`);
+    }
+    if (!job.request) {
+      throw new JobStateError("Job has no stored request to retry");
+    }
+
+    const remaining = Math.max(1, remainingImages(job));
+    const retryJob: GenerationJob = {
+      id: createJobId(),
+      projectId: job.projectId,
+      cardId: job.cardId,
+      cardName: job.cardName,
+      status: "queued",
+      current: 0,
+      total: remaining,
+      priority: job.priority,
+      queuedAt: Date.now(),
+      results: [],
+      aspectRatio: job.aspectRatio,
+      request: job.request,
+      retryOf: job.id,
+    };
+    this.enqueue(retryJob);
+    // The original has been superseded, no need to keep it around
+    this.remove(job.id);
+    return retryJob;
+  }
+
+  remove(jobId: string) {
+    if (this.running.has(jobId)) return;
+    if (this.jobs.delete(jobId)) this.persist();
+  }
+
+  /** Starts as many queued jobs as the concurrency limits allow. */
+  private pump() {
+    if (!this.loaded || !this.executor || this.settings.paused) return;
+
+    const queued = Array.from(this.jobs.values())
+      .filter((j) => j.status === "queued")
+      .sort((a, b) => b.priority - a.priority || a.queuedAt - b.queuedAt);
+
+    for (const job of queued) {
+      if (this.running.size >= this.settings.globalConcurrency) break;
+      if (
+        this.runningInProject(job.projectId) >= this.projectLimit(job.projectId)
+      ) {
+        continue;
+      }
+      this.run(job);
+    }
+  }
+
+  private projectLimit(projectId: string): number {
+    return (
+      this.settings.projectConcurrency[projectId] ||
+      this.settings.perProjectConcurrency
+    );
+  }
+
+  private runningInProject(projectId: string): number {
+    let count = 0;
+    for (const id of this.running) {
+      if (this.jobs.get(id)?.projectId === projectId) count++;
+    }
+    return count;
+  }
+
+  private async run(job: GenerationJob) {
+    const controller = new AbortController();
+    this.running.add(job.id);
+    this.abortControllers.set(job.id, controller);
+    job.status = "generating";
+    job.startedAt = Date.now();
+    this.update(job);
+    this.onStateChange(this.getState());
+    logger.info(`[Queue] Started job ${job.id} for ${job.cardName}`);
+
+    try {
+      await this.executor!(job, controller.signal);
+      job.status = "completed";
+      logger.info(`[Queue] Job ${job.id} completed: ${summarizeJob(job)}`);
+    } catch (e: any) {
+      if (controller.signal.aborted) {
+        logger.info(
+          `[Queue] Job ${job.id} cancelled after ${job.current}/${job.total} images`,
+        );
+        job.status = "cancelled";
+      } else {
+        logger.error(`[Queue] Job ${job.id} failed:`, e);
+        job.status = "error";
+        job.error = e.message;
+      }
+    } finally {
+      job.completedAt = Date.now();
+      job.summary = summarizeJob(job);
+      this.running.delete(job.id);
+      this.abortControllers.delete(job.id);
+      this.update(job);
+      this.onStateChange(this.getState());
+      this.pump();
+    }
+  }
+
+  private persist() {
+    const snapshot = JSON.stringify(this.list(), null, 2);
+    this.writeChain = this.writeChain
+      .then(() => this.writeAtomic(this.jobsFile, snapshot))
+      .catch((e) => logger.error("[Queue] Failed to persist jobs:", e));
+  }
+
+  private async saveSettings() {
+    const snapshot = JSON.stringify(this.settings, null, 2);
+    this.writeChain = this.writeChain
+      .then(() => this.writeAtomic(this.settingsFile, snapshot))
+      .catch((e) => logger.error("[Queue] Failed to save settings:", e));
+    await this.writeChain;
+  }
+
+  private async writeAtomic(filePath: string, content: string) {
+    await fs.mkdir(this.queueDir, { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, content, "utf-8");
+    await fs.rename(tempPath, filePath);
+  }
+}
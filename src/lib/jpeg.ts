@@ -0,0 +1,731 @@
+import { Raster } from "./png";
+
+/**
+ * Baseline JPEG encoding and decoding for exports, e.g. to embed art in
+ * print PDFs at a sensible size or to draw thumbnails of JPEG art. Like
+ * png.ts, this avoids a native image library.
+ */
+
+// Position in the 8x8 block of each coefficient in zig-zag order
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40,
+  48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28, 35, 42, 49, 56, 57, 50, 43, 36, 29,
+  22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54,
+  47, 55, 62, 63,
+];
+
+// Standard quantization tables (JPEG spec, Annex K), in natural order
+const LUMA_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55, 14, 13, 16,
+  24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62, 18, 22, 37, 56, 68, 109,
+  103, 77, 24, 35, 55, 64, 81, 104, 113, 92, 49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99,
+];
+const CHROMA_QUANT = [
+  17,
+  18,
+  24,
+  47,
+  99,
+  99,
+  99,
+  99,
+  18,
+  21,
+  26,
+  66,
+  99,
+  99,
+  99,
+  99,
+  24,
+  26,
+  56,
+  99,
+  99,
+  99,
+  99,
+  99,
+  47,
+  66,
+  99,
+  99,
+  99,
+  99,
+  99,
+  99,
+  ...Array(32).fill(99),
+];
+
+interface HuffmanSpec {
+  /** Number of codes of each length, 1 to 16 bits */
+  bits: number[];
+  values: number[];
+}
+
+// Standard Huffman tables (Annex K)
+const DC_LUMA: HuffmanSpec = {
+  bits: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+  values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+};
+const DC_CHROMA: HuffmanSpec = {
+  bits: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+  values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+};
+const AC_LUMA: HuffmanSpec = {
+  bits: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+  values: [
+    0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06,
+    0x13, 0x51, 0x61, 0x07, 0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08,
+    0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0, 0x24, 0x33, 0x62, 0x72,
+    0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+    0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45,
+    0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59,
+    0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69, 0x6a, 0x73, 0x74, 0x75,
+    0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+    0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3,
+    0xa4, 0xa5, 0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6,
+    0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9,
+    0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+    0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4,
+    0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa,
+  ],
+};
+const AC_CHROMA: HuffmanSpec = {
+  bits: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+  values: [
+    0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41,
+    0x51, 0x07, 0x61, 0x71, 0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91,
+    0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0, 0x15, 0x62, 0x72, 0xd1,
+    0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+    0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44,
+    0x45, 0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58,
+    0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69, 0x6a, 0x73, 0x74,
+    0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+    0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a,
+    0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4,
+    0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7,
+    0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+    0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4,
+    0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa,
+  ],
+};
+
+/** Code and length of each symbol */
+interface HuffmanCodes {
+  codes: number[];
+  sizes: number[];
+}
+
+function buildCodes({ bits, values }: HuffmanSpec): HuffmanCodes {
+  const codes: number[] = [];
+  const sizes: number[] = [];
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < bits[length - 1]; i++) {
+      codes[values[k]] = code++;
+      sizes[values[k]] = length;
+      k++;
+    }
+    code <<= 1;
+  }
+  return { codes, sizes };
+}
+
+/** A quantization table scaled for `quality` (1-100) the way libjpeg does */
+function scaleQuant(table: number[], quality: number): number[] {
+  const q = Math.max(1, Math.min(100, Math.round(quality)));
+  const scale = q < 50 ? 5000 / q : 200 - q * 2;
+  return table.map((v) =>
+    Math.max(1, Math.min(255, Math.floor((v * scale + 50) / 100))),
+  );
+}
+
+// cos((2x + 1) * u * pi / 16), scaled by C(u) / 2
+const DCT_COS = (() => {
+  const table = new Float64Array(64);
+  for (let u = 0; u < 8; u++) {
+    const c = u === 0 ? Math.SQRT1_2 : 1;
+    for (let x = 0; x < 8; x++) {
+      table[u * 8 + x] = (c / 2) * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+    }
+  }
+  return table;
+})();
+
+/** 2D forward DCT of an 8x8 block (rows, then columns), in place */
+function forwardDCT(block: Float64Array, temp: Float64Array) {
+  for (let y = 0; y < 8; y++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < 8; x++) sum += block[y * 8 + x] * DCT_COS[u * 8 + x];
+      temp[y * 8 + u] = sum;
+    }
+  }
+  for (let u = 0; u < 8; u++) {
+    for (let v = 0; v < 8; v++) {
+      let sum = 0;
+      for (let y = 0; y < 8; y++) sum += temp[y * 8 + u] * DCT_COS[v * 8 + y];
+      block[v * 8 + u] = sum;
+    }
+  }
+}
+
+class BitWriter {
+  private bytes: number[] = [];
+  private buffer = 0;
+  private count = 0;
+
+  write(code: number, size: number) {
+    for (let i = size - 1; i >= 0; i--) {
+      this.buffer = (this.buffer << 1) | ((code >> i) & 1);
+      if (++this.count === 8) {
+        this.bytes.push(this.buffer);
+        // A data 0xFF byte is followed by 0x00 so it isn't read as a marker
+        if (this.buffer === 0xff) this.bytes.push(0);
+        this.buffer = 0;
+        this.count = 0;
+      }
+    }
+  }
+
+  /** Pads the last byte with 1 bits */
+  finish(): Buffer {
+    if (this.count > 0) this.write((1 << (8 - this.count)) - 1, 8 - this.count);
+    return Buffer.from(this.bytes);
+  }
+}
+
+/** Magnitude category of a coefficient and its amplitude bits */
+function category(value: number): [number, number] {
+  const abs = Math.abs(value);
+  let size = 0;
+  while (abs >> size) size++;
+  return [size, value >= 0 ? value : value + (1 << size) - 1];
+}
+
+function marker(code: number, data: number[] | Buffer): Buffer {
+  const header = Buffer.from([0xff, code, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, Buffer.from(data)]);
+}
+
+/**
+ * Encodes a raster as a baseline JPEG (no chroma subsampling). Transparent
+ * pixels are blended onto white.
+ */
+export function encodeJPEG(raster: Raster, quality = 90): Buffer {
+  const { width, height, data } = raster;
+  const quant = [
+    scaleQuant(LUMA_QUANT, quality),
+    scaleQuant(CHROMA_QUANT, quality),
+  ];
+  // Divisors in zig-zag order, so coefficients can be read off in order
+  const divisors = quant.map((table) => ZIGZAG.map((pos) => table[pos]));
+  const dc = [buildCodes(DC_LUMA), buildCodes(DC_CHROMA)];
+  const ac = [buildCodes(AC_LUMA), buildCodes(AC_CHROMA)];
+
+  // Y, Cb and Cr planes, level-shifted to -128..127
+  const planes = [0, 1, 2].map(() => new Float64Array(width * height));
+  for (let i = 0; i < width * height; i++) {
+    const a = data[i * 4 + 3] / 255;
+    const r = data[i * 4] * a + 255 * (1 - a);
+    const g = data[i * 4 + 1] * a + 255 * (1 - a);
+    const b = data[i * 4 + 2] * a + 255 * (1 - a);
+    planes[0][i] = 0.299 * r + 0.587 * g + 0.114 * b - 128;
+    planes[1][i] = -0.168736 * r - 0.331264 * g + 0.5 * b;
+    planes[2][i] = 0.5 * r - 0.418688 * g - 0.081312 * b;
+  }
+
+  const writer = new BitWriter();
+  const block = new Float64Array(64);
+  const temp = new Float64Array(64);
+  const coefficients = new Int32Array(64);
+  const previousDC = [0, 0, 0];
+
+  for (let by = 0; by < height; by += 8) {
+    for (let bx = 0; bx < width; bx += 8) {
+      for (let c = 0; c < 3; c++) {
+        const table = c === 0 ? 0 : 1;
+        // Edge blocks repeat the last row/column
+        const plane = planes[c];
+        for (let y = 0; y < 8; y++) {
+          const row = Math.min(by + y, height - 1) * width;
+          for (let x = 0; x < 8; x++) {
+            block[y * 8 + x] = plane[row + Math.min(bx + x, width - 1)];
+          }
+        }
+        forwardDCT(block, temp);
+
+        for (let k = 0; k < 64; k++) {
+          coefficients[k] = Math.round(block[ZIGZAG[k]] / divisors[table][k]);
+        }
+
+        const [dcSize, dcBits] = category(coefficients[0] - previousDC[c]);
+        previousDC[c] = coefficients[0];
+        writer.write(dc[table].codes[dcSize], dc[table].sizes[dcSize]);
+        if (dcSize) writer.write(dcBits, dcSize);
+
+        let run = 0;
+        for (let k = 1; k < 64; k++) {
+          if (coefficients[k] === 0) {
+            run++;
+            continue;
+          }
+          while (run > 15) {
+            writer.write(ac[table].codes[0xf0], ac[table].sizes[0xf0]);
+            run -= 16;
+          }
+          const [size, bits] = category(coefficients[k]);
+          const symbol = (run << 4) | size;
+          writer.write(ac[table].codes[symbol], ac[table].sizes[symbol]);
+          writer.write(bits, size);
+          run = 0;
+        }
+        if (run > 0) writer.write(ac[table].codes[0], ac[table].sizes[0]);
+      }
+    }
+  }
+
+  const huffmanTable = (id: number, spec: HuffmanSpec) => [
+    id,
+    ...spec.bits,
+    ...spec.values,
+  ];
+  const frame = [8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3];
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    marker(0xe0, [0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]),
+    marker(0xdb, [0, ...divisors[0], 1, ...divisors[1]]),
+    marker(0xc0, [...frame, 1, 0x11, 0, 2, 0x11, 1, 3, 0x11, 1]),
+    marker(0xc4, [
+      ...huffmanTable(0x00, DC_LUMA),
+      ...huffmanTable(0x10, AC_LUMA),
+      ...huffmanTable(0x01, DC_CHROMA),
+      ...huffmanTable(0x11, AC_CHROMA),
+    ]),
+    marker(0xda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]),
+    writer.finish(),
+    Buffer.from([0xff, 0xd9]),
+  ]);
+}
+
+export interface JpegInfo {
+  width: number;
+  height: number;
+  /** 1 (grayscale), 3 (YCbCr) or 4 (CMYK) */
+  components: number;
+  progressive: boolean;
+}
+
+export function isJPEG(buffer: Buffer): boolean {
+  return buffer[0] === 0xff && buffer[1] === 0xd8;
+}
+
+/** Size and color components from a JPEG's frame header */
+export function readJpegInfo(buffer: Buffer): JpegInfo | null {
+  if (!isJPEG(buffer)) return null;
+  let pos = 2;
+  while (pos + 4 <= buffer.length) {
+    if (buffer[pos] !== 0xff) return null;
+    const code = buffer[pos + 1];
+    if (code === 0xff) {
+      pos++;
+      continue;
+    }
+    // Start-of-frame markers, except DHT (C4), JPG (C8) and DAC (CC)
+    if (code >= 0xc0 && code <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(code)) {
+      return {
+        height: buffer.readUInt16BE(pos + 5),
+        width: buffer.readUInt16BE(pos + 7),
+        components: buffer[pos + 9],
+        progressive: code === 0xc2,
+      };
+    }
+    pos += 2 + buffer.readUInt16BE(pos + 2);
+  }
+  return null;
+}
+
+// --- JPEG decoding ---
+
+/** Canonical Huffman decoding tables (JPEG spec, Annex F.2.2.3) */
+interface HuffmanDecoder {
+  maxCode: Int32Array;
+  valuePointer: Int32Array;
+  values: number[];
+}
+
+function buildDecoder(bits: number[], values: number[]): HuffmanDecoder {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valuePointer = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    valuePointer[length] = k - code;
+    code += bits[length - 1];
+    k += bits[length - 1];
+    if (bits[length - 1]) maxCode[length] = code - 1;
+    code <<= 1;
+  }
+  // Sentinel so decoding stops at 17 bits
+  maxCode[17] = 0x7fffffff;
+  return { maxCode, valuePointer, values };
+}
+
+/** Reads entropy-coded data, skipping stuffed zero bytes */
+class BitReader {
+  private buffer = 0;
+  private count = 0;
+
+  constructor(
+    private readonly data: Buffer,
+    public pos: number,
+  ) {}
+
+  bit(): number {
+    if (this.count === 0) {
+      let byte = 0;
+      if (this.pos < this.data.length) {
+        byte = this.data[this.pos];
+        if (byte === 0xff) {
+          const next = this.data[this.pos + 1];
+          if (next === 0) {
+            this.pos += 2;
+          } else {
+            // A marker: the data ran short, so read zeros up to it
+            byte = 0;
+          }
+        } else {
+          this.pos++;
+        }
+      }
+      this.buffer = byte;
+      this.count = 8;
+    }
+    this.count--;
+    return (this.buffer >> this.count) & 1;
+  }
+
+  bits(n: number): number {
+    let value = 0;
+    for (let i = 0; i < n; i++) value = (value << 1) | this.bit();
+    return value;
+  }
+
+  decode(table: HuffmanDecoder): number {
+    let code = this.bit();
+    let length = 1;
+    while (code > table.maxCode[length]) {
+      code = (code << 1) | this.bit();
+      if (++length > 16) throw new Error("Corrupt JPEG data");
+    }
+    return table.values[table.valuePointer[length] + code];
+  }
+
+  /** A coefficient of `size` bits (the inverse of `category`) */
+  receive(size: number): number {
+    if (size === 0) return 0;
+    const value = this.bits(size);
+    return value < 1 << (size - 1) ? value - (1 << size) + 1 : value;
+  }
+
+  /** Skips to the byte after the next RSTn marker */
+  restart() {
+    this.count = 0;
+    while (this.pos + 1 < this.data.length) {
+      if (
+        this.data[this.pos] === 0xff &&
+        this.data[this.pos + 1] >= 0xd0 &&
+        this.data[this.pos + 1] <= 0xd7
+      ) {
+        this.pos += 2;
+        return;
+      }
+      this.pos++;
+    }
+  }
+}
+
+/** 2D inverse DCT of an 8x8 block (columns, then rows), in place */
+function inverseDCT(block: Float64Array, temp: Float64Array) {
+  for (let u = 0; u < 8; u++) {
+    for (let y = 0; y < 8; y++) {
+      let sum = 0;
+      for (let v = 0; v < 8; v++) sum += block[v * 8 + u] * DCT_COS[v * 8 + y];
+      temp[y * 8 + u] = sum;
+    }
+  }
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let u = 0; u < 8; u++) sum += temp[y * 8 + u] * DCT_COS[u * 8 + x];
+      block[y * 8 + x] = sum;
+    }
+  }
+}
+
+interface FrameComponent {
+  id: number;
+  h: number;
+  v: number;
+  quantTable: number;
+  /** Decoded samples, a whole number of blocks wide and high */
+  blocksPerLine: number;
+  blocksPerColumn: number;
+  samples: Uint8Array;
+}
+
+/**
+ * Decodes a baseline JPEG (any chroma subsampling, restart intervals,
+ * grayscale, YCbCr or Adobe CMYK) into an RGBA raster. Progressive JPEGs
+ * are not supported.
+ */
+export function decodeJPEG(buffer: Buffer): Raster {
+  if (!isJPEG(buffer)) throw new Error("Not a JPEG file");
+
+  const quantTables: number[][] = [];
+  const dcTables: HuffmanDecoder[] = [];
+  const acTables: HuffmanDecoder[] = [];
+  let width = 0;
+  let height = 0;
+  let components: FrameComponent[] = [];
+  let maxH = 1;
+  let maxV = 1;
+  let restartInterval = 0;
+  // From the Adobe segment: 0 = RGB/CMYK, 1 = YCbCr, 2 = YCCK
+  let adobeTransform = -1;
+
+  const block = new Float64Array(64);
+  const temp = new Float64Array(64);
+
+  function decodeScan(start: number, scan: FrameComponent[], tables: number[]) {
+    const reader = new BitReader(buffer, start);
+    const predictions = scan.map(() => 0);
+    const mcusPerLine = Math.ceil(width / (8 * maxH));
+    const mcusPerColumn = Math.ceil(height / (8 * maxV));
+    // A single-component scan has one block per MCU, covering only that
+    // component's own (subsampled) area
+    const single = scan.length === 1;
+    const singleBlocksPerLine = single
+      ? Math.ceil(Math.ceil((width * scan[0].h) / maxH) / 8)
+      : 0;
+    const total = single
+      ? singleBlocksPerLine *
+        Math.ceil(Math.ceil((height * scan[0].v) / maxV) / 8)
+      : mcusPerLine * mcusPerColumn;
+
+    const decodeBlock = (index: number, row: number, column: number) => {
+      const component = scan[index];
+      const quant = quantTables[component.quantTable];
+      const dc = dcTables[tables[index] >> 4];
+      const ac = acTables[tables[index] & 15];
+      if (!quant || !dc || !ac) throw new Error("Missing JPEG tables");
+
+      block.fill(0);
+      predictions[index] += reader.receive(reader.decode(dc));
+      block[0] = predictions[index] * quant[0];
+      for (let k = 1; k < 64;) {
+        const symbol = reader.decode(ac);
+        const size = symbol & 15;
+        const run = symbol >> 4;
+        if (size === 0) {
+          if (run !== 15) break;
+          k += 16;
+          continue;
+        }
+        k += run;
+        if (k > 63) break;
+        block[ZIGZAG[k]] = reader.receive(size) * quant[k];
+        k++;
+      }
+      inverseDCT(block, temp);
+
+      const lineWidth = component.blocksPerLine * 8;
+      for (let y = 0; y < 8; y++) {
+        const offset = (row * 8 + y) * lineWidth + column * 8;
+        for (let x = 0; x < 8; x++) {
+          const value = Math.round(block[y * 8 + x] + 128);
+          component.samples[offset + x] =
+            value < 0 ? 0 : value > 255 ? 255 : value;
+        }
+      }
+    };
+
+    for (let mcu = 0; mcu < total; mcu++) {
+      if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+        reader.restart();
+        predictions.fill(0);
+      }
+      if (single) {
+        decodeBlock(
+          0,
+          Math.floor(mcu / singleBlocksPerLine),
+          mcu % singleBlocksPerLine,
+        );
+        continue;
+      }
+      const mcuRow = Math.floor(mcu / mcusPerLine);
+      const mcuColumn = mcu % mcusPerLine;
+      for (let index = 0; index < scan.length; index++) {
+        const { h, v } = scan[index];
+        for (let y = 0; y < v; y++) {
+          for (let x = 0; x < h; x++) {
+            decodeBlock(index, mcuRow * v + y, mcuColumn * h + x);
+          }
+        }
+      }
+    }
+    return reader.pos;
+  }
+
+  let pos = 2;
+  while (pos + 4 <= buffer.length) {
+    if (buffer[pos] !== 0xff) {
+      pos++;
+      continue;
+    }
+    const code = buffer[pos + 1];
+    if (code === 0xff || (code >= 0xd0 && code <= 0xd7) || code === 0x01) {
+      pos += code === 0xff ? 1 : 2;
+      continue;
+    }
+    if (code === 0xd9) break;
+
+    const length = buffer.readUInt16BE(pos + 2);
+    const segment = buffer.subarray(pos + 4, pos + 2 + length);
+    let next = pos + 2 + length;
+
+    if (code === 0xdb) {
+      for (let i = 0; i < segment.length;) {
+        const precision = segment[i] >> 4;
+        const id = segment[i] & 15;
+        i++;
+        const table: number[] = [];
+        for (let k = 0; k < 64; k++) {
+          table.push(
+            precision ? segment.readUInt16BE(i + k * 2) : segment[i + k],
+          );
+        }
+        i += precision ? 128 : 64;
+        quantTables[id] = table;
+      }
+    } else if (code === 0xc4) {
+      for (let i = 0; i < segment.length;) {
+        const tableClass = segment[i] >> 4;
+        const id = segment[i] & 15;
+        const bits = [...segment.subarray(i + 1, i + 17)];
+        const count = bits.reduce((a, b) => a + b, 0);
+        const values = [...segment.subarray(i + 17, i + 17 + count)];
+        (tableClass === 0 ? dcTables : acTables)[id] = buildDecoder(
+          bits,
+          values,
+        );
+        i += 17 + count;
+      }
+    } else if (code === 0xc0 || code === 0xc1) {
+      height = segment.readUInt16BE(1);
+      width = segment.readUInt16BE(3);
+      if (!width || !height) throw new Error("Unsupported JPEG size");
+      components = [];
+      for (let i = 0; i < segment[5]; i++) {
+        const offset = 6 + i * 3;
+        components.push({
+          id: segment[offset],
+          h: segment[offset + 1] >> 4 || 1,
+          v: segment[offset + 1] & 15 || 1,
+          quantTable: segment[offset + 2],
+          blocksPerLine: 0,
+          blocksPerColumn: 0,
+          samples: new Uint8Array(0),
+        });
+      }
+      maxH = Math.max(...components.map((c) => c.h));
+      maxV = Math.max(...components.map((c) => c.v));
+      for (const component of components) {
+        component.blocksPerLine = Math.ceil(width / (8 * maxH)) * component.h;
+        component.blocksPerColumn =
+          Math.ceil(height / (8 * maxV)) * component.v;
+        component.samples = new Uint8Array(
+          component.blocksPerLine * component.blocksPerColumn * 64,
+        );
+      }
+    } else if (
+      code >= 0xc2 &&
+      code <= 0xcf &&
+      ![0xc4, 0xc8, 0xcc].includes(code)
+    ) {
+      throw new Error(
+        code === 0xc2
+          ? "Progressive JPEGs are not supported"
+          : "Unsupported JPEG encoding",
+      );
+    } else if (code === 0xdd) {
+      restartInterval = segment.readUInt16BE(0);
+    } else if (code === 0xee) {
+      if (segment.subarray(0, 5).toString("latin1") === "Adobe") {
+        adobeTransform = segment[11];
+      }
+    } else if (code === 0xda) {
+      if (components.length === 0) throw new Error("JPEG scan before frame");
+      const scan: FrameComponent[] = [];
+      const tables: number[] = [];
+      for (let i = 0; i < segment[0]; i++) {
+        const component = components.find((c) => c.id === segment[1 + i * 2]);
+        if (!component) throw new Error("Corrupt JPEG scan");
+        scan.push(component);
+        tables.push(segment[2 + i * 2]);
+      }
+      next = decodeScan(next, scan, tables);
+    }
+    pos = next;
+  }
+
+  if (components.length === 0) throw new Error("No image in JPEG file");
+
+  const raster = new Raster(width, height);
+  const out = raster.data;
+  // Nearest-neighbor upsampling of subsampled components
+  const sample = (component: FrameComponent, x: number, y: number) =>
+    component.samples[
+      Math.floor((y * component.v) / maxV) * component.blocksPerLine * 8 +
+        Math.floor((x * component.h) / maxH)
+    ];
+  const ycc = (y: number, cb: number, cr: number) => [
+    y + 1.402 * (cr - 128),
+    y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128),
+    y + 1.772 * (cb - 128),
+  ];
+  // No color transform per the Adobe segment, or components named R, G, B
+  const rgbComponents =
+    adobeTransform === 0 ||
+    (adobeTransform === -1 &&
+      components.map((c) => String.fromCharCode(c.id)).join("") === "RGB");
+  const clamp = (value: number) =>
+    value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const values = components.map((c) => sample(c, x, y));
+      let rgb: number[];
+      if (values.length < 3) {
+        rgb = [values[0], values[0], values[0]];
+      } else if (values.length === 3) {
+        rgb = rgbComponents ? values : ycc(values[0], values[1], values[2]);
+      } else {
+        // Adobe CMYK is stored inverted
+        const [c, m, yy] =
+          adobeTransform === 2 ? ycc(values[0], values[1], values[2]) : values;
+        const k = values[3];
+        rgb = [(c * k) / 255, (m * k) / 255, (yy * k) / 255];
+      }
+      const i = (y * width + x) * 4;
+      out[i] = clamp(rgb[0]);
+      out[i + 1] = clamp(rgb[1]);
+      out[i + 2] = clamp(rgb[2]);
+      out[i + 3] = 255;
+    }
+  }
+  return raster;
+}
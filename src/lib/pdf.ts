@@ -0,0 +1,174 @@
+import zlib from "zlib";
+import { Raster } from "./png";
+import { encodeJPEG, readJpegInfo } from "./jpeg";
+
+/**
+ * A minimal PDF writer for exports. Objects are written out as they are
+ * added, so a deck only holds one image in memory at a time. Coordinates
+ * are in points (1/72 in) from the top-left of the page.
+ */
+
+export const POINTS_PER_INCH = 72;
+export const POINTS_PER_MM = 72 / 25.4;
+
+/** An embedded image, drawable on any number of pages */
+export interface PdfImage {
+  id: number;
+  width: number;
+  height: number;
+}
+
+/** Numbers as PDF operands: at most 3 decimals, no exponent */
+function num(value: number): string {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/** Drawing operations for one page, collected until the page is added */
+export class PdfPage {
+  private ops: string[] = [];
+  readonly images = new Map<string, number>();
+
+  constructor(
+    readonly width: number,
+    readonly height: number,
+  ) {}
+
+  /** Draws `image` stretched over the box at (x, y), w x h */
+  image(image: PdfImage, x: number, y: number, w: number, h: number) {
+    const name = `Im${image.id}`;
+    this.images.set(name, image.id);
+    this.ops.push(
+      `q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(this.height - y - h)} cm /${name} Do Q`,
+    );
+  }
+
+  /** Runs `draw` with everything outside the box clipped away */
+  clip(x: number, y: number, w: number, h: number, draw: () => void) {
+    this.ops.push(
+      `q ${num(x)} ${num(this.height - y - h)} ${num(w)} ${num(h)} re W n`,
+    );
+    draw();
+    this.ops.push("Q");
+  }
+
+  /** A black line `lineWidth` points wide */
+  line(x1: number, y1: number, x2: number, y2: number, lineWidth = 0.25) {
+    this.ops.push(
+      `${num(lineWidth)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`,
+    );
+  }
+
+  content(): Buffer {
+    return Buffer.from(this.ops.join("\n"), "latin1");
+  }
+}
+
+export class PdfWriter {
+  private offset = 0;
+  private offsets: number[] = [];
+  private nextId = 1;
+  private pageIds: number[] = [];
+  private readonly pagesId: number;
+
+  /** `write` receives the file in order, e.g. an HTTP response's write */
+  constructor(private readonly write: (chunk: Buffer) => void) {
+    this.pagesId = this.nextId++;
+    // The binary comment marks the file as binary for transfer tools
+    this.emit(Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1"));
+  }
+
+  get pageCount(): number {
+    return this.pageIds.length;
+  }
+
+  private emit(chunk: Buffer) {
+    this.write(chunk);
+    this.offset += chunk.length;
+  }
+
+  private object(id: number, dictionary: string, stream?: Buffer) {
+    this.offsets[id] = this.offset;
+    if (!stream) {
+      this.emit(Buffer.from(`${id} 0 obj\n${dictionary}\nendobj\n`, "latin1"));
+      return;
+    }
+    this.emit(Buffer.from(`${id} 0 obj\n${dictionary}\nstream\n`, "latin1"));
+    this.emit(stream);
+    this.emit(Buffer.from("\nendstream\nendobj\n", "latin1"));
+  }
+
+  /** Embeds a JPEG file as is; null if it can't be read */
+  addJpeg(buffer: Buffer): PdfImage | null {
+    const info = readJpegInfo(buffer);
+    if (!info) return null;
+    const colorSpace =
+      info.components === 1
+        ? "/DeviceGray"
+        : info.components === 4
+          ? "/DeviceCMYK /Decode [1 0 1 0 1 0 1 0]"
+          : "/DeviceRGB";
+    const id = this.nextId++;
+    this.object(
+      id,
+      `<< /Type /XObject /Subtype /Image /Width ${info.width} /Height ${info.height} /ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${buffer.length} >>`,
+      buffer,
+    );
+    return { id, width: info.width, height: info.height };
+  }
+
+  /** Embeds decoded pixels, compressed as a JPEG */
+  addRaster(raster: Raster, quality = 92): PdfImage {
+    return this.addJpeg(encodeJPEG(raster, quality))!;
+  }
+
+  addPage(page: PdfPage) {
+    const content = zlib.deflateSync(page.content());
+    const contentId = this.nextId++;
+    this.object(
+      contentId,
+      `<< /Length ${content.length} /Filter /FlateDecode >>`,
+      content,
+    );
+
+    const xObjects = [...page.images]
+      .map(([name, id]) => `/${name} ${id} 0 R`)
+      .join(" ");
+    const pageId = this.nextId++;
+    this.object(
+      pageId,
+      `<< /Type /Page /Parent ${this.pagesId} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] /Resources << /XObject << ${xObjects} >> >> /Contents ${contentId} 0 R >>`,
+    );
+    this.pageIds.push(pageId);
+  }
+
+  /** Writes the page tree, catalog and cross-reference table */
+  finish(title?: string) {
+    this.object(
+      this.pagesId,
+      `<< /Type /Pages /Kids [${this.pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${this.pageIds.length} >>`,
+    );
+    const catalogId = this.nextId++;
+    this.object(catalogId, `<< /Type /Catalog /Pages ${this.pagesId} 0 R >>`);
+    const infoId = this.nextId++;
+    const text = (value: string) =>
+      `(${value.replace(/[^\x20-\x7e]/g, "?").replace(/[\\()]/g, "\\$&")})`;
+    this.object(
+      infoId,
+      `<< /Producer (AI Art Cards)${title ? ` /Title ${text(title)}` : ""} >>`,
+    );
+
+    const xrefOffset = this.offset;
+    const entries = [];
+    for (let id = 1; id < this.nextId; id++) {
+      entries.push(`${String(this.offsets[id]).padStart(10, "0")} 00000 n \n`);
+    }
+    this.emit(
+      Buffer.from(
+        `xref\n0 ${this.nextId}\n0000000000 65535 f \n${entries.join("")}` +
+          `trailer\n<< /Size ${this.nextId} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n` +
+          `startxref\n${xrefOffset}\n%%EOF\n`,
+        "latin1",
+      ),
+    );
+  }
+}
@@ -0,0 +1,567 @@
+import zlib from "zlib";
+
+/**
+ * Minimal RGBA raster + PNG encoder/decoder.
+ * Used for images we render ourselves (placeholders) and for reading and
+ * resizing generated art on export, so we don't need a native image library
+ * just to draw a few rectangles and some text.
+ */
+
+export type RGBA = [number, number, number, number];
+
+export class Raster {
+  readonly width: number;
+  readonly height: number;
+  readonly data: Buffer;
+
+  constructor(width: number, height: number, fill: RGBA = [0, 0, 0, 255]) {
+    this.width = Math.max(1, Math.floor(width));
+    this.height = Math.max(1, Math.floor(height));
+    this.data = Buffer.alloc(this.width * this.height * 4);
+    this.fillRect(0, 0, this.width, this.height, fill);
+  }
+
+  setPixel(x: number, y: number, color: RGBA) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const i = (y * this.width + x) * 4;
+    const a = color[3] / 255;
+    if (a >= 1) {
+      this.data[i] = color[0];
+      this.data[i + 1] = color[1];
+      this.data[i + 2] = color[2];
+      this.data[i + 3] = 255;
+      return;
+    }
+    // Simple "over" blend onto an opaque background
+    this.data[i] = Math.round(color[0] * a + this.data[i] * (1 - a));
+    this.data[i + 1] = Math.round(color[1] * a + this.data[i + 1] * (1 - a));
+    this.data[i + 2] = Math.round(color[2] * a + this.data[i + 2] * (1 - a));
+  }
+
+  fillRect(x: number, y: number, w: number, h: number, color: RGBA) {
+    const x0 = Math.max(0, Math.floor(x));
+    const y0 = Math.max(0, Math.floor(y));
+    const x1 = Math.min(this.width, Math.floor(x + w));
+    const y1 = Math.min(this.height, Math.floor(y + h));
+    for (let yy = y0; yy < y1; yy++) {
+      for (let xx = x0; xx < x1; xx++) {
+        this.setPixel(xx, yy, color);
+      }
+    }
+  }
+
+  strokeRect(
+    x: number,
+    y: number,
+    w: number,
+    h: number,
+    thickness: number,
+    color: RGBA,
+  ) {
+    this.fillRect(x, y, w, thickness, color);
+    this.fillRect(x, y + h - thickness, w, thickness, color);
+    this.fillRect(x, y, thickness, h, color);
+    this.fillRect(x + w - thickness, y, thickness, h, color);
+  }
+
+  /**
+   * Draws text using the built-in 5x7 bitmap font.
+   * `scale` is the size of one font pixel. Unknown characters render as "?".
+   */
+  drawText(text: string, x: number, y: number, scale: number, color: RGBA) {
+    let cursor = x;
+    for (const ch of text.toUpperCase()) {
+      const glyph = FONT[ch] ?? FONT["?"];
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        const bits = glyph[row];
+        for (let col = 0; col < GLYPH_WIDTH; col++) {
+          if (bits & (1 << (GLYPH_WIDTH - 1 - col))) {
+            this.fillRect(
+              cursor + col * scale,
+              y + row * scale,
+              scale,
+              scale,
+              color,
+            );
+          }
+        }
+      }
+      cursor += (GLYPH_WIDTH + 1) * scale;
+    }
+  }
+
+  static measureText(text: string, scale: number) {
+    if (!text.length) return { width: 0, height: GLYPH_HEIGHT * scale };
+    return {
+      width: (text.length * (GLYPH_WIDTH + 1) - 1) * scale,
+      height: GLYPH_HEIGHT * scale,
+    };
+  }
+
+  toPNG(): Buffer {
+    return encodePNG(this.width, this.height, this.data);
+  }
+
+  /** A raster over existing RGBA pixel data (copied) */
+  static fromPixels(width: number, height: number, rgba: Buffer): Raster {
+    const raster = new Raster(width, height);
+    rgba.copy(raster.data, 0, 0, raster.data.length);
+    return raster;
+  }
+
+  /** Draws `source` with its top-left corner at (x, y), blending alpha */
+  draw(source: Raster, x: number, y: number) {
+    x = Math.floor(x);
+    y = Math.floor(y);
+    for (let row = 0; row < source.height; row++) {
+      for (let col = 0; col < source.width; col++) {
+        const i = (row * source.width + col) * 4;
+        this.setPixel(x + col, y + row, [
+          source.data[i],
+          source.data[i + 1],
+          source.data[i + 2],
+          source.data[i + 3],
+        ]);
+      }
+    }
+  }
+
+  /** A copy of the area at (x, y), clamped to the raster */
+  crop(x: number, y: number, w: number, h: number): Raster {
+    const x0 = Math.max(0, Math.min(this.width - 1, Math.floor(x)));
+    const y0 = Math.max(0, Math.min(this.height - 1, Math.floor(y)));
+    const width = Math.max(1, Math.min(this.width - x0, Math.round(w)));
+    const height = Math.max(1, Math.min(this.height - y0, Math.round(h)));
+    const out = new Raster(width, height);
+    for (let row = 0; row < height; row++) {
+      const start = ((y0 + row) * this.width + x0) * 4;
+      this.data.copy(out.data, row * width * 4, start, start + width * 4);
+    }
+    return out;
+  }
+
+  /**
+   * A copy scaled and center-cropped to exactly `width` x `height`, like
+   * CSS `object-fit: cover`.
+   */
+  cover(width: number, height: number): Raster {
+    const scale = Math.max(width / this.width, height / this.height);
+    const cropWidth = Math.min(this.width, Math.round(width / scale));
+    const cropHeight = Math.min(this.height, Math.round(height / scale));
+    return this.crop(
+      (this.width - cropWidth) / 2,
+      (this.height - cropHeight) / 2,
+      cropWidth,
+      cropHeight,
+    ).resize(width, height);
+  }
+
+  /**
+   * A copy scaled to `width` x `height`. Uses a triangle filter as wide as
+   * the scale factor, so it's bilinear when enlarging and averages every
+   * source pixel when shrinking.
+   */
+  resize(width: number, height: number): Raster {
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+    if (width === this.width && height === this.height) {
+      return Raster.fromPixels(width, height, this.data);
+    }
+
+    // Horizontal pass into floats, then vertical into the result
+    const xWeights = filterWeights(this.width, width);
+    const yWeights = filterWeights(this.height, height);
+    const temp = new Float32Array(width * this.height * 4);
+    for (let y = 0; y < this.height; y++) {
+      const row = y * this.width * 4;
+      for (let x = 0; x < width; x++) {
+        const { start, weights } = xWeights[x];
+        const out = (y * width + x) * 4;
+        for (let k = 0; k < weights.length; k++) {
+          const i = row + (start + k) * 4;
+          const w = weights[k];
+          temp[out] += this.data[i] * w;
+          temp[out + 1] += this.data[i + 1] * w;
+          temp[out + 2] += this.data[i + 2] * w;
+          temp[out + 3] += this.data[i + 3] * w;
+        }
+      }
+    }
+
+    const result = new Raster(width, height);
+    for (let y = 0; y < height; y++) {
+      const { start, weights } = yWeights[y];
+      for (let x = 0; x < width; x++) {
+        const out = (y * width + x) * 4;
+        for (let c = 0; c < 4; c++) {
+          let sum = 0;
+          for (let k = 0; k < weights.length; k++) {
+            sum += temp[((start + k) * width + x) * 4 + c] * weights[k];
+          }
+          result.data[out + c] = Math.max(0, Math.min(255, Math.round(sum)));
+        }
+      }
+    }
+    return result;
+  }
+}
+
+/** Normalized triangle-filter taps for each output pixel along one axis */
+function filterWeights(
+  srcSize: number,
+  dstSize: number,
+): { start: number; weights: number[] }[] {
+  const scale = srcSize / dstSize;
+  const support = Math.max(1, scale);
+  const taps = [];
+  for (let i = 0; i < dstSize; i++) {
+    const center = (i + 0.5) * scale - 0.5;
+    const start = Math.max(0, Math.floor(center - support + 1));
+    const end = Math.min(srcSize - 1, Math.ceil(center + support - 1));
+    const weights: number[] = [];
+    for (let j = start; j <= end; j++) {
+      weights.push(Math.max(0, 1 - Math.abs(j - center) / support));
+    }
+    const total = weights.reduce((a, b) => a + b, 0);
+    // Past the edges every tap can be zero; fall back to the nearest pixel
+    if (total === 0) {
+      const nearest = Math.max(0, Math.min(srcSize - 1, Math.round(center)));
+      taps.push({ start: nearest, weights: [1] });
+    } else {
+      taps.push({ start, weights: weights.map((w) => w / total) });
+    }
+  }
+  return taps;
+}
+
+/**
+ * Wraps text into lines that fit `maxChars` characters, breaking on spaces
+ * where possible.
+ */
+export function wrapText(text: string, maxChars: number): string[] {
+  const lines: string[] = [];
+  const limit = Math.max(1, maxChars);
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      let w = word;
+      while (w.length > limit) {
+        if (line) {
+          lines.push(line);
+          line = "";
+        }
+        lines.push(w.slice(0, limit));
+        w = w.slice(limit);
+      }
+      if (!line) line = w;
+      else if (line.length + 1 + w.length <= limit) line += " " + w;
+      else {
+        lines.push(line);
+        line = w;
+      }
+    }
+    if (line) lines.push(line);
+  }
+  return lines;
+}
+
+// --- PNG encoding ---
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf: Buffer): number {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type: string, data: Buffer): Buffer {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/** Encodes 8-bit RGBA pixel data as a PNG (no filtering, zlib level 9). */
+export function encodePNG(width: number, height: number, rgba: Buffer): Buffer {
+  const signature = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // color type RGBA
+  ihdr[10] = 0; // compression
+  ihdr[11] = 0; // filter
+  ihdr[12] = 0; // interlace
+
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter type: none
+    rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    signature,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// --- PNG decoding ---
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+export function isPNG(buffer: Buffer): boolean {
+  return buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+/** Size from the IHDR chunk, without decoding the image */
+export function readPngSize(
+  buffer: Buffer,
+): { width: number; height: number } | null {
+  if (!isPNG(buffer) || buffer.length < 24) return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// Adam7 passes: [x start, y start, x step, y step]
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+
+function paeth(a: number, b: number, c: number): number {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Decodes a PNG (any bit depth and color type, interlaced or not) into an
+ * RGBA raster. 16-bit samples are reduced to 8 bits.
+ */
+export function decodePNG(buffer: Buffer): Raster {
+  if (!isPNG(buffer)) throw new Error("Not a PNG file");
+
+  let width = 0;
+  let height = 0;
+  let bitDepth = 8;
+  let colorType = 6;
+  let interlace = 0;
+  let palette: Buffer | undefined;
+  let transparency: Buffer | undefined;
+  const idat: Buffer[] = [];
+
+  for (let pos = 8; pos + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString("ascii", pos + 4, pos + 8);
+    const data = buffer.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+    if (type === "IHDR") {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      bitDepth = data[8];
+      colorType = data[9];
+      interlace = data[12];
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "tRNS") {
+      transparency = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+  if (!width || !height) throw new Error("PNG has no image header");
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+  const bitsPerPixel = channels * bitDepth;
+  const filterBytes = Math.max(1, bitsPerPixel >> 3);
+  const inflated = zlib.inflateSync(Buffer.concat(idat));
+  const raster = new Raster(width, height);
+  const maxSample = (1 << bitDepth) - 1;
+
+  // Reads sample `index` of a row at the image's bit depth, scaled to 0-255
+  const sample = (row: Buffer, index: number, raw = false) => {
+    if (bitDepth === 8) return row[index];
+    if (bitDepth === 16) return row[index * 2];
+    const bit = index * bitDepth;
+    const value = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    return raw ? value : Math.round((value * 255) / maxSample);
+  };
+  // The tRNS color for gray/RGB images, compared at the full bit depth
+  const fullSample = (row: Buffer, index: number) =>
+    bitDepth === 16 ? row.readUInt16BE(index * 2) : sample(row, index, true);
+
+  const putPixel = (row: Buffer, i: number, x: number, y: number) => {
+    const out = (y * width + x) * 4;
+    let r: number, g: number, b: number;
+    let a = 255;
+    if (colorType === 3) {
+      const index = sample(row, i, true);
+      r = palette?.[index * 3] ?? 0;
+      g = palette?.[index * 3 + 1] ?? 0;
+      b = palette?.[index * 3 + 2] ?? 0;
+      if (transparency && index < transparency.length) a = transparency[index];
+    } else if (colorType === 0 || colorType === 4) {
+      r = g = b = sample(row, i * channels);
+      if (colorType === 4) a = sample(row, i * channels + 1);
+      else if (
+        transparency &&
+        fullSample(row, i) === transparency.readUInt16BE(0)
+      ) {
+        a = 0;
+      }
+    } else {
+      r = sample(row, i * channels);
+      g = sample(row, i * channels + 1);
+      b = sample(row, i * channels + 2);
+      if (colorType === 6) a = sample(row, i * channels + 3);
+      else if (
+        transparency &&
+        fullSample(row, i * 3) === transparency.readUInt16BE(0) &&
+        fullSample(row, i * 3 + 1) === transparency.readUInt16BE(2) &&
+        fullSample(row, i * 3 + 2) === transparency.readUInt16BE(4)
+      ) {
+        a = 0;
+      }
+    }
+    raster.data[out] = r;
+    raster.data[out + 1] = g;
+    raster.data[out + 2] = b;
+    raster.data[out + 3] = a;
+  };
+
+  let offset = 0;
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  for (const [x0, y0, dx, dy] of passes) {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+    let previous = Buffer.alloc(stride);
+    for (let y = 0; y < passHeight; y++) {
+      const filter = inflated[offset];
+      const row = Buffer.from(
+        inflated.subarray(offset + 1, offset + 1 + stride),
+      );
+      offset += stride + 1;
+      for (let i = 0; i < stride; i++) {
+        const left = i >= filterBytes ? row[i - filterBytes] : 0;
+        const up = previous[i];
+        const upLeft = i >= filterBytes ? previous[i - filterBytes] : 0;
+        if (filter === 1) row[i] += left;
+        else if (filter === 2) row[i] += up;
+        else if (filter === 3) row[i] += (left + up) >> 1;
+        else if (filter === 4) row[i] += paeth(left, up, upLeft);
+      }
+      for (let x = 0; x < passWidth; x++) {
+        putPixel(row, x, x0 + x * dx, y0 + y * dy);
+      }
+      previous = row;
+    }
+  }
+  return raster;
+}
+
+// --- 5x7 bitmap font (rows top to bottom, 5 bits per row) ---
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+const FONT: Record<string, number[]> = {
+  " ": [0, 0, 0, 0, 0, 0, 0],
+  A: [0x0e, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  B: [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+  C: [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e],
+  D: [0x1e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x1e],
+  E: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f],
+  F: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+  G: [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f],
+  H: [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  I: [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+  K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+  M: [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11],
+  N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  O: [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  P: [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+  Q: [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d],
+  R: [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+  S: [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e],
+  T: [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+  W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a],
+  X: [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+  Y: [0x11, 0x11, 0x0a, 0x04, 0x04, 0x04, 0x04],
+  Z: [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+  "0": [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e],
+  "1": [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  "2": [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f],
+  "3": [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+  "4": [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02],
+  "5": [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+  "6": [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e],
+  "7": [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  "8": [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e],
+  "9": [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+  ".": [0, 0, 0, 0, 0, 0x0c, 0x0c],
+  ",": [0, 0, 0, 0, 0x0c, 0x04, 0x08],
+  ":": [0, 0x0c, 0x0c, 0, 0x0c, 0x0c, 0],
+  ";": [0, 0x0c, 0x0c, 0, 0x0c, 0x04, 0x08],
+  "-": [0, 0, 0, 0x1f, 0, 0, 0],
+  _: [0, 0, 0, 0, 0, 0, 0x1f],
+  "+": [0, 0x04, 0x04, 0x1f, 0x04, 0x04, 0],
+  "=": [0, 0, 0x1f, 0, 0x1f, 0, 0],
+  "/": [0x01, 0x01, 0x02, 0x04, 0x08, 0x10, 0x10],
+  "\\": [0x10, 0x10, 0x08, 0x04, 0x02, 0x01, 0x01],
+  "(": [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ")": [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+  "[": [0x0e, 0x08, 0x08, 0x08, 0x08, 0x08, 0x0e],
+  "]": [0x0e, 0x02, 0x02, 0x02, 0x02, 0x02, 0x0e],
+  "!": [0x04, 0x04, 0x04, 0x04, 0x04, 0, 0x04],
+  "?": [0x0e, 0x11, 0x01, 0x02, 0x04, 0, 0x04],
+  "'": [0x04, 0x04, 0x08, 0, 0, 0, 0],
+  '"': [0x0a, 0x0a, 0, 0, 0, 0, 0],
+  "#": [0x0a, 0x0a, 0x1f, 0x0a, 0x1f, 0x0a, 0x0a],
+  "%": [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+  "&": [0x0c, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0d],
+  "*": [0, 0x04, 0x15, 0x0e, 0x15, 0x04, 0],
+  "<": [0x02, 0x04, 0x08, 0x10, 0x08, 0x04, 0x02],
+  ">": [0x08, 0x04, 0x02, 0x01, 0x02, 0x04, 0x08],
+  "@": [0x0e, 0x11, 0x17, 0x15, 0x17, 0x10, 0x0e],
+  "{": [0x02, 0x04, 0x04, 0x08, 0x04, 0x04, 0x02],
+  "}": [0x08, 0x04, 0x04, 0x02, 0x04, 0x04, 0x08],
+  "|": [0x04, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  // Starred / favorite markers (contact sheet captions)
+  "★": [0x04, 0x04, 0x1f, 0x0e, 0x0e, 0x1b, 0x11],
+  "♥": [0, 0x0a, 0x1f, 0x1f, 0x0e, 0x04, 0],
+};
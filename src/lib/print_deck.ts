@@ -0,0 +1,462 @@
+import path from "path";
+import fs from "fs/promises";
+import { Card } from "./data_service";
+import { decodePNG, isPNG, readPngSize } from "./png";
+import { isJPEG, readJpegInfo } from "./jpeg";
+import {
+  PdfImage,
+  PdfPage,
+  PdfWriter,
+  POINTS_PER_INCH,
+  POINTS_PER_MM,
+} from "./pdf";
+
+/**
+ * Print-ready PDF export of a deck's starred images: each card at its trim
+ * size plus bleed, with crop marks, one per page or N-up on office paper,
+ * and optional card backs for duplex printing.
+ */
+
+/** Trim sizes in millimetres */
+export const CARD_SIZES: Record<string, { width: number; height: number }> = {
+  poker: { width: 63.5, height: 88.9 }, // 2.5" × 3.5"
+  tarot: { width: 69.85, height: 120.65 }, // 2.75" × 4.75"
+  mini: { width: 44.45, height: 63.5 }, // 1.75" × 2.5"
+};
+
+export const PAPER_SIZES: Record<
+  string,
+  { label: string; width: number; height: number }
+> = {
+  letter: { label: "Letter", width: 215.9, height: 279.4 },
+  a4: { label: "A4", width: 210, height: 297 },
+};
+
+/** `single` puts each card on its own page, sized to fit it */
+export const PRINT_LAYOUTS = ["single", ...Object.keys(PAPER_SIZES)];
+
+export interface PrintOptions {
+  /** A CARD_SIZES key, or "custom" */
+  size: string;
+  /** Trim size in mm */
+  width: number;
+  height: number;
+  dpi: number;
+  /** Bleed on each side, in mm */
+  bleed: number;
+  cropMarks: boolean;
+  layout: string;
+  /** Card whose starred image is printed on the back of every card */
+  backCardId?: string;
+}
+
+// Crop marks start this far outside the bleed and run for MARK_LENGTH
+const MARK_GAP = 1.5;
+const MARK_LENGTH = 5;
+/** Kept clear around the cards on Letter/A4, for the printer and the marks */
+const PAPER_MARGIN = 10;
+
+function numberOption(
+  value: unknown,
+  name: string,
+  fallback: number,
+  min: number,
+  max: number,
+): number {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`${name} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/** Print options from a query string; throws on invalid values */
+export function parsePrintOptions(
+  query: Record<string, unknown>,
+): PrintOptions {
+  const size = typeof query.size === "string" ? query.size : "poker";
+  let width: number;
+  let height: number;
+  if (size === "custom") {
+    width = numberOption(query.width, "Width", NaN, 20, 300);
+    height = numberOption(query.height, "Height", NaN, 20, 300);
+    if (Number.isNaN(width) || Number.isNaN(height)) {
+      throw new Error("A custom size needs a width and height in mm");
+    }
+  } else if (CARD_SIZES[size]) {
+    ({ width, height } = CARD_SIZES[size]);
+  } else {
+    throw new Error(`Unknown card size "${size}"`);
+  }
+
+  const layout = typeof query.layout === "string" ? query.layout : "single";
+  if (!PRINT_LAYOUTS.includes(layout)) {
+    throw new Error(`layout must be one of ${PRINT_LAYOUTS.join(", ")}`);
+  }
+
+  return {
+    size,
+    width,
+    height,
+    dpi: Math.round(numberOption(query.dpi, "DPI", 300, 72, 1200)),
+    bleed: numberOption(query.bleed, "Bleed", 3, 0, 10),
+    cropMarks: query.marks !== "0" && query.marks !== "false",
+    layout,
+    backCardId:
+      typeof query.back === "string" && query.back ? query.back : undefined,
+  };
+}
+
+/** Page size and card positions, in points */
+export interface PrintLayout {
+  pageWidth: number;
+  pageHeight: number;
+  columns: number;
+  rows: number;
+  /** Card size including bleed */
+  slotWidth: number;
+  slotHeight: number;
+  bleed: number;
+  /** Top-left of the first card */
+  originX: number;
+  originY: number;
+}
+
+export function computeLayout(options: PrintOptions): PrintLayout {
+  const bleed = options.bleed * POINTS_PER_MM;
+  const slotWidth = options.width * POINTS_PER_MM + bleed * 2;
+  const slotHeight = options.height * POINTS_PER_MM + bleed * 2;
+
+  if (options.layout === "single") {
+    const margin = options.cropMarks
+      ? (MARK_GAP + MARK_LENGTH + 1) * POINTS_PER_MM
+      : 0;
+    return {
+      pageWidth: slotWidth + margin * 2,
+      pageHeight: slotHeight + margin * 2,
+      columns: 1,
+      rows: 1,
+      slotWidth,
+      slotHeight,
+      bleed,
+      originX: margin,
+      originY: margin,
+    };
+  }
+
+  const paper = PAPER_SIZES[options.layout];
+  const margin = PAPER_MARGIN * POINTS_PER_MM;
+  let best: PrintLayout | null = null;
+  // Portrait first, so it wins a tie
+  for (const [pageWidth, pageHeight] of [
+    [paper.width * POINTS_PER_MM, paper.height * POINTS_PER_MM],
+    [paper.height * POINTS_PER_MM, paper.width * POINTS_PER_MM],
+  ]) {
+    const columns = Math.floor((pageWidth - margin * 2) / slotWidth);
+    const rows = Math.floor((pageHeight - margin * 2) / slotHeight);
+    if (columns < 1 || rows < 1) continue;
+    if (best && columns * rows <= best.columns * best.rows) continue;
+    best = {
+      pageWidth,
+      pageHeight,
+      columns,
+      rows,
+      slotWidth,
+      slotHeight,
+      bleed,
+      originX: (pageWidth - columns * slotWidth) / 2,
+      originY: (pageHeight - rows * slotHeight) / 2,
+    };
+  }
+  if (!best) {
+    throw new Error(
+      `A ${options.width} × ${options.height} mm card with bleed doesn't fit on ${paper.label} paper`,
+    );
+  }
+  return best;
+}
+
+export interface PrintCard {
+  card: Card;
+  file: string;
+  format: "png" | "jpeg";
+  /** Image size in pixels */
+  width: number;
+  height: number;
+}
+
+export interface PrintPlan {
+  options: PrintOptions;
+  layout: PrintLayout;
+  cards: PrintCard[];
+  back?: PrintCard;
+  /** Cards left out, e.g. without a starred image */
+  missing: { cardId: string; name: string; reason: string }[];
+}
+
+async function readPrintCard(
+  card: Card,
+  assetsDir: string,
+): Promise<PrintCard | string> {
+  if (!card.starredImage) return "No starred image";
+  const file = path.join(
+    assetsDir,
+    card.outputSubfolder || "default",
+    card.starredImage,
+  );
+  let buffer: Buffer;
+  try {
+    buffer = await fs.readFile(file);
+  } catch {
+    return "Starred image file is missing";
+  }
+  if (isPNG(buffer)) {
+    const size = readPngSize(buffer);
+    if (size) return { card, file, format: "png", ...size };
+  } else if (isJPEG(buffer)) {
+    const info = readJpegInfo(buffer);
+    if (info) {
+      return {
+        card,
+        file,
+        format: "jpeg",
+        width: info.width,
+        height: info.height,
+      };
+    }
+  }
+  return "Only PNG and JPEG images can be printed";
+}
+
+/**
+ * Works out what will be printed. `cards` should already be in deck order;
+ * the back card, if any, is printed only as the back.
+ */
+export async function planPrintDeck(
+  cards: Card[],
+  assetsDir: string,
+  options: PrintOptions,
+): Promise<PrintPlan> {
+  const layout = computeLayout(options);
+  const plan: PrintPlan = { options, layout, cards: [], missing: [] };
+
+  for (const card of cards) {
+    const result = await readPrintCard(card, assetsDir);
+    if (card.id === options.backCardId) {
+      if (typeof result === "string") {
+        throw new Error(`Card back "${card.name}": ${result}`);
+      }
+      plan.back = result;
+    } else if (typeof result === "string") {
+      plan.missing.push({ cardId: card.id, name: card.name, reason: result });
+    } else {
+      plan.cards.push(result);
+    }
+  }
+  if (options.backCardId && !plan.back) {
+    throw new Error("Card back not found");
+  }
+  return plan;
+}
+
+/** Resolution an image prints at when it covers a card slot */
+function effectiveDpi(image: PrintCard, layout: PrintLayout): number {
+  const scale = Math.max(
+    layout.slotWidth / image.width,
+    layout.slotHeight / image.height,
+  );
+  return POINTS_PER_INCH / scale;
+}
+
+export interface PrintSummary {
+  cards: number;
+  pages: number;
+  perPage: number;
+  columns: number;
+  rows: number;
+  /** Page size in mm */
+  pageWidth: number;
+  pageHeight: number;
+  /** Images that print below the chosen DPI */
+  warnings: { cardId: string; name: string; dpi: number }[];
+  missing: PrintPlan["missing"];
+}
+
+export function summarizePrintPlan(plan: PrintPlan): PrintSummary {
+  const { layout, options } = plan;
+  const perPage = layout.columns * layout.rows;
+  const sheets = Math.ceil(plan.cards.length / perPage);
+  const warnings = [];
+  for (const image of plan.back ? [...plan.cards, plan.back] : plan.cards) {
+    const dpi = Math.floor(effectiveDpi(image, layout));
+    if (dpi < options.dpi) {
+      warnings.push({ cardId: image.card.id, name: image.card.name, dpi });
+    }
+  }
+  return {
+    cards: plan.cards.length,
+    pages: plan.back ? sheets * 2 : sheets,
+    perPage,
+    columns: layout.columns,
+    rows: layout.rows,
+    pageWidth: Math.round((layout.pageWidth / POINTS_PER_MM) * 10) / 10,
+    pageHeight: Math.round((layout.pageHeight / POINTS_PER_MM) * 10) / 10,
+    warnings,
+    missing: plan.missing,
+  };
+}
+
+/**
+ * Embeds an image cropped to the slot's shape. JPEGs go in as they are;
+ * PNGs are cropped and, when sharper than needed, scaled down to the DPI.
+ */
+async function embedImage(
+  writer: PdfWriter,
+  image: PrintCard,
+  plan: PrintPlan,
+): Promise<PdfImage> {
+  const buffer = await fs.readFile(image.file);
+  if (image.format === "jpeg") {
+    const embedded = writer.addJpeg(buffer);
+    if (!embedded) throw new Error(`Could not read ${image.file}`);
+    return embedded;
+  }
+
+  const { slotWidth, slotHeight } = plan.layout;
+  const scale = Math.max(slotWidth / image.width, slotHeight / image.height);
+  const cropWidth = Math.min(image.width, Math.round(slotWidth / scale));
+  const cropHeight = Math.min(image.height, Math.round(slotHeight / scale));
+  let raster = decodePNG(buffer).crop(
+    Math.floor((image.width - cropWidth) / 2),
+    Math.floor((image.height - cropHeight) / 2),
+    cropWidth,
+    cropHeight,
+  );
+  const targetWidth = Math.round(
+    (slotWidth / POINTS_PER_INCH) * plan.options.dpi,
+  );
+  if (cropWidth > targetWidth) {
+    raster = raster.resize(
+      targetWidth,
+      Math.round((slotHeight / POINTS_PER_INCH) * plan.options.dpi),
+    );
+  }
+  return writer.addRaster(raster);
+}
+
+/** Draws an image over a slot, covering it and centered */
+function drawSlot(
+  page: PdfPage,
+  image: PdfImage,
+  layout: PrintLayout,
+  column: number,
+  row: number,
+) {
+  const x = layout.originX + column * layout.slotWidth;
+  const y = layout.originY + row * layout.slotHeight;
+  const scale = Math.max(
+    layout.slotWidth / image.width,
+    layout.slotHeight / image.height,
+  );
+  const w = image.width * scale;
+  const h = image.height * scale;
+  page.clip(x, y, layout.slotWidth, layout.slotHeight, () =>
+    page.image(
+      image,
+      x + (layout.slotWidth - w) / 2,
+      y + (layout.slotHeight - h) / 2,
+      w,
+      h,
+    ),
+  );
+}
+
+/** Marks at each trim line of the used columns and rows, outside the cards */
+function drawCropMarks(
+  page: PdfPage,
+  layout: PrintLayout,
+  columns: number,
+  rows: number,
+) {
+  const gap = MARK_GAP * POINTS_PER_MM;
+  const length = MARK_LENGTH * POINTS_PER_MM;
+  const left = layout.originX;
+  const top = layout.originY;
+  const right = left + columns * layout.slotWidth;
+  const bottom = top + rows * layout.slotHeight;
+
+  for (let column = 0; column < columns; column++) {
+    const slotLeft = left + column * layout.slotWidth;
+    for (const x of [
+      slotLeft + layout.bleed,
+      slotLeft + layout.slotWidth - layout.bleed,
+    ]) {
+      page.line(x, top - gap - length, x, top - gap);
+      page.line(x, bottom + gap, x, bottom + gap + length);
+    }
+  }
+  for (let row = 0; row < rows; row++) {
+    const slotTop = top + row * layout.slotHeight;
+    for (const y of [
+      slotTop + layout.bleed,
+      slotTop + layout.slotHeight - layout.bleed,
+    ]) {
+      page.line(left - gap - length, y, left - gap, y);
+      page.line(right + gap, y, right + gap + length, y);
+    }
+  }
+}
+
+/**
+ * Writes the deck. With a back, each sheet of fronts is followed by a sheet
+ * of backs mirrored so they line up when printed duplex (flip on long
+ * edge): left to right on portrait pages, top to bottom on landscape ones,
+ * since that's the axis the sheet turns over.
+ */
+export async function writePrintDeck(writer: PdfWriter, plan: PrintPlan) {
+  const { layout, options } = plan;
+  const perPage = layout.columns * layout.rows;
+  const back = plan.back ? await embedImage(writer, plan.back, plan) : null;
+  const landscape = layout.pageWidth > layout.pageHeight;
+
+  for (let start = 0; start < plan.cards.length; start += perPage) {
+    const sheet = plan.cards.slice(start, start + perPage);
+    const fronts = new PdfPage(layout.pageWidth, layout.pageHeight);
+    for (let i = 0; i < sheet.length; i++) {
+      const image = await embedImage(writer, sheet[i], plan);
+      drawSlot(
+        fronts,
+        image,
+        layout,
+        i % layout.columns,
+        Math.floor(i / layout.columns),
+      );
+    }
+    if (options.cropMarks) {
+      drawCropMarks(
+        fronts,
+        layout,
+        Math.min(sheet.length, layout.columns),
+        Math.ceil(sheet.length / layout.columns),
+      );
+    }
+    writer.addPage(fronts);
+
+    if (back) {
+      const backs = new PdfPage(layout.pageWidth, layout.pageHeight);
+      for (let i = 0; i < sheet.length; i++) {
+        const column = i % layout.columns;
+        const row = Math.floor(i / layout.columns);
+        drawSlot(
+          backs,
+          back,
+          layout,
+          landscape ? column : layout.columns - 1 - column,
+          landscape ? layout.rows - 1 - row : row,
+        );
+      }
+      writer.addPage(backs);
+    }
+  }
+}
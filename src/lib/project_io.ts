@@ -4,6 +4,12 @@ import archiver from "archiver";
 import StreamZip from "node-stream-zip";
 import { logger } from "./logger";
 
+/**
+ * Project folders left out of exports and skipped on import. The trash only
+ * means something to this install's undo journal.
+ */
+const UNSHARED_FOLDERS = ["trash"];
+
 export interface ImportResult {
   success: boolean;
   message: string;
@@ -49,7 +55,11 @@ export async function exportProject(
     archive.pipe(output);
 
     // Append files from projectPath, putting them at the root of the zip
-    archive.directory(projectPath, false);
+    archive.glob("**", {
+      cwd: projectPath,
+      dot: true,
+      ignore: UNSHARED_FOLDERS.map((folder) => `${folder}/**`),
+    });
 
     archive.finalize();
   });
@@ -136,6 +146,10 @@ export async function importProject(
           continue;
         }
       }
+      // Older exports included the trash
+      if (UNSHARED_FOLDERS.includes(relativePathInProject.split("/")[0])) {
+        continue;
+      }
 
       const targetFilePath = path.join(targetProjectDir, relativePathInProject);
       const targetDir = path.dirname(targetFilePath);
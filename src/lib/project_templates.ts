@@ -0,0 +1,365 @@
+import fs from "fs/promises";
+import path from "path";
+import {
+  Card,
+  CardSet,
+  DataService,
+  Project,
+  PromptModifier,
+  PromptSections,
+  TagDefinition,
+} from "./data_service";
+import {
+  normalizeCardSet,
+  nextCardOrders,
+  normalizePromptModifiers,
+  sortCards,
+} from "./card_sets";
+import { normalizeTags } from "./card_selection";
+import { ATTRIBUTE_NAME_PATTERN } from "./prompt_builder";
+import { JournalOperation } from "./undo_journal";
+import { logger } from "./logger";
+
+/** Marks a JSON file as a project template */
+export const TEMPLATE_FORMAT = "ai-art-cards-template";
+
+/** A card as written in a template; `setId` refers to the template's sets */
+export interface TemplateCard {
+  name: string;
+  prompt: string;
+  setId?: string;
+  cardNumber?: number;
+  aspectRatio?: string;
+  resolution?: string;
+  negativePrompt?: string;
+  promptSections?: PromptSections;
+  attributes?: Record<string, string>;
+  tags?: string[];
+  inactiveModifiers?: string[];
+}
+
+/** Project settings a template starts a project with */
+export interface TemplateProjectDefaults {
+  description?: string;
+  defaultAspectRatio?: string;
+  defaultResolution?: string;
+  imageProvider?: string;
+  negativePrompt?: string;
+  promptModifiers?: PromptModifier[];
+}
+
+/**
+ * A project starter kit: project defaults, sets, tag colors and a card
+ * list. Stored and shared as plain JSON files.
+ */
+export interface ProjectTemplate {
+  format: typeof TEMPLATE_FORMAT;
+  version: number;
+  id: string;
+  name: string;
+  description: string;
+  /** Shipped with the app (see builtin_templates.ts); can't be deleted */
+  builtIn?: boolean;
+  project: TemplateProjectDefaults;
+  sets?: CardSet[];
+  tags?: TagDefinition[];
+  cards: TemplateCard[];
+}
+
+export interface TemplateSummary {
+  id: string;
+  name: string;
+  description: string;
+  builtIn: boolean;
+  cardCount: number;
+  setCount: number;
+}
+
+export function summarizeTemplate(template: ProjectTemplate): TemplateSummary {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    builtIn: Boolean(template.builtIn),
+    cardCount: template.cards.length,
+    setCount: template.sets?.length || 0,
+  };
+}
+
+const DEFAULT_FIELDS = [
+  "description",
+  "defaultAspectRatio",
+  "defaultResolution",
+  "imageProvider",
+  "negativePrompt",
+] as const;
+
+const CARD_TEXT_FIELDS = [
+  "aspectRatio",
+  "resolution",
+  "negativePrompt",
+] as const;
+
+function isObject(value: unknown): value is Record<string, any> {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/** String values of `input` whose keys pass `keep` */
+function stringEntries(
+  input: unknown,
+  keep: (key: string) => boolean = () => true,
+): Record<string, string> | undefined {
+  if (!isObject(input)) return undefined;
+  const entries = Object.entries(input).filter(
+    ([key, value]) => keep(key) && typeof value === "string" && value,
+  );
+  return entries.length ? Object.fromEntries(entries) : undefined;
+}
+
+function normalizeTemplateCard(
+  input: any,
+  index: number,
+  setIds: Set<string>,
+): TemplateCard {
+  if (
+    !isObject(input) ||
+    typeof input.name !== "string" ||
+    !input.name.trim()
+  ) {
+    throw new Error(`Card ${index + 1} has no name`);
+  }
+  const card: TemplateCard = {
+    name: input.name.trim(),
+    prompt: typeof input.prompt === "string" ? input.prompt : "",
+  };
+  for (const key of CARD_TEXT_FIELDS) {
+    if (typeof input[key] === "string" && input[key]) card[key] = input[key];
+  }
+  if (typeof input.setId === "string" && setIds.has(input.setId)) {
+    card.setId = input.setId;
+  }
+  if (Number.isInteger(input.cardNumber) && input.cardNumber >= 0) {
+    card.cardNumber = input.cardNumber;
+  }
+  const sections = stringEntries(input.promptSections);
+  if (sections) card.promptSections = sections;
+  const attributes = stringEntries(input.attributes, (name) =>
+    ATTRIBUTE_NAME_PATTERN.test(name),
+  );
+  if (attributes) card.attributes = attributes;
+  const tags = normalizeTags(input.tags);
+  if (tags.length) card.tags = tags;
+  if (Array.isArray(input.inactiveModifiers)) {
+    const inactive = input.inactiveModifiers.filter(
+      (id: unknown) => typeof id === "string",
+    );
+    if (inactive.length) card.inactiveModifiers = inactive;
+  }
+  return card;
+}
+
+/**
+ * Validates a template (e.g. an imported file), keeping only known fields.
+ * The result has no `id`; stores assign one. Throws with a message meant
+ * for the user if it isn't a usable template.
+ */
+export function normalizeTemplate(input: any): ProjectTemplate {
+  if (!isObject(input) || input.format !== TEMPLATE_FORMAT) {
+    throw new Error("Not an AI Art Cards template file");
+  }
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) throw new Error("Template name is required");
+  if (!Array.isArray(input.cards)) throw new Error("Template has no card list");
+
+  const project: TemplateProjectDefaults = {};
+  const defaults = isObject(input.project) ? input.project : {};
+  for (const key of DEFAULT_FIELDS) {
+    if (typeof defaults[key] === "string" && defaults[key]) {
+      project[key] = defaults[key];
+    }
+  }
+  if (Array.isArray(defaults.promptModifiers)) {
+    project.promptModifiers = normalizePromptModifiers(
+      defaults.promptModifiers,
+    );
+  }
+
+  const sets = (Array.isArray(input.sets) ? input.sets : [])
+    .filter(isObject)
+    .map((set: any) =>
+      normalizeCardSet(
+        set,
+        typeof set.id === "string" && set.id
+          ? { id: set.id, name: "" }
+          : undefined,
+      ),
+    );
+  const setIds = new Set<string>(sets.map((set: CardSet) => set.id));
+
+  const tags: TagDefinition[] = (Array.isArray(input.tags) ? input.tags : [])
+    .filter(
+      (tag: any) =>
+        isObject(tag) &&
+        typeof tag.name === "string" &&
+        tag.name.trim() &&
+        typeof tag.color === "string",
+    )
+    .map((tag: any) => ({ name: tag.name.trim(), color: tag.color }));
+
+  return {
+    format: TEMPLATE_FORMAT,
+    version: 1,
+    id: "",
+    name,
+    description:
+      typeof input.description === "string" ? input.description.trim() : "",
+    project,
+    sets,
+    tags,
+    cards: input.cards.map((card: any, index: number) =>
+      normalizeTemplateCard(card, index, setIds),
+    ),
+  };
+}
+
+/** A template that recreates `project`'s settings, sets and cards */
+export function templateFromProject(
+  project: Project,
+  cards: Card[],
+  name: string,
+  description: string,
+): ProjectTemplate {
+  return normalizeTemplate({
+    format: TEMPLATE_FORMAT,
+    name,
+    description,
+    project,
+    sets: project.sets,
+    tags: project.tags,
+    cards: sortCards(project, cards),
+  });
+}
+
+/**
+ * Adds a template's sets, tag colors and cards to a project, each card
+ * after those already in its set. Project defaults are left alone; the
+ * New Project dialog fills them in from the template. Returns the number
+ * of cards created.
+ */
+export async function applyTemplate(
+  dataService: DataService,
+  projectId: string,
+  template: ProjectTemplate,
+  operation?: JournalOperation,
+): Promise<number> {
+  const updated = await dataService.updateProject(
+    projectId,
+    (project) => {
+      const sets = project.sets || [];
+      for (const set of template.sets || []) {
+        if (!sets.some((s) => s.id === set.id)) sets.push(structuredClone(set));
+      }
+      project.sets = sets;
+
+      const tags = project.tags || [];
+      for (const tag of template.tags || []) {
+        const name = tag.name.toLowerCase();
+        if (!tags.some((t) => t.name.toLowerCase() === name)) tags.push(tag);
+      }
+      project.tags = tags;
+    },
+    { operation },
+  );
+  if (!updated) throw new Error("Project not found");
+
+  const positions = nextCardOrders(await dataService.getCards(projectId));
+
+  for (const templateCard of template.cards) {
+    const key = templateCard.setId || "";
+    const order = positions.get(key) || 0;
+    positions.set(key, order + 1);
+
+    const id = await dataService.generateCardId(projectId);
+    const card: Card = {
+      ...structuredClone(templateCard),
+      id,
+      projectId,
+      // Named after the card ID, as in the editor, so no two cards share one
+      outputSubfolder: id,
+      order,
+    };
+    await dataService.saveCard(card, { operation });
+  }
+  return template.cards.length;
+}
+
+/** User templates, one JSON file each in `data/templates/` */
+export class TemplateStore {
+  private templatesDir: string;
+
+  constructor(dataRoot: string) {
+    this.templatesDir = path.join(dataRoot, "templates");
+  }
+
+  private templateFile(id: string) {
+    // IDs come from URLs; keep them inside the templates folder
+    if (!/^[\w-]+$/.test(id)) throw new Error("Invalid template ID");
+    return path.join(this.templatesDir, `${id}.json`);
+  }
+
+  async list(): Promise<ProjectTemplate[]> {
+    let files: string[];
+    try {
+      files = await fs.readdir(this.templatesDir);
+    } catch {
+      return [];
+    }
+
+    const templates: ProjectTemplate[] = [];
+    for (const file of files.filter((f) => f.endsWith(".json"))) {
+      try {
+        const data = JSON.parse(
+          await fs.readFile(path.join(this.templatesDir, file), "utf-8"),
+        );
+        templates.push({
+          ...normalizeTemplate(data),
+          id: path.parse(file).name,
+        });
+      } catch (e) {
+        logger.warn(`[Templates] Skipping unreadable template ${file}:`, e);
+      }
+    }
+    return templates.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(id: string): Promise<ProjectTemplate | null> {
+    try {
+      const data = JSON.parse(
+        await fs.readFile(this.templateFile(id), "utf-8"),
+      );
+      return { ...normalizeTemplate(data), id };
+    } catch {
+      return null;
+    }
+  }
+
+  /** Saves `template` under a new ID and returns the stored copy */
+  async create(template: ProjectTemplate): Promise<ProjectTemplate> {
+    const id = `tpl_${Date.now().toString(36)}${Math.random()
+      .toString(36)
+      .substr(2, 5)}`;
+    const stored = { ...template, id, builtIn: undefined };
+    await fs.mkdir(this.templatesDir, { recursive: true });
+    await fs.writeFile(this.templateFile(id), JSON.stringify(stored, null, 2));
+    return stored;
+  }
+
+  async delete(id: string): Promise<boolean> {
+    try {
+      await fs.rm(this.templateFile(id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
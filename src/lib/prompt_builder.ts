@@ -0,0 +1,178 @@
+import { Card, Project, PromptModifier, PromptSections } from "./data_service";
+import { findCardSet } from "./card_sets";
+
+/** Structured sections in the order they're composed into the prompt. */
+export const PROMPT_SECTIONS: { key: keyof PromptSections; label: string }[] = [
+  { key: "subject", label: "Subject" },
+  { key: "setting", label: "Setting" },
+  { key: "lighting", label: "Lighting" },
+  { key: "composition", label: "Composition" },
+  { key: "style", label: "Style" },
+];
+
+export interface BuiltPrompt {
+  prompt: string;
+  /** The resolved card body (or override) the prompt was built around */
+  body: string;
+  /** Project + card negative prompt, empty when neither is set */
+  negativePrompt: string;
+  /** Template variables used but not defined for this card */
+  undefinedVariables: string[];
+}
+
+/** Matches `{{name}}` / `{{ card.name }}` placeholders */
+const TEMPLATE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/** Attribute names usable as template variables */
+export const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * Values available to prompt templates for a card. Attributes are exposed
+ * both bare (`{{suit}}`) and namespaced (`{{card.suit}}`); the built-in
+ * `card.name`, `card.id`, `project.name` and (for cards in a set)
+ * `set.name` always win over attributes. `card.number` is the card's
+ * number unless it has a `number` attribute.
+ */
+export function templateVariables(
+  project: Project,
+  card: Card,
+): Record<string, string> {
+  const variables: Record<string, string> = {};
+  for (const [key, value] of Object.entries(card.attributes || {})) {
+    variables[key] = value;
+    variables[`card.${key}`] = value;
+  }
+  variables["card.name"] = card.name;
+  variables["card.id"] = card.id;
+  if (card.cardNumber !== undefined && !("card.number" in variables)) {
+    variables["card.number"] = String(card.cardNumber);
+  }
+  variables["project.name"] = project.name;
+  const set = findCardSet(project, card);
+  if (set) variables["set.name"] = set.name;
+  return variables;
+}
+
+/**
+ * Substitutes `{{variable}}` placeholders. Unknown variables are left in
+ * place and reported so callers can refuse to generate with them.
+ */
+export function resolveTemplate(
+  text: string,
+  variables: Record<string, string>,
+): { text: string; undefinedVariables: string[] } {
+  const missing = new Set<string>();
+  const resolved = text.replace(TEMPLATE_PATTERN, (match, name: string) => {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) {
+      return variables[name];
+    }
+    missing.add(name);
+    return match;
+  });
+  return { text: resolved, undefinedVariables: [...missing] };
+}
+
+/** Error text for prompts that use undefined variables */
+export function undefinedVariablesMessage(names: string[]): string {
+  return `Undefined prompt variables: ${names
+    .map((name) => `{{${name}}}`)
+    .join(", ")}`;
+}
+
+/**
+ * The card's own contribution to the prompt: the free-form prompt followed
+ * by any filled-in structured sections as "Label: text" lines.
+ */
+export function composeCardBody(card: Card): string {
+  const parts: string[] = [];
+  if (card.prompt?.trim()) parts.push(card.prompt.trim());
+
+  const sections = PROMPT_SECTIONS.filter(({ key }) =>
+    card.promptSections?.[key]?.trim(),
+  ).map(({ key, label }) => `${label}: ${card.promptSections![key]!.trim()}`);
+  if (sections.length > 0) parts.push(sections.join("\n"));
+
+  return parts.join("\n\n");
+}
+
+/** Joins project and card negative prompts, skipping empty ones. */
+export function composeNegativePrompt(project: Project, card: Card): string {
+  return [project.negativePrompt, card.negativePrompt]
+    .map((text) => text?.trim())
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * How a prompt override is applied:
+ * - "body": replaces the card's prompt and sections; active project
+ *   modifiers are still added around it
+ * - "full": sent as the whole prompt, with no modifiers
+ */
+export type PromptOverrideMode = "body" | "full";
+
+export const PROMPT_OVERRIDE_MODES: PromptOverrideMode[] = ["body", "full"];
+
+export interface PromptOptions {
+  override?: string;
+  overrideMode?: PromptOverrideMode;
+}
+
+/**
+ * Assembles the final prompt: active project and set prefixes, the card
+ * body (or a body override), then active set and project suffixes,
+ * separated by blank lines.
+ * Template variables are resolved in every part, including overrides and
+ * the negative prompt.
+ */
+export function buildPrompt(
+  project: Project,
+  card: Card,
+  options: PromptOptions = {},
+): BuiltPrompt {
+  const variables = templateVariables(project, card);
+  const missing = new Set<string>();
+  const resolve = (text: string) => {
+    const result = resolveTemplate(text, variables);
+    result.undefinedVariables.forEach((name) => missing.add(name));
+    return result.text;
+  };
+
+  const negativePrompt = resolve(composeNegativePrompt(project, card));
+  const hasOverride = options.override !== undefined;
+  const body = resolve(hasOverride ? options.override! : composeCardBody(card));
+
+  if (hasOverride && options.overrideMode === "full") {
+    return {
+      prompt: body,
+      body,
+      negativePrompt,
+      undefinedVariables: [...missing],
+    };
+  }
+
+  const parts: string[] = [];
+  const modifiers = project.promptModifiers || [];
+  const setModifiers = findCardSet(project, card)?.promptModifiers || [];
+  const disabled = new Set(card.inactiveModifiers || []);
+  const active = (list: PromptModifier[], type: PromptModifier["type"]) =>
+    list
+      .filter((m) => m.type === type && !disabled.has(m.id))
+      .map((m) => resolve(m.text));
+
+  // 1. Active Project Prefixes, then the card set's
+  parts.push(...active(modifiers, "prefix"), ...active(setModifiers, "prefix"));
+
+  // 2. Card Prompt + Structured Sections (or the override)
+  if (body) parts.push(body);
+
+  // 3. Active Set Suffixes, then the project's
+  parts.push(...active(setModifiers, "suffix"), ...active(modifiers, "suffix"));
+
+  return {
+    prompt: parts.join("\n\n"),
+    body,
+    negativePrompt,
+    undefinedVariables: [...missing],
+  };
+}
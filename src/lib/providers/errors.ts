@@ -0,0 +1,75 @@
+/**
+ * Why an image request failed. Drives whether it is retried and how the
+ * failure is reported in the job summary.
+ */
+export type GenerationErrorKind =
+  | "safety" // Prompt or output blocked by content filters
+  | "quota" // Rate limited / quota exhausted (HTTP 429)
+  | "network" // Connection problems or 5xx from the provider
+  | "no_image" // Request finished without returning an image
+  | "auth" // Missing or rejected API key
+  | "cancelled"
+  | "unknown";
+
+/** Kinds worth trying again after a pause */
+export const RETRYABLE_KINDS: GenerationErrorKind[] = [
+  "quota",
+  "network",
+  "no_image",
+];
+
+export class ImageGenerationError extends Error {
+  /** Attempts made before giving up (1 when not retried) */
+  attempts = 1;
+
+  constructor(
+    public kind: GenerationErrorKind,
+    message: string,
+  ) {
+    super(message);
+  }
+
+  get retryable(): boolean {
+    return RETRYABLE_KINDS.includes(this.kind);
+  }
+}
+
+const NETWORK_PATTERN =
+  /fetch failed|network|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|timed? ?out/i;
+
+/**
+ * Normalizes anything a provider might throw (SDK fetch errors, Node
+ * network errors, plain Errors) into an ImageGenerationError.
+ */
+export function classifyGenerationError(error: any): ImageGenerationError {
+  if (error instanceof ImageGenerationError) return error;
+
+  const message: string = error?.message || String(error);
+  const status: number | undefined = error?.status;
+  const code: string = error?.cause?.code || error?.code || "";
+
+  let kind: GenerationErrorKind = "unknown";
+  if (error?.name === "AbortError" || /aborted|cancelled/i.test(message)) {
+    kind = "cancelled";
+  } else if (
+    status === 429 ||
+    /RESOURCE_EXHAUSTED|quota|rate limit/i.test(message)
+  ) {
+    kind = "quota";
+  } else if (
+    status === 401 ||
+    status === 403 ||
+    /API key (not valid|not set)|PERMISSION_DENIED/i.test(message)
+  ) {
+    kind = "auth";
+  } else if (/^Safety:|SAFETY|blocked/i.test(message)) {
+    kind = "safety";
+  } else if (
+    (status !== undefined && status >= 500) ||
+    NETWORK_PATTERN.test(message) ||
+    NETWORK_PATTERN.test(code)
+  ) {
+    kind = "network";
+  }
+  return new ImageGenerationError(kind, message);
+}
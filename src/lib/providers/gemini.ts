@@ -0,0 +1,174 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { logger } from "../logger";
+import { ImageGenerationError } from "./errors";
+import {
+  GeneratedImage,
+  ImageProvider,
+  ImageProviderDefinition,
+  ImageRequestOptions,
+} from "./types";
+
+const MODEL_NAME = "gemini-3-pro-image-preview";
+
+// Finish reasons that mean the output was filtered rather than failed
+const SAFETY_FINISH_REASONS = [
+  "SAFETY",
+  "PROHIBITED_CONTENT",
+  "IMAGE_SAFETY",
+  "BLOCKLIST",
+  "SPII",
+];
+
+// Gemini has no negative prompt parameter, so spell it out in the text
+function withNegativePrompt(prompt: string, negativePrompt?: string): string {
+  if (!negativePrompt?.trim()) return prompt;
+  return `${prompt}\n\nAvoid: ${negativePrompt.trim()}`;
+}
+
+export class GeminiImageProvider implements ImageProvider {
+  readonly id = "gemini";
+  private genAI: GoogleGenerativeAI;
+
+  constructor(apiKey: string) {
+    this.genAI = new GoogleGenerativeAI(apiKey);
+  }
+
+  async generateImage(
+    prompt: string,
+    options: ImageRequestOptions = {},
+  ): Promise<GeneratedImage> {
+    const modelName = MODEL_NAME;
+    const aspectRatio = options.aspectRatio || "auto";
+    const imageSize = options.resolution || "1K"; // Default 1K
+
+    const model = this.genAI.getGenerativeModel({
+      model: modelName,
+      // @ts-ignore
+      tools: [{ googleSearch: {} }],
+      generationConfig: {
+        responseModalities: ["IMAGE", "TEXT"],
+        imageConfig: {
+          aspectRatio: aspectRatio,
+          imageSize: imageSize,
+        },
+      } as any,
+    });
+
+    const contents = [
+      {
+        role: "user",
+        parts: [
+          ...(options.referenceImages || []).map((img) => ({
+            inlineData: {
+              mimeType: img.mimeType,
+              data: img.buffer.toString("base64"),
+            },
+          })),
+          { text: withNegativePrompt(prompt, options.negativePrompt) },
+        ],
+      },
+    ];
+
+    logger.info(`[Gemini] Starting generation with model: ${modelName}`);
+    logger.info(`[Gemini] Config: AR=${aspectRatio}, Res=${imageSize}`);
+    if (options.referenceImages?.length) {
+      logger.info(
+        `[Gemini] Including ${options.referenceImages.length} reference images.`,
+      );
+      options.referenceImages.forEach((img, i) => {
+        logger.info(
+          `[Gemini] Ref Image ${i + 1}: ${
+            img.buffer.length
+          } bytes (type: ${img.mimeType})`,
+        );
+      });
+    }
+
+    // Deep debug of contents structure
+    logger.info(`[Gemini] Payload Parts Count: ${contents[0].parts.length}`);
+    contents[0].parts.forEach((p: any, i) => {
+      if (p.text)
+        logger.info(
+          `[Gemini] Part ${i}: TEXT ("${p.text.substring(0, 50)}...")`,
+        );
+      if (p.inlineData)
+        logger.info(
+          `[Gemini] Part ${i}: INLINE_DATA (mime: ${p.inlineData.mimeType}, data_len: ${p.inlineData.data.length})`,
+        );
+    });
+
+    try {
+      const result = await model.generateContentStream(
+        { contents },
+        { signal: options.signal },
+      );
+      let chunkCount = 0;
+      for await (const chunk of result.stream) {
+        chunkCount++;
+        if (options.signal?.aborted) {
+          throw new ImageGenerationError("cancelled", "Generation cancelled");
+        }
+        // Check Prompt Feedback (safety block on input)
+        if (chunk.promptFeedback?.blockReason) {
+          logger.error(
+            `[Gemini] Prompt blocked: ${chunk.promptFeedback.blockReason}`,
+          );
+          throw new ImageGenerationError(
+            "safety",
+            `Safety: ${chunk.promptFeedback.blockReason} (Prompt Blocked)`,
+          );
+        }
+
+        if (!chunk.candidates?.[0]) continue;
+        const candidate = chunk.candidates[0];
+
+        if (SAFETY_FINISH_REASONS.includes(candidate.finishReason as string)) {
+          logger.error(`[Gemini] Generation blocked by safety filters.`);
+          throw new ImageGenerationError(
+            "safety",
+            "Safety: Image generation blocked by filters.",
+          );
+        }
+
+        if (candidate.finishReason && candidate.finishReason !== "STOP") {
+          // Other reasons: RECITATION, OTHER
+          logger.warn(`[Gemini] Generation stopped: ${candidate.finishReason}`);
+          throw new ImageGenerationError(
+            "no_image",
+            `Generation stopped: ${candidate.finishReason}`,
+          );
+        }
+
+        if (!candidate.content?.parts) continue;
+        const parts = candidate.content.parts;
+        for (const part of parts) {
+          if (part.inlineData) {
+            const mimeType = part.inlineData.mimeType || "image/png";
+            const buffer = Buffer.from(part.inlineData.data || "", "base64");
+            logger.info(
+              `[Gemini] Image received (mime: ${mimeType}, size: ${buffer.length} bytes)`,
+            );
+            return { buffer, mimeType, modelName };
+          }
+        }
+      }
+      logger.error(`[Gemini] No images received after ${chunkCount} chunks.`);
+      throw new ImageGenerationError(
+        "no_image",
+        "No images received from API (Unknown Reason).",
+      );
+    } catch (error) {
+      logger.error("Gemini Generation Error:", (error as Error).message);
+      throw error;
+    }
+  }
+}
+
+export const geminiProvider: ImageProviderDefinition = {
+  id: "gemini",
+  name: "Gemini 3 Pro Image",
+  description: `Google Gemini image generation (${MODEL_NAME}). Requires an API key.`,
+  requiresApiKey: true,
+  model: MODEL_NAME,
+  create: (apiKey) => new GeminiImageProvider(apiKey),
+};
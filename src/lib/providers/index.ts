@@ -0,0 +1,44 @@
+import { Card, Project } from "../data_service";
+import { geminiProvider } from "./gemini";
+import { placeholderProvider } from "./placeholder";
+import { ImageProviderDefinition } from "./types";
+
+export * from "./types";
+export * from "./errors";
+
+export const DEFAULT_PROVIDER_ID = "gemini";
+
+const registry = new Map<string, ImageProviderDefinition>();
+
+export function registerImageProvider(definition: ImageProviderDefinition) {
+  registry.set(definition.id, definition);
+}
+
+export function getImageProvider(
+  id: string,
+): ImageProviderDefinition | undefined {
+  return registry.get(id);
+}
+
+export function listImageProviders(): ImageProviderDefinition[] {
+  return Array.from(registry.values());
+}
+
+/**
+ * Picks the provider for a card: card override, then project default,
+ * then the global default. Unknown ids fall through to the next level.
+ */
+export function resolveImageProvider(
+  project: Pick<Project, "imageProvider">,
+  card?: Pick<Card, "imageProvider">,
+): ImageProviderDefinition {
+  const candidates = [card?.imageProvider, project.imageProvider];
+  for (const id of candidates) {
+    if (id && registry.has(id)) return registry.get(id)!;
+  }
+  return registry.get(DEFAULT_PROVIDER_ID)!;
+}
+
+// Built-in providers
+registerImageProvider(geminiProvider);
+registerImageProvider(placeholderProvider);
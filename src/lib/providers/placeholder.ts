@@ -0,0 +1,156 @@
+import crypto from "crypto";
+import { logger } from "../logger";
+import { Raster, RGBA, wrapText } from "../png";
+import {
+  GeneratedImage,
+  ImageProvider,
+  ImageProviderDefinition,
+  ImageRequestOptions,
+} from "./types";
+import { ImageGenerationError } from "./errors";
+
+const MODEL_NAME = "local-placeholder";
+
+// Long edge in pixels per resolution. Kept small on purpose: these are for
+// layout work and testing, not final art.
+const LONG_EDGE: Record<string, number> = {
+  "1K": 512,
+  "2K": 1024,
+  "4K": 2048,
+};
+
+/** Parses "W:H" into numbers, falling back to 2:3 for "auto" or junk. */
+function parseAspectRatio(aspectRatio?: string): [number, number] {
+  const match = (aspectRatio || "").match(/^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/);
+  if (!match) return [2, 3];
+  const w = parseFloat(match[1]);
+  const h = parseFloat(match[2]);
+  return w > 0 && h > 0 ? [w, h] : [2, 3];
+}
+
+export function placeholderDimensions(
+  aspectRatio?: string,
+  resolution?: string,
+): { width: number; height: number } {
+  const [w, h] = parseAspectRatio(aspectRatio);
+  const longEdge = LONG_EDGE[resolution || "1K"] || LONG_EDGE["1K"];
+  if (w >= h) {
+    return { width: longEdge, height: Math.round((longEdge * h) / w) };
+  }
+  return { width: Math.round((longEdge * w) / h), height: longEdge };
+}
+
+/**
+ * Renders a labelled card-shaped PNG without any network access.
+ * Output depends only on the inputs, so the same request always produces the
+ * same bytes.
+ */
+export class PlaceholderImageProvider implements ImageProvider {
+  readonly id = "placeholder";
+
+  async generateImage(
+    prompt: string,
+    options: ImageRequestOptions = {},
+  ): Promise<GeneratedImage> {
+    if (options.signal?.aborted) {
+      throw new ImageGenerationError("cancelled", "Generation cancelled");
+    }
+    const { width, height } = placeholderDimensions(
+      options.aspectRatio,
+      options.resolution,
+    );
+    const refCount = options.referenceImages?.length || 0;
+    const digest = crypto
+      .createHash("sha1")
+      .update(
+        JSON.stringify([
+          prompt,
+          options.aspectRatio,
+          options.resolution,
+          options.label,
+          refCount,
+        ]),
+      )
+      .digest();
+
+    // Derive a muted background and a lighter accent from the digest
+    const bg: RGBA = [
+      40 + (digest[0] % 80),
+      40 + (digest[1] % 80),
+      40 + (digest[2] % 80),
+      255,
+    ];
+    const accent: RGBA = [
+      Math.min(255, bg[0] + 120),
+      Math.min(255, bg[1] + 120),
+      Math.min(255, bg[2] + 120),
+      255,
+    ];
+    const text: RGBA = [245, 245, 245, 255];
+    const muted: RGBA = [255, 255, 255, 170];
+
+    const raster = new Raster(width, height, bg);
+    const unit = Math.max(1, Math.floor(Math.min(width, height) / 128));
+    const margin = unit * 6;
+    raster.strokeRect(
+      margin,
+      margin,
+      width - margin * 2,
+      height - margin * 2,
+      unit * 2,
+      accent,
+    );
+
+    const inner = width - margin * 4;
+    let y = margin * 2;
+
+    // Title
+    const title = options.label || "Placeholder";
+    const titleScale = unit * 3;
+    for (const line of wrapText(title, Math.floor(inner / (6 * titleScale)))) {
+      raster.drawText(line, margin * 2, y, titleScale, text);
+      y += 9 * titleScale;
+    }
+
+    // Config line
+    y += unit * 4;
+    const config = `${options.aspectRatio || "auto"} ${options.resolution || "1K"}${
+      refCount ? ` +${refCount} REF` : ""
+    }`;
+    raster.drawText(config, margin * 2, y, unit * 2, accent);
+    y += 9 * unit * 2 + unit * 4;
+
+    // Prompt excerpt, as much as fits above the footer
+    const bodyScale = unit;
+    const footerTop = height - margin * 2 - 9 * unit * 2;
+    for (const line of wrapText(prompt, Math.floor(inner / (6 * bodyScale)))) {
+      if (y + 9 * bodyScale > footerTop) break;
+      raster.drawText(line, margin * 2, y, bodyScale, muted);
+      y += 9 * bodyScale;
+    }
+
+    // Footer with a short content hash so variants are easy to tell apart
+    raster.drawText(
+      digest.toString("hex").slice(0, 8),
+      margin * 2,
+      footerTop + unit * 4,
+      unit * 2,
+      accent,
+    );
+
+    const buffer = raster.toPNG();
+    logger.info(
+      `[Placeholder] Rendered ${width}x${height} image (${buffer.length} bytes)`,
+    );
+    return { buffer, mimeType: "image/png", modelName: MODEL_NAME };
+  }
+}
+
+export const placeholderProvider: ImageProviderDefinition = {
+  id: "placeholder",
+  name: "Local Placeholder",
+  description:
+    "Offline, deterministic labelled placeholders for layout work and testing. No API key needed.",
+  requiresApiKey: false,
+  create: () => new PlaceholderImageProvider(),
+};
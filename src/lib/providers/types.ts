@@ -0,0 +1,43 @@
+export interface ReferenceImage {
+  buffer: Buffer;
+  mimeType: string;
+}
+
+export interface ImageRequestOptions {
+  aspectRatio?: string;
+  resolution?: string;
+  referenceImages?: ReferenceImage[];
+  /** Content to keep out of the image */
+  negativePrompt?: string;
+  /** Human readable label (usually the card name). Only used by providers that render it. */
+  label?: string;
+  /** Aborts the request (e.g. when the job is cancelled) */
+  signal?: AbortSignal;
+}
+
+export interface GeneratedImage {
+  buffer: Buffer;
+  mimeType: string;
+  modelName: string;
+}
+
+/** A configured, ready-to-use image backend. */
+export interface ImageProvider {
+  readonly id: string;
+  generateImage(
+    prompt: string,
+    options: ImageRequestOptions,
+  ): Promise<GeneratedImage>;
+}
+
+/** Registry entry describing a provider and how to instantiate it. */
+export interface ImageProviderDefinition {
+  id: string;
+  name: string;
+  description: string;
+  /** When true, generation is refused unless an API key is configured. */
+  requiresApiKey: boolean;
+  /** Model images are billed as, for estimating spend before generating */
+  model?: string;
+  create(apiKey: string): ImageProvider;
+}
@@ -0,0 +1,370 @@
+import path from "path";
+import { DataService } from "./data_service";
+import { listConversations } from "./chat_service";
+import { readImageMetadata, imagePrompt } from "./image_metadata";
+import { logger } from "./logger";
+
+export type SearchResultType = "card" | "image" | "conversation" | "modifier";
+
+/** A stretch of text around the best match; highlights are [start, end) */
+export interface SearchSnippet {
+  field: string;
+  text: string;
+  highlights: [number, number][];
+}
+
+export interface SearchResult {
+  type: SearchResultType;
+  /** Card, modifier or conversation id; the image path for images */
+  id: string;
+  title: string;
+  score: number;
+  snippet: SearchSnippet;
+  /** The card an image belongs to */
+  cardId?: string;
+}
+
+export interface SearchGroup {
+  type: SearchResultType;
+  /** Matches before `limit` was applied */
+  total: number;
+  results: SearchResult[];
+}
+
+interface SearchField {
+  name: string;
+  text: string;
+  weight: number;
+}
+
+interface SearchDocument {
+  type: SearchResultType;
+  id: string;
+  title: string;
+  cardId?: string;
+  fields: SearchField[];
+  /** Breaks ties between equal scores, newest first */
+  time?: number;
+}
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 50;
+// Images whose metadata is read at once; the rest wait for exiftool
+const METADATA_BATCH = 8;
+const USER_MESSAGE_MARKER = "[User Message]\n";
+
+/**
+ * Splits a query into lowercase terms. Quoted text stays one term, so
+ * `"red cape"` only matches those words next to each other.
+ */
+export function parseSearchTerms(query: string): string[] {
+  const terms = new Set<string>();
+  for (const match of query.matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const term = (match[1] ?? match[2]).trim().toLowerCase();
+    if (term) terms.add(term);
+  }
+  return [...terms];
+}
+
+function countOccurrences(text: string, term: string): number {
+  let count = 0;
+  for (let i = text.indexOf(term); i !== -1; i = text.indexOf(term, i + 1)) {
+    count++;
+  }
+  return count;
+}
+
+function isWordStart(text: string, index: number): boolean {
+  return index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+}
+
+/**
+ * Scores a document against the terms; every term must appear in some
+ * field. Repeated hits count for less than hits in heavier fields, and
+ * matches at the start of a word or of the whole phrase score extra.
+ */
+function scoreDocument(
+  doc: SearchDocument,
+  terms: string[],
+  phrase: string,
+): { score: number; field: SearchField } | null {
+  const lowered = doc.fields.map((f) => f.text.toLowerCase());
+  const fieldScores = doc.fields.map(() => 0);
+  let score = 0;
+
+  for (const term of terms) {
+    let best = 0;
+    lowered.forEach((text, i) => {
+      const count = countOccurrences(text, term);
+      if (count === 0) return;
+      const wordStart = isWordStart(text, text.indexOf(term)) ? 1.5 : 1;
+      const value = doc.fields[i].weight * wordStart * (1 + Math.log(count));
+      fieldScores[i] += value;
+      best = Math.max(best, value);
+    });
+    if (best === 0) return null;
+    score += best;
+  }
+
+  if (terms.length > 1) {
+    lowered.forEach((text, i) => {
+      if (text.includes(phrase)) {
+        const bonus = doc.fields[i].weight * 2;
+        fieldScores[i] += bonus;
+        score += bonus;
+      }
+    });
+  }
+
+  const title = doc.title.toLowerCase();
+  if (title === phrase) score += 5;
+  else if (title.startsWith(phrase)) score += 3;
+
+  const bestField = fieldScores.indexOf(Math.max(...fieldScores));
+  return { score, field: doc.fields[bestField] };
+}
+
+/** Cuts a window of `text` around the first match and marks every term. */
+export function buildSnippet(
+  field: string,
+  text: string,
+  terms: string[],
+  phrase: string,
+): SearchSnippet {
+  const lowered = text.toLowerCase();
+  let first = lowered.indexOf(phrase);
+  if (first === -1) {
+    const positions = terms
+      .map((t) => lowered.indexOf(t))
+      .filter((i) => i !== -1);
+    first = positions.length > 0 ? Math.min(...positions) : 0;
+  }
+
+  let start = Math.max(0, first - SNIPPET_LEAD);
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    if (space > first) end = space;
+  }
+
+  const prefix = start > 0 ? "…" : "";
+  const body = text.slice(start, end);
+  const snippetText = prefix + body + (end < text.length ? "…" : "");
+
+  const ranges: [number, number][] = [];
+  const loweredBody = body.toLowerCase();
+  for (const term of terms) {
+    for (
+      let i = loweredBody.indexOf(term);
+      i !== -1;
+      i = loweredBody.indexOf(term, i + term.length)
+    ) {
+      ranges.push([i + prefix.length, i + prefix.length + term.length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const highlights: [number, number][] = [];
+  for (const range of ranges) {
+    const last = highlights[highlights.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else highlights.push(range);
+  }
+
+  return { field, text: snippetText, highlights };
+}
+
+function field(name: string, text: string | undefined, weight: number) {
+  return { name, text: (text || "").replace(/\s+/g, " ").trim(), weight };
+}
+
+async function cardDocuments(
+  dataService: DataService,
+  projectId: string,
+): Promise<SearchDocument[]> {
+  const cards = await dataService.getCards(projectId);
+  return cards.map((card) => ({
+    type: "card" as const,
+    id: card.id,
+    title: card.name,
+    fields: [
+      field("name", card.name, 5),
+      field("tags", (card.tags || []).join(" "), 3),
+      field("prompt", card.prompt, 2),
+      ...Object.entries(card.promptSections || {}).map(([section, text]) =>
+        field(section, text, 2),
+      ),
+      field("negative prompt", card.negativePrompt, 1),
+    ].filter((f) => f.text),
+  }));
+}
+
+async function modifierDocuments(
+  dataService: DataService,
+  projectId: string,
+): Promise<SearchDocument[]> {
+  const project = await dataService.getProject(projectId);
+  return (project?.promptModifiers || []).map((mod) => ({
+    type: "modifier" as const,
+    id: mod.id,
+    title: mod.name,
+    fields: [field("name", mod.name, 4), field("text", mod.text, 2)],
+  }));
+}
+
+// The prompts saved into each image's XMP, read in small batches because
+// every uncached read goes through exiftool
+async function imageDocuments(
+  dataService: DataService,
+  dataRoot: string,
+  projectId: string,
+): Promise<SearchDocument[]> {
+  const images: {
+    cardId: string;
+    cardName: string;
+    path: string;
+    time: number;
+  }[] = [];
+  for (const card of await dataService.getCards(projectId)) {
+    const { images: files } = await dataService.listCardImages(
+      projectId,
+      card.id,
+    );
+    for (const image of files) {
+      images.push({
+        cardId: card.id,
+        cardName: card.name,
+        path: image.path,
+        time: image.time.getTime(),
+      });
+    }
+  }
+
+  const docs: SearchDocument[] = [];
+  let failed = 0;
+  for (let i = 0; i < images.length; i += METADATA_BATCH) {
+    const batch = images.slice(i, i + METADATA_BATCH);
+    const metadata = await Promise.all(
+      batch.map((image) =>
+        readImageMetadata(
+          dataService,
+          path.join(dataRoot, image.path.substring("data/".length)),
+        ).catch(() => {
+          failed++;
+          return null;
+        }),
+      ),
+    );
+    batch.forEach((image, j) => {
+      const prompt = metadata[j] && imagePrompt(metadata[j]!.tags);
+      if (!prompt) return;
+      docs.push({
+        type: "image",
+        id: image.path,
+        title: `${image.cardName} · ${path.basename(image.path)}`,
+        cardId: image.cardId,
+        fields: [field("prompt", prompt, 1)],
+        time: image.time,
+      });
+    });
+  }
+  if (failed > 0) {
+    logger.warn(`[Search] Could not read metadata of ${failed} image(s)`);
+  }
+  return docs;
+}
+
+// Conversations are stored globally; older ones don't record a project,
+// so they're searched from every project
+async function conversationDocuments(
+  dataRoot: string,
+  projectId: string,
+): Promise<SearchDocument[]> {
+  const conversations = await listConversations(dataRoot);
+  return conversations
+    .filter((c) => !c.projectId || c.projectId === projectId)
+    .map((conversation) => {
+      const messages: SearchField[] = [];
+      for (const message of conversation.history || []) {
+        if (message.role === "function") continue;
+        for (const part of message.parts) {
+          if (!part.text || (part as any).thought) continue;
+          // User turns are saved with the context the assistant was sent
+          let text = part.text;
+          const marker = text.indexOf(USER_MESSAGE_MARKER);
+          if (marker !== -1)
+            text = text.slice(marker + USER_MESSAGE_MARKER.length);
+          messages.push(
+            field(message.role === "user" ? "you" : "assistant", text, 1),
+          );
+        }
+      }
+      return {
+        type: "conversation" as const,
+        id: conversation.id,
+        title: conversation.title,
+        fields: [field("title", conversation.title, 4), ...messages],
+        time: conversation.lastUpdated,
+      };
+    });
+}
+
+/**
+ * Searches a project's card names and prompts, its prompt modifiers, the
+ * prompts stored in its images and the chat conversations. Results are
+ * ranked within each type, and the groups are ordered by their best match.
+ */
+export async function searchProject(
+  dataService: DataService,
+  dataRoot: string,
+  projectId: string,
+  query: string,
+  limit: number,
+): Promise<SearchGroup[]> {
+  const terms = parseSearchTerms(query);
+  if (terms.length === 0) return [];
+  const phrase = terms.join(" ");
+
+  const sources = await Promise.all([
+    cardDocuments(dataService, projectId),
+    imageDocuments(dataService, dataRoot, projectId),
+    conversationDocuments(dataRoot, projectId),
+    modifierDocuments(dataService, projectId),
+  ]);
+
+  const groups: SearchGroup[] = [];
+  for (const docs of sources) {
+    const matches: (SearchResult & { time: number })[] = [];
+    for (const doc of docs) {
+      const match = scoreDocument(doc, terms, phrase);
+      if (!match) continue;
+      matches.push({
+        type: doc.type,
+        id: doc.id,
+        title: doc.title,
+        score: Math.round(match.score * 100) / 100,
+        snippet: buildSnippet(
+          match.field.name,
+          match.field.text,
+          terms,
+          phrase,
+        ),
+        ...(doc.cardId && { cardId: doc.cardId }),
+        time: doc.time || 0,
+      });
+    }
+    if (matches.length === 0) continue;
+
+    matches.sort((a, b) => b.score - a.score || b.time - a.time);
+    groups.push({
+      type: matches[0].type,
+      total: matches.length,
+      results: matches.slice(0, limit).map(({ time, ...result }) => result),
+    });
+  }
+  return groups.sort((a, b) => b.results[0].score - a.results[0].score);
+}
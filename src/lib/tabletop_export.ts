@@ -0,0 +1,462 @@
+import path from "path";
+import fs from "fs/promises";
+import crypto from "crypto";
+import { Card, DataService, Project } from "./data_service";
+import { DEFAULT_ASPECT_RATIO, formatCardNumber, sortCards } from "./card_sets";
+import { decodePNG, isPNG, Raster, readPngSize, RGBA, wrapText } from "./png";
+import { decodeJPEG, encodeJPEG, isJPEG, readJpegInfo } from "./jpeg";
+
+/**
+ * Deck exports for virtual tabletops, from each card's starred image:
+ *
+ * - Tabletop Simulator: deck sheets of up to 10 x 7 cards whose last slot
+ *   holds the "hidden" image shown for cards in other players' hands, a
+ *   card back, and a saved object (JSON) that puts the deck on the table.
+ * - A generic VTT package: the images as they are plus a manifest.json
+ *   with each card's name, order and image, for importers of other VTTs.
+ */
+
+export const TTS_MAX_COLUMNS = 10;
+export const TTS_MAX_ROWS = 7;
+// Every sheet keeps its last slot for the hidden card
+const TTS_CARDS_PER_SHEET = TTS_MAX_COLUMNS * TTS_MAX_ROWS - 1;
+// Larger textures are scaled down by TTS anyway
+const MAX_SHEET_SIZE = 4096;
+const MAX_CELL_WIDTH = 750;
+const SHEET_QUALITY = 90;
+
+// TTS's default tint for custom cards
+const TTS_COLOR = { r: 0.713235259, g: 0.713235259, b: 0.713235259 };
+
+const BACK_BACKGROUND: RGBA = [31, 41, 55, 255];
+const BACK_BORDER: RGBA = [156, 163, 175, 255];
+const BACK_TEXT: RGBA = [229, 231, 235, 255];
+
+export interface TabletopOptions {
+  /** Only this set's cards */
+  setId?: string;
+  /** Card whose starred image is the back (it isn't dealt as a card) */
+  backCardId?: string;
+  /**
+   * Where the TTS sheet images will be hosted, e.g. a web folder or
+   * file:///C:/Decks/. The saved object's image URLs start with it.
+   */
+  imageUrl: string;
+}
+
+/** Tabletop options from a query string; throws on invalid values. */
+export function parseTabletopOptions(
+  query: Record<string, unknown>,
+): TabletopOptions {
+  const text = (value: unknown) =>
+    typeof value === "string" && value.trim() ? value.trim() : undefined;
+
+  let imageUrl = text(query.imageUrl) || "";
+  if (imageUrl && !/^(https?|file):\/\//i.test(imageUrl)) {
+    throw new Error("imageUrl must start with http://, https:// or file://");
+  }
+  if (imageUrl && !imageUrl.endsWith("/")) imageUrl += "/";
+
+  return {
+    setId: text(query.setId ?? query.set),
+    backCardId: text(query.back),
+    imageUrl,
+  };
+}
+
+export interface TabletopCard {
+  card: Card;
+  /** Absolute path of the starred image */
+  file: string;
+}
+
+export interface TabletopDeck {
+  /** Project name, with the set's for a single set */
+  title: string;
+  project: Project;
+  cards: TabletopCard[];
+  back?: TabletopCard;
+  /** Names of cards left out for lack of a starred image */
+  missing: string[];
+  /** Card width / height, from the project's aspect ratio */
+  aspect: number;
+}
+
+/** One file of an export ZIP */
+export interface TabletopFile {
+  name: string;
+  data?: Buffer;
+  /** Absolute path to copy instead of `data` */
+  file?: string;
+}
+
+async function starredFile(
+  assetsDir: string,
+  card: Card,
+): Promise<string | undefined> {
+  if (!card.starredImage) return undefined;
+  const file = path.join(
+    assetsDir,
+    card.outputSubfolder || "default",
+    card.starredImage,
+  );
+  try {
+    await fs.access(file);
+    return file;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * The cards to export in deck order. Throws for an unknown set or back
+ * card, with the same messages as the routes' 404s.
+ */
+export async function collectTabletopDeck(
+  dataService: DataService,
+  project: Project,
+  assetsDir: string,
+  options: TabletopOptions,
+): Promise<TabletopDeck> {
+  const allCards = sortCards(project, await dataService.getCards(project.id));
+  const set = options.setId
+    ? project.sets?.find((s) => s.id === options.setId)
+    : undefined;
+  if (options.setId && !set) throw new Error("Set not found");
+
+  const deck: TabletopDeck = {
+    title: set ? `${project.name} - ${set.name}` : project.name,
+    project,
+    cards: [],
+    missing: [],
+    aspect: parseAspect(project.defaultAspectRatio || DEFAULT_ASPECT_RATIO),
+  };
+
+  // The back may come from any set
+  if (options.backCardId) {
+    const backCard = allCards.find((c) => c.id === options.backCardId);
+    const file = backCard && (await starredFile(assetsDir, backCard));
+    if (!backCard || !file) throw new Error("Card back not found");
+    deck.back = { card: backCard, file };
+  }
+
+  for (const card of allCards) {
+    if (set && card.setId !== set.id) continue;
+    if (card.id === options.backCardId) continue;
+    const file = await starredFile(assetsDir, card);
+    if (file) deck.cards.push({ card, file });
+    else deck.missing.push(card.name);
+  }
+  return deck;
+}
+
+function parseAspect(ratio: string): number {
+  const [w, h] = ratio.split(":").map(Number);
+  return w > 0 && h > 0 ? w / h : 2 / 3;
+}
+
+function slug(text: string): string {
+  return (
+    text
+      .replace(/[^a-z0-9]+/gi, "_")
+      .replace(/^_+|_+$/g, "")
+      .toLowerCase() || "deck"
+  );
+}
+
+async function loadRaster(file: string): Promise<Raster> {
+  const buffer = await fs.readFile(file);
+  if (isPNG(buffer)) return decodePNG(buffer);
+  if (isJPEG(buffer)) return decodeJPEG(buffer);
+  throw new Error(`${path.basename(file)} is not a PNG or JPEG image`);
+}
+
+/** A plain back with the deck's title, when no card back was chosen */
+function drawDefaultBack(title: string, width: number, height: number) {
+  const raster = new Raster(width, height, BACK_BACKGROUND);
+  const inset = Math.round(width * 0.06);
+  raster.strokeRect(
+    inset,
+    inset,
+    width - inset * 2,
+    height - inset * 2,
+    Math.max(2, Math.round(width / 120)),
+    BACK_BORDER,
+  );
+
+  const scale = Math.max(1, Math.floor(width / 80));
+  const glyph = Raster.measureText("M", scale);
+  // Each character advances one glyph plus a font pixel of spacing
+  const maxChars = Math.floor((width - inset * 4) / (glyph.width + scale));
+  const lines = wrapText(title, Math.max(4, maxChars)).slice(0, 4);
+  const lineHeight = glyph.height * 1.5;
+  let y = (height - lines.length * lineHeight) / 2;
+  for (const line of lines) {
+    const { width: w } = Raster.measureText(line, scale);
+    raster.drawText(line, (width - w) / 2, y, scale, BACK_TEXT);
+    y += lineHeight;
+  }
+  return raster;
+}
+
+/** Columns and rows for a sheet of `count` cards plus the hidden slot */
+function sheetGrid(count: number): { columns: number; rows: number } {
+  const slots = count + 1;
+  // TTS needs at least 2 x 2
+  const columns = Math.max(2, Math.min(TTS_MAX_COLUMNS, slots));
+  const rows = Math.max(2, Math.ceil(slots / columns));
+  return { columns, rows };
+}
+
+function randomGuid(): string {
+  return crypto.randomBytes(3).toString("hex");
+}
+
+function ttsTransform(posY: number) {
+  return {
+    posX: 0,
+    posY,
+    posZ: 0,
+    rotX: 0,
+    rotY: 180,
+    rotZ: 180,
+    scaleX: 1,
+    scaleY: 1,
+    scaleZ: 1,
+  };
+}
+
+function ttsCard(
+  card: Card,
+  cardId: number,
+  customDeck: Record<string, unknown>,
+) {
+  return {
+    GUID: randomGuid(),
+    Name: "Card",
+    Transform: ttsTransform(1),
+    Nickname: card.name,
+    Description: "",
+    GMNotes: "",
+    ColorDiffuse: TTS_COLOR,
+    Locked: false,
+    Grid: true,
+    Snap: true,
+    IgnoreFoW: false,
+    Autoraise: true,
+    Sticky: true,
+    Tooltip: true,
+    GridProjection: false,
+    Hands: true,
+    CardID: cardId,
+    SidewaysCard: false,
+    CustomDeck: customDeck,
+    LuaScript: "",
+    LuaScriptState: "",
+    XmlUI: "",
+  };
+}
+
+/**
+ * Builds the Tabletop Simulator export: `deck_N.jpg` sheets, `back.jpg`,
+ * and `<title>.json` (the saved object) with a `.png` thumbnail. Copy the
+ * JSON and thumbnail to TTS's "Saved Objects" folder and host the JPEGs at
+ * `options.imageUrl`.
+ */
+export async function buildTtsExport(
+  deck: TabletopDeck,
+  options: TabletopOptions,
+): Promise<TabletopFile[]> {
+  const files: TabletopFile[] = [];
+  const cellWidth = Math.floor(
+    Math.min(
+      MAX_CELL_WIDTH,
+      MAX_SHEET_SIZE / TTS_MAX_COLUMNS,
+      (MAX_SHEET_SIZE / TTS_MAX_ROWS) * deck.aspect,
+    ),
+  );
+  const cellHeight = Math.round(cellWidth / deck.aspect);
+
+  const back = deck.back
+    ? (await loadRaster(deck.back.file)).cover(cellWidth, cellHeight)
+    : drawDefaultBack(deck.title, cellWidth, cellHeight);
+  files.push({ name: "back.jpg", data: encodeJPEG(back, SHEET_QUALITY) });
+
+  const customDecks: Record<string, Record<string, unknown>> = {};
+  const contained: ReturnType<typeof ttsCard>[] = [];
+  let thumbnail: Raster | undefined;
+
+  for (
+    let start = 0, sheet = 1;
+    start < deck.cards.length;
+    start += TTS_CARDS_PER_SHEET, sheet++
+  ) {
+    const cards = deck.cards.slice(start, start + TTS_CARDS_PER_SHEET);
+    const { columns, rows } = sheetGrid(cards.length);
+    const raster = new Raster(
+      columns * cellWidth,
+      rows * cellHeight,
+      BACK_BACKGROUND,
+    );
+    const slot = (index: number, image: Raster) =>
+      raster.draw(
+        image,
+        (index % columns) * cellWidth,
+        Math.floor(index / columns) * cellHeight,
+      );
+
+    const name = `deck_${sheet}.jpg`;
+    const customDeck = {
+      FaceURL: options.imageUrl + name,
+      BackURL: options.imageUrl + "back.jpg",
+      NumWidth: columns,
+      NumHeight: rows,
+      BackIsHidden: false,
+      UniqueBack: false,
+      Type: 0,
+    };
+    customDecks[sheet] = customDeck;
+
+    for (let i = 0; i < cards.length; i++) {
+      const image = (await loadRaster(cards[i].file)).cover(
+        cellWidth,
+        cellHeight,
+      );
+      slot(i, image);
+      thumbnail ??= image;
+      contained.push(
+        ttsCard(cards[i].card, sheet * 100 + i, { [sheet]: customDeck }),
+      );
+      // Decoding is CPU-bound; let other requests run between cards
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    // The hidden card, shown for cards in other players' hands
+    slot(columns * rows - 1, back);
+    files.push({ name, data: encodeJPEG(raster, SHEET_QUALITY) });
+  }
+
+  // A deck of one card is saved as just that card
+  const object =
+    contained.length === 1
+      ? contained[0]
+      : {
+          GUID: randomGuid(),
+          Name: "Deck",
+          Transform: ttsTransform(1),
+          Nickname: deck.title,
+          Description: deck.project.description || "",
+          GMNotes: "",
+          ColorDiffuse: TTS_COLOR,
+          Locked: false,
+          Grid: true,
+          Snap: true,
+          IgnoreFoW: false,
+          Autoraise: true,
+          Sticky: true,
+          Tooltip: true,
+          GridProjection: false,
+          Hands: false,
+          SidewaysCard: false,
+          DeckIDs: contained.map((c) => c.CardID),
+          CustomDeck: customDecks,
+          ContainedObjects: contained,
+          LuaScript: "",
+          LuaScriptState: "",
+          XmlUI: "",
+        };
+  const savedObject = {
+    SaveName: "",
+    Date: "",
+    VersionNumber: "",
+    GameMode: "",
+    GameType: "",
+    GameComplexity: "",
+    Tags: [],
+    Gravity: 0.5,
+    PlayArea: 0.5,
+    Table: "",
+    Sky: "",
+    Note: "",
+    TabStates: {},
+    LuaScript: "",
+    LuaScriptState: "",
+    XmlUI: "",
+    ObjectStates: [object],
+  };
+
+  const base = slug(deck.title);
+  files.push({
+    name: `${base}.json`,
+    data: Buffer.from(JSON.stringify(savedObject, null, 2)),
+  });
+  if (thumbnail) {
+    files.push({
+      name: `${base}.png`,
+      data: thumbnail.cover(256, 256).toPNG(),
+    });
+  }
+  return files;
+}
+
+async function imageSize(
+  file: string,
+): Promise<{ width: number; height: number } | null> {
+  const buffer = await fs.readFile(file);
+  if (isPNG(buffer)) return readPngSize(buffer);
+  const info = readJpegInfo(buffer);
+  return info ? { width: info.width, height: info.height } : null;
+}
+
+/**
+ * Builds the generic VTT package: `images/` with each starred image as is
+ * (named by deck position) and `manifest.json` listing the cards in order.
+ */
+export async function buildVttPackage(
+  deck: TabletopDeck,
+): Promise<TabletopFile[]> {
+  const { project } = deck;
+  const width = Math.max(2, String(deck.cards.length).length);
+  const files: TabletopFile[] = [];
+
+  const cards = [];
+  for (const [index, { card, file }] of deck.cards.entries()) {
+    const order = index + 1;
+    const name = `images/${formatCardNumber(order, width)}_${slug(
+      card.outputSubfolder || card.name,
+    )}${path.extname(file).toLowerCase()}`;
+    files.push({ name, file });
+    cards.push({
+      order,
+      id: card.id,
+      name: card.name,
+      ...(card.cardNumber !== undefined && { number: card.cardNumber }),
+      set: project.sets?.find((s) => s.id === card.setId)?.name ?? null,
+      image: name,
+      ...(await imageSize(file)),
+      tags: card.tags || [],
+      attributes: card.attributes || {},
+    });
+  }
+
+  let back: string | null = null;
+  if (deck.back) {
+    back = `images/back${path.extname(deck.back.file).toLowerCase()}`;
+    files.push({ name: back, file: deck.back.file });
+  }
+
+  const manifest = {
+    format: "ai-art-cards-vtt",
+    version: 1,
+    name: deck.title,
+    project: project.name,
+    exportedAt: new Date().toISOString(),
+    aspectRatio: project.defaultAspectRatio || DEFAULT_ASPECT_RATIO,
+    back,
+    cards,
+  };
+  files.push({
+    name: "manifest.json",
+    data: Buffer.from(JSON.stringify(manifest, null, 2)),
+  });
+  return files;
+}
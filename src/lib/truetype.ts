@@ -0,0 +1,542 @@
+import { Raster, RGBA } from "./png";
+
+/**
+ * TrueType font parsing and antialiased text drawing, so card layouts can
+ * use the user's own fonts without a native text renderer. Reads `glyf`
+ * outlines (simple and composite) through the Unicode character maps;
+ * there's no hinting, kerning or complex-script shaping.
+ */
+
+interface Point {
+  x: number;
+  y: number;
+  onCurve: boolean;
+}
+
+type Contour = Point[];
+
+interface Table {
+  offset: number;
+  length: number;
+}
+
+const REQUIRED_TABLES = [
+  "head",
+  "hhea",
+  "hmtx",
+  "maxp",
+  "loca",
+  "glyf",
+  "cmap",
+];
+
+// Composite glyphs that nest deeper than this are treated as blank
+const MAX_COMPONENT_DEPTH = 8;
+
+export class TrueTypeFont {
+  readonly unitsPerEm: number;
+  /** Font units above the baseline */
+  readonly ascender: number;
+  /** Font units below the baseline (negative) */
+  readonly descender: number;
+  readonly lineGap: number;
+  private readonly data: Buffer;
+  private readonly tables: Record<string, Table> = {};
+  private readonly numGlyphs: number;
+  private readonly numHMetrics: number;
+  private readonly longLoca: boolean;
+  private readonly lookup: (codePoint: number) => number;
+  private readonly glyphs = new Map<number, number>();
+  private readonly outlines = new Map<number, Contour[]>();
+
+  private constructor(data: Buffer) {
+    this.data = data;
+    let base = 0;
+    // A font collection; use its first font
+    if (data.toString("latin1", 0, 4) === "ttcf") base = data.readUInt32BE(12);
+
+    const tag = data.toString("latin1", base, base + 4);
+    if (tag === "OTTO") {
+      throw new Error(
+        "OpenType fonts with CFF outlines aren't supported; use a TrueType (.ttf) font",
+      );
+    }
+    if (data.readUInt32BE(base) !== 0x00010000 && tag !== "true") {
+      throw new Error("Not a TrueType font");
+    }
+
+    const numTables = data.readUInt16BE(base + 4);
+    for (let i = 0; i < numTables; i++) {
+      const entry = base + 12 + i * 16;
+      this.tables[data.toString("latin1", entry, entry + 4)] = {
+        offset: data.readUInt32BE(entry + 8),
+        length: data.readUInt32BE(entry + 12),
+      };
+    }
+    for (const name of REQUIRED_TABLES) {
+      if (!this.tables[name]) throw new Error(`Font has no ${name} table`);
+    }
+
+    const head = this.tables.head.offset;
+    this.unitsPerEm = data.readUInt16BE(head + 18) || 1000;
+    this.longLoca = data.readInt16BE(head + 50) === 1;
+    const hhea = this.tables.hhea.offset;
+    this.ascender = data.readInt16BE(hhea + 4);
+    this.descender = data.readInt16BE(hhea + 6);
+    this.lineGap = data.readInt16BE(hhea + 8);
+    this.numHMetrics = Math.max(1, data.readUInt16BE(hhea + 34));
+    this.numGlyphs = data.readUInt16BE(this.tables.maxp.offset + 4);
+    this.lookup = this.parseCmap();
+  }
+
+  /** Parses a .ttf (or the first font of a .ttc); throws if it can't be used */
+  static parse(data: Buffer): TrueTypeFont {
+    try {
+      return new TrueTypeFont(data);
+    } catch (e: any) {
+      // Reads past the end of a truncated file
+      if (e instanceof RangeError) throw new Error("Not a valid TrueType font");
+      throw e;
+    }
+  }
+
+  /** Distance from the top of a line to its baseline */
+  ascent(size: number): number {
+    return (this.ascender * size) / this.unitsPerEm;
+  }
+
+  lineHeight(size: number): number {
+    return (
+      ((this.ascender - this.descender + this.lineGap) * size) / this.unitsPerEm
+    );
+  }
+
+  /** Width of `text` at `size` pixels per em */
+  measure(text: string, size: number): number {
+    let width = 0;
+    for (const ch of text) width += this.advance(this.glyph(ch));
+    return (width * size) / this.unitsPerEm;
+  }
+
+  /** Draws `text` with its baseline starting at (x, baseline) */
+  draw(
+    raster: Raster,
+    text: string,
+    x: number,
+    baseline: number,
+    size: number,
+    color: RGBA,
+  ) {
+    const scale = size / this.unitsPerEm;
+    // Room for glyphs that reach past their advance or the ascender
+    const pad = Math.ceil(size / 2) + 1;
+    const left = Math.floor(x) - pad;
+    const top = Math.floor(baseline - size * 1.5);
+    const coverage = new Coverage(
+      Math.ceil(this.measure(text, size)) + pad * 2,
+      Math.ceil(size * 2.5),
+    );
+
+    let penX = x - left;
+    const penY = baseline - top;
+    for (const ch of text) {
+      const glyph = this.glyph(ch);
+      for (const contour of this.outline(glyph)) {
+        flatten(
+          contour,
+          (p) => penX + p.x * scale,
+          (p) => penY - p.y * scale,
+          (x0, y0, x1, y1) => coverage.line(x0, y0, x1, y1),
+        );
+      }
+      penX += this.advance(glyph) * scale;
+    }
+    coverage.fill(raster, left, top, color);
+  }
+
+  private glyph(ch: string): number {
+    const codePoint = ch.codePointAt(0)!;
+    let glyph = this.glyphs.get(codePoint);
+    if (glyph === undefined) {
+      try {
+        glyph = this.lookup(codePoint);
+      } catch {
+        glyph = 0;
+      }
+      this.glyphs.set(codePoint, glyph);
+    }
+    return glyph;
+  }
+
+  private advance(glyph: number): number {
+    const index = Math.min(glyph, this.numHMetrics - 1);
+    return this.data.readUInt16BE(this.tables.hmtx.offset + index * 4);
+  }
+
+  /** Glyph index for a code point, from the best Unicode subtable */
+  private parseCmap(): (codePoint: number) => number {
+    const data = this.data;
+    const cmap = this.tables.cmap.offset;
+    let best = -1;
+    let bestScore = 0;
+    for (let i = 0; i < data.readUInt16BE(cmap + 2); i++) {
+      const record = cmap + 4 + i * 8;
+      const platform = data.readUInt16BE(record);
+      const encoding = data.readUInt16BE(record + 2);
+      const offset = cmap + data.readUInt32BE(record + 4);
+      const format = data.readUInt16BE(offset);
+      const unicode = platform === 0 || (platform === 3 && encoding !== 0);
+      // Full Unicode, then the Basic Multilingual Plane, then symbol fonts
+      const score =
+        format === 12 && unicode
+          ? 3
+          : format === 4 && unicode
+            ? 2
+            : format === 4 && platform === 3
+              ? 1
+              : 0;
+      if (score > bestScore) {
+        best = offset;
+        bestScore = score;
+      }
+    }
+    if (best < 0) throw new Error("Font has no Unicode character map");
+
+    if (data.readUInt16BE(best) === 12) {
+      const groups = data.readUInt32BE(best + 12);
+      return (codePoint) => {
+        let lo = 0;
+        let hi = groups - 1;
+        while (lo <= hi) {
+          const mid = (lo + hi) >> 1;
+          const group = best + 16 + mid * 12;
+          if (codePoint < data.readUInt32BE(group)) hi = mid - 1;
+          else if (codePoint > data.readUInt32BE(group + 4)) lo = mid + 1;
+          else {
+            return (
+              data.readUInt32BE(group + 8) +
+              codePoint -
+              data.readUInt32BE(group)
+            );
+          }
+        }
+        return 0;
+      };
+    }
+
+    const segments = data.readUInt16BE(best + 6) / 2;
+    const ends = best + 14;
+    const starts = ends + segments * 2 + 2;
+    const deltas = starts + segments * 2;
+    const rangeOffsets = deltas + segments * 2;
+    const format4 = (codePoint: number) => {
+      if (codePoint > 0xffff) return 0;
+      for (let i = 0; i < segments; i++) {
+        if (codePoint > data.readUInt16BE(ends + i * 2)) continue;
+        const start = data.readUInt16BE(starts + i * 2);
+        if (codePoint < start) return 0;
+        const delta = data.readUInt16BE(deltas + i * 2);
+        const rangeOffset = data.readUInt16BE(rangeOffsets + i * 2);
+        if (!rangeOffset) return (codePoint + delta) & 0xffff;
+        const glyph = data.readUInt16BE(
+          rangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2,
+        );
+        return glyph ? (glyph + delta) & 0xffff : 0;
+      }
+      return 0;
+    };
+    // Symbol fonts put their characters at U+F000 and up
+    return bestScore === 1
+      ? (codePoint) => format4(codePoint) || format4(0xf000 + codePoint)
+      : format4;
+  }
+
+  private outline(glyph: number, depth = 0): Contour[] {
+    let contours = this.outlines.get(glyph);
+    if (contours) return contours;
+    try {
+      contours = this.readGlyph(glyph, depth);
+    } catch {
+      // A damaged glyph draws as blank rather than failing the render
+      contours = [];
+    }
+    this.outlines.set(glyph, contours);
+    return contours;
+  }
+
+  private readGlyph(glyph: number, depth: number): Contour[] {
+    if (glyph >= this.numGlyphs) return [];
+    const data = this.data;
+    const loca = this.tables.loca.offset;
+    const start = this.longLoca
+      ? data.readUInt32BE(loca + glyph * 4)
+      : data.readUInt16BE(loca + glyph * 2) * 2;
+    const end = this.longLoca
+      ? data.readUInt32BE(loca + glyph * 4 + 4)
+      : data.readUInt16BE(loca + glyph * 2 + 2) * 2;
+    if (end <= start) return [];
+
+    const at = this.tables.glyf.offset + start;
+    const contourCount = data.readInt16BE(at);
+    return contourCount >= 0
+      ? this.simpleGlyph(at, contourCount)
+      : this.compositeGlyph(at, depth);
+  }
+
+  private simpleGlyph(at: number, contourCount: number): Contour[] {
+    const data = this.data;
+    const endPoints: number[] = [];
+    for (let i = 0; i < contourCount; i++) {
+      endPoints.push(data.readUInt16BE(at + 10 + i * 2));
+    }
+    let pos = at + 10 + contourCount * 2;
+    pos += 2 + data.readUInt16BE(pos); // Skip the instructions
+
+    const count = contourCount ? endPoints[contourCount - 1] + 1 : 0;
+    const flags = new Uint8Array(count);
+    for (let i = 0; i < count;) {
+      const flag = data[pos++];
+      flags[i++] = flag;
+      if (flag & 8) {
+        for (let repeat = data[pos++]; repeat > 0 && i < count; repeat--) {
+          flags[i++] = flag;
+        }
+      }
+    }
+
+    // Coordinates are deltas: a byte (sign in the "same" bit), a short, or
+    // unchanged
+    const readCoordinates = (shortBit: number, sameBit: number) => {
+      const values: number[] = [];
+      let value = 0;
+      for (let i = 0; i < count; i++) {
+        if (flags[i] & shortBit) {
+          const delta = data[pos++];
+          value += flags[i] & sameBit ? delta : -delta;
+        } else if (!(flags[i] & sameBit)) {
+          value += data.readInt16BE(pos);
+          pos += 2;
+        }
+        values.push(value);
+      }
+      return values;
+    };
+    const xs = readCoordinates(2, 16);
+    const ys = readCoordinates(4, 32);
+
+    const contours: Contour[] = [];
+    let first = 0;
+    for (const last of endPoints) {
+      const contour: Contour = [];
+      for (let i = first; i <= last; i++) {
+        contour.push({ x: xs[i], y: ys[i], onCurve: (flags[i] & 1) !== 0 });
+      }
+      contours.push(contour);
+      first = last + 1;
+    }
+    return contours;
+  }
+
+  private compositeGlyph(at: number, depth: number): Contour[] {
+    const data = this.data;
+    const f2dot14 = (offset: number) => data.readInt16BE(offset) / 16384;
+    const contours: Contour[] = [];
+    let pos = at + 10;
+    let flags: number;
+    do {
+      flags = data.readUInt16BE(pos);
+      const component = data.readUInt16BE(pos + 2);
+      pos += 4;
+
+      let dx: number;
+      let dy: number;
+      if (flags & 0x1) {
+        dx = data.readInt16BE(pos);
+        dy = data.readInt16BE(pos + 2);
+        pos += 4;
+      } else {
+        dx = data.readInt8(pos);
+        dy = data.readInt8(pos + 1);
+        pos += 2;
+      }
+      // Components positioned by matching points aren't supported
+      if (!(flags & 0x2)) dx = dy = 0;
+
+      let [a, b, c, d] = [1, 0, 0, 1];
+      if (flags & 0x8) {
+        a = d = f2dot14(pos);
+        pos += 2;
+      } else if (flags & 0x40) {
+        a = f2dot14(pos);
+        d = f2dot14(pos + 2);
+        pos += 4;
+      } else if (flags & 0x80) {
+        a = f2dot14(pos);
+        b = f2dot14(pos + 2);
+        c = f2dot14(pos + 4);
+        d = f2dot14(pos + 6);
+        pos += 8;
+      }
+
+      if (depth < MAX_COMPONENT_DEPTH) {
+        for (const contour of this.outline(component, depth + 1)) {
+          contours.push(
+            contour.map((p) => ({
+              x: a * p.x + c * p.y + dx,
+              y: b * p.x + d * p.y + dy,
+              onCurve: p.onCurve,
+            })),
+          );
+        }
+      }
+    } while (flags & 0x20);
+    return contours;
+  }
+}
+
+/**
+ * Turns a contour of on- and off-curve points into line segments,
+ * splitting each quadratic curve finely enough to look smooth.
+ */
+function flatten(
+  contour: Contour,
+  toX: (p: Point) => number,
+  toY: (p: Point) => number,
+  line: (x0: number, y0: number, x1: number, y1: number) => void,
+) {
+  // Two off-curve points in a row imply an on-curve point between them
+  const points: { x: number; y: number; onCurve: boolean }[] = [];
+  for (let i = 0; i < contour.length; i++) {
+    const p = contour[i];
+    const next = contour[(i + 1) % contour.length];
+    points.push({ x: toX(p), y: toY(p), onCurve: p.onCurve });
+    if (!p.onCurve && !next.onCurve) {
+      points.push({
+        x: (toX(p) + toX(next)) / 2,
+        y: (toY(p) + toY(next)) / 2,
+        onCurve: true,
+      });
+    }
+  }
+  const start = points.findIndex((p) => p.onCurve);
+  if (start < 0) return;
+
+  const count = points.length;
+  let current = points[start];
+  for (let k = 1; k <= count; k++) {
+    const p = points[(start + k) % count];
+    if (p.onCurve) {
+      line(current.x, current.y, p.x, p.y);
+      current = p;
+      continue;
+    }
+    const end = points[(start + k + 1) % count];
+    // Enough steps to keep within about a fifth of a pixel of the curve
+    const bend = Math.hypot(
+      current.x - 2 * p.x + end.x,
+      current.y - 2 * p.y + end.y,
+    );
+    const steps = Math.min(32, Math.max(1, Math.ceil(Math.sqrt(bend / 0.8))));
+    let x = current.x;
+    let y = current.y;
+    for (let s = 1; s <= steps; s++) {
+      const t = s / steps;
+      const u = 1 - t;
+      const nx = u * u * current.x + 2 * u * t * p.x + t * t * end.x;
+      const ny = u * u * current.y + 2 * u * t * p.y + t * t * end.y;
+      line(x, y, nx, ny);
+      x = nx;
+      y = ny;
+    }
+    current = end;
+    k++;
+  }
+}
+
+/**
+ * Exact-area coverage of filled outlines: each edge adds its signed area
+ * to the cells it crosses, and a running sum along the rows gives each
+ * pixel's coverage (the approach of font-rs and stb_truetype).
+ */
+class Coverage {
+  private readonly cells: Float32Array;
+
+  constructor(
+    readonly width: number,
+    readonly height: number,
+  ) {
+    this.cells = new Float32Array(width * height + 4);
+  }
+
+  line(x0: number, y0: number, x1: number, y1: number) {
+    if (Math.abs(y0 - y1) < 1e-6) return;
+    const clampX = (x: number) => Math.max(0, Math.min(this.width - 1, x));
+    x0 = clampX(x0);
+    x1 = clampX(x1);
+
+    let direction = 1;
+    if (y0 > y1) {
+      [x0, y0, x1, y1] = [x1, y1, x0, y0];
+      direction = -1;
+    }
+    const dxdy = (x1 - x0) / (y1 - y0);
+    let x = x0;
+    if (y0 < 0) x -= y0 * dxdy;
+
+    const cells = this.cells;
+    const rowEnd = Math.min(this.height, Math.ceil(y1));
+    for (let row = Math.max(0, Math.floor(y0)); row < rowEnd; row++) {
+      const rowStart = row * this.width;
+      const dy = Math.min(row + 1, y1) - Math.max(row, y0);
+      const xNext = x + dxdy * dy;
+      const d = dy * direction;
+      const left = Math.min(x, xNext);
+      const right = Math.max(x, xNext);
+      const leftCell = Math.floor(left);
+      const rightCell = Math.ceil(right);
+
+      if (rightCell <= leftCell + 1) {
+        // Within one cell: split by the edge's mean position in it
+        const mean = (x + xNext) / 2 - leftCell;
+        cells[rowStart + leftCell] += d - d * mean;
+        cells[rowStart + leftCell + 1] += d * mean;
+      } else {
+        const slope = 1 / (right - left);
+        const leftFraction = left - leftCell;
+        const firstArea = 0.5 * slope * (1 - leftFraction) ** 2;
+        const rightFraction = right - rightCell + 1;
+        const lastArea = 0.5 * slope * rightFraction ** 2;
+        cells[rowStart + leftCell] += d * firstArea;
+        if (rightCell === leftCell + 2) {
+          cells[rowStart + leftCell + 1] += d * (1 - firstArea - lastArea);
+        } else {
+          const secondArea = slope * (1.5 - leftFraction);
+          cells[rowStart + leftCell + 1] += d * (secondArea - firstArea);
+          for (let cell = leftCell + 2; cell < rightCell - 1; cell++) {
+            cells[rowStart + cell] += d * slope;
+          }
+          const beforeLast = secondArea + (rightCell - leftCell - 3) * slope;
+          cells[rowStart + rightCell - 1] += d * (1 - beforeLast - lastArea);
+        }
+        cells[rowStart + rightCell] += d * lastArea;
+      }
+      x = xNext;
+    }
+  }
+
+  /** Blends `color` onto `raster` by coverage, with this area at (x, y) */
+  fill(raster: Raster, x: number, y: number, color: RGBA) {
+    let sum = 0;
+    for (let i = 0; i < this.width * this.height; i++) {
+      sum += this.cells[i];
+      const coverage = Math.min(1, Math.abs(sum));
+      if (coverage < 1 / 255) continue;
+      raster.setPixel(x + (i % this.width), y + Math.floor(i / this.width), [
+        color[0],
+        color[1],
+        color[2],
+        Math.round(color[3] * coverage),
+      ]);
+    }
+  }
+}
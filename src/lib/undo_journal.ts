@@ -0,0 +1,403 @@
+import fs from "fs/promises";
+import path from "path";
+import type { RevisionAuthor } from "./card_revisions";
+import { IMAGE_FILE_PATTERN } from "./data_index";
+import type { Card, Project } from "./data_service";
+import { logger } from "./logger";
+
+/**
+ * Old and new values of the fields an edit changed. A missing value means
+ * the field wasn't set.
+ */
+export type FieldChanges = Record<
+  string,
+  { before?: unknown; after?: unknown }
+>;
+
+/**
+ * One reversible effect of an operation. Edits record only the fields
+ * they changed; a created (`before` null) or deleted (`after` null) card
+ * is recorded whole. Paths are relative to the project folder.
+ */
+export type JournalChange =
+  | { type: "card"; cardId: string; before: Card | null; after: Card | null }
+  | { type: "card-fields"; cardId: string; fields: FieldChanges }
+  | { type: "project"; fields: FieldChanges }
+  | { type: "trash"; path: string; trashPath: string };
+
+/** A user action or assistant tool call, undone and redone as a whole. */
+export interface JournalOperation {
+  id: string;
+  /** e.g. `Delete image foo_v2.png`, shown in undo/redo toasts */
+  label: string;
+  projectId: string;
+  author: RevisionAuthor;
+  at: number;
+  /** Set while the operation is undone (and can be redone) */
+  undoneAt?: number;
+  changes: JournalChange[];
+}
+
+export interface TrashSettings {
+  /** Days an operation stays undoable before its trashed files are deleted */
+  retentionDays: number;
+}
+
+/** A trashed file or folder as listed in the Trash panel */
+export interface TrashItem {
+  operationId: string;
+  label: string;
+  author: RevisionAuthor;
+  trashedAt: number;
+  expiresAt: number;
+  /** Original locations, relative to the project folder */
+  paths: string[];
+  /** Web paths of trashed images, for thumbnails */
+  images: string[];
+}
+
+/** A line of journal.jsonl; replaying them in order rebuilds the journal */
+type JournalRecord =
+  | { type: "commit"; operation: JournalOperation }
+  | { type: "undone"; id: string; undoneAt?: number }
+  | { type: "forget"; ids: string[] };
+
+const DEFAULT_TRASH_SETTINGS: TrashSettings = { retentionDays: 30 };
+
+/**
+ * A project's older operations are forgotten (and their trash deleted)
+ * beyond this
+ */
+const MAX_OPERATIONS = 200;
+
+/** The log is rewritten once it has this many records past one per operation */
+const COMPACT_AFTER = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function createOperationId(): string {
+  return `op_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/** The fields that differ between two versions of a card or project. */
+export function diffFields<T extends object>(before: T, after: T) {
+  const fields: FieldChanges = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  // Counts up on every write, undo included, so it's never reverted
+  keys.delete("revision");
+  for (const key of keys) {
+    const from = before[key as keyof T];
+    const to = after[key as keyof T];
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    fields[key] = { before: structuredClone(from), after: structuredClone(to) };
+  }
+  return fields;
+}
+
+/**
+ * Undo/redo history of card, project and file operations, stored as an
+ * append-only log at `{dataRoot}/undo/journal.jsonl` that is compacted
+ * once it holds many superseded records. Deleted files are moved to
+ * `projects/{projectId}/trash/{operationId}/` instead of being unlinked,
+ * and are removed for good once their operation falls out of the
+ * retention period.
+ *
+ * The journal only records; DataService applies undo and redo.
+ */
+export class UndoJournal {
+  private undoDir: string;
+  private journalFile: string;
+  private settingsFile: string;
+  private operations: JournalOperation[] = [];
+  /** Records in the log file, to know when to compact it */
+  private records = 0;
+  private settings: TrashSettings = { ...DEFAULT_TRASH_SETTINGS };
+  private loading: Promise<void> | null = null;
+  private writeChain: Promise<void> = Promise.resolve();
+
+  constructor(
+    dataRoot: string,
+    private projectsDir: string,
+  ) {
+    this.undoDir = path.join(dataRoot, "undo");
+    this.journalFile = path.join(this.undoDir, "journal.jsonl");
+    this.settingsFile = path.join(this.undoDir, "settings.json");
+  }
+
+  private load(): Promise<void> {
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const data = await fs.readFile(this.settingsFile, "utf-8");
+          this.settings = { ...DEFAULT_TRASH_SETTINGS, ...JSON.parse(data) };
+        } catch {
+          // First run, keep defaults
+        }
+        let data = "";
+        try {
+          data = await fs.readFile(this.journalFile, "utf-8");
+        } catch {
+          // Nothing recorded yet
+        }
+        for (const line of data.split("\n")) {
+          if (!line.trim()) continue;
+          this.records++;
+          try {
+            this.replay(JSON.parse(line));
+          } catch {
+            logger.warn("[Undo] Skipping unreadable journal line");
+          }
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /** Starts an operation; writes made with it are added to `changes`. */
+  begin(
+    label: string,
+    projectId: string,
+    author: RevisionAuthor,
+  ): JournalOperation {
+    return {
+      id: createOperationId(),
+      label,
+      projectId,
+      author,
+      at: Date.now(),
+      changes: [],
+    };
+  }
+
+  /** Records a finished operation, discarding the project's redo history. */
+  async commit(operation: JournalOperation) {
+    await this.load();
+    const discarded = this.operations.filter(
+      (op) => op.projectId === operation.projectId && op.undoneAt,
+    );
+    const kept = this.operations.filter(
+      (op) => op.projectId === operation.projectId && !op.undoneAt,
+    );
+    discarded.push(
+      ...kept.slice(0, Math.max(0, kept.length + 1 - MAX_OPERATIONS)),
+    );
+    this.operations = this.operations.filter((op) => !discarded.includes(op));
+    this.operations.push(operation);
+
+    await this.forget(discarded);
+    await this.save(
+      ...(discarded.length > 0 ? [this.forgetRecord(discarded)] : []),
+      { type: "commit", operation },
+    );
+  }
+
+  /**
+   * The operation an undo (latest done) or redo (latest undone) would act
+   * on. An explicit id undoes that operation even if it isn't the latest.
+   */
+  async next(
+    projectId: string,
+    action: "undo" | "redo",
+    operationId?: string,
+  ): Promise<JournalOperation | null> {
+    await this.load();
+    const candidates = this.operations.filter(
+      (op) =>
+        op.projectId === projectId &&
+        (action === "undo" ? !op.undoneAt : !!op.undoneAt) &&
+        (!operationId || op.id === operationId),
+    );
+    if (action === "undo") {
+      // Operations are in commit order, which breaks ties within a millisecond
+      return candidates.reverse().sort((a, b) => b.at - a.at)[0] || null;
+    }
+    return candidates.sort((a, b) => b.undoneAt! - a.undoneAt!)[0] || null;
+  }
+
+  async setUndone(operation: JournalOperation, undone: boolean) {
+    operation.undoneAt = undone ? Date.now() : undefined;
+    await this.save({
+      type: "undone",
+      id: operation.id,
+      undoneAt: operation.undoneAt,
+    });
+  }
+
+  /** Labels of what undo and redo would do next in a project. */
+  async peek(projectId: string) {
+    const [undo, redo] = await Promise.all([
+      this.next(projectId, "undo"),
+      this.next(projectId, "redo"),
+    ]);
+    return { undo: undo?.label || null, redo: redo?.label || null };
+  }
+
+  trashDir(projectId: string, operationId: string) {
+    return path.join(this.projectsDir, projectId, "trash", operationId);
+  }
+
+  // --- Trash ---
+
+  async getSettings(): Promise<TrashSettings> {
+    await this.load();
+    return { ...this.settings };
+  }
+
+  async updateSettings(updates: Partial<TrashSettings>) {
+    await this.load();
+    this.settings = { ...this.settings, ...updates };
+    const snapshot = JSON.stringify(this.settings, null, 2);
+    this.writeChain = this.writeChain
+      .then(() => this.writeAtomic(this.settingsFile, snapshot))
+      .catch((e) => logger.error("[Undo] Failed to save settings:", e));
+    await this.writeChain;
+    await this.purgeExpired();
+    return this.getSettings();
+  }
+
+  /**
+   * Names of the files the trash holds for one folder of a project (e.g.
+   * `assets/card_1`), across all operations.
+   */
+  async trashedNames(projectId: string, relativeDir: string) {
+    const trashRoot = path.join(this.projectsDir, projectId, "trash");
+    const operationIds = await fs.readdir(trashRoot).catch(() => []);
+    const names = await Promise.all(
+      operationIds.map((id) =>
+        fs
+          .readdir(path.join(trashRoot, id, relativeDir))
+          .catch(() => [] as string[]),
+      ),
+    );
+    return names.flat();
+  }
+
+  async listTrash(projectId: string): Promise<TrashItem[]> {
+    await this.load();
+    const retentionMs = this.settings.retentionDays * DAY_MS;
+    return this.operations
+      .filter((op) => op.projectId === projectId && !op.undoneAt)
+      .map((op) => {
+        const trashed = op.changes.filter((c) => c.type === "trash");
+        return {
+          operationId: op.id,
+          label: op.label,
+          author: op.author,
+          trashedAt: op.at,
+          expiresAt: op.at + retentionMs,
+          paths: trashed.map((c) => c.path),
+          images: trashed
+            .map((c) => c.trashPath)
+            .filter((p) => IMAGE_FILE_PATTERN.test(p))
+            .map((p) =>
+              path.posix.join(
+                "data",
+                "projects",
+                projectId,
+                ...p.split(path.sep),
+              ),
+            ),
+        };
+      })
+      .filter((item) => item.paths.length > 0)
+      .sort((a, b) => b.trashedAt - a.trashedAt);
+  }
+
+  /**
+   * Permanently deletes a project's trash. Operations that trashed files
+   * can no longer be undone, so they are dropped from the journal.
+   */
+  async emptyTrash(projectId: string) {
+    await this.load();
+    const emptied = this.operations.filter(
+      (op) =>
+        op.projectId === projectId &&
+        op.changes.some((c) => c.type === "trash"),
+    );
+    this.operations = this.operations.filter((op) => !emptied.includes(op));
+    await this.forget(emptied);
+    if (emptied.length > 0) await this.save(this.forgetRecord(emptied));
+    return emptied.length;
+  }
+
+  /** Forgets operations older than the retention period. */
+  async purgeExpired() {
+    await this.load();
+    const cutoff = Date.now() - this.settings.retentionDays * DAY_MS;
+    const expired = this.operations.filter((op) => op.at < cutoff);
+    if (expired.length === 0) return;
+
+    this.operations = this.operations.filter((op) => !expired.includes(op));
+    await this.forget(expired);
+    await this.save(this.forgetRecord(expired));
+    logger.info(`[Undo] Purged ${expired.length} expired operation(s)`);
+  }
+
+  private async forget(operations: JournalOperation[]) {
+    for (const op of operations) {
+      await fs.rm(this.trashDir(op.projectId, op.id), {
+        recursive: true,
+        force: true,
+      });
+    }
+  }
+
+  private forgetRecord(operations: JournalOperation[]): JournalRecord {
+    return { type: "forget", ids: operations.map((op) => op.id) };
+  }
+
+  private replay(record: JournalRecord) {
+    switch (record.type) {
+      case "commit":
+        this.operations = this.operations.filter(
+          (op) => op.id !== record.operation.id,
+        );
+        this.operations.push(record.operation);
+        break;
+      case "undone": {
+        const operation = this.operations.find((op) => op.id === record.id);
+        if (operation) operation.undoneAt = record.undoneAt;
+        break;
+      }
+      case "forget":
+        this.operations = this.operations.filter(
+          (op) => !record.ids.includes(op.id),
+        );
+        break;
+    }
+  }
+
+  /**
+   * Appends the records for changes already made in memory. Once the log
+   * has grown well past the live operations, it is rewritten from them
+   * instead.
+   */
+  private async save(...records: JournalRecord[]) {
+    this.records += records.length;
+    let write: () => Promise<void>;
+    if (this.records > this.operations.length + COMPACT_AFTER) {
+      const snapshot = this.operations
+        .map((operation) => JSON.stringify({ type: "commit", operation }))
+        .join("\n");
+      this.records = this.operations.length;
+      write = () => this.writeAtomic(this.journalFile, snapshot + "\n");
+    } else {
+      const lines = records.map((record) => JSON.stringify(record)).join("\n");
+      write = async () => {
+        await fs.mkdir(this.undoDir, { recursive: true });
+        await fs.appendFile(this.journalFile, lines + "\n", "utf-8");
+      };
+    }
+    this.writeChain = this.writeChain
+      .then(write)
+      .catch((e) => logger.error("[Undo] Failed to persist journal:", e));
+    await this.writeChain;
+  }
+
+  private async writeAtomic(filePath: string, content: string) {
+    await fs.mkdir(this.undoDir, { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, content, "utf-8");
+    await fs.rename(tempPath, filePath);
+  }
+}
@@ -0,0 +1,409 @@
+import fs from "fs/promises";
+import path from "path";
+import { DataService } from "./data_service";
+import { logger } from "./logger";
+
+/**
+ * Estimated list prices in USD. These are only used to turn usage into a
+ * rough spend figure for reporting and budgets; the provider's invoice is
+ * the source of truth.
+ */
+const IMAGE_PRICES: Record<string, Record<string, number>> = {
+  "gemini-3-pro-image-preview": { "1K": 0.134, "2K": 0.134, "4K": 0.24 },
+};
+
+/** USD per million tokens */
+const CHAT_PRICES: Record<string, { input: number; output: number }> = {
+  "gemini-3-flash-preview": { input: 0.5, output: 3 },
+  "gemini-2.0-flash-exp": { input: 0.1, output: 0.4 },
+};
+
+/** Key label used when a key is in use but hasn't been saved under a name */
+export const UNNAMED_KEY = "(unsaved key)";
+
+interface UsageBase {
+  timestamp: number;
+  projectId?: string;
+  cardId?: string;
+  /** Name of the stored API key that paid for this, if any */
+  keyName?: string;
+  model: string;
+  /** Estimated cost in USD */
+  cost: number;
+}
+
+export interface ImageUsageEvent extends UsageBase {
+  type: "image";
+  provider: string;
+  resolution: string;
+  jobId: string;
+}
+
+export interface ChatUsageEvent extends UsageBase {
+  type: "chat";
+  conversationId?: string;
+  promptTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+}
+
+export type UsageEvent = ImageUsageEvent | ChatUsageEvent;
+
+export interface UsageTotals {
+  images: number;
+  promptTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+  cost: number;
+}
+
+export interface UsageSummary {
+  month: string;
+  totals: UsageTotals;
+  byProject: Record<string, UsageTotals>;
+  byCard: Record<string, UsageTotals>;
+  byKey: Record<string, UsageTotals>;
+  byModel: Record<string, UsageTotals>;
+  /** Image counts keyed by resolution */
+  imagesByResolution: Record<string, number>;
+}
+
+/** Monthly spend limits in USD. Missing/zero means "no limit". */
+export interface UsageBudgets {
+  monthly?: number;
+  projects: Record<string, number>;
+  keys: Record<string, number>;
+}
+
+/** Estimated cost of queued and running generations, not yet spent */
+export interface PendingCost {
+  total: number;
+  /** The part of `total` in the project being checked */
+  project: number;
+}
+
+export class BudgetExceededError extends Error {}
+
+function emptyTotals(): UsageTotals {
+  return {
+    images: 0,
+    promptTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+  };
+}
+
+function addTo(totals: UsageTotals, event: UsageEvent) {
+  if (event.type === "image") {
+    totals.images++;
+  } else {
+    totals.promptTokens += event.promptTokens;
+    totals.outputTokens += event.outputTokens;
+    totals.totalTokens += event.totalTokens;
+  }
+  totals.cost += event.cost;
+}
+
+function summarizeEvents(
+  events: UsageEvent[],
+  month: string,
+  projectId?: string,
+): UsageSummary {
+  const summary: UsageSummary = {
+    month,
+    totals: emptyTotals(),
+    byProject: {},
+    byCard: {},
+    byKey: {},
+    byModel: {},
+    imagesByResolution: {},
+  };
+  for (const event of events) {
+    if (monthKey(event.timestamp) !== month) continue;
+    if (projectId && event.projectId !== projectId) continue;
+    addEvent(summary, event);
+  }
+  return summary;
+}
+
+function addEvent(summary: UsageSummary, event: UsageEvent) {
+  const bucket = (group: Record<string, UsageTotals>, key: string) =>
+    (group[key] = group[key] || emptyTotals());
+
+  addTo(summary.totals, event);
+  addTo(bucket(summary.byProject, event.projectId || "(global)"), event);
+  if (event.cardId) addTo(bucket(summary.byCard, event.cardId), event);
+  addTo(bucket(summary.byKey, event.keyName || "(no key)"), event);
+  addTo(bucket(summary.byModel, event.model), event);
+  if (event.type === "image") {
+    summary.imagesByResolution[event.resolution] =
+      (summary.imagesByResolution[event.resolution] || 0) + 1;
+  }
+}
+
+/** "YYYY-MM" in local time */
+export function monthKey(time: number = Date.now()): string {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+
+export function estimateImageCost(model: string, resolution: string): number {
+  return IMAGE_PRICES[model]?.[resolution] ?? 0;
+}
+
+export function estimateChatCost(
+  model: string,
+  promptTokens: number,
+  outputTokens: number,
+): number {
+  const price = CHAT_PRICES[model];
+  if (!price) return 0;
+  return (promptTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Append-only record of billable usage (images and chat tokens), stored at
+ * `{dataRoot}/usage/ledger.jsonl` with budgets in `usage/budgets.json`.
+ */
+export class UsageLedger {
+  private usageDir: string;
+  private ledgerFile: string;
+  private budgetsFile: string;
+  private writeChain: Promise<void> = Promise.resolve();
+  /** Whole-ledger summaries by month, kept current as usage is appended */
+  private summaries = new Map<string, Promise<UsageSummary>>();
+
+  constructor(
+    dataRoot: string,
+    private dataService: DataService,
+  ) {
+    this.usageDir = path.join(dataRoot, "usage");
+    this.ledgerFile = path.join(this.usageDir, "ledger.jsonl");
+    this.budgetsFile = path.join(this.usageDir, "budgets.json");
+  }
+
+  /** Maps a raw API key to the name it was stored under. */
+  async resolveKeyName(apiKey: string): Promise<string | undefined> {
+    if (!apiKey) return undefined;
+    const keys = await this.dataService.getKeys();
+    return keys.find((k) => k.key === apiKey)?.name || UNNAMED_KEY;
+  }
+
+  async recordImage(details: {
+    jobId: string;
+    projectId: string;
+    cardId: string;
+    provider: string;
+    model: string;
+    resolution: string;
+    /** Only attributed when the provider actually used it */
+    apiKey?: string;
+  }) {
+    const { apiKey, ...rest } = details;
+    await this.append({
+      type: "image",
+      timestamp: Date.now(),
+      ...rest,
+      keyName: apiKey ? await this.resolveKeyName(apiKey) : undefined,
+      cost: estimateImageCost(details.model, details.resolution),
+    });
+  }
+
+  async recordChat(details: {
+    projectId?: string;
+    cardId?: string;
+    conversationId?: string;
+    model: string;
+    apiKey: string;
+    usageMetadata?: {
+      promptTokenCount?: number;
+      candidatesTokenCount?: number;
+      totalTokenCount?: number;
+    };
+  }) {
+    const usage = details.usageMetadata;
+    if (!usage) return;
+    const promptTokens = usage.promptTokenCount || 0;
+    // Thinking tokens are billed as output but not included in
+    // candidatesTokenCount, so derive output from the total when we can
+    const outputTokens = usage.totalTokenCount
+      ? Math.max(0, usage.totalTokenCount - promptTokens)
+      : usage.candidatesTokenCount || 0;
+    await this.append({
+      type: "chat",
+      timestamp: Date.now(),
+      projectId: details.projectId,
+      cardId: details.cardId,
+      conversationId: details.conversationId,
+      keyName: await this.resolveKeyName(details.apiKey),
+      model: details.model,
+      promptTokens,
+      outputTokens,
+      totalTokens: promptTokens + outputTokens,
+      cost: estimateChatCost(details.model, promptTokens, outputTokens),
+    });
+  }
+
+  /** Aggregates usage for a month, optionally limited to one project. */
+  async summarize(
+    month: string = monthKey(),
+    projectId?: string,
+  ): Promise<UsageSummary> {
+    if (!projectId) return structuredClone(await this.monthSummary(month));
+    await this.writeChain;
+    return summarizeEvents(await this.readEvents(), month, projectId);
+  }
+
+  /**
+   * A month's summary, read from the ledger once and then updated by
+   * `append`, since budgets are checked before every paid image.
+   */
+  private monthSummary(month: string): Promise<UsageSummary> {
+    let summary = this.summaries.get(month);
+    if (!summary) {
+      // Read in turn with appends, so none is missed or counted twice
+      summary = this.writeChain.then(async () =>
+        summarizeEvents(await this.readEvents(), month),
+      );
+      this.summaries.set(month, summary);
+      this.writeChain = summary.then(
+        () => undefined,
+        () => {
+          this.summaries.delete(month);
+        },
+      );
+    }
+    return summary;
+  }
+
+  async getBudgets(): Promise<UsageBudgets> {
+    try {
+      const data = JSON.parse(await fs.readFile(this.budgetsFile, "utf-8"));
+      return { projects: {}, keys: {}, ...data };
+    } catch {
+      return { projects: {}, keys: {} };
+    }
+  }
+
+  /**
+   * Merges budget changes. `null`/0 clears a limit, mirroring how queue
+   * concurrency overrides are cleared.
+   */
+  async updateBudgets(updates: {
+    monthly?: number | null;
+    projects?: Record<string, number | null>;
+    keys?: Record<string, number | null>;
+  }): Promise<UsageBudgets> {
+    const budgets = await this.getBudgets();
+    if (updates.monthly !== undefined) {
+      if (updates.monthly) budgets.monthly = updates.monthly;
+      else delete budgets.monthly;
+    }
+    for (const group of ["projects", "keys"] as const) {
+      for (const [id, limit] of Object.entries(updates[group] || {})) {
+        if (limit) budgets[group][id] = Number(limit);
+        else delete budgets[group][id];
+      }
+    }
+    await fs.mkdir(this.usageDir, { recursive: true });
+    await fs.writeFile(
+      this.budgetsFile,
+      JSON.stringify(budgets, null, 2),
+      "utf-8",
+    );
+    return budgets;
+  }
+
+  /**
+   * Throws BudgetExceededError when this month's spend has reached the
+   * global, project or key budget, or would go over it with
+   * `projectedCost` more on top of the `pending` generations. Queued jobs
+   * run with the current key, so all of `pending` counts against it.
+   */
+  async assertWithinBudget(
+    projectId: string,
+    apiKey: string,
+    projectedCost = 0,
+    pending: PendingCost = { total: 0, project: 0 },
+  ) {
+    const budgets = await this.getBudgets();
+    const keyName = await this.resolveKeyName(apiKey);
+    const summary = await this.summarize();
+
+    const checks: [string, number | undefined, number, number][] = [
+      ["Monthly", budgets.monthly, summary.totals.cost, pending.total],
+      [
+        "Project",
+        budgets.projects[projectId],
+        summary.byProject[projectId]?.cost || 0,
+        pending.project,
+      ],
+    ];
+    if (keyName) {
+      checks.push([
+        `Key "${keyName}"`,
+        budgets.keys[keyName],
+        summary.byKey[keyName]?.cost || 0,
+        pending.total,
+      ]);
+    }
+
+    for (const [label, limit, spent, queued] of checks) {
+      if (!limit) continue;
+      if (spent >= limit) {
+        throw new BudgetExceededError(
+          `${label} budget exceeded: $${spent.toFixed(2)} of $${limit.toFixed(
+            2,
+          )} spent in ${summary.month}`,
+        );
+      }
+      // Small tolerance so float sums landing exactly on the limit pass
+      if (spent + queued + projectedCost > limit + 1e-9) {
+        const inQueue = queued ? ` and about $${queued.toFixed(2)} queued` : "";
+        throw new BudgetExceededError(
+          `${label} budget would be exceeded: $${spent.toFixed(
+            2,
+          )} spent in ${summary.month}${inQueue} plus about $${projectedCost.toFixed(
+            2,
+          )} for this generation, of $${limit.toFixed(2)}`,
+        );
+      }
+    }
+  }
+
+  private append(event: UsageEvent): Promise<void> {
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.mkdir(this.usageDir, { recursive: true });
+        await fs.appendFile(
+          this.ledgerFile,
+          JSON.stringify(event) + "\n",
+          "utf-8",
+        );
+        const summary = this.summaries.get(monthKey(event.timestamp));
+        if (summary) addEvent(await summary, event);
+      })
+      .catch((e) => logger.error("[Usage] Failed to record usage:", e));
+    return this.writeChain;
+  }
+
+  private async readEvents(): Promise<UsageEvent[]> {
+    let content: string;
+    try {
+      content = await fs.readFile(this.ledgerFile, "utf-8");
+    } catch {
+      return [];
+    }
+    const events: UsageEvent[] = [];
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        logger.warn("[Usage] Skipping unreadable ledger line");
+      }
+    }
+    return events;
+  }
+}
@@ -0,0 +1,443 @@
+import { Raster } from "./png";
+
+/**
+ * Lossless WebP (VP8L) encoding for exports. Like png.ts and jpeg.ts this
+ * avoids a native image library: pixels go through the subtract-green and
+ * predictor transforms, runs of repeated pixels become backward references,
+ * and everything else is Huffman coded. It doesn't compress as well as
+ * libwebp, but files are usually smaller than our PNGs.
+ */
+
+const MAX_DIMENSION = 16384;
+const MAX_CODE_LENGTH = 15;
+const MAX_CODE_LENGTH_CODE_LENGTH = 7;
+// Predictor blocks are 2^5 = 32 pixels square
+const PREDICTOR_BITS = 5;
+const MIN_RUN = 3;
+const MAX_RUN = 4096;
+const NUM_LENGTH_CODES = 24;
+const NUM_DISTANCE_CODES = 40;
+// Order the code length code lengths are written in (VP8L spec)
+const CODE_LENGTH_ORDER = [
+  17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+];
+// Candidate predictor modes tried for each block: L, T, average of L and T,
+// Select (like PNG's Paeth) and clamped L + T - TL
+const PREDICTOR_MODES = [1, 2, 7, 11, 12];
+
+class BitWriter {
+  private bytes: number[] = [];
+  private acc = 0;
+  private used = 0;
+
+  /** Writes the low `n` bits of `value`, least significant bit first */
+  write(value: number, n: number) {
+    for (let i = 0; i < n; i++) {
+      this.acc |= ((value >>> i) & 1) << this.used;
+      if (++this.used === 8) {
+        this.bytes.push(this.acc);
+        this.acc = 0;
+        this.used = 0;
+      }
+    }
+  }
+
+  toBuffer(): Buffer {
+    const bytes = this.used ? [...this.bytes, this.acc] : this.bytes;
+    return Buffer.from(bytes);
+  }
+}
+
+/** Huffman code lengths for `counts`, no longer than `maxLength` bits */
+function codeLengths(counts: number[], maxLength: number): number[] {
+  for (let shift = 0; ; shift++) {
+    // Flattening the counts shortens the longest codes
+    const weights = counts.map((c) => (c ? Math.max(1, c >> shift) : 0));
+    const lengths = huffmanLengths(weights);
+    if (Math.max(...lengths) <= maxLength) return lengths;
+  }
+}
+
+function huffmanLengths(weights: number[]): number[] {
+  const lengths = new Array(weights.length).fill(0);
+  type Node = { weight: number; symbols: number[] };
+  let nodes: Node[] = [];
+  weights.forEach((weight, symbol) => {
+    if (weight) nodes.push({ weight, symbols: [symbol] });
+  });
+  if (nodes.length === 1) lengths[nodes[0].symbols[0]] = 1;
+  while (nodes.length > 1) {
+    nodes.sort((a, b) => a.weight - b.weight);
+    const [a, b] = nodes;
+    for (const symbol of [...a.symbols, ...b.symbols]) lengths[symbol]++;
+    nodes = [
+      { weight: a.weight + b.weight, symbols: [...a.symbols, ...b.symbols] },
+      ...nodes.slice(2),
+    ];
+  }
+  return lengths;
+}
+
+/**
+ * A canonical prefix code. Codes are stored bit-reversed, ready for the
+ * LSB-first bit writer. A code with one symbol takes no bits.
+ */
+class PrefixCode {
+  readonly codes: number[];
+  readonly single: boolean;
+
+  constructor(readonly lengths: number[]) {
+    this.single = lengths.filter((l) => l > 0).length <= 1;
+    const count = new Array(MAX_CODE_LENGTH + 2).fill(0);
+    for (const length of lengths) if (length) count[length]++;
+    const next = new Array(MAX_CODE_LENGTH + 2).fill(0);
+    for (let length = 1, code = 0; length <= MAX_CODE_LENGTH + 1; length++) {
+      code = (code + count[length - 1]) << 1;
+      next[length] = code;
+    }
+    this.codes = lengths.map((length) => {
+      if (!length) return 0;
+      const code = next[length]++;
+      let reversed = 0;
+      for (let i = 0; i < length; i++) {
+        reversed |= ((code >> i) & 1) << (length - 1 - i);
+      }
+      return reversed;
+    });
+  }
+
+  static fromCounts(counts: number[], maxLength = MAX_CODE_LENGTH) {
+    return new PrefixCode(codeLengths(counts, maxLength));
+  }
+
+  writeSymbol(out: BitWriter, symbol: number) {
+    if (!this.single) out.write(this.codes[symbol], this.lengths[symbol]);
+  }
+}
+
+/**
+ * Writes a prefix code's definition: the "simple" form when it has at most
+ * one symbol below 256, else code lengths coded with a code length code.
+ */
+function writePrefixCode(out: BitWriter, code: PrefixCode) {
+  const used = code.lengths
+    .map((length, symbol) => (length ? symbol : -1))
+    .filter((symbol) => symbol >= 0);
+  if (used.length <= 1 && (used[0] ?? 0) < 256) {
+    const symbol = used[0] ?? 0;
+    out.write(1, 1); // simple code
+    out.write(0, 1); // one symbol
+    if (symbol < 2) {
+      out.write(0, 1);
+      out.write(symbol, 1);
+    } else {
+      out.write(1, 1);
+      out.write(symbol, 8);
+    }
+    return;
+  }
+
+  // Code lengths, with runs of zeros as symbols 17 (3-10) and 18 (11-138)
+  const tokens: { symbol: number; extra?: number; bits?: number }[] = [];
+  const lengths = code.lengths;
+  for (let i = 0; i < lengths.length;) {
+    if (lengths[i] !== 0) {
+      tokens.push({ symbol: lengths[i++] });
+      continue;
+    }
+    let run = 0;
+    while (i + run < lengths.length && lengths[i + run] === 0 && run < 138) {
+      run++;
+    }
+    if (run < 3) {
+      tokens.push({ symbol: 0 });
+      i++;
+    } else if (run <= 10) {
+      tokens.push({ symbol: 17, extra: run - 3, bits: 3 });
+      i += run;
+    } else {
+      tokens.push({ symbol: 18, extra: run - 11, bits: 7 });
+      i += run;
+    }
+  }
+
+  const counts = new Array(19).fill(0);
+  for (const token of tokens) counts[token.symbol]++;
+  const lengthCode = PrefixCode.fromCounts(counts, MAX_CODE_LENGTH_CODE_LENGTH);
+  let written = CODE_LENGTH_ORDER.length;
+  while (written > 4 && !lengthCode.lengths[CODE_LENGTH_ORDER[written - 1]]) {
+    written--;
+  }
+
+  out.write(0, 1); // normal code
+  out.write(written - 4, 4);
+  for (let i = 0; i < written; i++) {
+    out.write(lengthCode.lengths[CODE_LENGTH_ORDER[i]], 3);
+  }
+  out.write(0, 1); // lengths for the whole alphabet follow
+  for (const token of tokens) {
+    lengthCode.writeSymbol(out, token.symbol);
+    if (token.bits) out.write(token.extra!, token.bits);
+  }
+}
+
+/** Prefix symbol and extra bits for a backward reference length/distance */
+function prefixEncode(value: number) {
+  const d = value - 1;
+  if (d < 4) return { code: d, bits: 0, extra: 0 };
+  const high = 31 - Math.clz32(d);
+  const second = (d >> (high - 1)) & 1;
+  return {
+    code: 2 * high + second,
+    bits: high - 1,
+    extra: d & ((1 << (high - 1)) - 1),
+  };
+}
+
+/**
+ * Writes ARGB pixels as an entropy-coded image with one set of prefix
+ * codes and no color cache. Runs of a repeated pixel become backward
+ * references to the previous pixel (distance code 2).
+ */
+function writeImageData(out: BitWriter, pixels: Uint32Array) {
+  type Token = { pixel: number } | { run: number };
+  const tokens: Token[] = [];
+  const green = new Array(256 + NUM_LENGTH_CODES).fill(0);
+  const red = new Array(256).fill(0);
+  const blue = new Array(256).fill(0);
+  const alpha = new Array(256).fill(0);
+  const distance = new Array(NUM_DISTANCE_CODES).fill(0);
+  // Distance code 2 is the pixel to the left, i.e. distance 1
+  const previousPixel = prefixEncode(2);
+
+  for (let i = 0; i < pixels.length;) {
+    let run = 0;
+    if (i > 0) {
+      while (
+        i + run < pixels.length &&
+        run < MAX_RUN &&
+        pixels[i + run] === pixels[i - 1]
+      ) {
+        run++;
+      }
+    }
+    if (run >= MIN_RUN) {
+      tokens.push({ run });
+      green[256 + prefixEncode(run).code]++;
+      distance[previousPixel.code]++;
+      i += run;
+      continue;
+    }
+    const pixel = pixels[i++];
+    tokens.push({ pixel });
+    green[(pixel >>> 8) & 0xff]++;
+    red[(pixel >>> 16) & 0xff]++;
+    blue[pixel & 0xff]++;
+    alpha[pixel >>> 24]++;
+  }
+
+  const codes = [green, red, blue, alpha, distance].map((counts) =>
+    PrefixCode.fromCounts(counts),
+  );
+  for (const code of codes) writePrefixCode(out, code);
+  const [greenCode, redCode, blueCode, alphaCode, distanceCode] = codes;
+
+  for (const token of tokens) {
+    if ("run" in token) {
+      const length = prefixEncode(token.run);
+      greenCode.writeSymbol(out, 256 + length.code);
+      out.write(length.extra, length.bits);
+      distanceCode.writeSymbol(out, previousPixel.code);
+      out.write(previousPixel.extra, previousPixel.bits);
+      continue;
+    }
+    const pixel = token.pixel;
+    greenCode.writeSymbol(out, (pixel >>> 8) & 0xff);
+    redCode.writeSymbol(out, (pixel >>> 16) & 0xff);
+    blueCode.writeSymbol(out, pixel & 0xff);
+    alphaCode.writeSymbol(out, pixel >>> 24);
+  }
+}
+
+function average(a: number, b: number): number {
+  return (
+    ((((a ^ b) & 0xfefefefe) >>> 1) + (a & b)) >>> 0 // per-channel floor
+  );
+}
+
+function channel(pixel: number, shift: number): number {
+  return (pixel >>> shift) & 0xff;
+}
+
+function predict(mode: number, l: number, t: number, tl: number): number {
+  switch (mode) {
+    case 1:
+      return l;
+    case 2:
+      return t;
+    case 7:
+      return average(l, t);
+    case 11: {
+      // Whichever of L and T is closer to the gradient estimate L + T - TL
+      let toLeft = 0;
+      let toTop = 0;
+      for (const shift of [24, 16, 8, 0]) {
+        toLeft += Math.abs(channel(t, shift) - channel(tl, shift));
+        toTop += Math.abs(channel(l, shift) - channel(tl, shift));
+      }
+      return toLeft < toTop ? l : t;
+    }
+    default: {
+      // 12: L + T - TL, clamped per channel
+      let result = 0;
+      for (const shift of [24, 16, 8, 0]) {
+        const value =
+          channel(l, shift) + channel(t, shift) - channel(tl, shift);
+        result |= Math.min(255, Math.max(0, value)) << shift;
+      }
+      return result >>> 0;
+    }
+  }
+}
+
+function subtractPixels(a: number, b: number): number {
+  let result = 0;
+  for (const shift of [24, 16, 8, 0]) {
+    result |= ((channel(a, shift) - channel(b, shift)) & 0xff) << shift;
+  }
+  return result >>> 0;
+}
+
+/** Cost of a residual: distance from zero of each channel */
+function residualCost(residual: number): number {
+  let cost = 0;
+  for (const shift of [24, 16, 8, 0]) {
+    const value = channel(residual, shift);
+    cost += value < 128 ? value : 256 - value;
+  }
+  return cost;
+}
+
+/**
+ * Applies the predictor transform in place, choosing the cheapest mode for
+ * each block. Returns the block modes as a sub-image (mode in green).
+ */
+function applyPredictor(pixels: Uint32Array, width: number, height: number) {
+  const blockSize = 1 << PREDICTOR_BITS;
+  const blocksX = Math.ceil(width / blockSize);
+  const blocksY = Math.ceil(height / blockSize);
+  const modes = new Uint32Array(blocksX * blocksY);
+  const original = pixels.slice();
+
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      const x0 = bx * blockSize;
+      const y0 = by * blockSize;
+      const x1 = Math.min(width, x0 + blockSize);
+      const y1 = Math.min(height, y0 + blockSize);
+
+      let bestMode = PREDICTOR_MODES[0];
+      let bestCost = Infinity;
+      for (const mode of PREDICTOR_MODES) {
+        let cost = 0;
+        for (let y = Math.max(1, y0); y < y1 && cost < bestCost; y++) {
+          for (let x = Math.max(1, x0); x < x1; x++) {
+            const i = y * width + x;
+            const prediction = predict(
+              mode,
+              original[i - 1],
+              original[i - width],
+              original[i - width - 1],
+            );
+            cost += residualCost(subtractPixels(original[i], prediction));
+          }
+        }
+        if (cost < bestCost) {
+          bestCost = cost;
+          bestMode = mode;
+        }
+      }
+      modes[by * blocksX + bx] = (0xff000000 | (bestMode << 8)) >>> 0;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      let prediction: number;
+      if (x === 0 && y === 0) prediction = 0xff000000;
+      else if (y === 0) prediction = original[i - 1];
+      else if (x === 0) prediction = original[i - width];
+      else {
+        const mode =
+          (modes[(y >> PREDICTOR_BITS) * blocksX + (x >> PREDICTOR_BITS)] >>>
+            8) &
+          0xff;
+        prediction = predict(
+          mode,
+          original[i - 1],
+          original[i - width],
+          original[i - width - 1],
+        );
+      }
+      pixels[i] = subtractPixels(original[i], prediction);
+    }
+  }
+  return modes;
+}
+
+/** Encodes a raster as a lossless WebP file. */
+export function encodeWebP(raster: Raster): Buffer {
+  const { width, height, data } = raster;
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error(
+      `WebP images can be at most ${MAX_DIMENSION} pixels on a side`,
+    );
+  }
+
+  const pixels = new Uint32Array(width * height);
+  let hasAlpha = false;
+  for (let i = 0; i < pixels.length; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    const a = data[i * 4 + 3];
+    if (a < 255) hasAlpha = true;
+    // Subtract-green transform
+    pixels[i] =
+      ((a << 24) | (((r - g) & 0xff) << 16) | (g << 8) | ((b - g) & 0xff)) >>>
+      0;
+  }
+  const modes = applyPredictor(pixels, width, height);
+
+  const out = new BitWriter();
+  out.write(0x2f, 8); // VP8L signature
+  out.write(width - 1, 14);
+  out.write(height - 1, 14);
+  out.write(hasAlpha ? 1 : 0, 1);
+  out.write(0, 3); // version
+
+  // Transforms are undone in reverse, so the predictor is listed last
+  out.write(1, 1);
+  out.write(2, 2); // subtract green
+  out.write(1, 1);
+  out.write(0, 2); // predictor
+  out.write(PREDICTOR_BITS - 2, 3);
+  out.write(0, 1); // no color cache
+  writeImageData(out, modes);
+  out.write(0, 1); // no more transforms
+
+  out.write(0, 1); // no color cache
+  out.write(0, 1); // no meta prefix codes
+  writeImageData(out, pixels);
+
+  const vp8l = out.toBuffer();
+  const padding = vp8l.length % 2;
+  const header = Buffer.alloc(20);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(12 + vp8l.length + padding, 4);
+  header.write("WEBP", 8, "ascii");
+  header.write("VP8L", 12, "ascii");
+  header.writeUInt32LE(vp8l.length, 16);
+  return Buffer.concat([header, vp8l, Buffer.alloc(padding)]);
+}
@@ -18,12 +18,37 @@ export async function fetchProjects() {
   return await res.json();
 }
 
-export async function saveProject(project) {
-  return await fetch("/api/projects", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(project),
-  });
+/**
+ * POSTs a card or project carrying the `revision` it was loaded at. If the
+ * server answers 409 because it changed elsewhere in the meantime (another
+ * tab, the assistant, a quick favorite toggle), `changes` is reapplied on
+ * top of the latest copy and sent again.
+ */
+async function saveEntity(url, entity, changes, attempts = 3) {
+  let body = entity;
+  for (let attempt = 1; ; attempt++) {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (res.status !== 409 || !data.current || attempt >= attempts) {
+      return data;
+    }
+    console.warn(`[API] ${url} was stale, reapplying changes`);
+    body = { ...data.current, ...changes, revision: data.current.revision };
+  }
+}
+
+/** `changes` defaults to every field, i.e. last write wins on conflict. */
+export async function saveProject(project, changes = project) {
+  return await saveEntity("/api/projects", project, changes);
+}
+
+export async function fetchProviders() {
+  const res = await fetch("/api/providers");
+  return await res.json();
 }
 
 export async function fetchCards(projectId) {
@@ -94,13 +119,9 @@ export async function toggleStar(cardId, projectId, filename) {
   });
 }
 
-export async function saveCard(card) {
-  const res = await fetch("/api/cards", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(card),
-  });
-  return await res.json();
+/** `changes` defaults to every field, i.e. last write wins on conflict. */
+export async function saveCard(card, changes = card) {
+  return await saveEntity("/api/cards", card, changes);
 }
 
 export async function deleteProject(projectId) {
@@ -115,6 +136,25 @@ export async function deleteCard(projectId, cardId) {
   });
 }
 
+export async function previewPrompt(projectId, card) {
+  const res = await fetch(`/api/projects/${projectId}/prompt-preview`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(card),
+  });
+  return await res.json();
+}
+
+export async function fetchResolvedPrompt(projectId, cardId, override, mode) {
+  const params = new URLSearchParams();
+  if (override !== undefined) params.set("override", override);
+  if (mode) params.set("mode", mode);
+  const res = await fetch(
+    `/api/projects/${projectId}/cards/${cardId}/resolved-prompt?${params}`,
+  );
+  return await res.json();
+}
+
 export async function generateImages(payload) {
   return await fetch("/api/generate", {
     method: "POST",
@@ -123,6 +163,15 @@ export async function generateImages(payload) {
   });
 }
 
+export async function generateBatch(projectId, body) {
+  const res = await fetch(`/api/projects/${projectId}/generate-batch`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return await res.json();
+}
+
 export async function downloadGalleryZip(cardId, projectId, filenames) {
   const res = await fetch(`/api/cards/${cardId}/download-zip`, {
     method: "POST",
@@ -159,3 +208,418 @@ export async function downloadGalleryZip(cardId, projectId, filenames) {
   document.body.removeChild(a);
   window.URL.revokeObjectURL(url);
 }
+
+export async function fetchJobHistory(projectId, filters = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== "") {
+      params.set(key, value);
+    }
+  }
+  const res = await fetch(`/api/projects/${projectId}/jobs?${params}`);
+  return await res.json();
+}
+
+export async function fetchCardRevisions(projectId, cardId) {
+  const res = await fetch(
+    `/api/projects/${projectId}/cards/${cardId}/revisions`,
+  );
+  return await res.json();
+}
+
+export async function restoreCardRevision(projectId, cardId, revision) {
+  const res = await fetch(
+    `/api/projects/${projectId}/cards/${cardId}/revisions/${revision}/restore`,
+    { method: "POST" },
+  );
+  return await res.json();
+}
+
+export async function fetchUsage(month) {
+  const query = month ? `?month=${encodeURIComponent(month)}` : "";
+  const res = await fetch(`/api/usage${query}`);
+  return await res.json();
+}
+
+export async function updateBudgets(updates) {
+  const res = await fetch("/api/usage/budgets", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(updates),
+  });
+  return await res.json();
+}
+
+export async function fetchQueue() {
+  const res = await fetch("/api/queue");
+  return await res.json();
+}
+
+export async function updateQueueSettings(settings) {
+  const res = await fetch("/api/queue/settings", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(settings),
+  });
+  return await res.json();
+}
+
+export async function pauseQueue() {
+  const res = await fetch("/api/queue/pause", { method: "POST" });
+  return await res.json();
+}
+
+export async function resumeQueue() {
+  const res = await fetch("/api/queue/resume", { method: "POST" });
+  return await res.json();
+}
+
+export async function cancelJob(jobId) {
+  const res = await fetch(`/api/jobs/${jobId}/cancel`, { method: "POST" });
+  return await res.json();
+}
+
+export async function retryJob(jobId) {
+  const res = await fetch(`/api/jobs/${jobId}/retry`, { method: "POST" });
+  return await res.json();
+}
+
+export async function undo(projectId, operationId) {
+  const res = await fetch("/api/undo", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ projectId, operationId }),
+  });
+  return await res.json();
+}
+
+export async function redo(projectId) {
+  const res = await fetch("/api/redo", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ projectId }),
+  });
+  return await res.json();
+}
+
+export async function fetchTrash(projectId) {
+  const res = await fetch(`/api/projects/${projectId}/trash`);
+  return await res.json();
+}
+
+export async function emptyTrash(projectId) {
+  const res = await fetch(`/api/projects/${projectId}/trash/empty`, {
+    method: "POST",
+  });
+  return await res.json();
+}
+
+export async function updateTrashSettings(settings) {
+  const res = await fetch("/api/trash/settings", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(settings),
+  });
+  return await res.json();
+}
+
+export async function renameTag(projectId, from, to) {
+  const res = await fetch(`/api/projects/${projectId}/tags/rename`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ from, to }),
+  });
+  return await res.json();
+}
+
+export async function deleteTag(projectId, tag) {
+  const res = await fetch(
+    `/api/projects/${projectId}/tags/${encodeURIComponent(tag)}`,
+    { method: "DELETE" },
+  );
+  return await res.json();
+}
+
+export async function searchProject(projectId, query) {
+  const params = new URLSearchParams({ q: query });
+  const res = await fetch(`/api/projects/${projectId}/search?${params}`);
+  return await res.json();
+}
+
+export async function createSet(projectId, set) {
+  const res = await fetch(`/api/projects/${projectId}/sets`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(set),
+  });
+  return await res.json();
+}
+
+export async function updateSet(projectId, setId, fields) {
+  const res = await fetch(`/api/projects/${projectId}/sets/${setId}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(fields),
+  });
+  return await res.json();
+}
+
+export async function deleteSet(projectId, setId) {
+  const res = await fetch(`/api/projects/${projectId}/sets/${setId}`, {
+    method: "DELETE",
+  });
+  return await res.json();
+}
+
+export async function reorderSets(projectId, setIds) {
+  const res = await fetch(`/api/projects/${projectId}/sets/order`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ setIds }),
+  });
+  return await res.json();
+}
+
+/** Places `cardIds`, in this order, into the set (null for unsorted) */
+export async function reorderCards(projectId, setId, cardIds) {
+  const res = await fetch(`/api/projects/${projectId}/cards/order`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ setId, cardIds }),
+  });
+  return await res.json();
+}
+
+/**
+ * Numbers cards in list order. `options`: start, perSet, setId (one set
+ * only) or clear (remove the numbers).
+ */
+export async function renumberCards(projectId, options) {
+  const res = await fetch(`/api/projects/${projectId}/cards/renumber`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(options),
+  });
+  return await res.json();
+}
+
+export async function fetchTemplates() {
+  const res = await fetch("/api/templates");
+  return await res.json();
+}
+
+export async function fetchTemplate(templateId) {
+  const res = await fetch(`/api/templates/${templateId}`);
+  return await res.json();
+}
+
+/** Imports a parsed template file */
+export async function importTemplate(template) {
+  const res = await fetch("/api/templates", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(template),
+  });
+  return await res.json();
+}
+
+export async function deleteTemplate(templateId) {
+  const res = await fetch(`/api/templates/${templateId}`, {
+    method: "DELETE",
+  });
+  return await res.json();
+}
+
+export async function saveProjectAsTemplate(projectId, details) {
+  const res = await fetch(`/api/projects/${projectId}/template`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(details),
+  });
+  return await res.json();
+}
+
+/** Adds a template's sets, tags and cards to a project */
+export async function applyTemplate(projectId, templateId) {
+  const res = await fetch(`/api/projects/${projectId}/apply-template`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ templateId }),
+  });
+  return await res.json();
+}
+
+/**
+ * Imports card definitions from CSV or JSON text. With `preview: true`
+ * nothing is saved and the response describes what would happen.
+ */
+export async function importCards(projectId, options) {
+  const res = await fetch(`/api/projects/${projectId}/cards/import`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(options),
+  });
+  return await res.json();
+}
+
+/**
+ * Page count and image problems for a print PDF, for the same options
+ * (size, layout, dpi, bleed, marks, back, set) as its download URL.
+ */
+export async function checkPrintPdf(projectId, options) {
+  const params = new URLSearchParams(options);
+  const res = await fetch(
+    `/api/projects/${projectId}/export-pdf/check?${params}`,
+  );
+  return await res.json();
+}
+
+/**
+ * Renders a contact sheet (see `GET /projects/:id/contact-sheet` for the
+ * options) and saves it. Throws with the server's message on failure.
+ */
+export async function downloadContactSheet(projectId, options) {
+  const params = new URLSearchParams(options);
+  const res = await fetch(`/api/projects/${projectId}/contact-sheet?${params}`);
+  if (!res.ok) {
+    const error = await res.json();
+    throw new Error(error.error || "Failed to create contact sheet");
+  }
+
+  const blob = await res.blob();
+  const disposition = res.headers.get("Content-Disposition");
+  const matches = /filename="?([^"]+)"?/.exec(disposition || "");
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = matches ? matches[1] : `contact_sheet.${options.format}`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+}
+
+export async function createExportProfile(projectId, profile) {
+  const res = await fetch(`/api/projects/${projectId}/export-profiles`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(profile),
+  });
+  return await res.json();
+}
+
+export async function updateExportProfile(projectId, profileId, fields) {
+  const res = await fetch(
+    `/api/projects/${projectId}/export-profiles/${profileId}`,
+    {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(fields),
+    },
+  );
+  return await res.json();
+}
+
+export async function deleteExportProfile(projectId, profileId) {
+  const res = await fetch(
+    `/api/projects/${projectId}/export-profiles/${profileId}`,
+    { method: "DELETE" },
+  );
+  return await res.json();
+}
+
+/** First file names a deck export would get with these profile settings */
+export async function previewExportProfile(projectId, fields) {
+  const res = await fetch(
+    `/api/projects/${projectId}/export-profiles/preview`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(fields),
+    },
+  );
+  return await res.json();
+}
+
+/** `profileId` null keeps generated file names in gallery ZIPs */
+export async function setGalleryExportProfile(projectId, profileId) {
+  const res = await fetch(
+    `/api/projects/${projectId}/export-profiles/gallery`,
+    {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ profileId }),
+    },
+  );
+  return await res.json();
+}
+
+/** `format` is "tts" or "vtt"; saves the ZIP the server builds */
+export async function downloadTabletopExport(projectId, format, options) {
+  const params = new URLSearchParams(options);
+  const res = await fetch(
+    `/api/projects/${projectId}/export-${format}?${params}`,
+  );
+  if (!res.ok) {
+    const error = await res.json();
+    throw new Error(error.error || "Failed to export deck");
+  }
+
+  const blob = await res.blob();
+  const disposition = res.headers.get("Content-Disposition");
+  const matches = /filename="?([^"]+)"?/.exec(disposition || "");
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = matches ? matches[1] : `deck_${format}.zip`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+}
+
+/** The saved card layout (or null), a default layout and the layout files */
+export async function fetchCardLayout(projectId) {
+  const res = await fetch(`/api/projects/${projectId}/card-layout`);
+  return await res.json();
+}
+
+export async function saveCardLayout(projectId, layout) {
+  const res = await fetch(`/api/projects/${projectId}/card-layout`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(layout),
+  });
+  return await res.json();
+}
+
+export async function deleteCardLayout(projectId) {
+  const res = await fetch(`/api/projects/${projectId}/card-layout`, {
+    method: "DELETE",
+  });
+  return await res.json();
+}
+
+/** Uploads a frame image or font; `data` is the file as a data URL */
+export async function uploadCardLayoutFile(projectId, name, data) {
+  const res = await fetch(`/api/projects/${projectId}/card-layout/files`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ name, data }),
+  });
+  return await res.json();
+}
+
+/**
+ * Renders a card with the saved layout, or `layout` when given. Resolves
+ * to `{ blob }` (a PNG) or `{ error }`.
+ */
+export async function previewCardLayout(projectId, { card, layout } = {}) {
+  const res = await fetch(`/api/projects/${projectId}/card-layout/preview`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ card, layout }),
+  });
+  if (!res.ok) return await res.json();
+  return { blob: await res.blob() };
+}
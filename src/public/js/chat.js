@@ -159,6 +159,12 @@ export class ChatManager {
     document.addEventListener("retry-generation", (e) => {
       this.handleRetryGeneration(e.detail.args);
     });
+
+    // Open a conversation picked in the search palette
+    document.addEventListener("open-conversation", (e) => {
+      if (!this.uiController.isOpen()) this.toggleSidebar();
+      this.loadConversation(e.detail.conversationId);
+    });
   }
 
   toggleSidebar() {
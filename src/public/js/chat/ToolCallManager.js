@@ -76,6 +76,11 @@ export class ToolCallManager {
         label: "Listing Images",
         color: "#8b5cf6",
       },
+      createContactSheet: {
+        icon: "grid_view",
+        label: "Creating Contact Sheet",
+        color: "#ec4899",
+      },
     };
     return (
       metadata[toolName] || { icon: "build", label: toolName, color: "#6b7280" }
@@ -133,6 +138,8 @@ export class ToolCallManager {
           return `Viewing image: ${fname}`;
         case "listCardImages":
           return `Found ${result?.count || 0} image(s)`;
+        case "createContactSheet":
+          return `Contact sheet: ${result?.imageCount || 0} image(s)`;
         default:
           return "Completed";
       }
@@ -246,9 +253,27 @@ export class ToolCallManager {
     `;
 
     this._appendRetryAction(element, toolName, args);
+    this._appendDownloadLink(element, result);
     this._appendResultImage(element, result);
   }
 
+  /**
+   * Append a download link for tools that produce a file
+   * @param {HTMLElement} container
+   * @param {object} result
+   */
+  _appendDownloadLink(container, result) {
+    if (result && result.downloadUrl) {
+      const link = document.createElement("a");
+      link.href = result.downloadUrl;
+      link.className = "tool-download-link";
+      link.title = "Download";
+      link.innerHTML =
+        '<span class="material-icons" style="font-size: 16px;">download</span>';
+      container.appendChild(link);
+    }
+  }
+
   /**
    * Append Retry/Regenerate action if applicable
    * @param {HTMLElement} container
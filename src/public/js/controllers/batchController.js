@@ -0,0 +1,133 @@
+import { state } from "../state.js";
+import { showStatus } from "../ui.js";
+import * as api from "../api.js";
+
+// Batch Generate modal: queue one job per card matching a selection
+
+const els = {
+  modal: document.getElementById("batchModal"),
+  close: document.getElementById("closeBatchModalBtn"),
+  cancel: document.getElementById("cancelBatchBtn"),
+  confirm: document.getElementById("confirmBatchBtn"),
+  openBtn: document.getElementById("batchGenerateBtn"),
+  selection: document.getElementById("batchSelection"),
+  queryRow: document.getElementById("batchQueryRow"),
+  queryLabel: document.getElementById("batchQueryLabel"),
+  query: document.getElementById("batchQuery"),
+  count: document.getElementById("batchCount"),
+  summary: document.getElementById("batchMatchSummary"),
+};
+
+let previewTimer = null;
+let previewRequest = 0;
+
+function readSelection() {
+  const mode = els.selection.value;
+  const value = els.query.value.trim();
+  return {
+    mode,
+    query: mode === "search" ? value : undefined,
+    tag: mode === "tag" ? value : undefined,
+  };
+}
+
+function updateQueryRow() {
+  const mode = els.selection.value;
+  const needsQuery = mode === "search" || mode === "tag";
+  els.queryRow.classList.toggle("hidden", !needsQuery);
+  els.queryLabel.textContent = mode === "tag" ? "Tag" : "Search";
+  els.query.placeholder =
+    mode === "tag" ? "e.g. character" : "Name or prompt contains...";
+}
+
+// Asks the server which cards match without queueing anything
+async function updateMatchSummary() {
+  if (!state.currentProject) return;
+  const requestId = ++previewRequest;
+  try {
+    const res = await api.generateBatch(state.currentProject.id, {
+      selection: readSelection(),
+      dryRun: true,
+    });
+    if (requestId !== previewRequest) return;
+
+    const matched = res.cards?.length || 0;
+    const count = parseInt(els.count.value) || 1;
+    els.summary.textContent = res.error
+      ? res.error
+      : `${matched} card${matched === 1 ? "" : "s"} · ${
+          matched * count
+        } image${matched * count === 1 ? "" : "s"}`;
+    els.confirm.disabled = matched === 0;
+  } catch (e) {
+    console.error("[Batch] Failed to preview selection:", e);
+  }
+}
+
+function scheduleMatchSummary() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(updateMatchSummary, 300);
+}
+
+async function submitBatch() {
+  if (!state.currentProject) return;
+  els.confirm.disabled = true;
+  try {
+    const res = await api.generateBatch(state.currentProject.id, {
+      selection: readSelection(),
+      count: parseInt(els.count.value) || 1,
+    });
+    if (res.error) {
+      showStatus(`Error: ${res.error}`, "error");
+      return;
+    }
+
+    const queued = res.jobIds.length;
+    const skipped = res.skipped.length;
+    showStatus(
+      `Queued ${queued} card${queued === 1 ? "" : "s"}${
+        skipped ? ` (${skipped} skipped: ${res.skipped[0].error})` : ""
+      }`,
+      skipped ? "info" : "success",
+    );
+    closeBatchModal();
+  } catch (e) {
+    showStatus(`Error: ${e.message}`, "error");
+  } finally {
+    els.confirm.disabled = false;
+  }
+}
+
+export function openBatchModal() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  updateQueryRow();
+  els.summary.textContent = "";
+  els.modal.classList.remove("hidden");
+  updateMatchSummary();
+}
+
+export function closeBatchModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupBatchUI() {
+  if (!els.modal) return;
+
+  els.openBtn.addEventListener("click", openBatchModal);
+  els.close.addEventListener("click", closeBatchModal);
+  els.cancel.addEventListener("click", closeBatchModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeBatchModal();
+  });
+
+  els.selection.addEventListener("change", () => {
+    updateQueryRow();
+    updateMatchSummary();
+  });
+  els.query.addEventListener("input", scheduleMatchSummary);
+  els.count.addEventListener("input", scheduleMatchSummary);
+  els.confirm.addEventListener("click", submitBatch);
+}
@@ -2,10 +2,35 @@ import { state } from "../state.js";
 import { dom, showStatus, confirmAction, updateStatusCenter } from "../ui.js";
 import * as api from "../api.js";
 import { loadImagesForCard } from "./galleryController.js";
+import {
+  buildCardFilter,
+  readCardTags,
+  renderCardTags,
+  renderTagDots,
+  renderTagFilters,
+} from "./tagController.js";
+import {
+  findSet,
+  projectSets,
+  readCardSet,
+  renderCardSet,
+} from "./setController.js";
 
 // Sort State
 let currentSortMode = localStorage.getItem("cardSortMode") || "default";
 
+// Mirrors ATTRIBUTE_NAME_PATTERN in prompt_builder.ts
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+// Resolved prompt preview state
+let previewTimer = null;
+let previewRequest = 0;
+
+// Card layout preview state
+let layoutPreviewTimer = null;
+let layoutPreviewRequest = 0;
+let layoutPreviewUrl = null;
+
 function updateUrl() {
   const params = new URLSearchParams();
   if (state.currentProject) params.set("project", state.currentProject.id);
@@ -19,9 +44,9 @@ export async function loadCards(projectId) {
   const cards = await api.fetchCards(projectId);
   state.allCards = cards;
 
-  // Apply initial sort
-  const sorted = getSortedCards(cards, currentSortMode);
-  renderCardList(sorted);
+  // Keeps the current search, tag and collection filters and sort
+  renderTagFilters();
+  filterCards();
   updateSortUI();
 
   if (cards.length === 0) {
@@ -46,6 +71,11 @@ function getSortedCards(cards, mode) {
         const countB = b.imageCount !== undefined ? b.imageCount : 0;
         return countB - countA;
       });
+    case "number":
+      // Unnumbered cards last, in list order (the sort is stable)
+      return sorted.sort(
+        (a, b) => (a.cardNumber ?? Infinity) - (b.cardNumber ?? Infinity) || 0,
+      );
     default: // 'default' is chronological (ID based)
       return sorted; // Already sorted by ID from backend usually, or rely on array order
   }
@@ -82,11 +112,10 @@ function setupSortUI() {
     }
   });
 
-  // Sort Options
+  // Sort Options (other items, like Renumber, are handled by their owners)
   menu.querySelectorAll(".dropdown-item").forEach((item) => {
     item.addEventListener("click", () => {
-      const mode = item.dataset.sort;
-      setSortMode(mode);
+      if (item.dataset.sort) setSortMode(item.dataset.sort);
       menu.classList.add("hidden");
       btn.classList.remove("active");
     });
@@ -108,7 +137,7 @@ function updateSortUI() {
   const menu = document.getElementById("sortMenu");
   if (!menu) return;
 
-  menu.querySelectorAll(".dropdown-item").forEach((item) => {
+  menu.querySelectorAll(".dropdown-item[data-sort]").forEach((item) => {
     if (item.dataset.sort === currentSortMode) {
       item.classList.add("active");
     } else {
@@ -117,69 +146,251 @@ function updateSortUI() {
   });
 }
 
+function createCardItem(card) {
+  const div = document.createElement("div");
+  div.className = "card-item";
+  if (state.currentCard && state.currentCard.id === card.id) {
+    div.classList.add("active");
+  }
+  div.dataset.id = card.id;
+
+  const count = card.imageCount !== undefined ? card.imageCount : 0;
+
+  let thumbHtml = "";
+  if (card.starredImage && card.outputSubfolder) {
+    const thumbUrl = `/data/projects/${card.projectId}/assets/${card.outputSubfolder}/${card.starredImage}`;
+    thumbHtml = `<img src="${thumbUrl}" class="card-item-thumb" loading="lazy">`;
+  }
+
+  div.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; width: 100%;">
+          <div style="display: flex; align-items: center; overflow: hidden;">
+              ${thumbHtml}
+              ${
+                card.cardNumber !== undefined
+                  ? `<span class="card-item-number">#${card.cardNumber}</span>`
+                  : ""
+              }
+              <span style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${card.name}</span>
+              <span class="card-item-tags">${renderTagDots(card)}</span>
+          </div>
+          <div style="display: flex; align-items: center; gap: 8px;">
+            <span style="font-size: 0.8em; color: var(--text-muted); background: rgba(255,255,255,0.1); padding: 2px 6px; border-radius: 10px;">${count}</span>
+            <button class="delete-card-icon" title="Delete Card" style="background: none; border: none; cursor: pointer; color: #64748b; font-size: 1.1em; padding: 0; line-height: 1; display: none;"><span class="material-icons" style="font-size: 16px;">delete_outline</span></button>
+          </div>
+      </div>
+  `;
+
+  // Show delete button on hover (via JS for simplicity, or CSS could work if structure allows)
+  // Actually, let's use CSS for hover effect if possible, but JS for the click handler is must.
+  div.onmouseenter = () => {
+    const btn = div.querySelector(".delete-card-icon");
+    if (btn) btn.style.display = "block";
+  };
+  div.onmouseleave = () => {
+    const btn = div.querySelector(".delete-card-icon");
+    if (btn) btn.style.display = "none";
+  };
+
+  div.onclick = (e) => {
+    // Check if delete button or its icon was clicked
+    if (
+      e.target.classList.contains("delete-card-icon") ||
+      e.target.closest(".delete-card-icon")
+    ) {
+      e.stopPropagation();
+      deleteCard(card);
+      return;
+    }
+    selectCard(card);
+  };
+  return div;
+}
+
+function createSetHeader(set, count) {
+  const header = document.createElement("div");
+  header.className = "card-set-header";
+  header.dataset.set = set?.id || "";
+  header.innerHTML = `
+    <span class="material-icons">${set ? "layers" : "inbox"}</span>
+    <span class="card-set-name"></span>
+    <span class="card-set-count">${count}</span>
+    <button class="icon-btn-ghost" data-action="new-card" title="New Card in Set">
+      <span class="material-icons" style="font-size: 16px">add</span>
+    </button>
+  `;
+  header.querySelector(".card-set-name").textContent = set
+    ? set.name
+    : "Unsorted";
+  header.querySelector("[data-action='new-card']").onclick = (e) => {
+    e.stopPropagation();
+    createNewCard(set?.id);
+  };
+  return header;
+}
+
+/** The set a card is listed under ("" for unsorted) */
+function cardSetKey(card) {
+  return findSet(card.setId) ? card.setId : "";
+}
+
 export function renderCardList(cards) {
   dom.cardList.innerHTML = "";
-  cards.forEach((card) => {
-    const div = document.createElement("div");
-    div.className = "card-item";
-    if (state.currentCard && state.currentCard.id === card.id) {
-      div.classList.add("active");
-    }
-    div.dataset.id = card.id;
+  // Dragging cards only makes sense when the list shows the stored order
+  const draggable = currentSortMode === "default";
+  dom.cardList.classList.toggle("card-list-sortable", draggable);
+
+  const sets = projectSets();
+  const append = (card) => {
+    const item = createCardItem(card);
+    item.draggable = draggable;
+    dom.cardList.appendChild(item);
+  };
 
-    const count = card.imageCount !== undefined ? card.imageCount : 0;
+  if (sets.length === 0) {
+    cards.forEach(append);
+    return;
+  }
 
-    let thumbHtml = "";
-    if (card.starredImage && card.outputSubfolder) {
-      const thumbUrl = `/data/projects/${card.projectId}/assets/${card.outputSubfolder}/${card.starredImage}`;
-      thumbHtml = `<img src="${thumbUrl}" class="card-item-thumb" loading="lazy">`;
-    }
+  // Grouped under set headers, in set order, with unsorted cards last
+  [...sets, null].forEach((set) => {
+    const key = set?.id || "";
+    const setCards = cards.filter((card) => cardSetKey(card) === key);
+    if (!set && setCards.length === 0 && !draggable) return;
+    dom.cardList.appendChild(createSetHeader(set, setCards.length));
+    setCards.forEach(append);
+  });
+}
+
+// --- Drag-and-drop ordering ---
+
+let draggedCardId = null;
 
-    div.innerHTML = `
-        <div style="display: flex; justify-content: space-between; align-items: center; width: 100%;">
-            <div style="display: flex; align-items: center; overflow: hidden;">
-                ${thumbHtml}
-                <span style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${card.name}</span>
-            </div>
-            <div style="display: flex; align-items: center; gap: 8px;">
-              <span style="font-size: 0.8em; color: var(--text-muted); background: rgba(255,255,255,0.1); padding: 2px 6px; border-radius: 10px;">${count}</span>
-              <button class="delete-card-icon" title="Delete Card" style="background: none; border: none; cursor: pointer; color: #64748b; font-size: 1.1em; padding: 0; line-height: 1; display: none;"><span class="material-icons" style="font-size: 16px;">delete_outline</span></button>
-            </div>
-        </div>
-    `;
-
-    // Show delete button on hover (via JS for simplicity, or CSS could work if structure allows)
-    // Actually, let's use CSS for hover effect if possible, but JS for the click handler is must.
-    div.onmouseenter = () => {
-      const btn = div.querySelector(".delete-card-icon");
-      if (btn) btn.style.display = "block";
+function clearDropIndicators() {
+  dom.cardList
+    .querySelectorAll(".dragging, .drop-before, .drop-after, .drag-over")
+    .forEach((el) =>
+      el.classList.remove("dragging", "drop-before", "drop-after", "drag-over"),
+    );
+}
+
+// Where dropping at this pointer position puts the card: before or after
+// another card, or at the end of a set when over its header
+function dropTarget(e) {
+  const item = e.target.closest(".card-item");
+  if (item) {
+    const card = state.allCards.find((c) => c.id === item.dataset.id);
+    if (!card) return null;
+    const rect = item.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    return {
+      element: item,
+      className: after ? "drop-after" : "drop-before",
+      setId: cardSetKey(card),
+      cardId: card.id,
+      after,
     };
-    div.onmouseleave = () => {
-      const btn = div.querySelector(".delete-card-icon");
-      if (btn) btn.style.display = "none";
+  }
+  const header = e.target.closest(".card-set-header");
+  if (header) {
+    return {
+      element: header,
+      className: "drag-over",
+      setId: header.dataset.set,
+      cardId: null,
     };
+  }
+  return null;
+}
 
-    div.onclick = (e) => {
-      // Check if delete button or its icon was clicked
-      if (
-        e.target.classList.contains("delete-card-icon") ||
-        e.target.closest(".delete-card-icon")
-      ) {
-        e.stopPropagation();
-        deleteCard(card);
-        return;
-      }
-      selectCard(card);
-    };
-    dom.cardList.appendChild(div);
+async function moveCard(cardId, target) {
+  if (target.cardId === cardId) return;
+
+  // The target set's full order (not just the filtered cards on screen)
+  const ids = state.allCards
+    .filter((c) => cardSetKey(c) === target.setId && c.id !== cardId)
+    .map((c) => c.id);
+  const index = target.cardId
+    ? ids.indexOf(target.cardId) + (target.after ? 1 : 0)
+    : ids.length;
+  ids.splice(index, 0, cardId);
+
+  const projectId = state.currentProject.id;
+  const res = await api.reorderCards(projectId, target.setId || null, ids);
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  // An unsaved set change in the editor survives moving other cards
+  await reloadCards(
+    ids.includes(state.currentCard?.id) ? ["setId", "order"] : ["order"],
+  );
+}
+
+/**
+ * Reloads the card list after cards were changed in bulk on the server.
+ * Only `fields` (and the revision) of the open card are taken from the
+ * fresh copy, so its unsaved edits stay in the editor.
+ */
+export async function reloadCards(fields) {
+  await loadCards(state.currentProject.id);
+  const fresh = state.allCards.find((c) => c.id === state.currentCard?.id);
+  if (!fresh) return;
+
+  for (const key of ["revision", ...fields]) {
+    if (fresh[key] === undefined) delete state.currentCard[key];
+    else state.currentCard[key] = fresh[key];
+  }
+  if (fields.includes("setId")) {
+    renderCardSet(fresh.setId);
+    refreshSetFields();
+  }
+  if (fields.includes("cardNumber")) {
+    dom.inputs.cardNumber.value = fresh.cardNumber ?? "";
+  }
+}
+
+export function setupCardListUI() {
+  dom.cardList.addEventListener("dragstart", (e) => {
+    const item = e.target.closest(".card-item");
+    if (!item) return;
+    draggedCardId = item.dataset.id;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", draggedCardId);
+    item.classList.add("dragging");
+  });
+  dom.cardList.addEventListener("dragend", () => {
+    draggedCardId = null;
+    clearDropIndicators();
+  });
+  dom.cardList.addEventListener("dragover", (e) => {
+    if (!draggedCardId) return;
+    const target = dropTarget(e);
+    if (!target) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    if (!target.element.classList.contains(target.className)) {
+      dom.cardList
+        .querySelectorAll(".drop-before, .drop-after, .drag-over")
+        .forEach((el) =>
+          el.classList.remove("drop-before", "drop-after", "drag-over"),
+        );
+      target.element.classList.add(target.className);
+    }
+  });
+  dom.cardList.addEventListener("drop", (e) => {
+    if (!draggedCardId) return;
+    const target = dropTarget(e);
+    const cardId = draggedCardId;
+    clearDropIndicators();
+    if (!target) return;
+    e.preventDefault();
+    moveCard(cardId, target);
   });
 }
 
 export function filterCards() {
-  const term = dom.searchInput.value.toLowerCase();
-  let filtered = state.allCards.filter((c) =>
-    c.name.toLowerCase().includes(term),
-  );
+  let filtered = state.allCards.filter(buildCardFilter(dom.searchInput.value));
 
   // Apply Sort
   filtered = getSortedCards(filtered, currentSortMode);
@@ -187,6 +398,71 @@ export function filterCards() {
   renderCardList(filtered);
 }
 
+function appendModifierToggles(container, modifiers, disabled) {
+  modifiers.forEach((mod) => {
+    const label = document.createElement("label");
+    label.className = "modifier-toggle-label";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.dataset.id = mod.id;
+    checkbox.checked = !disabled.has(mod.id); // Checked if NOT disabled
+
+    const span = document.createElement("span");
+    span.textContent = `${mod.name}`;
+
+    label.appendChild(checkbox);
+    label.appendChild(span);
+    container.appendChild(label);
+  });
+}
+
+// Toggles for the project's modifiers, then those of the card's set
+function renderModifierToggles(setId, inactiveModifiers = []) {
+  const modifierRow = document.getElementById("modifierToggleRow");
+  const modifierContainer = document.getElementById("modifierToggles");
+  if (!modifierRow || !modifierContainer) return;
+
+  const projectModifiers = state.currentProject?.promptModifiers || [];
+  const setModifiers = findSet(setId)?.promptModifiers || [];
+  modifierContainer.innerHTML = "";
+  if (projectModifiers.length + setModifiers.length === 0) {
+    modifierRow.style.display = "none";
+    return;
+  }
+
+  modifierRow.style.display = "flex";
+  const disabled = new Set(inactiveModifiers);
+  appendModifierToggles(modifierContainer, projectModifiers, disabled);
+  appendModifierToggles(modifierContainer, setModifiers, disabled);
+}
+
+// "Default (…)" shows what an unset field falls back to: set, then project
+function renderDefaultLabels(setId) {
+  const set = findSet(setId);
+  const project = state.currentProject || {};
+  dom.inputs.cardAspectRatio.options[0].textContent = `Default (${
+    set?.aspectRatio || project.defaultAspectRatio || "2:3"
+  })`;
+  dom.inputs.cardResolution.options[0].textContent = `Default (${
+    set?.resolution || project.defaultResolution || "2K"
+  })`;
+}
+
+/**
+ * Re-renders the editor fields that depend on the card's set, after the
+ * Set field or the sets themselves changed.
+ */
+export function refreshSetFields() {
+  if (!state.currentCard) return;
+  // Re-rendering drops a set that was just deleted back to Unsorted
+  renderCardSet(readCardSet());
+  const setId = readCardSet();
+  renderModifierToggles(setId, readEditorDraft().inactiveModifiers);
+  renderDefaultLabels(setId);
+  schedulePromptPreview();
+}
+
 export function selectCard(card, updateHistory = true) {
   state.currentCard = card;
   dom.editorArea.classList.remove("hidden");
@@ -202,47 +478,34 @@ export function selectCard(card, updateHistory = true) {
   }
 
   dom.inputs.name.value = card.name;
+  dom.inputs.cardNumber.value = card.cardNumber ?? "";
   dom.inputs.subfolder.value = card.outputSubfolder || "";
   dom.inputs.cardAspectRatio.value = card.aspectRatio || "";
   dom.inputs.cardResolution.value = card.resolution || "";
+  dom.inputs.cardImageProvider.value = card.imageProvider || "";
   dom.inputs.prompt.value = card.prompt || "";
+  dom.inputs.negativePrompt.value = card.negativePrompt || "";
+
+  // Structured sections (collapsed unless the card uses them)
+  const sections = card.promptSections || {};
+  let hasSections = false;
+  dom.inputs.promptSections
+    .querySelectorAll("input[data-section]")
+    .forEach((input) => {
+      input.value = sections[input.dataset.section] || "";
+      if (input.value) hasSections = true;
+    });
+  dom.inputs.promptSections.open = hasSections;
 
-  // Render Modifier Toggles
-  const modifierRow = document.getElementById("modifierToggleRow");
-  const modifierContainer = document.getElementById("modifierToggles");
-
-  if (modifierRow && modifierContainer) {
-    if (
-      state.currentProject &&
-      state.currentProject.promptModifiers &&
-      state.currentProject.promptModifiers.length > 0
-    ) {
-      modifierRow.style.display = "flex";
-      modifierContainer.innerHTML = "";
-
-      const disabled = new Set(card.inactiveModifiers || []);
-
-      state.currentProject.promptModifiers.forEach((mod) => {
-        const label = document.createElement("label");
-        label.className = "modifier-toggle-label";
-
-        const checkbox = document.createElement("input");
-        checkbox.type = "checkbox";
-        checkbox.dataset.id = mod.id;
-        checkbox.checked = !disabled.has(mod.id); // Checked if NOT disabled
+  renderAttributes(card.attributes);
+  renderCardTags(card.tags);
 
-        const span = document.createElement("span");
-        span.textContent = `${mod.name}`;
+  renderCardSet(card.setId);
+  renderModifierToggles(card.setId, card.inactiveModifiers);
+  renderDefaultLabels(card.setId);
 
-        label.appendChild(checkbox);
-        label.appendChild(span);
-        modifierContainer.appendChild(label);
-      });
-    } else {
-      modifierRow.style.display = "none";
-      modifierContainer.innerHTML = "";
-    }
-  }
+  updatePromptPreview();
+  updateLayoutPreview();
 
   updateStatusCenter(card.name);
 
@@ -266,7 +529,8 @@ export function selectCard(card, updateHistory = true) {
   );
 }
 
-export async function createNewCard() {
+/** Creates a card, at the end of `setId` when given (unsorted otherwise) */
+export async function createNewCard(setId) {
   if (!state.currentProject)
     return showStatus("Select a project first", "error");
 
@@ -277,18 +541,13 @@ export async function createNewCard() {
     prompt: "",
     inactiveModifiers: [],
   };
+  // Also called as a click handler, with the event
+  if (typeof setId === "string" && findSet(setId)) newCard.setId = setId;
 
   // Auto-save the new card immediately
   const res = await api.saveCard(newCard);
 
   if (res.success && res.card) {
-    // If we want subfolder to match ID (standard convention in this app),
-    // we could update it now.
-    if (!res.card.outputSubfolder) {
-      res.card.outputSubfolder = res.card.id;
-      await api.saveCard(res.card);
-    }
-
     await loadCards(state.currentProject.id); // Refresh list
 
     // Need to find the fresh card object from state to ensure we have all fields
@@ -300,16 +559,82 @@ export async function createNewCard() {
   }
 }
 
-export async function saveCurrentCard(silent = false) {
-  if (!state.currentCard) return;
+function renderAttributes(attributes = {}) {
+  dom.inputs.attributes.innerHTML = "";
+  Object.entries(attributes).forEach(([name, value]) =>
+    addAttributeRow(name, value),
+  );
+}
+
+function addAttributeRow(name = "", value = "") {
+  const row = document.createElement("div");
+  row.className = "card-attribute-row";
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "attribute-name";
+  nameInput.placeholder = "name (e.g. suit)";
+  nameInput.value = name;
+
+  const valueInput = document.createElement("input");
+  valueInput.type = "text";
+  valueInput.className = "attribute-value";
+  valueInput.placeholder = "value";
+  valueInput.value = value;
+
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "icon-btn";
+  removeBtn.title = "Remove Attribute";
+  removeBtn.innerHTML = `<span class="material-icons" style="font-size: 18px">close</span>`;
+  removeBtn.addEventListener("click", () => {
+    row.remove();
+    schedulePromptPreview();
+  });
 
-  state.currentCard.name = dom.inputs.name.value;
-  state.currentCard.outputSubfolder = dom.inputs.subfolder.value;
-  state.currentCard.aspectRatio = dom.inputs.cardAspectRatio.value;
-  state.currentCard.resolution = dom.inputs.cardResolution.value;
-  state.currentCard.prompt = dom.inputs.prompt.value;
+  row.append(nameInput, valueInput, removeBtn);
+  dom.inputs.attributes.appendChild(row);
+  return row;
+}
+
+function readAttributes() {
+  const attributes = {};
+  dom.inputs.attributes
+    .querySelectorAll(".card-attribute-row")
+    .forEach((row) => {
+      const name = row.querySelector(".attribute-name").value.trim();
+      if (name) attributes[name] = row.querySelector(".attribute-value").value;
+    });
+  return attributes;
+}
+
+// Card fields as currently shown in the editor (possibly unsaved)
+function readEditorDraft() {
+  const sections = {};
+  dom.inputs.promptSections
+    .querySelectorAll("input[data-section]")
+    .forEach((input) => {
+      if (input.value.trim()) sections[input.dataset.section] = input.value;
+    });
+
+  const draft = {
+    name: dom.inputs.name.value,
+    outputSubfolder: dom.inputs.subfolder.value,
+    aspectRatio: dom.inputs.cardAspectRatio.value,
+    resolution: dom.inputs.cardResolution.value,
+    imageProvider: dom.inputs.cardImageProvider.value,
+    prompt: dom.inputs.prompt.value,
+    negativePrompt: dom.inputs.negativePrompt.value,
+    promptSections: sections,
+    attributes: readAttributes(),
+    tags: readCardTags(),
+    setId: readCardSet(),
+    cardNumber:
+      dom.inputs.cardNumber.value === ""
+        ? undefined
+        : Number(dom.inputs.cardNumber.value),
+  };
 
-  // Save active/inactive state
+  // Active/inactive modifier state
   const modifierContainer = document.getElementById("modifierToggles");
   if (modifierContainer) {
     const inactive = [];
@@ -320,10 +645,127 @@ export async function saveCurrentCard(silent = false) {
           inactive.push(cb.dataset.id);
         }
       });
-    state.currentCard.inactiveModifiers = inactive;
+    draft.inactiveModifiers = inactive;
   }
+  return draft;
+}
+
+function schedulePromptPreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(updatePromptPreview, 300);
+}
+
+async function updatePromptPreview() {
+  if (!state.currentCard || !state.currentProject) return;
+  const { preview, errors } = dom.resolvedPrompt;
+  const draft = { ...state.currentCard, ...readEditorDraft() };
+  const requestId = ++previewRequest;
+
+  try {
+    const result = await api.previewPrompt(state.currentProject.id, draft);
+    // A newer keystroke already asked again
+    if (requestId !== previewRequest) return;
+    if (result.error) {
+      preview.textContent = "";
+      errors.textContent = result.error;
+      errors.classList.remove("hidden");
+      return;
+    }
+
+    preview.textContent = result.negativePrompt
+      ? `${result.prompt}\n\nAvoid: ${result.negativePrompt}`
+      : result.prompt;
+
+    const problems = result.undefinedVariables.map(
+      (name) => `Undefined variable {{${name}}}`,
+    );
+    Object.keys(draft.attributes)
+      .filter((name) => !ATTRIBUTE_NAME_PATTERN.test(name))
+      .forEach((name) => problems.push(`Invalid attribute name "${name}"`));
+    errors.textContent = problems.join(" · ");
+    errors.classList.toggle("hidden", problems.length === 0);
+  } catch (e) {
+    console.error("[Card] Failed to preview prompt:", e);
+  }
+}
+
+function scheduleLayoutPreview() {
+  clearTimeout(layoutPreviewTimer);
+  layoutPreviewTimer = setTimeout(updateLayoutPreview, 400);
+}
+
+/** Renders the card (with unsaved edits) using the project's card layout */
+async function updateLayoutPreview() {
+  const { group, image, error } = dom.layoutPreview;
+  const hasLayout = Boolean(
+    state.currentCard && state.currentProject?.cardLayout,
+  );
+  group.classList.toggle("hidden", !hasLayout);
+  if (!hasLayout) return;
 
-  await api.saveCard(state.currentCard);
+  const card = { ...readEditorDraft(), id: state.currentCard.id };
+  const requestId = ++layoutPreviewRequest;
+  try {
+    const result = await api.previewCardLayout(state.currentProject.id, {
+      card,
+    });
+    // A newer edit already asked again
+    if (requestId !== layoutPreviewRequest) return;
+    error.textContent = result.error || "";
+    error.classList.toggle("hidden", !result.error);
+    if (!result.blob) return;
+    if (layoutPreviewUrl) URL.revokeObjectURL(layoutPreviewUrl);
+    layoutPreviewUrl = URL.createObjectURL(result.blob);
+    image.src = layoutPreviewUrl;
+  } catch (e) {
+    console.error("[Card] Failed to preview card layout:", e);
+  }
+}
+
+export function setupCardEditorUI() {
+  dom.btns.addAttribute.addEventListener("click", () => {
+    addAttributeRow().querySelector("input").focus();
+  });
+  // Any edit (text, sections, attributes, modifier toggles) refreshes it
+  dom.editorArea.addEventListener("input", schedulePromptPreview);
+  dom.editorArea.addEventListener("change", schedulePromptPreview);
+  // The rendered card follows edits, the starred image and the layout
+  dom.editorArea.addEventListener("input", scheduleLayoutPreview);
+  dom.editorArea.addEventListener("change", scheduleLayoutPreview);
+  document.addEventListener("card-starred", scheduleLayoutPreview);
+  document.addEventListener("card-layout-changed", updateLayoutPreview);
+  // Set modifiers and defaults follow the Set field
+  document
+    .getElementById("cardSetSelect")
+    .addEventListener("change", refreshSetFields);
+}
+
+export async function saveCurrentCard(silent = false) {
+  if (!state.currentCard) return;
+
+  // Only fields edited here are reapplied if the card changed elsewhere
+  const draft = readEditorDraft();
+  const changes = Object.fromEntries(
+    Object.entries(draft).filter(
+      ([key, value]) =>
+        JSON.stringify(value) !== JSON.stringify(state.currentCard[key]),
+    ),
+  );
+  // A card moved to another set goes to its end
+  if ("setId" in changes) delete state.currentCard.order;
+  Object.assign(state.currentCard, draft);
+  if (!draft.setId) delete state.currentCard.setId;
+  if (draft.cardNumber === undefined) delete state.currentCard.cardNumber;
+
+  const res = await api.saveCard(state.currentCard, changes);
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  Object.assign(state.currentCard, res.card);
+  document.dispatchEvent(
+    new CustomEvent("card-saved", { detail: { card: state.currentCard } }),
+  );
 
   await loadCards(state.currentProject.id); // Refresh list
   if (!silent) showStatus("Card Saved", "success");
@@ -341,7 +783,7 @@ export async function deleteCard(card) {
     `Delete "${card.name}" and all its images?`,
     async () => {
       await api.deleteCard(state.currentProject.id, card.id);
-      showStatus("Card deleted", "success");
+      showStatus("Card deleted (Ctrl/⌘+Z to undo)", "success");
 
       if (state.currentCard && state.currentCard.id === card.id) {
         state.currentCard = null;
@@ -0,0 +1,221 @@
+import { state } from "../state.js";
+import { showStatus } from "../ui.js";
+import * as api from "../api.js";
+
+// Bulk import/export of card definitions (Sort menu → Import / Export
+// Cards…). A picked file is previewed first; changing a column's mapping or
+// the mode previews it again, and Import applies the same request.
+
+const els = {
+  modal: document.getElementById("cardImportModal"),
+  close: document.getElementById("closeCardImportModalBtn"),
+  file: document.getElementById("cardImportFile"),
+  mode: document.getElementById("cardImportMode"),
+  preview: document.getElementById("cardImportPreview"),
+  mapping: document.getElementById("cardImportMapping"),
+  summary: document.getElementById("cardImportSummary"),
+  rows: document.getElementById("cardImportRows"),
+  exportCsv: document.getElementById("exportCardsCsvBtn"),
+  exportJson: document.getElementById("exportCardsJsonBtn"),
+  apply: document.getElementById("applyCardImportBtn"),
+};
+
+// The file being imported and the column mapping from the last preview
+let upload = null;
+let mapping = {};
+let fields = [];
+
+const ACTION_LABELS = { create: "New", update: "Update", skip: "Skip" };
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+// Same as the server's default: "Card Suit" → Card_Suit
+function attributeNameFor(column) {
+  return column
+    .trim()
+    .replace(/\s+/g, "_")
+    .replace(/[^\w-]/g, "")
+    .replace(/^[\d-]+/, "");
+}
+
+function targetLabel(target) {
+  if (target.startsWith("attr:")) return `Attribute "${target.slice(5)}"`;
+  return fields.find((f) => f.target === target)?.label || target;
+}
+
+function renderMapping(columns) {
+  els.mapping.innerHTML = columns
+    .map((column) => {
+      const attribute = attributeNameFor(column);
+      const targets = [
+        "",
+        ...fields.map((f) => f.target),
+        attribute ? `attr:${attribute}` : "",
+        mapping[column],
+      ].filter((t, i, all) => all.indexOf(t) === i && (t || i === 0));
+      return `
+        <span class="card-import-column" title="${escapeHtml(column)}">${escapeHtml(column)}</span>
+        <select data-column="${escapeHtml(column)}" aria-label="Import ${escapeHtml(column)} as">
+          ${targets
+            .map(
+              (t) =>
+                `<option value="${escapeHtml(t)}"${
+                  t === mapping[column] ? " selected" : ""
+                }>${t ? escapeHtml(targetLabel(t)) : "Skip column"}</option>`,
+            )
+            .join("")}
+        </select>
+      `;
+    })
+    .join("");
+}
+
+function renderRows(rows) {
+  if (rows.length === 0) {
+    els.rows.innerHTML =
+      '<tr><td colspan="4" class="card-import-details">No rows</td></tr>';
+    return;
+  }
+  els.rows.innerHTML = rows
+    .map((row) => {
+      const details =
+        row.error ||
+        row.changes.map((target) => targetLabel(target)).join(", ");
+      return `
+        <tr>
+          <td>${row.row}</td>
+          <td>${escapeHtml(row.name || "—")}</td>
+          <td class="card-import-action ${row.action}">${
+            ACTION_LABELS[row.action]
+          }</td>
+          <td class="card-import-details">${escapeHtml(details)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+}
+
+function renderPlan(plan) {
+  const { create, update, skip } = plan.counts;
+  els.summary.textContent = [
+    `${create} new`,
+    `${update} updated`,
+    `${skip} skipped`,
+    plan.newSets.length ? `New sets: ${plan.newSets.join(", ")}` : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  renderMapping(plan.columns);
+  renderRows(plan.rows);
+  els.preview.classList.remove("hidden");
+  els.apply.disabled = create + update === 0;
+}
+
+function importRequest(preview) {
+  return {
+    ...upload,
+    mode: els.mode.value,
+    mapping,
+    preview,
+  };
+}
+
+async function previewImport() {
+  if (!upload) return;
+  const res = await api.importCards(
+    state.currentProject.id,
+    importRequest(true),
+  );
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    els.apply.disabled = true;
+    return;
+  }
+  fields = res.fields;
+  mapping = res.mapping;
+  renderPlan(res);
+}
+
+async function readFile(file) {
+  const data = await file.text();
+  const json = /\.json$/i.test(file.name) || /^\s*[[{]/.test(data);
+  upload = { format: json ? "json" : "csv", data };
+  mapping = {};
+  await previewImport();
+}
+
+async function applyImport() {
+  els.apply.disabled = true;
+  const res = await api.importCards(
+    state.currentProject.id,
+    importRequest(false),
+  );
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    els.apply.disabled = false;
+    return;
+  }
+  closeCardImportModal();
+  // New sets and cards: reload the project as well as the list
+  document.dispatchEvent(new CustomEvent("projects-updated"));
+  showStatus(
+    `Imported ${res.create} new and ${res.update} updated card${
+      res.create + res.update === 1 ? "" : "s"
+    } (Ctrl/⌘+Z to undo)`,
+    "success",
+  );
+}
+
+function exportCards(format) {
+  window.location.href = `/api/projects/${state.currentProject.id}/cards/export?format=${format}`;
+}
+
+export function openCardImportModal() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  upload = null;
+  mapping = {};
+  els.file.value = "";
+  els.preview.classList.add("hidden");
+  els.apply.disabled = true;
+  els.modal.classList.remove("hidden");
+}
+
+export function closeCardImportModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupCardImportUI() {
+  if (!els.modal) return;
+
+  // The sort menu is re-created on every card load, so delegate
+  document.addEventListener("click", (e) => {
+    if (e.target.closest("#sortMenu [data-action='import-cards']")) {
+      openCardImportModal();
+    }
+  });
+  els.close.addEventListener("click", closeCardImportModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeCardImportModal();
+  });
+  els.file.addEventListener("change", () => {
+    const file = els.file.files[0];
+    if (file) readFile(file);
+  });
+  els.mode.addEventListener("change", previewImport);
+  els.mapping.addEventListener("change", (e) => {
+    const column = e.target.dataset.column;
+    if (column === undefined) return;
+    mapping = { ...mapping, [column]: e.target.value };
+    previewImport();
+  });
+  els.apply.addEventListener("click", applyImport);
+  els.exportCsv.addEventListener("click", () => exportCards("csv"));
+  els.exportJson.addEventListener("click", () => exportCards("json"));
+}
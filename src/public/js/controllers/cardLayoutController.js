@@ -0,0 +1,333 @@
+import { state } from "../state.js";
+import { showStatus, confirmAction } from "../ui.js";
+import * as api from "../api.js";
+
+// Card Layout (project modal → Card Layout…): the frame image, art window
+// and text boxes that finished cards are rendered with. Every edit
+// re-renders the preview card on the server; the card editor and Export
+// Deck use the saved layout.
+
+const els = {
+  openBtn: document.getElementById("cardLayoutBtn"),
+  modal: document.getElementById("cardLayoutModal"),
+  close: document.getElementById("closeCardLayoutModalBtn"),
+  width: document.getElementById("cardLayoutWidth"),
+  height: document.getElementById("cardLayoutHeight"),
+  background: document.getElementById("cardLayoutBackground"),
+  frame: document.getElementById("cardLayoutFrame"),
+  uploadFrame: document.getElementById("uploadLayoutFrameBtn"),
+  artX: document.getElementById("cardLayoutArtX"),
+  artY: document.getElementById("cardLayoutArtY"),
+  artWidth: document.getElementById("cardLayoutArtWidth"),
+  artHeight: document.getElementById("cardLayoutArtHeight"),
+  artFit: document.getElementById("cardLayoutArtFit"),
+  texts: document.getElementById("cardLayoutTexts"),
+  addText: document.getElementById("addLayoutTextBtn"),
+  uploadFont: document.getElementById("uploadLayoutFontBtn"),
+  fileInput: document.getElementById("layoutFileInput"),
+  previewCard: document.getElementById("cardLayoutPreviewCard"),
+  error: document.getElementById("cardLayoutModalError"),
+  preview: document.getElementById("cardLayoutModalPreview"),
+  remove: document.getElementById("removeCardLayoutBtn"),
+  save: document.getElementById("saveCardLayoutBtn"),
+};
+
+// Frame images and fonts in the project's layout folder
+let files = { images: [], fonts: [] };
+// Layout for new text boxes' defaults and an unsaved project's form
+let defaultLayout = null;
+let previewTimer = null;
+// Ignores previews that arrive after a newer request was sent
+let previewId = 0;
+let previewUrl = null;
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+function options(values, selected) {
+  return values
+    .map(
+      ([value, label]) =>
+        `<option value="${escapeHtml(value)}"${
+          value === selected ? " selected" : ""
+        }>${escapeHtml(label)}</option>`,
+    )
+    .join("");
+}
+
+function fontOptions(selected) {
+  return options(
+    [["", "Built-in pixel font"], ...files.fonts.map((f) => [f, f])],
+    selected,
+  );
+}
+
+function renderFrames(selected = "") {
+  els.frame.innerHTML = options(
+    [["", "None"], ...files.images.map((f) => [f, f])],
+    selected,
+  );
+}
+
+function addTextRow(text) {
+  const row = document.createElement("div");
+  row.className = "card-layout-text";
+  row.dataset.id = text.id || "";
+  const number = (field, label) => `
+    <div class="form-group">
+      <label>${label}</label>
+      <input type="number" data-field="${field}" value="${escapeHtml(
+        String(text[field]),
+      )}" />
+    </div>`;
+
+  row.innerHTML = `
+    <div class="card-layout-text-header">
+      <textarea data-field="text" rows="1" placeholder="e.g. {name} or {attr.cost}">${escapeHtml(
+        text.text,
+      )}</textarea>
+      <button class="icon-btn" data-action="remove" title="Remove Text">
+        <span class="material-icons" style="font-size: 18px">close</span>
+      </button>
+    </div>
+    <div class="form-grid card-layout-grid">
+      ${number("x", "X")}
+      ${number("y", "Y")}
+      ${number("width", "Width")}
+      ${number("height", "Height")}
+      ${number("size", "Size")}
+      <div class="form-group">
+        <label>Color</label>
+        <input type="color" data-field="color" value="${escapeHtml(
+          text.color,
+        )}" />
+      </div>
+    </div>
+    <div class="form-grid card-layout-grid">
+      <div class="form-group">
+        <label>Font</label>
+        <select data-field="font">${fontOptions(text.font)}</select>
+      </div>
+      <div class="form-group">
+        <label>Align</label>
+        <select data-field="align">${options(
+          [
+            ["left", "Left"],
+            ["center", "Center"],
+            ["right", "Right"],
+          ],
+          text.align,
+        )}</select>
+      </div>
+      <div class="form-group">
+        <label>Vertical</label>
+        <select data-field="verticalAlign">${options(
+          [
+            ["top", "Top"],
+            ["middle", "Middle"],
+            ["bottom", "Bottom"],
+          ],
+          text.verticalAlign,
+        )}</select>
+      </div>
+    </div>`;
+
+  row.querySelector('[data-action="remove"]').addEventListener("click", () => {
+    row.remove();
+    schedulePreview(0);
+  });
+  els.texts.appendChild(row);
+  return row;
+}
+
+function fillForm(layout) {
+  els.width.value = layout.width;
+  els.height.value = layout.height;
+  els.background.value = layout.background;
+  renderFrames(layout.frame || "");
+  els.artX.value = layout.art.x;
+  els.artY.value = layout.art.y;
+  els.artWidth.value = layout.art.width;
+  els.artHeight.value = layout.art.height;
+  els.artFit.value = layout.art.fit;
+  els.texts.innerHTML = "";
+  layout.texts.forEach(addTextRow);
+}
+
+/** The layout as the form shows it; the server validates it */
+function readLayout() {
+  return {
+    width: els.width.value,
+    height: els.height.value,
+    background: els.background.value,
+    frame: els.frame.value,
+    art: {
+      x: els.artX.value,
+      y: els.artY.value,
+      width: els.artWidth.value,
+      height: els.artHeight.value,
+      fit: els.artFit.value,
+    },
+    texts: [...els.texts.querySelectorAll(".card-layout-text")].map((row) => {
+      const text = { id: row.dataset.id || undefined };
+      row.querySelectorAll("[data-field]").forEach((input) => {
+        text[input.dataset.field] = input.value;
+      });
+      return text;
+    }),
+  };
+}
+
+function renderPreviewCards() {
+  const cards = state.allCards || [];
+  const selected = state.currentCard?.id || "";
+  els.previewCard.innerHTML =
+    '<option value="">First card with a starred image</option>' +
+    options(
+      cards.map((c) => [c.id, c.name]),
+      selected,
+    );
+}
+
+function schedulePreview(delay = 400) {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(async () => {
+    const id = ++previewId;
+    const cardId = els.previewCard.value;
+    const result = await api.previewCardLayout(state.currentProject.id, {
+      layout: readLayout(),
+      card: cardId ? { id: cardId } : undefined,
+    });
+    if (id !== previewId) return;
+    els.error.textContent = result.error || "";
+    els.error.classList.toggle("hidden", !result.error);
+    if (!result.blob) return;
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+    previewUrl = URL.createObjectURL(result.blob);
+    els.preview.src = previewUrl;
+  }, delay);
+}
+
+/** Uploads the chosen frame image or font to the layout folder */
+async function uploadFile() {
+  const file = els.fileInput.files[0];
+  const kind = els.fileInput.dataset.kind;
+  els.fileInput.value = "";
+  if (!file) return;
+
+  const data = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+  const res = await api.uploadCardLayoutFile(
+    state.currentProject.id,
+    file.name,
+    data,
+  );
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  files = res.files;
+  if (kind === "frame") renderFrames(res.file);
+  else renderFrames(els.frame.value);
+  // Keep each text box's font while adding the new one to the lists
+  els.texts.querySelectorAll('[data-field="font"]').forEach((select) => {
+    select.innerHTML = fontOptions(select.value);
+  });
+  showStatus(`Uploaded ${res.file}`, "success");
+  schedulePreview(0);
+}
+
+function chooseFile(kind) {
+  els.fileInput.dataset.kind = kind;
+  els.fileInput.accept = kind === "frame" ? ".png,.jpg,.jpeg" : ".ttf,.ttc";
+  els.fileInput.click();
+}
+
+async function saveLayout() {
+  const res = await api.saveCardLayout(state.currentProject.id, readLayout());
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  Object.assign(state.currentProject, res.project);
+  fillForm(res.layout);
+  els.remove.classList.remove("hidden");
+  showStatus("Card layout saved", "success");
+  document.dispatchEvent(new CustomEvent("card-layout-changed"));
+}
+
+function removeLayout() {
+  confirmAction(
+    "Remove Card Layout?",
+    "Cards will no longer be rendered with this layout. Uploaded frames and fonts are kept.",
+    async () => {
+      const res = await api.deleteCardLayout(state.currentProject.id);
+      if (res.error) {
+        showStatus(`Error: ${res.error}`, "error");
+        return;
+      }
+      delete state.currentProject.cardLayout;
+      showStatus("Card layout removed (Ctrl/⌘+Z to undo)", "success");
+      document.dispatchEvent(new CustomEvent("card-layout-changed"));
+      closeCardLayoutModal();
+    },
+  );
+}
+
+export async function openCardLayoutModal() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  const res = await api.fetchCardLayout(state.currentProject.id);
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  files = res.files;
+  defaultLayout = res.defaultLayout;
+  fillForm(res.layout || res.defaultLayout);
+  els.remove.classList.toggle("hidden", !res.layout);
+  renderPreviewCards();
+  els.error.classList.add("hidden");
+  els.modal.classList.remove("hidden");
+  schedulePreview(0);
+}
+
+export function closeCardLayoutModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupCardLayoutUI() {
+  if (!els.modal) return;
+
+  els.openBtn.addEventListener("click", openCardLayoutModal);
+  els.close.addEventListener("click", closeCardLayoutModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeCardLayoutModal();
+  });
+  // Any edit, including text boxes added later, refreshes the preview
+  els.modal.addEventListener("input", (e) => {
+    if (e.target !== els.fileInput) schedulePreview();
+  });
+  els.previewCard.addEventListener("change", () => schedulePreview(0));
+  els.addText.addEventListener("click", () => {
+    // A copy of the default rules text box, as a starting point
+    const template = defaultLayout.texts[defaultLayout.texts.length - 2];
+    addTextRow({ ...template, id: "", text: "" })
+      .querySelector("textarea")
+      .focus();
+  });
+  els.uploadFrame.addEventListener("click", () => chooseFile("frame"));
+  els.uploadFont.addEventListener("click", () => chooseFile("font"));
+  els.fileInput.addEventListener("change", uploadFile);
+  els.remove.addEventListener("click", removeLayout);
+  els.save.addEventListener("click", saveLayout);
+}
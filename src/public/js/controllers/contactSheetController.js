@@ -0,0 +1,104 @@
+import { state } from "../state.js";
+import { showStatus } from "../ui.js";
+import * as api from "../api.js";
+
+// Contact sheet (project header → grid button): a captioned grid of each
+// card's starred image for the project or one set, or of every favorite of
+// the current card, downloaded as a PNG or paged PDF.
+
+const els = {
+  openBtn: document.getElementById("contactSheetBtn"),
+  modal: document.getElementById("contactSheetModal"),
+  close: document.getElementById("closeContactSheetModalBtn"),
+  scope: document.getElementById("contactSheetScope"),
+  sort: document.getElementById("contactSheetSort"),
+  columns: document.getElementById("contactSheetColumns"),
+  format: document.getElementById("contactSheetFormat"),
+  paperGroup: document.getElementById("contactSheetPaperGroup"),
+  paper: document.getElementById("contactSheetPaper"),
+  captions: document.getElementById("contactSheetCaptions"),
+  create: document.getElementById("createContactSheetBtn"),
+};
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+function renderScopes() {
+  const sets = state.currentProject.sets || [];
+  const card = state.currentCard;
+  els.scope.innerHTML =
+    '<option value="">All cards</option>' +
+    sets
+      .map(
+        (s) =>
+          `<option value="set:${escapeHtml(s.id)}">Set: ${escapeHtml(
+            s.name,
+          )}</option>`,
+      )
+      .join("") +
+    (card
+      ? `<option value="card:${escapeHtml(
+          card.id,
+        )}">Favorites of ${escapeHtml(card.name)}</option>`
+      : "");
+}
+
+function sheetOptions() {
+  const options = {
+    columns: els.columns.value,
+    sort: els.sort.value,
+    format: els.format.value,
+    captions: els.captions.checked ? "1" : "0",
+  };
+  if (els.format.value === "pdf") options.paper = els.paper.value;
+
+  const [kind, id] = els.scope.value.split(/:(.*)/);
+  if (kind === "set") options.set = id;
+  if (kind === "card") options.card = id;
+  return options;
+}
+
+async function createSheet() {
+  els.create.disabled = true;
+  showStatus("Creating contact sheet…", "info");
+  try {
+    await api.downloadContactSheet(state.currentProject.id, sheetOptions());
+    showStatus("Contact sheet downloaded", "success");
+    closeContactSheetModal();
+  } catch (e) {
+    showStatus(e.message, "error");
+  } finally {
+    els.create.disabled = false;
+  }
+}
+
+export function openContactSheetModal() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  renderScopes();
+  els.paperGroup.classList.toggle("hidden", els.format.value !== "pdf");
+  els.modal.classList.remove("hidden");
+}
+
+export function closeContactSheetModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupContactSheetUI() {
+  if (!els.modal) return;
+
+  els.openBtn.addEventListener("click", openContactSheetModal);
+  els.close.addEventListener("click", closeContactSheetModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeContactSheetModal();
+  });
+  els.format.addEventListener("change", () => {
+    els.paperGroup.classList.toggle("hidden", els.format.value !== "pdf");
+  });
+  els.create.addEventListener("click", createSheet);
+}
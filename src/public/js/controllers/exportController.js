@@ -0,0 +1,296 @@
+import { state } from "../state.js";
+import { showStatus, confirmAction } from "../ui.js";
+import * as api from "../api.js";
+
+// Export Deck (project modal → Export Deck…): downloads a ZIP of the deck,
+// either the default (starred images, numbered, in set folders) or as a
+// saved export profile selects, names, converts and resizes them. The form
+// edits the selected profile; every change previews the file names.
+
+const els = {
+  openBtn: document.getElementById("exportDeckBtn"),
+  modal: document.getElementById("exportDeckModal"),
+  close: document.getElementById("closeExportDeckModalBtn"),
+  profile: document.getElementById("exportProfileSelect"),
+  name: document.getElementById("exportProfileName"),
+  selection: document.getElementById("exportSelection"),
+  naming: document.getElementById("exportNaming"),
+  format: document.getElementById("exportFormat"),
+  qualityGroup: document.getElementById("exportQualityGroup"),
+  quality: document.getElementById("exportQuality"),
+  resize: document.getElementById("exportResize"),
+  size: document.getElementById("exportSize"),
+  width: document.getElementById("exportWidth"),
+  height: document.getElementById("exportHeight"),
+  collision: document.getElementById("exportCollision"),
+  forGallery: document.getElementById("exportForGallery"),
+  rendered: document.getElementById("exportRendered"),
+  summary: document.getElementById("exportPreviewSummary"),
+  names: document.getElementById("exportPreviewNames"),
+  delete: document.getElementById("deleteExportProfileBtn"),
+  save: document.getElementById("saveExportProfileBtn"),
+  download: document.getElementById("downloadExportDeckBtn"),
+};
+
+// Matches DEFAULT_DECK_PROFILE on the server
+const DEFAULT_FIELDS = {
+  name: "",
+  selection: "starred",
+  naming: "{setFolder}/{number}_{subfolder}",
+  format: "original",
+  quality: 90,
+  resize: "none",
+  collision: "suffix",
+};
+
+// Whether the form differs from the selected profile
+let dirty = false;
+let previewTimer = null;
+// Ignores previews that arrive after a newer request was sent
+let previewId = 0;
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+function projectProfiles() {
+  return state.currentProject?.exportProfiles || [];
+}
+
+function selectedProfile() {
+  return projectProfiles().find((p) => p.id === els.profile.value);
+}
+
+function renderProfiles(selectedId = "") {
+  els.profile.innerHTML =
+    '<option value="">Default</option>' +
+    projectProfiles()
+      .map(
+        (p) =>
+          `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`,
+      )
+      .join("");
+  els.profile.value = selectedId;
+}
+
+function updateVisibility() {
+  els.qualityGroup.classList.toggle("hidden", els.format.value !== "jpeg");
+  els.size.classList.toggle("hidden", els.resize.value === "none");
+}
+
+function fillForm() {
+  const profile = selectedProfile();
+  const fields = profile || DEFAULT_FIELDS;
+  els.name.value = fields.name;
+  els.selection.value = fields.selection;
+  els.naming.value = fields.naming;
+  els.format.value = fields.format;
+  els.quality.value = fields.quality;
+  els.resize.value = fields.resize;
+  els.width.value = fields.width || "";
+  els.height.value = fields.height || "";
+  els.collision.value = fields.collision;
+
+  els.forGallery.parentElement.classList.toggle("hidden", !profile);
+  els.forGallery.checked = Boolean(
+    profile && state.currentProject.galleryExportProfileId === profile.id,
+  );
+  els.delete.classList.toggle("hidden", !profile);
+  dirty = false;
+  updateVisibility();
+  schedulePreview(0);
+}
+
+function readFields() {
+  return {
+    name: els.name.value.trim(),
+    selection: els.selection.value,
+    naming: els.naming.value.trim(),
+    format: els.format.value,
+    // PNG and WebP are always lossless; the server refuses a quality for them
+    quality: ["png", "webp"].includes(els.format.value)
+      ? undefined
+      : els.quality.value,
+    resize: els.resize.value,
+    width: els.width.value,
+    height: els.height.value,
+    collision: els.collision.value,
+  };
+}
+
+function renderPreview(res) {
+  els.summary.classList.toggle("error", Boolean(res.error));
+  if (res.error) {
+    els.summary.textContent = res.error;
+    els.names.innerHTML = "";
+    return;
+  }
+  const more = res.files - res.names.length;
+  els.summary.textContent = `${res.files} file${res.files === 1 ? "" : "s"}${
+    res.skipped.length
+      ? `, ${res.skipped.length} left out for duplicate names`
+      : ""
+  }`;
+  els.names.innerHTML = [
+    ...res.names.map((name) => `<li>${escapeHtml(name)}</li>`),
+    more > 0 ? `<li>…and ${more} more</li>` : "",
+  ].join("");
+}
+
+function schedulePreview(delay = 300) {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(async () => {
+    const id = ++previewId;
+    const res = await api.previewExportProfile(
+      state.currentProject.id,
+      readFields(),
+    );
+    if (id === previewId) renderPreview(res);
+  }, delay);
+}
+
+/** Saves the form to the selected profile, or as a new one. */
+async function saveProfile() {
+  const fields = readFields();
+  if (!fields.name) {
+    showStatus("Name the profile to save these settings", "error");
+    els.name.focus();
+    return null;
+  }
+
+  const projectId = state.currentProject.id;
+  const existing = selectedProfile();
+  const res = existing
+    ? await api.updateExportProfile(projectId, existing.id, fields)
+    : await api.createExportProfile(projectId, fields);
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return null;
+  }
+  Object.assign(state.currentProject, res.project);
+  showStatus(`Saved export profile "${res.profile.name}"`, "success");
+  renderProfiles(res.profile.id);
+  fillForm();
+  return res.profile;
+}
+
+async function downloadDeck() {
+  let profile = selectedProfile();
+  // Unsaved changes are saved first, since exports use saved profiles
+  if (dirty) {
+    profile = await saveProfile();
+    if (!profile) return;
+  }
+  const params = new URLSearchParams();
+  if (profile) params.set("profile", profile.id);
+  if (els.rendered.checked) params.set("rendered", "1");
+  const query = params.size ? `?${params}` : "";
+  window.location.href = `/api/projects/${state.currentProject.id}/export-deck${query}`;
+  showStatus("Building ZIP…", "info");
+}
+
+function deleteProfile() {
+  const profile = selectedProfile();
+  if (!profile) return;
+  confirmAction(
+    "Delete Export Profile?",
+    `Delete the export profile "${profile.name}"?`,
+    async () => {
+      const res = await api.deleteExportProfile(
+        state.currentProject.id,
+        profile.id,
+      );
+      if (res.error) {
+        showStatus(`Error: ${res.error}`, "error");
+        return;
+      }
+      Object.assign(state.currentProject, res.project);
+      if (!res.project.galleryExportProfileId) {
+        delete state.currentProject.galleryExportProfileId;
+      }
+      showStatus(`Deleted export profile "${profile.name}"`, "success");
+      renderProfiles();
+      fillForm();
+    },
+  );
+}
+
+async function toggleGalleryProfile() {
+  const profile = selectedProfile();
+  if (!profile) return;
+  const res = await api.setGalleryExportProfile(
+    state.currentProject.id,
+    els.forGallery.checked ? profile.id : null,
+  );
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    els.forGallery.checked = !els.forGallery.checked;
+    return;
+  }
+  Object.assign(state.currentProject, res.project);
+  if (!res.project.galleryExportProfileId) {
+    delete state.currentProject.galleryExportProfileId;
+  }
+  showStatus(
+    els.forGallery.checked
+      ? `Gallery downloads now use "${profile.name}"`
+      : "Gallery downloads keep the original file names",
+    "success",
+  );
+}
+
+export function openExportDeckModal() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  renderProfiles();
+  els.summary.textContent = "";
+  els.names.innerHTML = "";
+  fillForm();
+  // Rendered cards need a saved card layout
+  els.rendered.checked = false;
+  els.rendered.parentElement.classList.toggle(
+    "hidden",
+    !state.currentProject.cardLayout,
+  );
+  els.modal.classList.remove("hidden");
+}
+
+export function closeExportDeckModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupExportUI() {
+  if (!els.modal) return;
+
+  els.openBtn.addEventListener("click", openExportDeckModal);
+  els.close.addEventListener("click", closeExportDeckModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeExportDeckModal();
+  });
+  els.profile.addEventListener("change", fillForm);
+  for (const input of [
+    els.name,
+    els.selection,
+    els.naming,
+    els.format,
+    els.quality,
+    els.resize,
+    els.width,
+    els.height,
+    els.collision,
+  ]) {
+    input.addEventListener("input", () => {
+      dirty = true;
+      updateVisibility();
+      schedulePreview();
+    });
+  }
+  els.forGallery.addEventListener("change", toggleGalleryProfile);
+  els.delete.addEventListener("click", deleteProfile);
+  els.save.addEventListener("click", saveProfile);
+  els.download.addEventListener("click", downloadDeck);
+}
@@ -430,6 +430,10 @@ export async function openImageDetails(imgUrl) {
 
     dom.imgModal.size.textContent = `${resText} (AR: ${arText})`;
 
+    const negative = meta.generationArgs?.negativePrompt;
+    dom.imgModal.negativePrompt.textContent = negative || "";
+    dom.imgModal.negativeContainer.classList.toggle("hidden", !negative);
+
     // Reference Images
     dom.imgModal.refImages.innerHTML = "";
     const refs = meta.generationArgs?.referenceImageFiles || [];
@@ -481,11 +485,78 @@ export async function openImageDetails(imgUrl) {
 }
 
 let activeRegenArgs = null;
+let regenPreviewTimer = null;
+let regenPreviewRequest = 0;
+
+function regenTarget() {
+  return {
+    cardId: activeRegenArgs.cardId || state.currentCard?.id,
+    projectId: activeRegenArgs.projectId || state.currentProject?.id,
+  };
+}
+
+function regenPromptMode() {
+  return dom.regenModal.applyModifiers.checked ? "body" : "full";
+}
+
+// Shows the prompt the server will actually send for the dialog's settings
+async function updateRegenPreview() {
+  const { cardId, projectId } = regenTarget();
+  const { resolvedPrompt, resolvedErrors } = dom.regenModal;
+  if (!cardId || !projectId) return;
+  const requestId = ++regenPreviewRequest;
+
+  try {
+    const result = await api.fetchResolvedPrompt(
+      projectId,
+      cardId,
+      dom.regenModal.prompt.value,
+      regenPromptMode(),
+    );
+    if (requestId !== regenPreviewRequest) return;
+
+    resolvedPrompt.textContent = result.prompt || "";
+    const error =
+      result.error ||
+      (result.undefinedVariables?.length
+        ? result.undefinedVariables
+            .map((name) => `Undefined variable {{${name}}}`)
+            .join(" · ")
+        : "");
+    resolvedErrors.textContent = error;
+    resolvedErrors.classList.toggle("hidden", !error);
+  } catch (e) {
+    console.error("[Gallery] Failed to resolve prompt:", e);
+  }
+}
 
 function openRegenerateDialog(args) {
   activeRegenArgs = JSON.parse(JSON.stringify(args)); // Deep copy to avoid mutating orig
 
-  dom.regenModal.prompt.value = activeRegenArgs.prompt || "";
+  // Images that recorded their card body regenerate with the current
+  // project modifiers; older ones only have the full prompt
+  const { prompt = "", promptBody } = activeRegenArgs;
+  const hasBody = promptBody !== undefined;
+  dom.regenModal.applyModifiers.checked = hasBody;
+  dom.regenModal.prompt.value = hasBody ? promptBody : prompt;
+  dom.regenModal.applyModifiers.onchange = () => {
+    const applying = dom.regenModal.applyModifiers.checked;
+    // Swap in the matching text unless the user has edited it
+    if (
+      hasBody &&
+      dom.regenModal.prompt.value === (applying ? prompt : promptBody)
+    ) {
+      dom.regenModal.prompt.value = applying ? promptBody : prompt;
+    }
+    updateRegenPreview();
+  };
+  dom.regenModal.prompt.oninput = () => {
+    clearTimeout(regenPreviewTimer);
+    regenPreviewTimer = setTimeout(updateRegenPreview, 300);
+  };
+  updateRegenPreview();
+
+  dom.regenModal.negativePrompt.value = activeRegenArgs.negativePrompt || "";
   dom.regenModal.count.value = 1; // Default to 1 for regeneration
 
   // Reference Images
@@ -592,9 +663,7 @@ async function submitRegeneration() {
       }
     });
 
-    const targetCardId = activeRegenArgs.cardId || state.currentCard?.id;
-    const targetProjectId =
-      activeRegenArgs.projectId || state.currentProject?.id;
+    const { cardId: targetCardId, projectId: targetProjectId } = regenTarget();
 
     if (!targetCardId || !targetProjectId) {
       throw new Error("Cannot determine target Card/Project for regeneration.");
@@ -606,9 +675,11 @@ async function submitRegeneration() {
       projectId: targetProjectId,
       cardId: targetCardId,
       promptOverride: newPrompt, // Backend expects promptOverride
+      promptMode: regenPromptMode(),
+      negativePromptOverride: dom.regenModal.negativePrompt.value,
       count: count,
-      aspectRatio: activeRegenArgs.aspectRatio,
-      resolution: activeRegenArgs.resolution,
+      arOverride: activeRegenArgs.aspectRatio,
+      resOverride: activeRegenArgs.resolution,
       referenceImageFiles: remainingRefs,
       referenceImageIds: remainingRefIds,
     };
@@ -664,7 +735,7 @@ export async function deleteImage(imgUrl = null) {
           if (archidx > -1) state.currentCard.archivedImages.splice(archidx, 1);
         }
 
-        createToast("Image permanently deleted", "success");
+        createToast("Image moved to trash (Ctrl/⌘+Z to undo)", "success");
 
         // If modal was open for this image, close it
         if (
@@ -690,8 +761,8 @@ export async function deleteImage(imgUrl = null) {
   };
 
   confirmAction(
-    "Permanently Delete Image?",
-    "This cannot be undone. Area you sure?",
+    "Delete Image?",
+    "The image moves to the project's trash until it is emptied.",
     executeDelete,
   );
 }
@@ -745,68 +816,112 @@ export async function downloadCurrentGallery() {
   }
 }
 
-function renderPlaceholders(activeJobs = null) {
+function createPlaceholder(job, kind) {
+  const div = document.createElement("div");
+  div.className = `gallery-item placeholder${kind === "generating" ? "" : ` ${kind}`}`;
+  div.dataset.jobId = job.id;
+
+  if (job.aspectRatio) {
+    // Support "16:9" format -> "16/9"
+    div.style.aspectRatio = job.aspectRatio.replace(":", "/");
+  }
+
+  const icon = {
+    generating: "auto_awesome",
+    queued: "schedule",
+    error: "error_outline",
+    cancelled: "block",
+  }[kind];
+  const failed = job.failures?.length || 0;
+  const text = {
+    generating: "Generating...",
+    queued: "Queued",
+    error: job.status === "completed" ? `${failed} failed` : "Failed",
+    cancelled: "Cancelled",
+  }[kind];
+  if (job.summary || job.error) {
+    div.title = [job.summary, job.error].filter(Boolean).join("\n");
+  }
+
+  const actions =
+    kind === "generating" || kind === "queued"
+      ? `<button class="placeholder-action" data-action="cancel" title="Cancel job">
+           <span class="material-icons">close</span>
+         </button>`
+      : `<button class="placeholder-action" data-action="retry" title="Retry remaining images">
+           <span class="material-icons">refresh</span>
+         </button>
+         <button class="placeholder-action" data-action="dismiss" title="Dismiss">
+           <span class="material-icons">close</span>
+         </button>`;
+
+  div.innerHTML = `
+        <div class="placeholder-content">
+            <span class="material-icons">${icon}</span>
+            <span class="placeholder-text">${text}</span>
+        </div>
+        <div class="placeholder-actions">${actions}</div>
+      `;
+
+  div.querySelectorAll(".placeholder-action").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      btn.disabled = true;
+      const action = btn.dataset.action;
+      if (action === "cancel") statusService.cancelJob(job.id);
+      else if (action === "retry") statusService.retryJob(job.id);
+      else statusService.dismissJob(job.id);
+    });
+  });
+
+  return div;
+}
+
+function renderPlaceholders(activeJobs = null, finishedJobs = null) {
   if (!state.currentCard || !state.currentProject) return;
 
   const currentCardId = state.currentCard.id;
-  // Get jobs from arg or service
+  // Get jobs from args or service
   const jobs = activeJobs || Array.from(statusService.activeJobs.values());
+  const finished =
+    finishedJobs || Array.from(statusService.finishedJobs.values());
 
-  const relevantJobs = jobs.filter(
-    (j) => j.cardId === currentCardId && j.status === "generating",
-  );
-
-  // Calculate pending count
-  let totalPending = 0;
-  let aspectRatio = null;
-
-  relevantJobs.forEach((job) => {
-    // If backend reports current progress, subtract it.
-    // If not, use total. Default to 1.
-    const total = job.total || 1;
-    const current = job.current || 0;
-    const pending = Math.max(0, total - current);
-    totalPending += pending;
-
-    // Capture aspect aspect ratio from first relevant job
-    if (!aspectRatio && job.aspectRatio) {
-      aspectRatio = job.aspectRatio;
-    }
-  });
+  const isRelevant = (j) => j.cardId === currentCardId;
 
   // Remove existing placeholders
   const existing = dom.gallery.querySelectorAll(".gallery-item.placeholder");
   existing.forEach((el) => el.remove());
 
-  if (totalPending === 0) return;
-
-  // Add new placeholders (Prepend)
-  for (let i = 0; i < totalPending; i++) {
-    const div = document.createElement("div");
-    div.className = "gallery-item placeholder";
-
-    if (aspectRatio) {
-      // Support "16:9" format -> "16/9"
-      div.style.aspectRatio = aspectRatio.replace(":", "/");
-    }
-
-    div.innerHTML = `
-        <div class="placeholder-content">
-            <span class="material-icons">auto_awesome</span>
-            <span class="placeholder-text">Generating...</span>
-        </div>
-      `;
+  // Prepend in reverse priority so generating jobs end up in front, then
+  // queued, then failed/cancelled ones awaiting a retry.
+  finished.filter(isRelevant).forEach((job) => {
+    // Partially failed jobs completed, but still offer a retry
+    const kind = job.status === "completed" ? "error" : job.status;
+    dom.gallery.prepend(createPlaceholder(job, kind));
+  });
 
-    // Insert at beginning
-    dom.gallery.prepend(div);
-  }
+  const active = jobs.filter(
+    (j) =>
+      isRelevant(j) && (j.status === "generating" || j.status === "queued"),
+  );
+  ["queued", "generating"].forEach((status) => {
+    active
+      .filter((j) => j.status === status)
+      .forEach((job) => {
+        // One placeholder per image still to be made
+        const pending = Math.max(0, (job.total || 1) - (job.current || 0));
+        for (let i = 0; i < pending; i++) {
+          dom.gallery.prepend(createPlaceholder(job, status));
+        }
+      });
+  });
 }
 
 // Listen for generation updates
 // Listen for generation updates
 document.addEventListener("generation-update", (e) => {
   try {
-    renderPlaceholders(e.detail.activeJobs);
+    renderPlaceholders(e.detail.activeJobs, e.detail.finishedJobs);
   } catch (err) {
     console.error("Error updating placeholders:", err);
   }
@@ -0,0 +1,236 @@
+import { state } from "../state.js";
+import { showStatus } from "../ui.js";
+import * as api from "../api.js";
+import { selectCard } from "./cardController.js";
+import { openImageDetails } from "./galleryController.js";
+
+// Generation History modal: searchable archive of finished jobs per project
+
+const PAGE_SIZE = 50;
+
+const els = {
+  modal: document.getElementById("historyModal"),
+  close: document.getElementById("closeHistoryModalBtn"),
+  openBtn: document.getElementById("historyBtn"),
+  card: document.getElementById("historyCardFilter"),
+  status: document.getElementById("historyStatusFilter"),
+  from: document.getElementById("historyFromFilter"),
+  to: document.getElementById("historyToFilter"),
+  search: document.getElementById("historySearch"),
+  summary: document.getElementById("historySummary"),
+  jobList: document.getElementById("historyJobList"),
+  loadMore: document.getElementById("historyLoadMoreBtn"),
+};
+
+let entries = [];
+let total = 0;
+let searchTimer = null;
+
+const STATUS_ICONS = {
+  completed: "check_circle",
+  error: "error_outline",
+  cancelled: "block",
+};
+
+function isOpen() {
+  return els.modal && !els.modal.classList.contains("hidden");
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function formatDuration(ms) {
+  if (!ms) return "0s";
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+const FAILURE_LABELS = {
+  safety: "Blocked by safety",
+  quota: "Quota / rate limit",
+  network: "Network error",
+  no_image: "No image returned",
+  auth: "API key rejected",
+  unknown: "Failed",
+};
+
+function renderFailures(failures) {
+  if (failures.length === 0) return "";
+  return `
+    <details class="history-job-prompt">
+      <summary>${failures.length} failed image${
+        failures.length === 1 ? "" : "s"
+      }</summary>
+      <ul class="history-job-failures">
+        ${failures
+          .map(
+            (f) =>
+              `<li>#${f.index + 1} · ${FAILURE_LABELS[f.kind] || f.kind} (${
+                f.attempts
+              } attempt${f.attempts === 1 ? "" : "s"}): ${escapeHtml(
+                f.message,
+              )}</li>`,
+          )
+          .join("")}
+      </ul>
+    </details>
+  `;
+}
+
+function renderEntry(entry, index) {
+  const when = new Date(entry.completedAt).toLocaleString();
+  const meta = [
+    when,
+    entry.summary || `${entry.completed}/${entry.total} images`,
+    formatDuration(entry.durationMs),
+    [entry.aspectRatio, entry.resolution].filter(Boolean).join(" · "),
+    entry.model || entry.provider,
+  ].filter(Boolean);
+  const refCount =
+    entry.referenceImageIds.length + entry.referenceImageFiles.length;
+  if (refCount)
+    meta.push(`${refCount} reference image${refCount === 1 ? "" : "s"}`);
+  if (entry.retryOf) meta.push("retry");
+
+  const thumbs = entry.results
+    .map(
+      (webPath) =>
+        `<img src="/${webPath}" data-entry="${index}" data-path="${escapeHtml(
+          webPath,
+        )}" loading="lazy" alt="" />`,
+    )
+    .join("");
+
+  return `
+    <div class="history-job ${entry.status}">
+      <span class="material-icons">${STATUS_ICONS[entry.status] || "help"}</span>
+      <div class="queue-job-info">
+        <span class="queue-job-name">${escapeHtml(entry.cardName)}</span>
+        <span class="queue-job-meta">${escapeHtml(meta.join(" · "))}</span>
+        ${
+          entry.error
+            ? `<span class="history-job-error">${escapeHtml(entry.error)}</span>`
+            : ""
+        }
+        ${renderFailures(entry.failures || [])}
+        <details class="history-job-prompt">
+          <summary>Prompt</summary>
+          <pre>${escapeHtml(entry.prompt)}</pre>
+        </details>
+        ${thumbs ? `<div class="history-job-thumbs">${thumbs}</div>` : ""}
+      </div>
+    </div>
+  `;
+}
+
+function render() {
+  els.summary.textContent = `Showing ${entries.length} of ${total} job${
+    total === 1 ? "" : "s"
+  }`;
+  els.jobList.innerHTML =
+    entries.length === 0
+      ? '<div class="queue-empty">No matching jobs</div>'
+      : entries.map(renderEntry).join("");
+  els.loadMore.classList.toggle("hidden", entries.length >= total);
+}
+
+function currentFilters() {
+  return {
+    cardId: els.card.value,
+    status: els.status.value,
+    from: els.from.value,
+    to: els.to.value,
+    q: els.search.value.trim(),
+  };
+}
+
+async function load(append = false) {
+  if (!state.currentProject) return;
+  try {
+    const res = await api.fetchJobHistory(state.currentProject.id, {
+      ...currentFilters(),
+      limit: PAGE_SIZE,
+      offset: append ? entries.length : 0,
+    });
+    if (res.error) {
+      showStatus(`Error: ${res.error}`, "error");
+      return;
+    }
+    entries = append ? entries.concat(res.jobs) : res.jobs;
+    total = res.total;
+    render();
+  } catch (e) {
+    console.error("[History] Failed to load history:", e);
+  }
+}
+
+function populateCardFilter() {
+  const selected = state.currentCard?.id || "";
+  els.card.innerHTML = '<option value="">All cards</option>';
+  (state.allCards || []).forEach((card) => {
+    const opt = document.createElement("option");
+    opt.value = card.id;
+    opt.textContent = card.name;
+    els.card.appendChild(opt);
+  });
+  els.card.value = selected;
+}
+
+function openResult(entry, webPath) {
+  const card = state.allCards?.find((c) => c.id === entry.cardId);
+  if (!card) {
+    showStatus("That card no longer exists", "error");
+    return;
+  }
+  closeHistoryModal();
+  if (state.currentCard?.id !== card.id) selectCard(card);
+  openImageDetails(webPath);
+}
+
+export function openHistoryModal() {
+  if (!state.currentProject) {
+    showStatus("Select a project to view its history", "error");
+    return;
+  }
+  populateCardFilter();
+  els.modal.classList.remove("hidden");
+  load();
+}
+
+export function closeHistoryModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupHistoryUI() {
+  if (!els.modal) return;
+
+  els.openBtn.addEventListener("click", openHistoryModal);
+  els.close.addEventListener("click", closeHistoryModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeHistoryModal();
+  });
+
+  [els.card, els.status, els.from, els.to].forEach((input) =>
+    input.addEventListener("change", () => load()),
+  );
+  els.search.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => load(), 300);
+  });
+  els.loadMore.addEventListener("click", () => load(true));
+
+  els.jobList.addEventListener("click", (e) => {
+    const img = e.target.closest("img[data-path]");
+    if (!img) return;
+    openResult(entries[Number(img.dataset.entry)], img.dataset.path);
+  });
+
+  // New entries land in history as jobs finish
+  document.addEventListener("generation-completed", () => {
+    if (isOpen()) load();
+  });
+}
@@ -0,0 +1,162 @@
+import { state } from "../state.js";
+import { showStatus } from "../ui.js";
+import * as api from "../api.js";
+
+// Print PDF (project modal → Print PDF…): starred images laid out at a card
+// size with bleed and crop marks. Every option change re-runs the server's
+// preflight, which reports the page count and any images that are missing
+// or below the chosen DPI.
+
+const els = {
+  openBtn: document.getElementById("printPdfBtn"),
+  modal: document.getElementById("printPdfModal"),
+  close: document.getElementById("closePrintPdfModalBtn"),
+  size: document.getElementById("printCardSize"),
+  customSize: document.getElementById("printCustomSize"),
+  width: document.getElementById("printCardWidth"),
+  height: document.getElementById("printCardHeight"),
+  layout: document.getElementById("printLayout"),
+  dpi: document.getElementById("printDpi"),
+  bleed: document.getElementById("printBleed"),
+  back: document.getElementById("printBack"),
+  set: document.getElementById("printSet"),
+  cropMarks: document.getElementById("printCropMarks"),
+  summary: document.getElementById("printPdfSummary"),
+  warnings: document.getElementById("printPdfWarnings"),
+  download: document.getElementById("downloadPrintPdfBtn"),
+};
+
+// Ignores preflight responses that arrive after a newer request was sent
+let checkId = 0;
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+function printOptions() {
+  const options = {
+    size: els.size.value,
+    layout: els.layout.value,
+    dpi: els.dpi.value,
+    bleed: els.bleed.value,
+    marks: els.cropMarks.checked ? "1" : "0",
+  };
+  if (els.size.value === "custom") {
+    options.width = els.width.value;
+    options.height = els.height.value;
+  }
+  if (els.back.value) options.back = els.back.value;
+  if (els.set.value) options.set = els.set.value;
+  return options;
+}
+
+function renderSelects() {
+  const cards = state.allCards.filter((c) => c.starredImage);
+  els.back.innerHTML =
+    '<option value="">None</option>' +
+    cards
+      .map(
+        (c) =>
+          `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`,
+      )
+      .join("");
+
+  const sets = state.currentProject.sets || [];
+  els.set.innerHTML =
+    '<option value="">All cards</option>' +
+    sets
+      .map(
+        (s) =>
+          `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`,
+      )
+      .join("");
+  els.set.disabled = sets.length === 0;
+}
+
+function renderCheck(res) {
+  els.summary.classList.toggle("error", Boolean(res.error));
+  if (res.error) {
+    els.summary.textContent = res.error;
+    els.warnings.innerHTML = "";
+    els.download.disabled = true;
+    return;
+  }
+
+  const grid = res.perPage > 1 ? `, ${res.columns} × ${res.rows} per page` : "";
+  els.summary.textContent = `${res.cards} card${res.cards === 1 ? "" : "s"} on ${
+    res.pages
+  } page${res.pages === 1 ? "" : "s"}${grid} (${res.pageWidth} × ${
+    res.pageHeight
+  } mm)`;
+  els.warnings.innerHTML = [
+    ...res.warnings.map(
+      (w) =>
+        `<li><span class="material-icons">warning</span>${escapeHtml(
+          w.name,
+        )}: prints at ${w.dpi} DPI</li>`,
+    ),
+    ...res.missing.map(
+      (m) =>
+        `<li><span class="material-icons">block</span>${escapeHtml(
+          m.name,
+        )}: ${escapeHtml(m.reason)} (left out)</li>`,
+    ),
+  ].join("");
+  els.download.disabled = res.cards === 0;
+}
+
+async function checkPrint() {
+  els.customSize.classList.toggle("hidden", els.size.value !== "custom");
+  const id = ++checkId;
+  const res = await api.checkPrintPdf(state.currentProject.id, printOptions());
+  if (id === checkId) renderCheck(res);
+}
+
+function downloadPdf() {
+  const params = new URLSearchParams(printOptions());
+  window.location.href = `/api/projects/${state.currentProject.id}/export-pdf?${params}`;
+  showStatus("Building PDF…", "info");
+}
+
+export function openPrintPdfModal() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  renderSelects();
+  els.summary.textContent = "";
+  els.warnings.innerHTML = "";
+  els.download.disabled = true;
+  els.modal.classList.remove("hidden");
+  checkPrint();
+}
+
+export function closePrintPdfModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupPrintUI() {
+  if (!els.modal) return;
+
+  els.openBtn.addEventListener("click", openPrintPdfModal);
+  els.close.addEventListener("click", closePrintPdfModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closePrintPdfModal();
+  });
+  for (const input of [
+    els.size,
+    els.width,
+    els.height,
+    els.layout,
+    els.dpi,
+    els.bleed,
+    els.back,
+    els.set,
+    els.cropMarks,
+  ]) {
+    input.addEventListener("change", checkPrint);
+  }
+  els.download.addEventListener("click", downloadPdf);
+}
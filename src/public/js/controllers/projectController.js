@@ -8,6 +8,11 @@ import {
 } from "../ui.js";
 import * as api from "../api.js";
 import { loadCards } from "./cardController.js";
+import {
+  renderTemplatePicker,
+  hideTemplatePicker,
+  applySelectedTemplate
+} from "./templateController.js";
 
 // -- Module State --
 let currentModifiers = [];
@@ -292,8 +297,81 @@ function attachAutoFillListeners() {
   console.log("ProjectController: Listeners attached successfully");
 }
 
+function providerName(id) {
+  const provider = state.providers.find((p) => p.id === id);
+  return provider ? provider.name : id;
+}
+
+function updateProviderHint() {
+  const select = document.getElementById("newImageProvider");
+  const hint = document.getElementById("newImageProviderHint");
+  if (!select || !hint) return;
+  const provider = state.providers.find((p) => p.id === select.value);
+  hint.textContent = provider ? provider.description : "";
+}
+
+// New Project dialog: fill the defaults from the picked starter template
+// (null resets them). The template's cards are added once the project exists.
+function applyTemplateDefaults(template) {
+  const defaults = template ? template.project : {};
+  const descInput = document.getElementById("newProjectDescription");
+  const arInput = document.getElementById("newAspectRatio");
+  const resInput = document.getElementById("newResolution");
+  const providerInput = document.getElementById("newImageProvider");
+  const negativeInput = document.getElementById("newNegativePrompt");
+
+  if (arInput) arInput.value = defaults.defaultAspectRatio || "2:3";
+  if (resInput) resInput.value = defaults.defaultResolution || "2K";
+  if (providerInput) {
+    const known = state.providers.some((p) => p.id === defaults.imageProvider);
+    providerInput.value = known ? defaults.imageProvider : "gemini";
+  }
+  if (negativeInput) negativeInput.value = defaults.negativePrompt || "";
+  // Don't overwrite a description the user already typed
+  if (descInput && (!descInput.value || descInput.dataset.fromTemplate)) {
+    descInput.value = defaults.description || "";
+    descInput.dataset.fromTemplate = defaults.description ? "true" : "";
+  }
+  currentModifiers = (defaults.promptModifiers || []).map((m) => ({ ...m }));
+
+  updateProviderHint();
+  renderModifiersList();
+}
+
 // -- Exports --
 
+export async function loadProviders() {
+  try {
+    state.providers = await api.fetchProviders();
+  } catch (e) {
+    console.error("Failed to load image providers", e);
+    state.providers = [];
+  }
+
+  const projectSelect = document.getElementById("newImageProvider");
+  if (projectSelect) {
+    projectSelect.innerHTML = "";
+    state.providers.forEach((p) => {
+      const opt = document.createElement("option");
+      opt.value = p.id;
+      opt.textContent = p.name;
+      projectSelect.appendChild(opt);
+    });
+    projectSelect.onchange = updateProviderHint;
+  }
+
+  const cardSelect = dom.inputs.cardImageProvider;
+  if (cardSelect) {
+    cardSelect.innerHTML = '<option value="">Default</option>';
+    state.providers.forEach((p) => {
+      const opt = document.createElement("option");
+      opt.value = p.id;
+      opt.textContent = p.name;
+      cardSelect.appendChild(opt);
+    });
+  }
+}
+
 export async function loadProjects() {
   state.projects = await api.fetchProjects();
   dom.projectSelect.innerHTML = '<option value="">Select Project...</option>';
@@ -350,6 +428,12 @@ export async function onProjectSelect(updateHistory = true) {
   resDefaultOpt.textContent = `Default (${
     state.currentProject.defaultResolution || "2K"
   })`;
+  const providerDefaultOpt = dom.inputs.cardImageProvider.options[0];
+  if (providerDefaultOpt) {
+    providerDefaultOpt.textContent = `Default (${providerName(
+      state.currentProject.imageProvider || "gemini"
+    )})`;
+  }
 
   const cards = await loadCards(pid);
   if (updateHistory) {
@@ -374,9 +458,16 @@ export async function saveProjectConfig() {
   const rootInput = document.getElementById("newProjectRoot");
   const arInput = document.getElementById("newAspectRatio");
   const resInput = document.getElementById("newResolution");
+  const providerInput = document.getElementById("newImageProvider");
+  const negativeInput = document.getElementById("newNegativePrompt");
   const modalDiv = document.getElementById("projectModal");
 
-  const p = {
+  // Start from the stored project so fields not shown in the modal
+  // (e.g. nextCardIndex) survive an edit.
+  const existing =
+    !isCreateMode && state.currentProject ? state.currentProject : {};
+
+  const fields = {
     id: idInput ? idInput.value : "",
     name: nameInput ? nameInput.value : "",
     description: descInput ? descInput.value : "",
@@ -384,7 +475,10 @@ export async function saveProjectConfig() {
     promptModifiers: currentModifiers,
     defaultAspectRatio: arInput ? arInput.value : "2:3",
     defaultResolution: resInput ? resInput.value : "2K",
+    imageProvider: providerInput ? providerInput.value : "gemini",
+    negativePrompt: negativeInput ? negativeInput.value : "",
   };
+  const p = { ...existing, ...fields };
 
   console.log("ProjectController: Saving project data:", p);
 
@@ -402,12 +496,24 @@ export async function saveProjectConfig() {
     }
   }
 
-  await api.saveProject(p);
+  // If the project changed elsewhere meanwhile, only the modal's fields win
+  const res = await api.saveProject(p, { ...fields, id: p.id });
+  if (res.error) return showStatus(`Error: ${res.error}`, "error");
   if (modalDiv) modalDiv.classList.add("hidden");
+  const seeded = isCreateMode ? await applySelectedTemplate(p.id) : null;
   await loadProjects();
   dom.projectSelect.value = p.id;
   await onProjectSelect();
-  showStatus(`Project ${p.id} saved`, "success");
+  if (seeded && seeded.error) {
+    showStatus(
+      `Project ${p.id} saved, but the template failed: ${seeded.error}`,
+      "error"
+    );
+  } else if (seeded) {
+    showStatus(`Project ${p.id} created with ${seeded.cards} cards`, "success");
+  } else {
+    showStatus(`Project ${p.id} saved`, "success");
+  }
 }
 
 export async function deleteCurrentProject() {
@@ -444,6 +550,8 @@ export function openProjectModal(project) {
   const rootInput = document.getElementById("newProjectRoot");
   const arInput = document.getElementById("newAspectRatio");
   const resInput = document.getElementById("newResolution");
+  const providerInput = document.getElementById("newImageProvider");
+  const negativeInput = document.getElementById("newNegativePrompt");
   const deleteBtn = document.getElementById("deleteProjectBtn");
   const title = document.getElementById("projectModalTitle");
 
@@ -468,7 +576,10 @@ export function openProjectModal(project) {
 
     if (arInput) arInput.value = project.defaultAspectRatio || "2:3";
     if (resInput) resInput.value = project.defaultResolution || "2K";
+    if (providerInput) providerInput.value = project.imageProvider || "gemini";
+    if (negativeInput) negativeInput.value = project.negativePrompt || "";
     if (deleteBtn) deleteBtn.style.display = "block";
+    hideTemplatePicker();
   } else {
     // Create Mode
     console.log("ProjectController: Setting Create Mode");
@@ -480,14 +591,21 @@ export function openProjectModal(project) {
     if (idInput) idInput.value = "";
     if (idDisplay) idDisplay.textContent = "";
     if (nameInput) nameInput.value = "";
-    if (descInput) descInput.value = "";
+    if (descInput) {
+      descInput.value = "";
+      descInput.dataset.fromTemplate = "";
+    }
     if (rootInput) rootInput.value = "";
 
     if (arInput) arInput.value = "2:3";
     if (resInput) resInput.value = "2K";
+    if (providerInput) providerInput.value = "gemini";
+    if (negativeInput) negativeInput.value = "";
     if (deleteBtn) deleteBtn.style.display = "none";
+    renderTemplatePicker(applyTemplateDefaults);
   }
 
+  updateProviderHint();
   renderModifiersList();
 }
 
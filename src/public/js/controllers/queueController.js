@@ -0,0 +1,177 @@
+import { state } from "../state.js";
+import { showStatus } from "../ui.js";
+import * as api from "../api.js";
+
+// Generation Queue modal: pause/resume, concurrency limits and pending jobs
+
+const els = {
+  modal: document.getElementById("queueModal"),
+  close: document.getElementById("closeQueueModalBtn"),
+  openBtn: document.getElementById("queueBtn"),
+  summary: document.getElementById("queueSummary"),
+  pauseBtn: document.getElementById("queuePauseBtn"),
+  globalLimit: document.getElementById("queueGlobalConcurrency"),
+  projectLimit: document.getElementById("queueProjectConcurrency"),
+  currentProjectRow: document.getElementById("queueCurrentProjectRow"),
+  currentProjectLimit: document.getElementById(
+    "queueCurrentProjectConcurrency",
+  ),
+  maxRetries: document.getElementById("queueMaxRetries"),
+  retryDelay: document.getElementById("queueRetryDelay"),
+  jobList: document.getElementById("queueJobList"),
+};
+
+let queueData = null;
+
+function isOpen() {
+  return els.modal && !els.modal.classList.contains("hidden");
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function renderJob(job) {
+  const projectName =
+    state.projects.find((p) => p.id === job.projectId)?.name || job.projectId;
+  const isRunning = job.status === "generating";
+  const failed = job.failures?.length || 0;
+  const progress = isRunning
+    ? `${job.current || 0}/${job.total} done${failed ? `, ${failed} failed` : ""}`
+    : `${job.total} image${job.total === 1 ? "" : "s"}`;
+  const extras = [];
+  if (job.priority) extras.push(`priority ${job.priority}`);
+  if (job.recovered) extras.push("recovered");
+
+  return `
+    <div class="queue-job ${job.status}">
+      <span class="material-icons">${
+        isRunning ? "auto_awesome" : "schedule"
+      }</span>
+      <div class="queue-job-info">
+        <span class="queue-job-name">${escapeHtml(job.cardName)}</span>
+        <span class="queue-job-meta">${escapeHtml(projectName)} · ${progress}${
+          extras.length ? ` · ${extras.join(", ")}` : ""
+        }</span>
+      </div>
+    </div>
+  `;
+}
+
+function render() {
+  if (!queueData) return;
+  const { settings, jobs } = queueData;
+  const running = jobs.filter((j) => j.status === "generating").length;
+  const queued = jobs.length - running;
+
+  els.summary.textContent = `${running} running, ${queued} queued${
+    settings.paused ? " · Paused" : ""
+  }`;
+  els.pauseBtn.querySelector(".material-icons").textContent = settings.paused
+    ? "play_arrow"
+    : "pause";
+  els.pauseBtn.querySelector(".queue-pause-label").textContent = settings.paused
+    ? "Resume"
+    : "Pause";
+
+  // Don't clobber a value the user is typing
+  if (document.activeElement !== els.globalLimit) {
+    els.globalLimit.value = settings.globalConcurrency;
+  }
+  if (document.activeElement !== els.projectLimit) {
+    els.projectLimit.value = settings.perProjectConcurrency;
+  }
+  if (document.activeElement !== els.maxRetries) {
+    els.maxRetries.value = settings.maxRetries;
+  }
+  if (document.activeElement !== els.retryDelay) {
+    els.retryDelay.value = settings.retryBaseDelayMs / 1000;
+  }
+  if (state.currentProject) {
+    els.currentProjectRow.classList.remove("hidden");
+    if (document.activeElement !== els.currentProjectLimit) {
+      els.currentProjectLimit.value =
+        settings.projectConcurrency[state.currentProject.id] || "";
+    }
+  } else {
+    els.currentProjectRow.classList.add("hidden");
+  }
+
+  els.jobList.innerHTML =
+    jobs.length === 0
+      ? '<div class="queue-empty">No pending jobs</div>'
+      : jobs.map(renderJob).join("");
+}
+
+async function refresh() {
+  try {
+    queueData = await api.fetchQueue();
+    render();
+  } catch (e) {
+    console.error("[Queue] Failed to load queue:", e);
+  }
+}
+
+async function saveLimits() {
+  const updates = {
+    globalConcurrency: parseInt(els.globalLimit.value) || 1,
+    perProjectConcurrency: parseInt(els.projectLimit.value) || 1,
+    maxRetries: Math.max(0, parseInt(els.maxRetries.value) || 0),
+    retryBaseDelayMs: Math.max(0, parseFloat(els.retryDelay.value) || 0) * 1000,
+  };
+  if (state.currentProject) {
+    updates.projectConcurrency = {
+      [state.currentProject.id]:
+        parseInt(els.currentProjectLimit.value) || null,
+    };
+  }
+  const res = await api.updateQueueSettings(updates);
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+  }
+  await refresh();
+}
+
+export function openQueueModal() {
+  els.modal.classList.remove("hidden");
+  refresh();
+}
+
+export function closeQueueModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupQueueUI() {
+  if (!els.modal) return;
+
+  els.openBtn.addEventListener("click", openQueueModal);
+  els.close.addEventListener("click", closeQueueModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeQueueModal();
+  });
+
+  els.pauseBtn.addEventListener("click", async () => {
+    const paused = queueData?.settings?.paused;
+    const res = paused ? await api.resumeQueue() : await api.pauseQueue();
+    if (res.error) showStatus(`Error: ${res.error}`, "error");
+    await refresh();
+  });
+
+  [
+    els.globalLimit,
+    els.projectLimit,
+    els.currentProjectLimit,
+    els.maxRetries,
+    els.retryDelay,
+  ].forEach((input) => input.addEventListener("change", saveLimits));
+
+  // Keep the list live while the modal is open
+  document.addEventListener("generation-update", () => {
+    if (isOpen()) refresh();
+  });
+  document.addEventListener("queue-updated", () => {
+    if (isOpen()) refresh();
+  });
+}
@@ -0,0 +1,121 @@
+import { state } from "../state.js";
+import { showStatus, confirmAction } from "../ui.js";
+import * as api from "../api.js";
+import { reloadCards } from "./cardController.js";
+import { projectSets } from "./setController.js";
+
+// Bulk renumbering of the printed card numbers (Sort menu → Renumber
+// Cards…), in the card list's set order
+
+const els = {
+  modal: document.getElementById("renumberModal"),
+  close: document.getElementById("closeRenumberModalBtn"),
+  scope: document.getElementById("renumberScope"),
+  start: document.getElementById("renumberStart"),
+  perSetRow: document.getElementById("renumberPerSetRow"),
+  perSet: document.getElementById("renumberPerSet"),
+  clear: document.getElementById("clearNumbersBtn"),
+  apply: document.getElementById("applyRenumberBtn"),
+};
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+// Restarting per set only applies when numbering across sets
+function updatePerSetRow() {
+  els.perSetRow.classList.toggle(
+    "hidden",
+    projectSets().length === 0 || Boolean(els.scope.value),
+  );
+}
+
+function scopeLabel() {
+  return els.scope.value
+    ? `the cards in "${els.scope.selectedOptions[0].textContent}"`
+    : "all cards";
+}
+
+async function renumber(options) {
+  const res = await api.renumberCards(state.currentProject.id, {
+    setId: els.scope.value || undefined,
+    ...options,
+  });
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  closeRenumberModal();
+  await reloadCards(["cardNumber"]);
+  showStatus(
+    `${options.clear ? "Cleared" : "Renumbered"} ${res.cards} card${
+      res.cards === 1 ? "" : "s"
+    } (Ctrl/⌘+Z to undo)`,
+    "success",
+  );
+}
+
+function applyRenumber() {
+  const start = Number(els.start.value);
+  if (els.start.value === "" || !Number.isInteger(start) || start < 0) {
+    showStatus("Start must be a whole number", "error");
+    return;
+  }
+  const perSet =
+    !els.perSetRow.classList.contains("hidden") && els.perSet.checked;
+  confirmAction(
+    "Renumber Cards?",
+    `Number ${scopeLabel()} from ${start} in set order? Existing card numbers are replaced.`,
+    () => renumber({ start, perSet }),
+  );
+}
+
+function clearNumbers() {
+  confirmAction(
+    "Clear Card Numbers?",
+    `Remove the card numbers of ${scopeLabel()}?`,
+    () => renumber({ clear: true }),
+  );
+}
+
+export function openRenumberModal() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  els.scope.innerHTML =
+    '<option value="">All cards</option>' +
+    projectSets()
+      .map(
+        (set) =>
+          `<option value="${escapeHtml(set.id)}">${escapeHtml(set.name)}</option>`,
+      )
+      .join("");
+  updatePerSetRow();
+  els.modal.classList.remove("hidden");
+  els.start.focus();
+}
+
+export function closeRenumberModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupRenumberUI() {
+  if (!els.modal) return;
+
+  // The sort menu is re-created on every card load, so delegate
+  document.addEventListener("click", (e) => {
+    if (e.target.closest("#sortMenu [data-action='renumber']")) {
+      openRenumberModal();
+    }
+  });
+  els.close.addEventListener("click", closeRenumberModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeRenumberModal();
+  });
+  els.scope.addEventListener("change", updatePerSetRow);
+  els.apply.addEventListener("click", applyRenumber);
+  els.clear.addEventListener("click", clearNumbers);
+}
@@ -0,0 +1,245 @@
+import { state } from "../state.js";
+import { showStatus, confirmAction } from "../ui.js";
+import * as api from "../api.js";
+import { diffWords } from "../utils.js";
+import { loadCards, selectCard } from "./cardController.js";
+import { openImageDetails } from "./galleryController.js";
+
+// Card editor "Revision History" panel: what changed in each save of the
+// card's prompt settings, the images made from it, and restoring it
+
+const els = {
+  group: document.getElementById("cardRevisionsGroup"),
+  list: document.getElementById("cardRevisionList"),
+  detail: document.getElementById("cardRevisionDetail"),
+};
+
+const SECTION_LABELS = {
+  subject: "Subject",
+  setting: "Setting",
+  lighting: "Lighting",
+  composition: "Composition",
+  style: "Style",
+};
+
+let revisions = [];
+let selected = null;
+let loadedCardId = null;
+let loadRequest = 0;
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/** A revision as labelled text fields, so each can be diffed on its own */
+function revisionFields(revision) {
+  const modifiers = state.currentProject?.promptModifiers || [];
+  const modifierName = (id) => modifiers.find((m) => m.id === id)?.name || id;
+
+  const fields = {
+    Name: revision.name,
+    Prompt: revision.prompt,
+    "Negative Prompt": revision.negativePrompt,
+  };
+  for (const [key, label] of Object.entries(SECTION_LABELS)) {
+    fields[label] = revision.promptSections?.[key];
+  }
+  fields.Attributes = Object.entries(revision.attributes || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join("\n");
+  fields["Disabled Modifiers"] = (revision.inactiveModifiers || [])
+    .map(modifierName)
+    .join(", ");
+  fields["Aspect Ratio"] = revision.aspectRatio;
+  fields.Resolution = revision.resolution;
+  fields["Image Provider"] = revision.imageProvider;
+
+  for (const label of Object.keys(fields)) fields[label] = fields[label] || "";
+  return fields;
+}
+
+function renderDiff(before, after) {
+  return diffWords(before, after)
+    .map(({ type, text }) => {
+      if (type === "added") return `<ins>${escapeHtml(text)}</ins>`;
+      if (type === "removed") return `<del>${escapeHtml(text)}</del>`;
+      return escapeHtml(text);
+    })
+    .join("");
+}
+
+function renderList() {
+  if (revisions.length === 0) {
+    els.list.innerHTML =
+      '<li class="queue-empty">No revisions yet. Save the card to start its history.</li>';
+    return;
+  }
+  els.list.innerHTML = revisions
+    .map((revision, index) => {
+      const meta = [
+        revision.author === "assistant" ? "Assistant" : "You",
+        new Date(revision.savedAt).toLocaleString(),
+      ];
+      if (revision.images.length) {
+        meta.push(
+          `${revision.images.length} image${
+            revision.images.length === 1 ? "" : "s"
+          }`,
+        );
+      }
+      if (revision.restoredFrom !== undefined) {
+        meta.push(`restored #${revision.restoredFrom}`);
+      }
+      return `
+        <li class="card-revision-item ${
+          revision === selected ? "active" : ""
+        }" data-index="${index}">
+          <span class="card-revision-title">#${revision.revision}${
+            index === 0 ? " (latest)" : ""
+          }</span>
+          <span class="card-revision-meta">${escapeHtml(meta.join(" · "))}</span>
+        </li>
+      `;
+    })
+    .join("");
+}
+
+function renderDetail() {
+  if (!selected) {
+    els.detail.innerHTML =
+      '<div class="queue-empty">Select a revision to see what changed</div>';
+    return;
+  }
+
+  // Compare against the revision saved just before it
+  const index = revisions.indexOf(selected);
+  const previous = revisions[index + 1];
+  const before = previous ? revisionFields(previous) : {};
+  const after = revisionFields(selected);
+
+  const changed = Object.keys(after).filter(
+    (label) => (before[label] || "") !== after[label],
+  );
+  const fields = changed
+    .map(
+      (label) => `
+        <div class="card-revision-field">
+          <label>${escapeHtml(label)}</label>
+          <div class="card-revision-diff">${renderDiff(
+            before[label] || "",
+            after[label],
+          )}</div>
+        </div>
+      `,
+    )
+    .join("");
+
+  const thumbs = selected.images
+    .map(
+      (webPath) =>
+        `<img src="/${webPath}" data-path="${escapeHtml(
+          webPath,
+        )}" loading="lazy" alt="" />`,
+    )
+    .join("");
+
+  els.detail.innerHTML = `
+    <div class="card-revision-heading">
+      ${
+        previous
+          ? `Changes since #${previous.revision}`
+          : "First recorded revision"
+      }
+    </div>
+    ${fields || '<div class="queue-empty">No prompt changes</div>'}
+    ${thumbs ? `<div class="history-job-thumbs">${thumbs}</div>` : ""}
+    ${
+      index === 0
+        ? ""
+        : `<button class="secondary-btn card-revision-restore">Restore #${selected.revision}</button>`
+    }
+  `;
+}
+
+async function loadRevisions() {
+  const card = state.currentCard;
+  if (!card || !state.currentProject || !els.group.open) return;
+  const requestId = ++loadRequest;
+  try {
+    const res = await api.fetchCardRevisions(state.currentProject.id, card.id);
+    // The user moved to another card meanwhile
+    if (requestId !== loadRequest) return;
+    if (res.error) {
+      showStatus(`Error: ${res.error}`, "error");
+      return;
+    }
+    // Keep the selected revision when reloading the same card
+    const selectedRevision =
+      loadedCardId === card.id ? selected?.revision : undefined;
+    loadedCardId = card.id;
+    revisions = res.revisions;
+    selected =
+      revisions.find((r) => r.revision === selectedRevision) ||
+      revisions[0] ||
+      null;
+    renderList();
+    renderDetail();
+  } catch (e) {
+    console.error("[Revisions] Failed to load revisions:", e);
+  }
+}
+
+function restoreSelected() {
+  const card = state.currentCard;
+  const revision = selected;
+  if (!card || !revision) return;
+
+  confirmAction(
+    "Restore Revision?",
+    `Replace the prompt settings of "${card.name}" with revision #${revision.revision}? Unsaved edits will be lost.`,
+    async () => {
+      const res = await api.restoreCardRevision(
+        state.currentProject.id,
+        card.id,
+        revision.revision,
+      );
+      if (res.error) {
+        showStatus(`Error: ${res.error}`, "error");
+        return;
+      }
+      await loadCards(state.currentProject.id);
+      const fresh = state.allCards.find((c) => c.id === card.id) || res.card;
+      selectCard(fresh, false);
+      showStatus(`Restored revision #${revision.revision}`, "success");
+    },
+  );
+}
+
+export function setupRevisionUI() {
+  if (!els.group) return;
+
+  els.group.addEventListener("toggle", loadRevisions);
+
+  els.list.addEventListener("click", (e) => {
+    const item = e.target.closest("[data-index]");
+    if (!item) return;
+    selected = revisions[Number(item.dataset.index)];
+    renderList();
+    renderDetail();
+  });
+
+  els.detail.addEventListener("click", (e) => {
+    if (e.target.closest(".card-revision-restore")) {
+      restoreSelected();
+      return;
+    }
+    const img = e.target.closest("img[data-path]");
+    if (img) openImageDetails(img.dataset.path);
+  });
+
+  document.addEventListener("card-selected", loadRevisions);
+  document.addEventListener("card-saved", loadRevisions);
+  document.addEventListener("generation-completed", loadRevisions);
+}
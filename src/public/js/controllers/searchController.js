@@ -0,0 +1,197 @@
+import { state } from "../state.js";
+import { showStatus } from "../ui.js";
+import * as api from "../api.js";
+import { selectCard } from "./cardController.js";
+import { openImageDetails } from "./galleryController.js";
+import { openProjectModal } from "./projectController.js";
+
+// Command palette (Ctrl/Cmd+K) over the project's full-text search: card
+// names and prompts, image prompts, conversations and prompt modifiers
+
+const els = {
+  modal: document.getElementById("searchPalette"),
+  input: document.getElementById("searchPaletteInput"),
+  results: document.getElementById("searchPaletteResults"),
+};
+
+const GROUPS = {
+  card: { label: "Cards", icon: "style" },
+  image: { label: "Images", icon: "image" },
+  conversation: { label: "Conversations", icon: "chat" },
+  modifier: { label: "Prompt Modifiers", icon: "tune" },
+};
+
+const SEARCH_DELAY = 200;
+
+let results = [];
+let activeIndex = 0;
+let searchTimer = null;
+// Responses can arrive out of order while typing; only the latest counts
+let searchSeq = 0;
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function highlightSnippet({ text, highlights }) {
+  let html = "";
+  let pos = 0;
+  for (const [start, end] of highlights) {
+    html += escapeHtml(text.slice(pos, start));
+    html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    pos = end;
+  }
+  return html + escapeHtml(text.slice(pos));
+}
+
+function renderMessage(message) {
+  results = [];
+  els.results.innerHTML = `<li class="queue-empty">${escapeHtml(message)}</li>`;
+}
+
+function renderResults(groups) {
+  results = groups.flatMap((group) => group.results);
+  activeIndex = 0;
+  if (results.length === 0) {
+    renderMessage("No matches");
+    return;
+  }
+
+  let index = 0;
+  els.results.innerHTML = groups
+    .map((group) => {
+      const { label, icon } = GROUPS[group.type];
+      const more =
+        group.total > group.results.length
+          ? ` (${group.results.length} of ${group.total})`
+          : "";
+      const items = group.results
+        .map(
+          (result) => `
+            <li class="search-palette-item" role="option" data-index="${index++}">
+              <span class="material-icons">${icon}</span>
+              <div class="search-palette-item-info">
+                <span class="search-palette-title">${escapeHtml(result.title)}</span>
+                <span class="search-palette-snippet">${escapeHtml(
+                  result.snippet.field,
+                )}: ${highlightSnippet(result.snippet)}</span>
+              </div>
+            </li>
+          `,
+        )
+        .join("");
+      return `<li class="search-palette-group">${label}${more}</li>${items}`;
+    })
+    .join("");
+  setActive(0);
+}
+
+function setActive(index) {
+  if (results.length === 0) return;
+  activeIndex = (index + results.length) % results.length;
+  els.results.querySelectorAll(".search-palette-item").forEach((item) => {
+    const active = Number(item.dataset.index) === activeIndex;
+    item.classList.toggle("active", active);
+    item.setAttribute("aria-selected", active);
+    if (active) item.scrollIntoView({ block: "nearest" });
+  });
+}
+
+async function runSearch() {
+  const query = els.input.value.trim();
+  const seq = ++searchSeq;
+  if (!query) {
+    renderMessage("Type to search this project");
+    return;
+  }
+
+  try {
+    const res = await api.searchProject(state.currentProject.id, query);
+    if (seq !== searchSeq) return;
+    if (res.error) {
+      renderMessage(res.error);
+      return;
+    }
+    renderResults(res.groups);
+  } catch (e) {
+    if (seq === searchSeq) renderMessage(`Error: ${e.message}`);
+  }
+}
+
+function scheduleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, SEARCH_DELAY);
+}
+
+function openResult(result) {
+  closeSearchPalette();
+
+  if (result.type === "conversation") {
+    // The chat panel owns conversations
+    document.dispatchEvent(
+      new CustomEvent("open-conversation", {
+        detail: { conversationId: result.id },
+      }),
+    );
+    return;
+  }
+  if (result.type === "modifier") {
+    openProjectModal(state.currentProject);
+    return;
+  }
+
+  const cardId = result.type === "card" ? result.id : result.cardId;
+  const card = state.allCards?.find((c) => c.id === cardId);
+  if (!card) {
+    showStatus("Card no longer exists", "error");
+    return;
+  }
+  if (state.currentCard?.id !== card.id) selectCard(card);
+  if (result.type === "image") openImageDetails(result.id);
+}
+
+export function openSearchPalette() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  els.modal.classList.remove("hidden");
+  els.input.focus();
+  els.input.select();
+  runSearch();
+}
+
+export function closeSearchPalette() {
+  clearTimeout(searchTimer);
+  els.modal.classList.add("hidden");
+}
+
+export function setupSearchUI() {
+  if (!els.modal) return;
+
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeSearchPalette();
+  });
+  els.input.addEventListener("input", scheduleSearch);
+  els.input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive(activeIndex + (e.key === "ArrowDown" ? 1 : -1));
+    } else if (e.key === "Enter" && results[activeIndex]) {
+      e.preventDefault();
+      openResult(results[activeIndex]);
+    }
+  });
+  els.results.addEventListener("click", (e) => {
+    const item = e.target.closest("[data-index]");
+    if (item) openResult(results[Number(item.dataset.index)]);
+  });
+  els.results.addEventListener("mousemove", (e) => {
+    const item = e.target.closest("[data-index]");
+    if (item && Number(item.dataset.index) !== activeIndex) {
+      setActive(Number(item.dataset.index));
+    }
+  });
+}
@@ -0,0 +1,314 @@
+import { state } from "../state.js";
+import { showStatus, confirmAction } from "../ui.js";
+import * as api from "../api.js";
+import { nanoid } from "../utils.js";
+
+// Card sets (Project → Set → Card): the Set field in the card editor and
+// the Card Sets modal, where sets are created, edited, reordered and
+// exported. Changes to the sets are announced with "sets-changed".
+
+const els = {
+  openBtn: document.getElementById("manageSetsBtn"),
+  cardSet: document.getElementById("cardSetSelect"),
+  modal: document.getElementById("setManagerModal"),
+  close: document.getElementById("closeSetManagerModalBtn"),
+  list: document.getElementById("setManagerList"),
+  formTitle: document.getElementById("setFormTitle"),
+  name: document.getElementById("setNameInput"),
+  aspectRatio: document.getElementById("setAspectRatio"),
+  resolution: document.getElementById("setResolution"),
+  modifiers: document.getElementById("setModifierList"),
+  addModifier: document.getElementById("addSetModifierBtn"),
+  newSet: document.getElementById("newSetBtn"),
+  save: document.getElementById("saveSetBtn"),
+};
+
+// The set being edited in the modal's form (null for a new one)
+let editingSetId = null;
+let formModifiers = [];
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+function notifySetsChanged() {
+  document.dispatchEvent(new CustomEvent("sets-changed"));
+}
+
+export function projectSets() {
+  return state.currentProject?.sets || [];
+}
+
+/** The set with this id, or undefined for unsorted (or deleted) sets */
+export function findSet(setId) {
+  return setId ? projectSets().find((s) => s.id === setId) : undefined;
+}
+
+// --- Card editor ---
+
+/** Fills the editor's Set field and selects the card's set. */
+export function renderCardSet(setId) {
+  els.cardSet.innerHTML =
+    '<option value="">Unsorted</option>' +
+    projectSets()
+      .map(
+        (set) =>
+          `<option value="${escapeHtml(set.id)}">${escapeHtml(set.name)}</option>`,
+      )
+      .join("");
+  els.cardSet.value = findSet(setId) ? setId : "";
+}
+
+export function readCardSet() {
+  return els.cardSet.value || undefined;
+}
+
+// --- Card Sets modal ---
+
+function renderSetList() {
+  const sets = projectSets();
+  if (sets.length === 0) {
+    els.list.innerHTML =
+      '<li class="queue-empty">No sets yet. Cards stay in one list until you add one.</li>';
+    return;
+  }
+
+  const counts = new Map();
+  (state.allCards || []).forEach((card) => {
+    counts.set(card.setId, (counts.get(card.setId) || 0) + 1);
+  });
+
+  els.list.innerHTML = sets
+    .map((set) => {
+      const count = counts.get(set.id) || 0;
+      const details = [
+        `${count} card${count === 1 ? "" : "s"}`,
+        set.aspectRatio,
+        set.resolution,
+        set.promptModifiers?.length
+          ? `${set.promptModifiers.length} modifier${
+              set.promptModifiers.length === 1 ? "" : "s"
+            }`
+          : "",
+      ].filter(Boolean);
+      return `
+        <li class="set-manager-row${
+          set.id === editingSetId ? " active" : ""
+        }" draggable="true" data-set="${escapeHtml(set.id)}">
+          <span class="material-icons modifier-handle">drag_indicator</span>
+          <div class="set-manager-info">
+            <span class="set-manager-name">${escapeHtml(set.name)}</span>
+            <span class="queue-job-meta">${escapeHtml(details.join(" · "))}</span>
+          </div>
+          <button class="icon-btn-ghost" data-action="export" title="Export Set Deck">
+            <span class="material-icons">download</span>
+          </button>
+          <button class="icon-btn-ghost" data-action="delete" title="Delete Set">
+            <span class="material-icons">delete_outline</span>
+          </button>
+        </li>
+      `;
+    })
+    .join("");
+}
+
+function renderModifierRows() {
+  if (formModifiers.length === 0) {
+    els.modifiers.innerHTML =
+      '<div class="set-modifier-empty">No set modifiers</div>';
+    return;
+  }
+  els.modifiers.innerHTML = formModifiers
+    .map(
+      (mod, index) => `
+        <div class="set-modifier-row" data-index="${index}">
+          <select data-field="type" aria-label="Modifier position">
+            <option value="prefix"${
+              mod.type === "prefix" ? " selected" : ""
+            }>Prefix</option>
+            <option value="suffix"${
+              mod.type === "suffix" ? " selected" : ""
+            }>Suffix</option>
+          </select>
+          <input type="text" data-field="name" placeholder="Name" value="${escapeHtml(
+            mod.name,
+          )}" />
+          <input type="text" data-field="text" placeholder="Modifier text" value="${escapeHtml(
+            mod.text,
+          )}" />
+          <button class="icon-btn" data-action="remove" title="Remove Modifier">
+            <span class="material-icons" style="font-size: 18px">close</span>
+          </button>
+        </div>
+      `,
+    )
+    .join("");
+}
+
+function fillForm(set = null) {
+  editingSetId = set?.id || null;
+  els.formTitle.textContent = set ? `Edit "${set.name}"` : "New Set";
+  els.save.textContent = set ? "Save Set" : "Create Set";
+  els.name.value = set?.name || "";
+  els.aspectRatio.value = set?.aspectRatio || "";
+  els.resolution.value = set?.resolution || "";
+  formModifiers = (set?.promptModifiers || []).map((m) => ({ ...m }));
+  renderModifierRows();
+  renderSetList();
+}
+
+async function saveSet() {
+  const fields = {
+    name: els.name.value.trim(),
+    aspectRatio: els.aspectRatio.value,
+    resolution: els.resolution.value,
+    promptModifiers: formModifiers.filter((m) => m.text.trim()),
+  };
+  if (!fields.name) {
+    showStatus("Set name is required", "error");
+    return;
+  }
+
+  const projectId = state.currentProject.id;
+  const res = editingSetId
+    ? await api.updateSet(projectId, editingSetId, fields)
+    : await api.createSet(projectId, fields);
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  Object.assign(state.currentProject, res.project);
+  showStatus(`Saved set "${res.set.name}"`, "success");
+  fillForm(res.set);
+  notifySetsChanged();
+}
+
+function deleteSet(set) {
+  confirmAction(
+    "Delete Set?",
+    `Delete "${set.name}"? Its cards are kept and become unsorted.`,
+    async () => {
+      const res = await api.deleteSet(state.currentProject.id, set.id);
+      if (res.error) {
+        showStatus(`Error: ${res.error}`, "error");
+        return;
+      }
+      showStatus(`Deleted set "${set.name}" (Ctrl/⌘+Z to undo)`, "success");
+      closeSetManager();
+      // Its cards changed too
+      document.dispatchEvent(new CustomEvent("projects-updated"));
+    },
+  );
+}
+
+async function moveSet(fromId, toId) {
+  const ids = projectSets().map((s) => s.id);
+  const from = ids.indexOf(fromId);
+  const to = ids.indexOf(toId);
+  if (from === -1 || to === -1 || from === to) return;
+  ids.splice(to, 0, ids.splice(from, 1)[0]);
+
+  const res = await api.reorderSets(state.currentProject.id, ids);
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  Object.assign(state.currentProject, res.project);
+  renderSetList();
+  notifySetsChanged();
+}
+
+export function openSetManager() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  fillForm(null);
+  els.modal.classList.remove("hidden");
+}
+
+export function closeSetManager() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupSetUI() {
+  if (!els.modal) return;
+
+  els.openBtn.addEventListener("click", openSetManager);
+  els.close.addEventListener("click", closeSetManager);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeSetManager();
+  });
+  els.newSet.addEventListener("click", () => {
+    fillForm(null);
+    els.name.focus();
+  });
+  els.save.addEventListener("click", saveSet);
+  els.addModifier.addEventListener("click", () => {
+    formModifiers.push({ id: nanoid(10), name: "", text: "", type: "prefix" });
+    renderModifierRows();
+    els.modifiers.querySelector(".set-modifier-row:last-child input").focus();
+  });
+
+  // Modifier rows edit formModifiers in place
+  els.modifiers.addEventListener("input", (e) => {
+    const row = e.target.closest("[data-index]");
+    if (!row || !e.target.dataset.field) return;
+    formModifiers[Number(row.dataset.index)][e.target.dataset.field] =
+      e.target.value;
+  });
+  els.modifiers.addEventListener("click", (e) => {
+    const row = e.target.closest("[data-index]");
+    if (!row || !e.target.closest("[data-action='remove']")) return;
+    formModifiers.splice(Number(row.dataset.index), 1);
+    renderModifierRows();
+  });
+
+  els.list.addEventListener("click", (e) => {
+    const row = e.target.closest("[data-set]");
+    if (!row) return;
+    const set = findSet(row.dataset.set);
+    const action = e.target.closest("[data-action]")?.dataset.action;
+    if (action === "delete") {
+      deleteSet(set);
+    } else if (action === "export") {
+      window.location.href = `/api/projects/${
+        state.currentProject.id
+      }/export-deck?set=${encodeURIComponent(set.id)}`;
+    } else {
+      fillForm(set);
+    }
+  });
+
+  // Drag rows to reorder sets
+  els.list.addEventListener("dragstart", (e) => {
+    const row = e.target.closest("[data-set]");
+    if (!row) return;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", row.dataset.set);
+    row.classList.add("dragging");
+  });
+  els.list.addEventListener("dragend", () => {
+    els.list
+      .querySelectorAll(".dragging, .drag-over")
+      .forEach((row) => row.classList.remove("dragging", "drag-over"));
+  });
+  els.list.addEventListener("dragover", (e) => {
+    const row = e.target.closest("[data-set]");
+    if (!row) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    row.classList.add("drag-over");
+  });
+  els.list.addEventListener("dragleave", (e) => {
+    e.target.closest("[data-set]")?.classList.remove("drag-over");
+  });
+  els.list.addEventListener("drop", (e) => {
+    const row = e.target.closest("[data-set]");
+    if (!row) return;
+    e.preventDefault();
+    moveSet(e.dataTransfer.getData("text/plain"), row.dataset.set);
+  });
+}
@@ -0,0 +1,122 @@
+import { state } from "../state.js";
+import { showStatus } from "../ui.js";
+import * as api from "../api.js";
+
+// Tabletop export (project modal → Tabletop…): each card's starred image as
+// Tabletop Simulator deck sheets with a saved object, or as a generic VTT
+// package of images plus a manifest, for the project or one set.
+
+const IMAGE_URL_KEY = "tabletopImageUrl";
+
+const els = {
+  openBtn: document.getElementById("tabletopBtn"),
+  modal: document.getElementById("tabletopModal"),
+  close: document.getElementById("closeTabletopModalBtn"),
+  format: document.getElementById("tabletopFormat"),
+  set: document.getElementById("tabletopSet"),
+  back: document.getElementById("tabletopBack"),
+  imageUrlGroup: document.getElementById("tabletopImageUrlGroup"),
+  imageUrl: document.getElementById("tabletopImageUrl"),
+  summary: document.getElementById("tabletopSummary"),
+  download: document.getElementById("downloadTabletopBtn"),
+};
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+function renderSelects() {
+  const sets = state.currentProject.sets || [];
+  els.set.innerHTML =
+    '<option value="">All cards</option>' +
+    sets
+      .map(
+        (s) =>
+          `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`,
+      )
+      .join("");
+
+  // Any card with a starred image can be the back
+  els.back.innerHTML =
+    '<option value="">Plain back with the deck name</option>' +
+    state.allCards
+      .filter((c) => c.starredImage)
+      .map(
+        (c) =>
+          `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`,
+      )
+      .join("");
+}
+
+/** Counts what the export will contain, from the loaded cards */
+function updateSummary() {
+  els.imageUrlGroup.classList.toggle("hidden", els.format.value !== "tts");
+
+  const cards = state.allCards.filter(
+    (c) =>
+      (!els.set.value || c.setId === els.set.value) && c.id !== els.back.value,
+  );
+  const starred = cards.filter((c) => c.starredImage).length;
+  const missing = cards.length - starred;
+  els.summary.classList.toggle("error", starred === 0);
+  els.summary.textContent = starred
+    ? `${starred} card${starred === 1 ? "" : "s"}` +
+      (missing ? `; ${missing} without a starred image will be left out` : "")
+    : "No cards here have a starred image";
+  els.download.disabled = starred === 0;
+}
+
+async function downloadExport() {
+  const format = els.format.value;
+  const options = {};
+  if (els.set.value) options.set = els.set.value;
+  if (els.back.value) options.back = els.back.value;
+  if (format === "tts") {
+    const imageUrl = els.imageUrl.value.trim();
+    if (imageUrl) options.imageUrl = imageUrl;
+    localStorage.setItem(IMAGE_URL_KEY, imageUrl);
+  }
+
+  els.download.disabled = true;
+  showStatus("Building ZIP…", "info");
+  try {
+    await api.downloadTabletopExport(state.currentProject.id, format, options);
+    showStatus("Tabletop export downloaded", "success");
+    closeTabletopModal();
+  } catch (e) {
+    showStatus(e.message, "error");
+  } finally {
+    els.download.disabled = false;
+  }
+}
+
+export function openTabletopModal() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  renderSelects();
+  els.imageUrl.value = localStorage.getItem(IMAGE_URL_KEY) || "";
+  updateSummary();
+  els.modal.classList.remove("hidden");
+}
+
+export function closeTabletopModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupTabletopUI() {
+  if (!els.modal) return;
+
+  els.openBtn.addEventListener("click", openTabletopModal);
+  els.close.addEventListener("click", closeTabletopModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeTabletopModal();
+  });
+  for (const input of [els.format, els.set, els.back]) {
+    input.addEventListener("change", updateSummary);
+  }
+  els.download.addEventListener("click", downloadExport);
+}
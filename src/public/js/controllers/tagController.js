@@ -0,0 +1,548 @@
+import { state } from "../state.js";
+import { dom, showStatus, confirmAction } from "../ui.js";
+import * as api from "../api.js";
+import { nanoid } from "../utils.js";
+import { parseCardQuery, tagTerm } from "../utils/cardQuery.js";
+
+// Card tags: the tag field in the card editor, tag filter chips and smart
+// collections in the sidebar, and the Tags modal for colors, renames and
+// deletes. Filter changes are announced with "card-filters-changed".
+
+const els = {
+  collections: document.getElementById("smartCollectionList"),
+  chips: document.getElementById("tagFilterChips"),
+  modeBtn: document.getElementById("tagFilterModeBtn"),
+  saveCollectionBtn: document.getElementById("saveCollectionBtn"),
+  manageBtn: document.getElementById("manageTagsBtn"),
+  cardTags: document.getElementById("cardTags"),
+  cardTagInput: document.getElementById("cardTagInput"),
+  cardTagOptions: document.getElementById("cardTagOptions"),
+  collectionModal: {
+    self: document.getElementById("collectionModal"),
+    close: document.getElementById("closeCollectionModalBtn"),
+    name: document.getElementById("collectionName"),
+    query: document.getElementById("collectionQuery"),
+    summary: document.getElementById("collectionMatchSummary"),
+    delete: document.getElementById("deleteCollectionBtn"),
+    save: document.getElementById("saveCollectionConfirmBtn"),
+  },
+  tagModal: {
+    self: document.getElementById("tagManagerModal"),
+    close: document.getElementById("closeTagManagerModalBtn"),
+    list: document.getElementById("tagManagerList"),
+    newColor: document.getElementById("newTagColor"),
+    newName: document.getElementById("newTagName"),
+    add: document.getElementById("addTagBtn"),
+  },
+};
+
+// Colors for tags that haven't been given one
+const PALETTE = [
+  "#ef4444",
+  "#f59e0b",
+  "#10b981",
+  "#3b82f6",
+  "#8b5cf6",
+  "#ec4899",
+  "#14b8a6",
+  "#84cc16",
+];
+
+// Sidebar filter state, reset when switching projects
+const filters = {
+  projectId: null,
+  tags: new Set(), // lowercased
+  mode: "all",
+  collectionId: null,
+};
+
+let editingCollection = null;
+// Tags shown in the card editor (possibly unsaved)
+let cardTags = [];
+
+// Also escapes quotes, since tag names end up in attributes
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+function notifyFiltersChanged() {
+  document.dispatchEvent(new CustomEvent("card-filters-changed"));
+}
+
+export function tagColor(name) {
+  const key = name.toLowerCase();
+  const defined = (state.currentProject?.tags || []).find(
+    (t) => t.name.toLowerCase() === key,
+  );
+  if (defined) return defined.color;
+  let hash = 0;
+  for (const char of key) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return PALETTE[Math.abs(hash) % PALETTE.length];
+}
+
+/** Project tags (with colors) plus tags only used on cards, by name */
+function projectTags() {
+  const tags = new Map();
+  for (const tag of state.currentProject?.tags || []) {
+    tags.set(tag.name.toLowerCase(), tag.name);
+  }
+  for (const card of state.allCards || []) {
+    for (const tag of card.tags || []) {
+      if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    }
+  }
+  return Array.from(tags.values()).sort((a, b) => a.localeCompare(b));
+}
+
+function chipHtml(tag, extraClass = "", removable = false) {
+  return `<span class="tag-chip ${extraClass}" data-tag="${escapeHtml(
+    tag,
+  )}" style="--tag-color: ${tagColor(tag)}">${escapeHtml(tag)}${
+    removable
+      ? '<button class="tag-chip-remove" aria-label="Remove tag">×</button>'
+      : ""
+  }</span>`;
+}
+
+/** Small colored tag chips for a card in the sidebar list */
+export function renderTagDots(card) {
+  return (card.tags || [])
+    .map((tag) => chipHtml(tag, "tag-chip-small"))
+    .join("");
+}
+
+// --- Filters ---
+
+function activeCollection() {
+  return (state.currentProject?.smartCollections || []).find(
+    (c) => c.id === filters.collectionId,
+  );
+}
+
+/** Query text equivalent to the selected tag chips */
+function selectedTagsQuery() {
+  const terms = projectTags()
+    .filter((tag) => filters.tags.has(tag.toLowerCase()))
+    .map(tagTerm);
+  if (terms.length < 2) return terms.join("");
+  return filters.mode === "any"
+    ? `(${terms.join(" OR ")})`
+    : terms.join(" AND ");
+}
+
+/**
+ * Predicate for the sidebar card list: the search box (as a query, or a
+ * plain name match while it doesn't parse), the selected tag chips and
+ * the active smart collection.
+ */
+export function buildCardFilter(searchText) {
+  const predicates = [];
+
+  const term = searchText.trim();
+  if (term) {
+    try {
+      predicates.push(parseCardQuery(term));
+      dom.searchInput.classList.remove("invalid");
+    } catch {
+      dom.searchInput.classList.add("invalid");
+      const lower = term.toLowerCase();
+      predicates.push((card) => card.name.toLowerCase().includes(lower));
+    }
+  } else {
+    dom.searchInput.classList.remove("invalid");
+  }
+
+  const tagsQuery = selectedTagsQuery();
+  if (tagsQuery) predicates.push(parseCardQuery(tagsQuery));
+
+  const collection = activeCollection();
+  if (collection) {
+    try {
+      predicates.push(parseCardQuery(collection.query));
+    } catch {
+      // A collection that no longer parses matches nothing
+      predicates.push(() => false);
+    }
+  }
+
+  return (card) => predicates.every((matches) => matches(card));
+}
+
+/** Renders the sidebar tag chips and smart collections for the project */
+export function renderTagFilters() {
+  if (!els.chips) return;
+
+  const projectId = state.currentProject?.id || null;
+  if (filters.projectId !== projectId) {
+    filters.projectId = projectId;
+    filters.tags.clear();
+    filters.collectionId = null;
+  }
+
+  const tags = projectTags();
+  // Drop selections of tags that no longer exist
+  const existing = new Set(tags.map((t) => t.toLowerCase()));
+  for (const tag of filters.tags) {
+    if (!existing.has(tag)) filters.tags.delete(tag);
+  }
+
+  els.chips.innerHTML = tags
+    .map((tag) =>
+      chipHtml(
+        tag,
+        `tag-chip-filter ${filters.tags.has(tag.toLowerCase()) ? "active" : ""}`,
+      ),
+    )
+    .join("");
+
+  els.modeBtn.textContent = filters.mode === "any" ? "OR" : "AND";
+  els.modeBtn.classList.toggle("hidden", filters.tags.size < 2);
+
+  const collections = state.currentProject?.smartCollections || [];
+  if (!activeCollection()) filters.collectionId = null;
+  els.collections.innerHTML = collections
+    .map(
+      (c) => `
+        <button class="smart-collection ${
+          c.id === filters.collectionId ? "active" : ""
+        }" data-collection="${escapeHtml(c.id)}" title="${escapeHtml(c.query)}">
+          <span class="material-icons">filter_list</span>
+          <span class="smart-collection-name">${escapeHtml(c.name)}</span>
+          <span class="material-icons smart-collection-edit" title="Edit">edit</span>
+        </button>
+      `,
+    )
+    .join("");
+
+  els.cardTagOptions.innerHTML = tags
+    .map((tag) => `<option value="${escapeHtml(tag)}"></option>`)
+    .join("");
+}
+
+// --- Card editor ---
+
+/** Shows a card's tags in the editor */
+export function renderCardTags(tags = []) {
+  cardTags = [...tags];
+  els.cardTags.querySelectorAll(".tag-chip").forEach((chip) => chip.remove());
+  els.cardTagInput.insertAdjacentHTML(
+    "beforebegin",
+    cardTags.map((tag) => chipHtml(tag, "", true)).join(""),
+  );
+}
+
+/** Tags as edited in the card editor */
+export function readCardTags() {
+  return [...cardTags];
+}
+
+function addCardTag(name) {
+  const tag = name.trim();
+  if (!tag) return;
+  if (!cardTags.some((t) => t.toLowerCase() === tag.toLowerCase())) {
+    // Reuse the existing spelling of a known tag
+    const known = projectTags().find(
+      (t) => t.toLowerCase() === tag.toLowerCase(),
+    );
+    renderCardTags([...cardTags, known || tag]);
+    els.cardTags.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+  els.cardTagInput.value = "";
+}
+
+// --- Smart collections ---
+
+async function saveProjectFields(fields) {
+  const project = state.currentProject;
+  const res = await api.saveProject(
+    { ...project, ...fields },
+    { ...fields, id: project.id },
+  );
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return false;
+  }
+  Object.assign(project, res.project);
+  return true;
+}
+
+function updateCollectionSummary() {
+  const { query, summary, save } = els.collectionModal;
+  try {
+    const matches = parseCardQuery(query.value);
+    const count = state.allCards.filter(matches).length;
+    summary.textContent = `${count} card${count === 1 ? "" : "s"} match`;
+    save.disabled = false;
+  } catch (e) {
+    summary.textContent = e.message;
+    save.disabled = true;
+  }
+}
+
+function openCollectionModal(collection = null) {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  const modal = els.collectionModal;
+  editingCollection = collection;
+  modal.name.value = collection?.name || "";
+  // New collections start from whatever is filtering the list right now
+  modal.query.value =
+    collection?.query ||
+    [dom.searchInput.value.trim(), selectedTagsQuery()]
+      .filter(Boolean)
+      .join(" AND ");
+  modal.delete.classList.toggle("hidden", !collection);
+  modal.self.classList.remove("hidden");
+  updateCollectionSummary();
+  modal.name.focus();
+}
+
+export function closeCollectionModal() {
+  els.collectionModal.self.classList.add("hidden");
+}
+
+async function saveCollection() {
+  const modal = els.collectionModal;
+  const name = modal.name.value.trim();
+  const query = modal.query.value.trim();
+  if (!name || !query) {
+    showStatus("Name and query are required", "error");
+    return;
+  }
+
+  const collections = [...(state.currentProject.smartCollections || [])];
+  const index = collections.findIndex((c) => c.id === editingCollection?.id);
+  const collection = { id: editingCollection?.id || nanoid(10), name, query };
+  if (index === -1) collections.push(collection);
+  else collections[index] = collection;
+
+  if (await saveProjectFields({ smartCollections: collections })) {
+    filters.collectionId = collection.id;
+    closeCollectionModal();
+    renderTagFilters();
+    notifyFiltersChanged();
+    showStatus(`Saved "${name}"`, "success");
+  }
+}
+
+function deleteCollection() {
+  const collection = editingCollection;
+  if (!collection) return;
+  confirmAction(
+    "Delete Smart Collection?",
+    `Delete "${collection.name}"? Cards are not affected.`,
+    async () => {
+      const collections = (state.currentProject.smartCollections || []).filter(
+        (c) => c.id !== collection.id,
+      );
+      if (await saveProjectFields({ smartCollections: collections })) {
+        closeCollectionModal();
+        renderTagFilters();
+        notifyFiltersChanged();
+      }
+    },
+  );
+}
+
+// --- Tag manager ---
+
+function renderTagManager() {
+  const counts = new Map();
+  for (const card of state.allCards || []) {
+    for (const tag of card.tags || []) {
+      counts.set(tag.toLowerCase(), (counts.get(tag.toLowerCase()) || 0) + 1);
+    }
+  }
+
+  const tags = projectTags();
+  if (tags.length === 0) {
+    els.tagModal.list.innerHTML = '<li class="queue-empty">No tags yet</li>';
+    return;
+  }
+  els.tagModal.list.innerHTML = tags
+    .map((tag) => {
+      const count = counts.get(tag.toLowerCase()) || 0;
+      return `
+        <li class="tag-manager-row" data-tag="${escapeHtml(tag)}">
+          <input type="color" class="tag-manager-color" value="${tagColor(
+            tag,
+          )}" aria-label="Color" />
+          <input type="text" class="tag-manager-name" value="${escapeHtml(
+            tag,
+          )}" aria-label="Name" />
+          <span class="queue-job-meta">${count} card${count === 1 ? "" : "s"}</span>
+          <button class="icon-btn tag-manager-delete" title="Delete Tag" aria-label="Delete Tag">
+            <span class="material-icons" style="font-size: 18px">delete_outline</span>
+          </button>
+        </li>
+      `;
+    })
+    .join("");
+}
+
+function openTagManager() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  els.tagModal.newName.value = "";
+  els.tagModal.newColor.value = PALETTE[projectTags().length % PALETTE.length];
+  renderTagManager();
+  els.tagModal.self.classList.remove("hidden");
+}
+
+export function closeTagManager() {
+  els.tagModal.self.classList.add("hidden");
+}
+
+async function setTagColor(tag, color) {
+  const others = (state.currentProject.tags || []).filter(
+    (t) => t.name.toLowerCase() !== tag.toLowerCase(),
+  );
+  if (await saveProjectFields({ tags: [...others, { name: tag, color }] })) {
+    renderTagFilters();
+    notifyFiltersChanged();
+  }
+}
+
+async function addTag() {
+  const name = els.tagModal.newName.value.trim();
+  if (!name) return;
+  if (projectTags().some((t) => t.toLowerCase() === name.toLowerCase())) {
+    showStatus(`Tag "${name}" already exists`, "error");
+    return;
+  }
+  await setTagColor(name, els.tagModal.newColor.value);
+  openTagManager();
+}
+
+// Renames and deletes touch cards too, so reload everything afterwards
+async function replaceTag(tag, newName) {
+  const res = newName
+    ? await api.renameTag(state.currentProject.id, tag, newName)
+    : await api.deleteTag(state.currentProject.id, tag);
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  const collections = res.collections
+    ? ` and ${res.collections} smart collection${
+        res.collections === 1 ? "" : "s"
+      }`
+    : "";
+  showStatus(
+    `${newName ? `Renamed "${tag}" to "${newName}"` : `Deleted "${tag}"`} on ${
+      res.cards
+    } card${res.cards === 1 ? "" : "s"}${collections}`,
+    "success",
+  );
+  document.dispatchEvent(new CustomEvent("projects-updated"));
+  closeTagManager();
+}
+
+export function setupTagUI() {
+  if (!els.chips) return;
+
+  els.chips.addEventListener("click", (e) => {
+    const chip = e.target.closest("[data-tag]");
+    if (!chip) return;
+    const tag = chip.dataset.tag.toLowerCase();
+    if (filters.tags.has(tag)) filters.tags.delete(tag);
+    else filters.tags.add(tag);
+    renderTagFilters();
+    notifyFiltersChanged();
+  });
+
+  els.modeBtn.addEventListener("click", () => {
+    filters.mode = filters.mode === "all" ? "any" : "all";
+    renderTagFilters();
+    notifyFiltersChanged();
+  });
+
+  els.collections.addEventListener("click", (e) => {
+    const item = e.target.closest("[data-collection]");
+    if (!item) return;
+    const collection = (state.currentProject?.smartCollections || []).find(
+      (c) => c.id === item.dataset.collection,
+    );
+    if (e.target.closest(".smart-collection-edit")) {
+      openCollectionModal(collection);
+      return;
+    }
+    filters.collectionId =
+      filters.collectionId === collection.id ? null : collection.id;
+    renderTagFilters();
+    notifyFiltersChanged();
+  });
+
+  // Card editor tag field
+  els.cardTagInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addCardTag(els.cardTagInput.value);
+    } else if (e.key === "Backspace" && !els.cardTagInput.value) {
+      renderCardTags(cardTags.slice(0, -1));
+    }
+  });
+  // Picking a suggestion from the datalist
+  els.cardTagInput.addEventListener("change", () =>
+    addCardTag(els.cardTagInput.value),
+  );
+  els.cardTags.addEventListener("click", (e) => {
+    const remove = e.target.closest(".tag-chip-remove");
+    if (!remove) {
+      els.cardTagInput.focus();
+      return;
+    }
+    const tag = remove.closest("[data-tag]").dataset.tag;
+    renderCardTags(cardTags.filter((t) => t !== tag));
+  });
+
+  // Smart collection modal
+  const collectionModal = els.collectionModal;
+  els.saveCollectionBtn.addEventListener("click", () => openCollectionModal());
+  collectionModal.close.addEventListener("click", closeCollectionModal);
+  collectionModal.self.addEventListener("click", (e) => {
+    if (e.target === collectionModal.self) closeCollectionModal();
+  });
+  collectionModal.query.addEventListener("input", updateCollectionSummary);
+  collectionModal.save.addEventListener("click", saveCollection);
+  collectionModal.delete.addEventListener("click", deleteCollection);
+
+  // Tag manager modal
+  const tagModal = els.tagModal;
+  els.manageBtn.addEventListener("click", openTagManager);
+  tagModal.close.addEventListener("click", closeTagManager);
+  tagModal.self.addEventListener("click", (e) => {
+    if (e.target === tagModal.self) closeTagManager();
+  });
+  tagModal.add.addEventListener("click", addTag);
+  tagModal.newName.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addTag();
+  });
+  tagModal.list.addEventListener("change", (e) => {
+    const row = e.target.closest("[data-tag]");
+    if (!row) return;
+    const tag = row.dataset.tag;
+    if (e.target.classList.contains("tag-manager-color")) {
+      setTagColor(tag, e.target.value);
+    } else if (e.target.classList.contains("tag-manager-name")) {
+      const newName = e.target.value.trim();
+      if (newName && newName !== tag) replaceTag(tag, newName);
+    }
+  });
+  tagModal.list.addEventListener("click", (e) => {
+    const row = e.target.closest("[data-tag]");
+    if (!row || !e.target.closest(".tag-manager-delete")) return;
+    const tag = row.dataset.tag;
+    confirmAction(
+      "Delete Tag?",
+      `Remove "${tag}" from every card in this project?`,
+      () => replaceTag(tag, null),
+    );
+  });
+}
@@ -0,0 +1,229 @@
+import { state } from "../state.js";
+import { showStatus, confirmAction } from "../ui.js";
+import * as api from "../api.js";
+
+// Project templates: the "Start From" picker in the New Project dialog
+// (with template file import/export) and Save as Template for an existing
+// project. Built-in starter kits ship with the server.
+
+const els = {
+  group: document.getElementById("projectTemplateGroup"),
+  select: document.getElementById("newProjectTemplate"),
+  hint: document.getElementById("newProjectTemplateHint"),
+  importBtn: document.getElementById("importTemplateBtn"),
+  importFile: document.getElementById("importTemplateFile"),
+  exportBtn: document.getElementById("exportTemplateBtn"),
+  deleteBtn: document.getElementById("deleteTemplateBtn"),
+  saveAsBtn: document.getElementById("saveAsTemplateBtn"),
+  modal: document.getElementById("saveTemplateModal"),
+  close: document.getElementById("closeSaveTemplateModalBtn"),
+  name: document.getElementById("templateNameInput"),
+  description: document.getElementById("templateDescriptionInput"),
+  confirm: document.getElementById("confirmSaveTemplateBtn"),
+};
+
+let templates = [];
+// Called with the picked template (null for a blank project)
+let onTemplatePicked = () => {};
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+function selectedTemplate() {
+  return templates.find((t) => t.id === els.select.value);
+}
+
+function templateOptions(list) {
+  return list
+    .map(
+      (t) =>
+        `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`,
+    )
+    .join("");
+}
+
+function updateTemplateHint() {
+  const template = selectedTemplate();
+  els.exportBtn.disabled = !template;
+  els.deleteBtn.classList.toggle("hidden", !template || template.builtIn);
+  if (!template) {
+    els.hint.textContent = "Start with no cards.";
+    return;
+  }
+  const counts = [
+    `${template.cardCount} card${template.cardCount === 1 ? "" : "s"}`,
+    template.setCount
+      ? `${template.setCount} set${template.setCount === 1 ? "" : "s"}`
+      : "",
+  ].filter(Boolean);
+  els.hint.textContent = [template.description, counts.join(" in ")]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+async function loadTemplates(selectedId = "") {
+  const res = await api.fetchTemplates();
+  templates = Array.isArray(res) ? res : [];
+  const builtIn = templates.filter((t) => t.builtIn);
+  const mine = templates.filter((t) => !t.builtIn);
+  els.select.innerHTML =
+    '<option value="">Blank project</option>' +
+    (builtIn.length
+      ? `<optgroup label="Built-in">${templateOptions(builtIn)}</optgroup>`
+      : "") +
+    (mine.length
+      ? `<optgroup label="My Templates">${templateOptions(mine)}</optgroup>`
+      : "");
+  els.select.value = templates.some((t) => t.id === selectedId)
+    ? selectedId
+    : "";
+  updateTemplateHint();
+}
+
+async function pickTemplate() {
+  updateTemplateHint();
+  if (!els.select.value) {
+    onTemplatePicked(null);
+    return;
+  }
+  const template = await api.fetchTemplate(els.select.value);
+  if (template.error) {
+    showStatus(`Error: ${template.error}`, "error");
+    return;
+  }
+  onTemplatePicked(template);
+}
+
+async function importTemplateFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    showStatus("Not a valid template file", "error");
+    return;
+  }
+  const res = await api.importTemplate(data);
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  await loadTemplates(res.template.id);
+  await pickTemplate();
+  showStatus(`Imported template "${res.template.name}"`, "success");
+}
+
+function deleteSelectedTemplate() {
+  const template = selectedTemplate();
+  if (!template || template.builtIn) return;
+  confirmAction(
+    "Delete Template?",
+    `Delete the template "${template.name}"? Projects created from it are not affected.`,
+    async () => {
+      const res = await api.deleteTemplate(template.id);
+      if (res.error) {
+        showStatus(`Error: ${res.error}`, "error");
+        return;
+      }
+      await loadTemplates();
+      onTemplatePicked(null);
+      showStatus(`Deleted template "${template.name}"`, "success");
+    },
+  );
+}
+
+async function saveAsTemplate() {
+  const name = els.name.value.trim();
+  if (!name) {
+    showStatus("Template name is required", "error");
+    return;
+  }
+  const res = await api.saveProjectAsTemplate(state.currentProject.id, {
+    name,
+    description: els.description.value.trim(),
+  });
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  closeSaveTemplateModal();
+  showStatus(
+    `Saved template "${res.template.name}" with ${res.template.cardCount} card${
+      res.template.cardCount === 1 ? "" : "s"
+    }`,
+    "success",
+  );
+}
+
+/**
+ * Shows the Start From picker (New Project dialog). `onPick` receives the
+ * full template, or null for a blank project, to fill in the defaults.
+ */
+export async function renderTemplatePicker(onPick) {
+  if (!els.group) return;
+  onTemplatePicked = onPick;
+  els.group.classList.remove("hidden");
+  els.saveAsBtn.classList.add("hidden");
+  await loadTemplates();
+}
+
+/** Edit Project dialog: no picker, but the project can be saved as one */
+export function hideTemplatePicker() {
+  if (!els.group) return;
+  els.group.classList.add("hidden");
+  els.saveAsBtn.classList.remove("hidden");
+}
+
+/**
+ * Seeds a newly created project with the picked template's sets and cards.
+ * Resolves to the API result, or null for a blank project.
+ */
+export async function applySelectedTemplate(projectId) {
+  const template = selectedTemplate();
+  if (!template) return null;
+  return await api.applyTemplate(projectId, template.id);
+}
+
+export function openSaveTemplateModal() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  els.name.value = `${state.currentProject.name} Template`;
+  els.description.value = state.currentProject.description || "";
+  els.modal.classList.remove("hidden");
+  els.name.focus();
+  els.name.select();
+}
+
+export function closeSaveTemplateModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupTemplateUI() {
+  if (!els.group) return;
+
+  els.select.addEventListener("change", pickTemplate);
+  els.importBtn.addEventListener("click", () => els.importFile.click());
+  els.importFile.addEventListener("change", () => {
+    const file = els.importFile.files[0];
+    els.importFile.value = "";
+    if (file) importTemplateFile(file);
+  });
+  els.exportBtn.addEventListener("click", () => {
+    if (!els.select.value) return;
+    window.location.href = `/api/templates/${encodeURIComponent(
+      els.select.value,
+    )}?download=1`;
+  });
+  els.deleteBtn.addEventListener("click", deleteSelectedTemplate);
+
+  els.saveAsBtn.addEventListener("click", openSaveTemplateModal);
+  els.close.addEventListener("click", closeSaveTemplateModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeSaveTemplateModal();
+  });
+  els.confirm.addEventListener("click", saveAsTemplate);
+}
@@ -0,0 +1,187 @@
+import { state } from "../state.js";
+import { dom, showStatus, confirmAction } from "../ui.js";
+import * as api from "../api.js";
+import { selectCard } from "./cardController.js";
+import { loadProjects, onProjectSelect } from "./projectController.js";
+
+// Undo/redo of server-side operations (Ctrl/Cmd+Z) and the Trash modal,
+// where deleted images and cards wait until the retention period ends
+
+const els = {
+  modal: document.getElementById("trashModal"),
+  close: document.getElementById("closeTrashModalBtn"),
+  openBtn: document.getElementById("trashBtn"),
+  retention: document.getElementById("trashRetentionDays"),
+  summary: document.getElementById("trashSummary"),
+  list: document.getElementById("trashList"),
+  empty: document.getElementById("emptyTrashBtn"),
+};
+
+let busy = false;
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Reloads the project, its cards and the open card after the server
+// changed them behind the editor's back
+async function refreshProject() {
+  const projectId = state.currentProject.id;
+  const cardId = state.currentCard?.id;
+
+  await loadProjects();
+  dom.projectSelect.value = projectId;
+  await onProjectSelect(false);
+
+  const card = state.allCards?.find((c) => c.id === cardId);
+  if (card) {
+    selectCard(card, false);
+  } else if (cardId) {
+    // The open card was deleted (or its creation undone)
+    state.currentCard = null;
+    dom.editorArea.classList.add("hidden");
+  }
+}
+
+async function run(action, operationId) {
+  if (!state.currentProject || busy) return;
+  busy = true;
+  try {
+    const res =
+      action === "undo"
+        ? await api.undo(state.currentProject.id, operationId)
+        : await api.redo(state.currentProject.id);
+    if (res.error) {
+      // "Nothing to undo" isn't a failure
+      showStatus(res.error, res.error.startsWith("Nothing") ? "info" : "error");
+      return;
+    }
+    showStatus(
+      `${action === "undo" ? "Undid" : "Redid"}: ${res.operation.label}`,
+      "success",
+    );
+    await refreshProject();
+    if (!els.modal.classList.contains("hidden")) await loadTrash();
+  } catch (e) {
+    showStatus(`Error: ${e.message}`, "error");
+  } finally {
+    busy = false;
+  }
+}
+
+export const undo = () => run("undo");
+export const redo = () => run("redo");
+
+function renderTrash(items, settings) {
+  els.retention.value = settings.retentionDays;
+  els.summary.textContent = `Items are deleted for good ${settings.retentionDays} day${
+    settings.retentionDays === 1 ? "" : "s"
+  } after they were trashed. Restoring an item undoes the action that trashed it.`;
+  els.empty.disabled = items.length === 0;
+
+  if (items.length === 0) {
+    els.list.innerHTML = '<li class="queue-empty">Trash is empty</li>';
+    return;
+  }
+  els.list.innerHTML = items
+    .map((item) => {
+      const thumbs = item.images
+        .slice(0, 6)
+        .map((webPath) => `<img src="/${webPath}" loading="lazy" alt="" />`)
+        .join("");
+      const meta = [
+        item.author === "assistant" ? "Assistant" : "You",
+        new Date(item.trashedAt).toLocaleString(),
+        `deleted ${new Date(item.expiresAt).toLocaleDateString()}`,
+      ];
+      return `
+        <li class="trash-item">
+          <div class="trash-item-info">
+            <span class="trash-item-label">${escapeHtml(item.label)}</span>
+            <span class="queue-job-meta">${escapeHtml(meta.join(" · "))}</span>
+            ${thumbs ? `<div class="history-job-thumbs">${thumbs}</div>` : ""}
+          </div>
+          <button class="secondary-btn" data-operation="${escapeHtml(
+            item.operationId,
+          )}">Restore</button>
+        </li>
+      `;
+    })
+    .join("");
+}
+
+async function loadTrash() {
+  try {
+    const res = await api.fetchTrash(state.currentProject.id);
+    if (res.error) {
+      showStatus(`Error: ${res.error}`, "error");
+      return;
+    }
+    renderTrash(res.items, res.settings);
+  } catch (e) {
+    console.error("[Trash] Failed to load trash:", e);
+  }
+}
+
+async function saveRetention() {
+  const retentionDays = parseInt(els.retention.value);
+  if (!(retentionDays >= 1)) {
+    showStatus("Keep items for at least 1 day", "error");
+    return;
+  }
+  const res = await api.updateTrashSettings({ retentionDays });
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+    return;
+  }
+  showStatus("Trash settings saved", "success");
+  await loadTrash();
+}
+
+function emptyTrash() {
+  confirmAction(
+    "Empty Trash?",
+    "Permanently delete everything in this project's trash? The actions that trashed them can no longer be undone.",
+    async () => {
+      const res = await api.emptyTrash(state.currentProject.id);
+      if (res.error) {
+        showStatus(`Error: ${res.error}`, "error");
+        return;
+      }
+      showStatus("Trash emptied", "success");
+      await loadTrash();
+    },
+  );
+}
+
+export function openTrashModal() {
+  if (!state.currentProject) {
+    showStatus("Select a project first", "error");
+    return;
+  }
+  els.list.innerHTML = '<li class="queue-empty">Loading...</li>';
+  els.modal.classList.remove("hidden");
+  loadTrash();
+}
+
+export function closeTrashModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupUndoUI() {
+  if (!els.modal) return;
+
+  els.openBtn.addEventListener("click", openTrashModal);
+  els.close.addEventListener("click", closeTrashModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeTrashModal();
+  });
+  els.retention.addEventListener("change", saveRetention);
+  els.empty.addEventListener("click", emptyTrash);
+  els.list.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-operation]");
+    if (btn) run("undo", btn.dataset.operation);
+  });
+}
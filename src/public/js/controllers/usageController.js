@@ -0,0 +1,200 @@
+import { state } from "../state.js";
+import { showStatus } from "../ui.js";
+import * as api from "../api.js";
+
+// Usage & Budgets modal: estimated spend per project/key/model and budgets
+
+const els = {
+  modal: document.getElementById("usageModal"),
+  close: document.getElementById("closeUsageModalBtn"),
+  openBtn: document.getElementById("usageBtn"),
+  month: document.getElementById("usageMonth"),
+  totals: document.getElementById("usageTotals"),
+  breakdown: document.getElementById("usageBreakdown"),
+  monthlyBudget: document.getElementById("usageMonthlyBudget"),
+  projectBudgetRow: document.getElementById("usageProjectBudgetRow"),
+  projectBudget: document.getElementById("usageProjectBudget"),
+  keyBudgets: document.getElementById("usageKeyBudgets"),
+};
+
+let usage = null;
+let keyNames = [];
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function formatCost(cost) {
+  return `$${(cost || 0).toFixed(2)}`;
+}
+
+function formatTokens(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+  return String(count);
+}
+
+function currentMonth() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+
+function renderTable(title, group, labelFor = (key) => key) {
+  const rows = Object.entries(group).sort((a, b) => b[1].cost - a[1].cost);
+  if (rows.length === 0) return "";
+  return `
+    <div class="usage-table">
+      <h4>${title}</h4>
+      <table>
+        <thead>
+          <tr><th></th><th>Images</th><th>Tokens</th><th>Est. Cost</th></tr>
+        </thead>
+        <tbody>
+          ${rows
+            .map(
+              ([key, t]) => `
+            <tr>
+              <td>${escapeHtml(labelFor(key))}</td>
+              <td>${t.images}</td>
+              <td>${formatTokens(t.totalTokens)}</td>
+              <td>${formatCost(t.cost)}</td>
+            </tr>`,
+            )
+            .join("")}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function render() {
+  if (!usage) return;
+  const { totals, budgets } = usage;
+  const resolutions = Object.entries(usage.imagesByResolution)
+    .map(([res, n]) => `${n} × ${res}`)
+    .join(", ");
+
+  els.totals.innerHTML = `
+    <div class="usage-stat">
+      <span class="usage-stat-value">${formatCost(totals.cost)}</span>
+      <span class="usage-stat-label">Estimated spend${
+        budgets.monthly ? ` of ${formatCost(budgets.monthly)}` : ""
+      }</span>
+    </div>
+    <div class="usage-stat">
+      <span class="usage-stat-value">${totals.images}</span>
+      <span class="usage-stat-label">Images${
+        resolutions ? ` (${resolutions})` : ""
+      }</span>
+    </div>
+    <div class="usage-stat">
+      <span class="usage-stat-value">${formatTokens(totals.totalTokens)}</span>
+      <span class="usage-stat-label">Chat tokens</span>
+    </div>
+  `;
+
+  const projectName = (id) =>
+    state.projects.find((p) => p.id === id)?.name || id;
+  els.breakdown.innerHTML =
+    renderTable("By Project", usage.byProject, projectName) +
+    renderTable("By API Key", usage.byKey) +
+    renderTable("By Model", usage.byModel);
+
+  // Don't clobber a value the user is typing
+  if (document.activeElement !== els.monthlyBudget) {
+    els.monthlyBudget.value = budgets.monthly || "";
+  }
+  if (state.currentProject) {
+    els.projectBudgetRow.classList.remove("hidden");
+    if (document.activeElement !== els.projectBudget) {
+      els.projectBudget.value = budgets.projects[state.currentProject.id] || "";
+    }
+  } else {
+    els.projectBudgetRow.classList.add("hidden");
+  }
+
+  els.keyBudgets.innerHTML = keyNames
+    .map(
+      (name, i) => `
+      <div class="form-group">
+        <label for="usageKeyBudget${i}">Key: ${escapeHtml(name)}</label>
+        <input
+          type="number"
+          id="usageKeyBudget${i}"
+          data-key-name="${escapeHtml(name)}"
+          min="0"
+          step="0.01"
+          placeholder="No limit"
+          value="${budgets.keys[name] || ""}"
+        />
+      </div>`,
+    )
+    .join("");
+}
+
+async function refresh() {
+  try {
+    const [usageRes, keys] = await Promise.all([
+      api.fetchUsage(els.month.value),
+      api.fetchKeys(),
+    ]);
+    if (usageRes.error) {
+      showStatus(`Error: ${usageRes.error}`, "error");
+      return;
+    }
+    usage = usageRes;
+    keyNames = keys.map((k) => k.name);
+    render();
+  } catch (e) {
+    console.error("[Usage] Failed to load usage:", e);
+  }
+}
+
+async function saveBudget(updates) {
+  const res = await api.updateBudgets(updates);
+  if (res.error) {
+    showStatus(`Error: ${res.error}`, "error");
+  }
+  await refresh();
+}
+
+export function openUsageModal() {
+  if (!els.month.value) els.month.value = currentMonth();
+  els.modal.classList.remove("hidden");
+  refresh();
+}
+
+export function closeUsageModal() {
+  els.modal.classList.add("hidden");
+}
+
+export function setupUsageUI() {
+  if (!els.modal) return;
+
+  els.openBtn.addEventListener("click", openUsageModal);
+  els.close.addEventListener("click", closeUsageModal);
+  els.modal.addEventListener("click", (e) => {
+    if (e.target === els.modal) closeUsageModal();
+  });
+
+  els.month.addEventListener("change", refresh);
+  els.monthlyBudget.addEventListener("change", () =>
+    saveBudget({ monthly: parseFloat(els.monthlyBudget.value) || null }),
+  );
+  els.projectBudget.addEventListener("change", () => {
+    if (!state.currentProject) return;
+    saveBudget({
+      projects: {
+        [state.currentProject.id]: parseFloat(els.projectBudget.value) || null,
+      },
+    });
+  });
+  // Key inputs are re-rendered, so listen on the container
+  els.keyBudgets.addEventListener("change", (e) => {
+    const name = e.target.dataset.keyName;
+    if (!name) return;
+    saveBudget({ keys: { [name]: parseFloat(e.target.value) || null } });
+  });
+}
@@ -5,6 +5,23 @@ import * as projectCtrl from "./controllers/projectController.js";
 import * as cardCtrl from "./controllers/cardController.js";
 import * as galleryCtrl from "./controllers/galleryController.js";
 import { bracketController } from "./controllers/bracketController.js";
+import * as queueCtrl from "./controllers/queueController.js";
+import * as historyCtrl from "./controllers/historyController.js";
+import * as usageCtrl from "./controllers/usageController.js";
+import * as batchCtrl from "./controllers/batchController.js";
+import * as revisionCtrl from "./controllers/revisionController.js";
+import * as undoCtrl from "./controllers/undoController.js";
+import * as tagCtrl from "./controllers/tagController.js";
+import * as searchCtrl from "./controllers/searchController.js";
+import * as setCtrl from "./controllers/setController.js";
+import * as renumberCtrl from "./controllers/renumberController.js";
+import * as templateCtrl from "./controllers/templateController.js";
+import * as cardImportCtrl from "./controllers/cardImportController.js";
+import * as printCtrl from "./controllers/printController.js";
+import * as exportCtrl from "./controllers/exportController.js";
+import * as contactSheetCtrl from "./controllers/contactSheetController.js";
+import * as tabletopCtrl from "./controllers/tabletopController.js";
+import * as cardLayoutCtrl from "./controllers/cardLayoutController.js";
 
 import { ChatManager } from "./chat.js";
 import { statusService } from "./statusService.js";
@@ -109,6 +126,7 @@ async function init() {
 
   // Load initial data
   await loadKeys();
+  await projectCtrl.loadProviders();
   await projectCtrl.loadProjects();
   // Initial Context if project loaded
   if (state.currentProject) {
@@ -167,8 +185,36 @@ async function init() {
     cardCtrl.filterCards();
   });
 
+  document.addEventListener("card-filters-changed", () => {
+    cardCtrl.filterCards();
+  });
+
+  document.addEventListener("sets-changed", () => {
+    cardCtrl.filterCards();
+    cardCtrl.refreshSetFields();
+  });
+
   // Initialize Status Service for SSE notifications
   statusService.connect();
+  cardCtrl.setupCardEditorUI();
+  cardCtrl.setupCardListUI();
+  queueCtrl.setupQueueUI();
+  historyCtrl.setupHistoryUI();
+  usageCtrl.setupUsageUI();
+  batchCtrl.setupBatchUI();
+  undoCtrl.setupUndoUI();
+  tagCtrl.setupTagUI();
+  searchCtrl.setupSearchUI();
+  setCtrl.setupSetUI();
+  renumberCtrl.setupRenumberUI();
+  templateCtrl.setupTemplateUI();
+  cardImportCtrl.setupCardImportUI();
+  printCtrl.setupPrintUI();
+  exportCtrl.setupExportUI();
+  contactSheetCtrl.setupContactSheetUI();
+  tabletopCtrl.setupTabletopUI();
+  cardLayoutCtrl.setupCardLayoutUI();
+  revisionCtrl.setupRevisionUI();
 
   // Listen for generation completion to refresh gallery
   document.addEventListener("generation-completed", async (e) => {
@@ -445,16 +491,6 @@ async function init() {
     });
   }
 
-  // Export Deck
-  const exportDeckBtn = document.getElementById("exportDeckBtn");
-  if (exportDeckBtn) {
-    exportDeckBtn.addEventListener("click", () => {
-      if (!state.currentProject) return;
-      const url = `/api/projects/${state.currentProject.id}/export-deck`;
-      window.location.href = url;
-    });
-  }
-
   // Image Modal
   dom.imgModal.closeBtn.addEventListener("click", () =>
     dom.imgModal.self.classList.add("hidden"),
@@ -563,6 +599,46 @@ async function init() {
       dom.modal.self.classList.add("hidden");
       dom.helpModal.self.classList.add("hidden");
       dom.keyModal.self.classList.add("hidden");
+      queueCtrl.closeQueueModal();
+      historyCtrl.closeHistoryModal();
+      usageCtrl.closeUsageModal();
+      batchCtrl.closeBatchModal();
+      undoCtrl.closeTrashModal();
+      tagCtrl.closeCollectionModal();
+      tagCtrl.closeTagManager();
+      searchCtrl.closeSearchPalette();
+      setCtrl.closeSetManager();
+      renumberCtrl.closeRenumberModal();
+      templateCtrl.closeSaveTemplateModal();
+      cardImportCtrl.closeCardImportModal();
+      printCtrl.closePrintPdfModal();
+      exportCtrl.closeExportDeckModal();
+      contactSheetCtrl.closeContactSheetModal();
+      tabletopCtrl.closeTabletopModal();
+      cardLayoutCtrl.closeCardLayoutModal();
+    }
+
+    // Search palette (works from text fields too)
+    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      searchCtrl.openSearchPalette();
+      return;
+    }
+
+    // Undo / Redo (text fields keep their own undo history)
+    const key = e.key.toLowerCase();
+    if (
+      (e.metaKey || e.ctrlKey) &&
+      (key === "z" || (key === "y" && e.ctrlKey)) &&
+      !["INPUT", "TEXTAREA", "SELECT"].includes(
+        document.activeElement.tagName,
+      ) &&
+      !document.activeElement.isContentEditable
+    ) {
+      e.preventDefault();
+      if (key === "y" || e.shiftKey) undoCtrl.redo();
+      else undoCtrl.undo();
+      return;
     }
 
     // Help Shortcut
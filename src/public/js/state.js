@@ -4,5 +4,6 @@ export const state = {
   currentProject: null,
   currentCard: null,
   allCards: [], // Cache for filtering
+  providers: [], // Available image providers
   pendingGenerationCount: 0,
 };
@@ -1,5 +1,6 @@
 // Status Service - SSE Client for Generation Status Updates
 import { createToast, updateStatusBar, setStatusBarGenerating } from "./ui.js";
+import * as api from "./api.js";
 
 class StatusService {
   constructor() {
@@ -8,7 +9,10 @@ class StatusService {
     this.maxReconnectAttempts = 10;
     this.reconnectDelay = 500;
     this.activeToasts = new Map(); // jobId -> toast object
-    this.activeJobs = new Map(); // jobId -> job object
+    this.activeJobs = new Map(); // jobId -> job object (queued or generating)
+    this.finishedJobs = new Map(); // jobId -> failed/cancelled job (retryable)
+    this.queueState = null; // { settings, queued, running }
+    this.batches = new Map(); // batchId -> { total, failed, finished }
     this.isConnected = false;
     this.offlineToast = null;
   }
@@ -43,6 +47,8 @@ class StatusService {
           // Restore active jobs on reconnect
           console.log("[StatusService] Received initial jobs:", data.jobs);
           data.jobs.forEach((job) => this.handleJobUpdate(job));
+        } else if (data.type === "queue") {
+          this.handleQueueUpdate(data.state);
         } else {
           // Regular job update
           this.handleJobUpdate(data);
@@ -78,48 +84,98 @@ class StatusService {
     };
   }
 
+  /** "Batch 12/40 cards" for each batch that still has jobs pending. */
+  batchProgressText() {
+    const jobs = Array.from(this.activeJobs.values());
+    return Array.from(this.batches.entries())
+      .map(([batchId, batch]) => {
+        const pending = jobs.filter((j) => j.batchId === batchId).length;
+        const failed = batch.failed ? `, ${batch.failed} failed` : "";
+        return `Batch ${batch.total - pending}/${batch.total} cards${failed}`;
+      })
+      .join(" · ");
+  }
+
+  /**
+   * Aggregates batch jobs so a 40-card batch reports as one unit instead of
+   * 40 toasts. Shows a summary once the batch's last job finishes.
+   */
+  trackBatchJob(job) {
+    let batch = this.batches.get(job.batchId);
+    if (!batch) {
+      batch = { total: job.batchTotal || 1, failed: 0, finished: new Set() };
+      this.batches.set(job.batchId, batch);
+    }
+    if (job.status === "queued" || job.status === "generating") return;
+
+    if (!batch.finished.has(job.id)) {
+      batch.finished.add(job.id);
+      if (job.status !== "completed" || job.failures?.length) batch.failed++;
+    }
+
+    const pending = Array.from(this.activeJobs.values()).some(
+      (j) => j.batchId === job.batchId,
+    );
+    if (!pending) {
+      this.batches.delete(job.batchId);
+      const succeeded = batch.total - batch.failed;
+      createToast(
+        `Batch finished: ${succeeded}/${batch.total} cards generated${
+          batch.failed ? `, ${batch.failed} with failures` : ""
+        }`,
+        batch.failed ? "info" : "success",
+        8000,
+      );
+    }
+  }
+
   updateStatusBarFromJobs() {
-    const activeCount = this.activeJobs.size;
+    const jobs = Array.from(this.activeJobs.values());
+    const running = jobs.filter((j) => j.status === "generating");
+    const queuedCount = jobs.length - running.length;
+    const paused = !!this.queueState?.settings?.paused;
+    const iconStyle =
+      "font-size: 1.2em; vertical-align: bottom; margin-right: 6px;";
+    const batchText = this.batchProgressText();
+    const batchSuffix = batchText ? ` · ${batchText}` : "";
 
-    if (activeCount === 0) {
-      updateStatusBar("Ready");
+    if (jobs.length === 0) {
+      updateStatusBar(paused ? "Ready (queue paused)" : "Ready");
+      setStatusBarGenerating(false);
+    } else if (running.length === 0) {
+      const jobWord = queuedCount === 1 ? "job" : "jobs";
+      updateStatusBar(
+        `<span class="material-icons" style="${iconStyle}">${
+          paused ? "pause_circle" : "schedule"
+        }</span>${queuedCount} ${jobWord} queued${
+          paused ? " (paused)" : ""
+        }${batchSuffix}`,
+      );
       setStatusBarGenerating(false);
     } else {
-      // Calculate total images being generated
+      // Calculate total images still being generated
       let totalImages = 0;
-      for (const job of this.activeJobs.values()) {
-        totalImages += job.total;
+      for (const job of running) {
+        totalImages += Math.max(0, job.total - (job.current || 0));
       }
       const imageWord = totalImages === 1 ? "image" : "images";
+      const queuedText = queuedCount > 0 ? ` (${queuedCount} queued)` : "";
       // Icon added as requested
       updateStatusBar(
-        `<span class="material-icons" style="font-size: 1.2em; vertical-align: bottom; margin-right: 6px;">auto_awesome</span>Generating ${totalImages} ${imageWord}...`,
+        `<span class="material-icons" style="${iconStyle}">auto_awesome</span>Generating ${totalImages} ${imageWord}...${queuedText}${batchSuffix}`,
       );
       setStatusBarGenerating(true);
     }
   }
 
-  handleJobUpdate(job) {
-    console.log("[StatusService] Job update:", job);
-
-    const { id, cardName, status, current, total, error } = job;
-
-    // Track active jobs
-    if (status === "generating") {
-      this.activeJobs.set(id, job);
-    } else {
-      this.activeJobs.delete(id);
-    }
-
-    // Update status bar based on active jobs
-    this.updateStatusBarFromJobs();
-
-    // Dispatch granular update for UI components (e.g. placeholders)
+  // Dispatch granular update for UI components (e.g. placeholders)
+  dispatchGenerationUpdate() {
     try {
       document.dispatchEvent(
         new CustomEvent("generation-update", {
           detail: {
             activeJobs: Array.from(this.activeJobs.values()),
+            finishedJobs: Array.from(this.finishedJobs.values()),
           },
         }),
       );
@@ -129,30 +185,103 @@ class StatusService {
         e.message,
       );
     }
+  }
+
+  async cancelJob(jobId) {
+    const res = await api.cancelJob(jobId);
+    if (res.error) {
+      createToast(`Could not cancel: ${res.error}`, "error");
+    }
+    // The cancelled state itself arrives over SSE
+  }
+
+  async retryJob(jobId) {
+    const res = await api.retryJob(jobId);
+    if (res.error) {
+      createToast(`Could not retry: ${res.error}`, "error");
+      return null;
+    }
+    this.dismissJob(jobId);
+    if (res.job) this.handleJobUpdate(res.job);
+    return res.jobId;
+  }
+
+  /** Forget a failed/cancelled job (removes its retry placeholder). */
+  dismissJob(jobId) {
+    if (this.finishedJobs.delete(jobId)) {
+      this.dispatchGenerationUpdate();
+    }
+  }
+
+  handleQueueUpdate(queueState) {
+    this.queueState = queueState;
+    this.updateStatusBarFromJobs();
+    try {
+      document.dispatchEvent(
+        new CustomEvent("queue-updated", { detail: { state: queueState } }),
+      );
+    } catch (e) {
+      console.error(
+        "[StatusService] Error dispatching queue-updated:",
+        e.message,
+      );
+    }
+  }
+
+  handleJobUpdate(job) {
+    console.log("[StatusService] Job update:", job);
+
+    const { id, cardName, status, total, error } = job;
+
+    // Track active jobs
+    if (status === "generating" || status === "queued") {
+      this.activeJobs.set(id, job);
+    } else {
+      this.activeJobs.delete(id);
+    }
+
+    // Keep failed/cancelled/partially failed jobs around so they can be retried
+    if (
+      status === "error" ||
+      status === "cancelled" ||
+      (status === "completed" && job.failures?.length)
+    ) {
+      this.finishedJobs.set(id, job);
+    } else {
+      this.finishedJobs.delete(id);
+    }
+
+    if (job.batchId) this.trackBatchJob(job);
+
+    // Update status bar based on active jobs
+    this.updateStatusBarFromJobs();
+    this.dispatchGenerationUpdate();
 
     // Get or create toast for this job
     let toast = this.activeToasts.get(id);
 
-    if (status === "generating") {
+    if (status === "generating" || status === "queued") {
       // Pending toast removed in favor of footer animation
     } else if (status === "completed") {
-      if (toast) {
-        toast.update(
-          `Success: "${cardName}" (${total} image${total > 1 ? "s" : ""})`,
-          "success",
-        );
+      // Some images failed: show the breakdown instead of a plain success
+      const partial = job.failures?.length > 0;
+      const message = partial
+        ? `"${cardName}": ${job.summary}`
+        : `Success: "${cardName}" (${total} image${total > 1 ? "s" : ""})`;
+      const type = partial ? "info" : "success";
+      const duration = partial ? 8000 : 4000;
+      if (job.batchId) {
+        // Reported by the batch summary instead
+      } else if (toast) {
+        toast.update(message, type);
         setTimeout(() => {
           toast.remove();
           this.activeToasts.delete(id);
-        }, 4000);
+        }, duration);
       } else {
         // Job completed but we didn't have a toast (maybe reconnected after completion)
         // Show brief success message
-        createToast(
-          `Success: "${cardName}" (${total} image${total > 1 ? "s" : ""})`,
-          "success",
-          4000,
-        );
+        createToast(message, type, duration);
       }
 
       // Dispatch event for gallery refresh
@@ -175,7 +304,11 @@ class StatusService {
       }
 
       // Electron notification
-      if (window.electronAPI && window.electronAPI.showNotification) {
+      if (
+        !job.batchId &&
+        window.electronAPI &&
+        window.electronAPI.showNotification
+      ) {
         window.electronAPI.showNotification(
           "Images Generated",
           `"${cardName}" - ${total} image${total > 1 ? "s" : ""} completed`,
@@ -183,9 +316,51 @@ class StatusService {
           job.cardId,
         );
       }
-    } else if (status === "error") {
+    } else if (status === "cancelled") {
+      const done = job.results?.length || 0;
+      const message = `Cancelled "${cardName}" (${
+        job.summary || `${done}/${total} generated`
+      })`;
       if (toast) {
-        toast.update(`Error: ${error || "Generation failed"}`, "error");
+        toast.update(message, "info");
+        setTimeout(() => {
+          toast.remove();
+          this.activeToasts.delete(id);
+        }, 4000);
+      } else {
+        createToast(message, "info", 4000);
+      }
+
+      // Images made before the cancel still need to show up
+      if (done > 0) {
+        try {
+          document.dispatchEvent(
+            new CustomEvent("generation-completed", {
+              detail: {
+                jobId: id,
+                projectId: job.projectId,
+                cardId: job.cardId,
+                results: job.results,
+              },
+            }),
+          );
+        } catch (e) {
+          console.error(
+            "[StatusService] Error dispatching generation-completed:",
+            e.message,
+          );
+        }
+      }
+    } else if (status === "error") {
+      if (job.batchId) {
+        // Counted in the batch summary; the retry placeholder stays
+      } else if (toast) {
+        toast.update(
+          `Error: ${error || "Generation failed"}${
+            job.summary ? ` (${job.summary})` : ""
+          }`,
+          "error",
+        );
         setTimeout(() => {
           toast.remove();
           this.activeToasts.delete(id);
@@ -17,7 +17,12 @@ export const dom = {
     subfolder: document.getElementById("subfolderInput"),
     cardAspectRatio: document.getElementById("cardAspectRatio"),
     cardResolution: document.getElementById("cardResolution"),
+    cardImageProvider: document.getElementById("cardImageProvider"),
     prompt: document.getElementById("promptInput"),
+    negativePrompt: document.getElementById("negativePromptInput"),
+    promptSections: document.getElementById("promptSectionsGroup"),
+    attributes: document.getElementById("cardAttributes"),
+    cardNumber: document.getElementById("cardNumberInput"),
     count: document.getElementById("genCount"),
     apiKey: document.getElementById("apiKeyInput"),
     keySelect: document.getElementById("keySelect"),
@@ -26,12 +31,23 @@ export const dom = {
     titleInput: document.getElementById("cardTitleInput"),
   },
   // preview: document.getElementById("promptPreview"), // Removed
+  resolvedPrompt: {
+    preview: document.getElementById("resolvedPromptPreview"),
+    errors: document.getElementById("resolvedPromptErrors"),
+  },
+  // Card rendered with the project's card layout
+  layoutPreview: {
+    group: document.getElementById("cardLayoutPreviewGroup"),
+    image: document.getElementById("cardLayoutPreview"),
+    error: document.getElementById("cardLayoutPreviewError"),
+  },
   btns: {
     help: document.getElementById("helpBtn"),
     editTitle: document.getElementById("editTitleBtn"),
     addKeyToggle: document.getElementById("addKeyToggleBtn"),
     saveNewKey: document.getElementById("saveKeyBtn"),
     saveCard: document.getElementById("saveCardBtn"),
+    addAttribute: document.getElementById("addAttributeBtn"),
     openCardFolder: document.getElementById("openCardFolderBtn"),
     generate: document.getElementById("generateBtn"),
     favFilter: document.getElementById("galleryFilterFavorites"),
@@ -96,6 +112,8 @@ export const dom = {
     name: document.getElementById("imgModalName"),
     date: document.getElementById("imgModalDate"),
     prompt: document.getElementById("imgModalPrompt"),
+    negativeContainer: document.getElementById("imgModalNegativeContainer"),
+    negativePrompt: document.getElementById("imgModalNegativePrompt"),
     link: document.getElementById("imgModalLink"),
     archiveBtn: document.getElementById("imgModalArchiveBtn"),
     closeBtn: document.getElementById("imgModalCloseBtn"),
@@ -114,6 +132,10 @@ export const dom = {
     self: document.getElementById("regenerationModal"),
     title: document.getElementById("regenModalTitle"),
     prompt: document.getElementById("regenPrompt"),
+    applyModifiers: document.getElementById("regenApplyModifiers"),
+    resolvedPrompt: document.getElementById("regenResolvedPrompt"),
+    resolvedErrors: document.getElementById("regenResolvedErrors"),
+    negativePrompt: document.getElementById("regenNegativePrompt"),
     count: document.getElementById("regenCount"),
     refContainer: document.getElementById("regenRefsContainer"),
     refList: document.getElementById("regenRefList"),
@@ -11,3 +11,49 @@ export function nanoid(size = 21) {
   }
   return id;
 }
+
+/**
+ * Word-level diff of two strings, as runs of { type, text } where type is
+ * "same", "added" or "removed". Whitespace is kept so runs can be joined
+ * back into either string.
+ */
+export function diffWords(before = "", after = "") {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+
+  // lengths[i][j]: longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (type, text) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) last.text += text;
+    else runs.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+  return runs;
+}
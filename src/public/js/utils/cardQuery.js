@@ -0,0 +1,127 @@
+// Card filter queries for the search box and smart collections, e.g.
+//   tag:character AND no:starred
+//   (tag:cups OR tag:swords) -tag:draft
+// Words without a prefix match card names. Terms next to each other are
+// ANDed; AND, OR and NOT must be uppercase so names like "Sun and Moon"
+// still search as plain words.
+
+// has:X / no:X checks
+const CONDITIONS = {
+  starred: (card) => !!card.starredImage,
+  images: (card) => (card.imageCount || 0) > 0,
+  favorites: (card) => (card.favoriteImages || []).length > 0,
+  tags: (card) => (card.tags || []).length > 0,
+  negative: (card) => !!card.negativePrompt,
+};
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(\(|\)|-(?=\S)|[^\s()"]*"[^"]*"?|[^\s()]+)/g;
+  let match;
+  while ((match = pattern.exec(text)) && match[1]) {
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+function unquote(value) {
+  return value.replace(/^"|"$/g, "");
+}
+
+function parseTerm(token) {
+  const colon = token.indexOf(":");
+  if (colon > 0) {
+    const key = token.slice(0, colon).toLowerCase();
+    const value = unquote(token.slice(colon + 1)).toLowerCase();
+    switch (key) {
+      case "tag":
+        return (card) =>
+          (card.tags || []).some((t) => t.toLowerCase() === value);
+      case "name":
+        return (card) => card.name.toLowerCase().includes(value);
+      case "prompt":
+        return (card) => (card.prompt || "").toLowerCase().includes(value);
+      case "has":
+      case "no": {
+        const condition = CONDITIONS[value];
+        if (!condition) {
+          throw new Error(
+            `Unknown condition "${value}" (use ${Object.keys(CONDITIONS).join(", ")})`,
+          );
+        }
+        return key === "has" ? condition : (card) => !condition(card);
+      }
+    }
+  }
+  const word = unquote(token).toLowerCase();
+  return (card) => card.name.toLowerCase().includes(word);
+}
+
+/**
+ * Compiles a query into a `(card) => boolean` predicate. Throws an Error
+ * describing the problem if the query is malformed. An empty query
+ * matches every card.
+ */
+export function parseCardQuery(text) {
+  const tokens = tokenize(text || "");
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const atTermStart = () =>
+    pos < tokens.length && peek() !== ")" && !["AND", "OR"].includes(peek());
+
+  function parseOr() {
+    let left = parseAnd();
+    while (peek() === "OR") {
+      pos++;
+      const a = left;
+      const b = parseAnd();
+      left = (card) => a(card) || b(card);
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (peek() === "AND" || atTermStart()) {
+      if (peek() === "AND") pos++;
+      const a = left;
+      const b = parseNot();
+      left = (card) => a(card) && b(card);
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (peek() === "NOT" || peek() === "-") {
+      pos++;
+      const inner = parseNot();
+      return (card) => !inner(card);
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (token === undefined) throw new Error("Query ends too early");
+    if (token === "(") {
+      const inner = parseOr();
+      if (tokens[pos++] !== ")") throw new Error('Missing ")"');
+      return inner;
+    }
+    if (token === ")" || token === "AND" || token === "OR") {
+      throw new Error(`Unexpected "${token}"`);
+    }
+    return parseTerm(token);
+  }
+
+  if (tokens.length === 0) return () => true;
+  const predicate = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+  return predicate;
+}
+
+/** Quotes a tag for use in a query when it contains spaces. */
+export function tagTerm(tag) {
+  return /[\s()"]/.test(tag) ? `tag:"${tag.replace(/"/g, "")}"` : `tag:${tag}`;
+}
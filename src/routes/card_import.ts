@@ -0,0 +1,110 @@
+import { Router } from "express";
+import { DataService } from "../lib/data_service";
+import {
+  applyCardImport,
+  CARD_IMPORT_FIELDS,
+  CARD_IMPORT_MODES,
+  CardImageStats,
+  CardImportFormat,
+  CardImportMode,
+  cardImageStats,
+  exportCardsCsv,
+  exportCardsJson,
+  parseCardTable,
+  planCardImport,
+  resolveMapping,
+} from "../lib/card_import";
+
+export function createCardImportRouter(dataService: DataService) {
+  const router = Router();
+
+  /**
+   * Bulk import of card definitions from CSV or JSON text. With `preview`
+   * nothing is saved; the response shows the columns, their mapping and
+   * what each row would do, so the mapping can be adjusted and sent back.
+   */
+  router.post("/projects/:projectId/cards/import", async (req, res) => {
+    const { projectId } = req.params;
+    const format: CardImportFormat =
+      req.body.format === "json" ? "json" : "csv";
+    const mode: CardImportMode = req.body.mode || "upsert";
+    if (!CARD_IMPORT_MODES.includes(mode)) {
+      return res
+        .status(400)
+        .json({ error: "mode must be create, update or upsert" });
+    }
+    if (typeof req.body.data !== "string") {
+      return res.status(400).json({ error: "No file data" });
+    }
+
+    let table, mapping;
+    try {
+      table = parseCardTable(format, req.body.data);
+      mapping = resolveMapping(table.columns, req.body.mapping);
+    } catch (e: any) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+
+      if (req.body.preview) {
+        const cards = await dataService.getCards(projectId);
+        return res.json({
+          ...planCardImport(project, cards, table, mapping, mode),
+          fields: CARD_IMPORT_FIELDS,
+        });
+      }
+
+      const plan = await dataService.journaled(
+        `Import cards from ${format.toUpperCase()}`,
+        projectId,
+        "user",
+        (operation) =>
+          applyCardImport(
+            dataService,
+            projectId,
+            table,
+            mapping,
+            mode,
+            operation,
+          ),
+      );
+      res.json({ success: true, ...plan.counts, newSets: plan.newSets });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // All card definitions plus image statistics, as `?format=csv|json`
+  router.get("/projects/:projectId/cards/export", async (req, res) => {
+    const { projectId } = req.params;
+    const format = req.query.format === "json" ? "json" : "csv";
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+
+      const cards = await dataService.getCards(projectId);
+      const stats = new Map<string, CardImageStats>();
+      for (const card of cards) {
+        stats.set(card.id, await cardImageStats(dataService, card));
+      }
+
+      const baseName =
+        project.name.replace(/[^a-z0-9]+/gi, "_").toLowerCase() || project.id;
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${baseName}_cards.${format}"`,
+      );
+      if (format === "json") {
+        return res.json(exportCardsJson(project, cards, stats));
+      }
+      res.type("text/csv").send(exportCardsCsv(project, cards, stats));
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,234 @@
+import { Router } from "express";
+import path from "path";
+import fs from "fs/promises";
+import { Card, CardLayout, DataService } from "../lib/data_service";
+import {
+  defaultCardLayout,
+  LAYOUT_FONT_EXTENSIONS,
+  LAYOUT_IMAGE_EXTENSIONS,
+  layoutFileName,
+  layoutFolder,
+  listLayoutFiles,
+  normalizeCardLayout,
+  renderCardLayout,
+} from "../lib/card_layout";
+import { sortCards } from "../lib/card_sets";
+import { isPNG } from "../lib/png";
+import { isJPEG } from "../lib/jpeg";
+import { TrueTypeFont } from "../lib/truetype";
+
+// Card fields the preview takes from the editor's unsaved draft
+const DRAFT_FIELDS = [
+  "name",
+  "cardNumber",
+  "attributes",
+  "tags",
+  "setId",
+] as const;
+
+export function createCardLayoutRouter(
+  dataService: DataService,
+  resolvedDataRoot: string,
+) {
+  const router = Router();
+
+  /** The saved layout (null if none), a default to start from, and files */
+  router.get("/projects/:projectId/card-layout", async (req, res) => {
+    const { projectId } = req.params;
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+      res.json({
+        layout: project.cardLayout || null,
+        defaultLayout: defaultCardLayout(project),
+        files: await listLayoutFiles(layoutFolder(resolvedDataRoot, projectId)),
+      });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.put("/projects/:projectId/card-layout", async (req, res) => {
+    const { projectId } = req.params;
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+
+      let layout: CardLayout;
+      try {
+        layout = normalizeCardLayout(
+          req.body,
+          project.cardLayout || defaultCardLayout(project),
+          await listLayoutFiles(layoutFolder(resolvedDataRoot, projectId)),
+        );
+      } catch (e: any) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      const updated = await dataService.journaled(
+        "Edit card layout",
+        projectId,
+        "user",
+        (operation) =>
+          dataService.updateProject(
+            projectId,
+            (latest) => {
+              latest.cardLayout = layout;
+            },
+            { operation },
+          ),
+      );
+      res.json({ success: true, layout, project: updated?.project });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // The layout folder's files stay, for a later layout
+  router.delete("/projects/:projectId/card-layout", async (req, res) => {
+    const { projectId } = req.params;
+    try {
+      const updated = await dataService.journaled(
+        "Remove card layout",
+        projectId,
+        "user",
+        (operation) =>
+          dataService.updateProject(
+            projectId,
+            (latest) => {
+              delete latest.cardLayout;
+            },
+            { operation },
+          ),
+      );
+      if (!updated) return res.status(404).json({ error: "Project not found" });
+      res.json({ success: true, project: updated.project });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * Adds a frame image (PNG or JPEG) or a TrueType font to the layout
+   * folder: `{ name, data }` with the file as base64. A file of the same
+   * name is replaced.
+   */
+  router.post("/projects/:projectId/card-layout/files", async (req, res) => {
+    const { projectId } = req.params;
+    const { name, data } = req.body;
+    if (typeof name !== "string" || typeof data !== "string") {
+      return res.status(400).json({ error: "name and data are required" });
+    }
+    const filename = layoutFileName(name);
+    const ext = path.extname(filename).toLowerCase();
+    const buffer = Buffer.from(data.replace(/^data:[^,]*,/, ""), "base64");
+
+    if (LAYOUT_IMAGE_EXTENSIONS.includes(ext)) {
+      if (!isPNG(buffer) && !isJPEG(buffer)) {
+        return res.status(400).json({ error: "Not a PNG or JPEG image" });
+      }
+    } else if (LAYOUT_FONT_EXTENSIONS.includes(ext)) {
+      try {
+        TrueTypeFont.parse(buffer);
+      } catch (e: any) {
+        return res.status(400).json({ error: e.message });
+      }
+    } else {
+      return res.status(400).json({
+        error: `Layout files must be ${[...LAYOUT_IMAGE_EXTENSIONS, ...LAYOUT_FONT_EXTENSIONS].join(", ")}`,
+      });
+    }
+
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+      const dir = layoutFolder(resolvedDataRoot, projectId);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, filename), buffer);
+      res.json({
+        success: true,
+        file: filename,
+        files: await listLayoutFiles(dir),
+      });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * A card rendered as PNG with `layout` (the saved layout if not sent).
+   * `card` may carry unsaved edits from the card editor over the stored
+   * card with its ID; without one, the first card with a starred image is
+   * used.
+   */
+  router.post("/projects/:projectId/card-layout/preview", async (req, res) => {
+    const { projectId } = req.params;
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+      const dir = layoutFolder(resolvedDataRoot, projectId);
+
+      let layout = project.cardLayout;
+      if (req.body.layout) {
+        try {
+          layout = normalizeCardLayout(
+            req.body.layout,
+            project.cardLayout || defaultCardLayout(project),
+            await listLayoutFiles(dir),
+          );
+        } catch (e: any) {
+          return res.status(400).json({ error: e.message });
+        }
+      }
+      if (!layout) {
+        return res.status(400).json({ error: "Project has no card layout" });
+      }
+
+      const cards = sortCards(project, await dataService.getCards(projectId));
+      const draft = req.body.card;
+      const stored = draft?.id
+        ? cards.find((c) => c.id === draft.id)
+        : cards.find((c) => c.starredImage) || cards[0];
+      if (draft?.id && !stored) {
+        return res.status(404).json({ error: "Card not found" });
+      }
+      // A project without cards previews a sample
+      const card: Card = stored
+        ? { ...stored }
+        : {
+            id: "sample",
+            projectId,
+            name: "Card Name",
+            prompt: "",
+            outputSubfolder: "",
+          };
+      for (const key of DRAFT_FIELDS) {
+        if (draft && draft[key] !== undefined) (card as any)[key] = draft[key];
+      }
+
+      const artFile = card.starredImage
+        ? path.join(
+            resolvedDataRoot,
+            "projects",
+            projectId,
+            "assets",
+            card.outputSubfolder || "default",
+            card.starredImage,
+          )
+        : undefined;
+      const raster = await renderCardLayout(
+        layout,
+        project,
+        card,
+        dir,
+        artFile,
+      );
+      res.type("image/png");
+      res.send(raster.toPNG());
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
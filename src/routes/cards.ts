@@ -1,9 +1,17 @@
 import { Router } from "express";
-import { DataService, Card } from "../lib/data_service";
+import { DataService, Card, RevisionConflictError } from "../lib/data_service";
 import path from "path";
-import fs from "fs/promises";
 import { logger } from "../lib/logger";
+import { ATTRIBUTE_NAME_PATTERN } from "../lib/prompt_builder";
+import { normalizeTags } from "../lib/card_selection";
+import { numberCards, sortCards } from "../lib/card_sets";
 import archiver from "archiver";
+import {
+  addExportEntries,
+  DEFAULT_GALLERY_PROFILE,
+  findExportProfile,
+  planGalleryExport,
+} from "../lib/export_profiles";
 
 export function createCardsRouter(
   dataService: DataService,
@@ -13,51 +21,186 @@ export function createCardsRouter(
 
   router.post("/cards", async (req, res) => {
     const card: Card = req.body;
+    const badAttribute = Object.keys(card.attributes || {}).find(
+      (name) => !ATTRIBUTE_NAME_PATTERN.test(name),
+    );
+    if (badAttribute !== undefined) {
+      return res.status(400).json({
+        error: `Invalid attribute name "${badAttribute}": use letters, numbers, "_" or "-"`,
+      });
+    }
+    if (card.tags !== undefined) card.tags = normalizeTags(card.tags);
+    const label = card.id ? `Edit "${card.name}"` : `Create "${card.name}"`;
     // Auto-generate ID if missing
     if (!card.id) {
       try {
-        card.id = await dataService.generateCardId(card.projectId);
+        await dataService.initNewCard(card);
       } catch (e: any) {
         return res.status(500).json({ error: e.message });
       }
     }
-    await dataService.saveCard(card);
-    res.json({ success: true, card });
+    try {
+      // Editor saves carry the revision they were loaded at
+      await dataService.journaled(label, card.projectId, "user", (operation) =>
+        dataService.saveCard(card, {
+          expectedRevision: card.revision,
+          operation,
+        }),
+      );
+      res.json({ success: true, card });
+    } catch (e: any) {
+      if (e instanceof RevisionConflictError) {
+        return res.status(409).json({ error: e.message, current: e.current });
+      }
+      res.status(500).json({ error: e.message });
+    }
   });
 
   // Get Cards (Enriched with counts)
   router.get("/projects/:projectId/cards", async (req, res) => {
     try {
-      const cards = await dataService.getCards(req.params.projectId);
+      const { projectId } = req.params;
+      // In card list order: by set, then position
+      const cards = sortCards(
+        await dataService.getProject(projectId),
+        await dataService.getCards(projectId),
+      );
 
       // Enrich with counts
       const enriched = await Promise.all(
-        cards.map(async (c) => {
-          try {
-            // Construct asset path: data/projects/{projectId}/assets/{subfolder}
-            const outDir = path.join(
-              resolvedDataRoot,
-              "projects",
-              req.params.projectId,
-              "assets",
-              c.outputSubfolder || "default",
-            );
+        cards.map(async (c) => ({
+          ...c,
+          imageCount: await dataService.countCardImages(c),
+        })),
+      );
+
+      res.json(enriched);
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * Drag-and-drop in the card list: `cardIds` is the new order of one set
+   * (or of the unsorted cards when `setId` is null). Cards listed here
+   * move into that set; only cards whose set or position changed are
+   * saved.
+   */
+  router.post("/projects/:projectId/cards/order", async (req, res) => {
+    const { projectId } = req.params;
+    const { cardIds } = req.body;
+    const setId: string | undefined = req.body.setId || undefined;
+    if (
+      !Array.isArray(cardIds) ||
+      !cardIds.every((id) => typeof id === "string")
+    ) {
+      return res.status(400).json({ error: "cardIds must be an array" });
+    }
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+      const set = setId && project.sets?.find((s) => s.id === setId);
+      if (setId && !set)
+        return res.status(404).json({ error: "Set not found" });
+
+      const cards = await dataService.getCards(projectId);
+      const byId = new Map(cards.map((c) => [c.id, c]));
+      const missing = cardIds.find((id) => !byId.has(id));
+      if (missing) {
+        return res.status(404).json({ error: `Card ${missing} not found` });
+      }
 
-            // Check if dir exists
-            await fs.access(outDir);
-            const files = await fs.readdir(outDir);
-            const archived = new Set(c.archivedImages || []);
-            const count = files
-              .filter((f) => /\.(png|jpg|jpeg|webp)$/i.test(f))
-              .filter((f) => !archived.has(f)).length;
-            return { ...c, imageCount: count };
-          } catch (e) {
-            return { ...c, imageCount: 0 };
+      const arriving = cardIds.filter((id) => byId.get(id)!.setId !== setId);
+      const label =
+        arriving.length === 0
+          ? "Reorder cards"
+          : `Move ${
+              arriving.length === 1
+                ? `"${byId.get(arriving[0])!.name}"`
+                : `${arriving.length} cards`
+            } to ${set ? `"${set.name}"` : "Unsorted"}`;
+
+      const changed = await dataService.journaled(
+        label,
+        projectId,
+        "user",
+        async (operation) => {
+          let count = 0;
+          for (const [index, cardId] of cardIds.entries()) {
+            const card = byId.get(cardId)!;
+            if (card.setId === setId && card.order === index) continue;
+            await dataService.updateCard(
+              projectId,
+              cardId,
+              (latest) => {
+                if (setId) latest.setId = setId;
+                else delete latest.setId;
+                latest.order = index;
+              },
+              { operation },
+            );
+            count++;
           }
-        }),
+          return count;
+        },
       );
+      res.json({ success: true, cards: changed });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
 
-      res.json(enriched);
+  /**
+   * Bulk renumbering: consecutive `cardNumber`s in card list order for the
+   * whole project (restarting per set with `perSet`) or for one set.
+   * `clear` removes the numbers instead.
+   */
+  router.post("/projects/:projectId/cards/renumber", async (req, res) => {
+    const { projectId } = req.params;
+    const { perSet, clear } = req.body;
+    const setId: string | undefined = req.body.setId || undefined;
+    const start = req.body.start === undefined ? 1 : Number(req.body.start);
+    if (!Number.isInteger(start) || start < 0) {
+      return res.status(400).json({ error: "start must be a whole number" });
+    }
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+      const set = setId && project.sets?.find((s) => s.id === setId);
+      if (setId && !set)
+        return res.status(404).json({ error: "Set not found" });
+
+      let cards = sortCards(project, await dataService.getCards(projectId));
+      if (set) cards = cards.filter((c) => c.setId === set.id);
+      const numbers = numberCards(cards, { start, perSet: Boolean(perSet) });
+
+      const label =
+        (clear ? "Clear card numbers" : `Renumber ${cards.length} cards`) +
+        (set ? ` in "${set.name}"` : "");
+      const changed = await dataService.journaled(
+        label,
+        projectId,
+        "user",
+        async (operation) => {
+          let count = 0;
+          for (const card of cards) {
+            const number = clear ? undefined : numbers.get(card.id);
+            if (card.cardNumber === number) continue;
+            await dataService.updateCard(
+              projectId,
+              card.id,
+              (latest) => {
+                if (number === undefined) delete latest.cardNumber;
+                else latest.cardNumber = number;
+              },
+              { operation },
+            );
+            count++;
+          }
+          return count;
+        },
+      );
+      res.json({ success: true, cards: changed });
     } catch (e: any) {
       res.status(500).json({ error: e.message });
     }
@@ -72,41 +215,55 @@ export function createCardsRouter(
 
       if (!card) return res.status(404).json({ error: "Card not found" });
 
-      // Delete Metadata
-      await dataService.deleteCard(projectId, cardId);
-
-      // Delete Output Files
-      // Path: data/projects/{projectId}/assets/{cardSubfolder}
-      if (card.outputSubfolder) {
-        const outPath = path.join(
-          resolvedDataRoot,
-          "projects",
-          projectId,
-          "assets",
-          card.outputSubfolder,
-        );
-        logger.info(
-          `[Server] Attempting to delete card output directory: ${outPath}`,
-        );
-        // Security check
-        if (
-          outPath.startsWith(path.join(resolvedDataRoot, "projects", projectId))
-        ) {
-          await fs.rm(outPath, { recursive: true, force: true });
-          logger.info(`[Server] Card output directory deleted.`);
-        } else {
-          logger.warn(
-            `[Server] Card output directory outside project dir, skipping deletion: ${outPath}`,
-          );
-        }
-      }
+      await dataService.journaled(
+        `Delete "${card.name}"`,
+        projectId,
+        "user",
+        async (operation) => {
+          // Delete Metadata (undo brings it back along with its images)
+          await dataService.deleteCard(projectId, cardId, { operation });
+
+          // Move Output Files to the trash
+          // Path: data/projects/{projectId}/assets/{cardSubfolder}
+          if (card.outputSubfolder) {
+            const outPath = path.join(
+              resolvedDataRoot,
+              "projects",
+              projectId,
+              "assets",
+              card.outputSubfolder,
+            );
+            logger.info(
+              `[Server] Moving card output directory to trash: ${outPath}`,
+            );
+            // Security check
+            if (
+              outPath.startsWith(
+                path.join(resolvedDataRoot, "projects", projectId, "assets") +
+                  path.sep,
+              )
+            ) {
+              await dataService.trashPath(
+                projectId,
+                path.join("assets", card.outputSubfolder),
+                operation,
+              );
+              logger.info(`[Server] Card output directory trashed.`);
+            } else {
+              logger.warn(
+                `[Server] Card output directory outside project dir, skipping deletion: ${outPath}`,
+              );
+            }
+          }
+        },
+      );
       res.json({ success: true });
     } catch (e: any) {
       res.status(500).json({ error: e.message });
     }
   });
 
-  // Delete Image (Permanent)
+  // Delete Image (to the trash, until undone or purged)
   router.delete(
     "/projects/:projectId/cards/:cardId/images/:filename",
     async (req, res) => {
@@ -122,18 +279,17 @@ export function createCardsRouter(
           return res.status(400).json({ error: "Invalid filename" });
         }
 
-        // 1. Delete the file from filesystem
-        if (card.outputSubfolder) {
+        // Security Check: verify path is inside project assets
+        const subfolder = card.outputSubfolder;
+        if (subfolder) {
           const filePath = path.join(
             resolvedDataRoot,
             "projects",
             projectId,
             "assets",
-            card.outputSubfolder,
+            subfolder,
             filename,
           );
-
-          // Security Check: verify path is inside project assets
           const expectedRoot = path.join(
             resolvedDataRoot,
             "projects",
@@ -143,61 +299,49 @@ export function createCardsRouter(
           if (!filePath.startsWith(expectedRoot)) {
             return res.status(403).json({ error: "Access denied" });
           }
+        }
 
-          try {
-            await fs.unlink(filePath);
-            logger.info(`[Server] Deleted image file: ${filePath}`);
-          } catch (err: any) {
-            if (err.code === "ENOENT") {
-              logger.warn(
-                `[Server] Image file not found to delete: ${filePath}`,
+        await dataService.journaled(
+          `Delete image ${filename}`,
+          projectId,
+          "user",
+          async (operation) => {
+            // 1. Move the file to the trash (a missing file is skipped, and
+            // its metadata still cleaned up)
+            if (subfolder) {
+              await dataService.trashPath(
+                projectId,
+                path.join("assets", subfolder, filename),
+                operation,
               );
-              // Continue to clean up metadata even if file is gone
-            } else {
-              throw err;
+              logger.info(`[Server] Trashed image file: ${filename}`);
             }
-          }
-        }
-
-        // 2. Clean up metadata
-        let modified = false;
-
-        // Remove from archivedImages
-        if (card.archivedImages && card.archivedImages.includes(filename)) {
-          card.archivedImages = card.archivedImages.filter(
-            (f) => f !== filename,
-          );
-          modified = true;
-        }
-
-        // Remove from favoriteImages
-        if (card.favoriteImages && card.favoriteImages.includes(filename)) {
-          card.favoriteImages = card.favoriteImages.filter(
-            (f) => f !== filename,
-          );
-          modified = true;
-        }
-
-        // Remove from starredImage
-        if (card.starredImage === filename) {
-          card.starredImage = undefined;
-          modified = true;
-        }
-
-        // Remove from referenceImageFiles (optional, but good practice if it was a ref)
-        // Note: references are stored as objects { filename: ... }
-        // We probably shouldn't break history for other generations, but if the source is gone...
-        // Let's leave references alone for now as they are historical records of what was used.
-        // But if we wanted to be strict:
-        /*
-      if (card.generationArgs?.referenceImageFiles) {
-         // ... custom logic ...
-      }
-      */
 
-        if (modified) {
-          await dataService.saveCard(card);
-        }
+            // 2. Clean up metadata (on the latest copy, in case it changed since)
+            const referenced =
+              card.archivedImages?.includes(filename) ||
+              card.favoriteImages?.includes(filename) ||
+              card.starredImage === filename;
+            if (referenced) {
+              await dataService.updateCard(
+                projectId,
+                cardId,
+                (latest) => {
+                  latest.archivedImages = latest.archivedImages?.filter(
+                    (f) => f !== filename,
+                  );
+                  latest.favoriteImages = latest.favoriteImages?.filter(
+                    (f) => f !== filename,
+                  );
+                  if (latest.starredImage === filename) {
+                    latest.starredImage = undefined;
+                  }
+                },
+                { operation },
+              );
+            }
+          },
+        );
 
         res.json({ success: true });
       } catch (e: any) {
@@ -213,25 +357,34 @@ export function createCardsRouter(
     const { projectId, filename } = req.body;
 
     try {
-      const cards = await dataService.getCards(projectId);
-      const card = cards.find((c) => c.id === cardId);
-      if (!card) return res.status(404).json({ error: "Card not found" });
-
-      if (!card.archivedImages) card.archivedImages = [];
-      let isArchived = false;
-
-      if (card.archivedImages.includes(filename)) {
-        // Unarchive
-        card.archivedImages = card.archivedImages.filter((f) => f !== filename);
-        isArchived = false;
-      } else {
-        // Archive
-        card.archivedImages.push(filename);
-        isArchived = true;
-      }
+      const updated = await dataService.journaled(
+        `Toggle archive ${filename}`,
+        projectId,
+        "user",
+        (operation) =>
+          dataService.updateCard(
+            projectId,
+            cardId,
+            (card) => {
+              if (!card.archivedImages) card.archivedImages = [];
+
+              if (card.archivedImages.includes(filename)) {
+                // Unarchive
+                card.archivedImages = card.archivedImages.filter(
+                  (f) => f !== filename,
+                );
+                return false;
+              }
+              // Archive
+              card.archivedImages.push(filename);
+              return true;
+            },
+            { operation },
+          ),
+      );
+      if (!updated) return res.status(404).json({ error: "Card not found" });
 
-      await dataService.saveCard(card);
-      res.json({ success: true, isArchived });
+      res.json({ success: true, isArchived: updated.result });
     } catch (e: any) {
       res.status(500).json({ error: e.message });
     }
@@ -243,24 +396,31 @@ export function createCardsRouter(
     const { projectId, filename } = req.body;
 
     try {
-      const cards = await dataService.getCards(projectId);
-      const card = cards.find((c) => c.id === cardId);
-      if (!card) return res.status(404).json({ error: "Card not found" });
-
-      if (!card.favoriteImages) card.favoriteImages = [];
-
-      let isFavorite = false;
-      const idx = card.favoriteImages.indexOf(filename);
-      if (idx === -1) {
-        card.favoriteImages.push(filename);
-        isFavorite = true;
-      } else {
-        card.favoriteImages.splice(idx, 1);
-        isFavorite = false;
-      }
+      const updated = await dataService.journaled(
+        `Toggle favorite ${filename}`,
+        projectId,
+        "user",
+        (operation) =>
+          dataService.updateCard(
+            projectId,
+            cardId,
+            (card) => {
+              if (!card.favoriteImages) card.favoriteImages = [];
+
+              const idx = card.favoriteImages.indexOf(filename);
+              if (idx === -1) {
+                card.favoriteImages.push(filename);
+                return true;
+              }
+              card.favoriteImages.splice(idx, 1);
+              return false;
+            },
+            { operation },
+          ),
+      );
+      if (!updated) return res.status(404).json({ error: "Card not found" });
 
-      await dataService.saveCard(card);
-      res.json({ success: true, isFavorite });
+      res.json({ success: true, isFavorite: updated.result });
     } catch (e: any) {
       res.status(500).json({ error: e.message });
     }
@@ -272,61 +432,72 @@ export function createCardsRouter(
     const { projectId, filename } = req.body;
 
     try {
-      const cards = await dataService.getCards(projectId);
-      const card = cards.find((c) => c.id === cardId);
-      if (!card) return res.status(404).json({ error: "Card not found" });
-
-      if (!card.favoriteImages) card.favoriteImages = [];
-
-      let isStarred = false;
-      let isFavorite = card.favoriteImages.includes(filename);
-
-      if (card.starredImage === filename) {
-        // Unstar -> Favorite
-        card.starredImage = undefined;
-        isStarred = false;
-
-        // Ensure it is a favorite
-        if (!isFavorite) {
-          card.favoriteImages.push(filename);
-          isFavorite = true;
-        }
-      } else {
-        // Handle OLD star if exists (it gets unstarred, so it should become favorite)
-        if (card.starredImage) {
-          if (!card.favoriteImages.includes(card.starredImage)) {
-            card.favoriteImages.push(card.starredImage);
-          }
-        }
-
-        // Star the new one
-        card.starredImage = filename;
-        isStarred = true;
-
-        // Remove new star from favorites (enforce either-or)
-        const idx = card.favoriteImages.indexOf(filename);
-        if (idx > -1) {
-          card.favoriteImages.splice(idx, 1);
-          isFavorite = false;
-        }
-      }
+      const updated = await dataService.journaled(
+        `Toggle star ${filename}`,
+        projectId,
+        "user",
+        (operation) =>
+          dataService.updateCard(
+            projectId,
+            cardId,
+            (card) => {
+              if (!card.favoriteImages) card.favoriteImages = [];
+
+              let isStarred = false;
+              let isFavorite = card.favoriteImages.includes(filename);
+
+              if (card.starredImage === filename) {
+                // Unstar -> Favorite
+                card.starredImage = undefined;
+                isStarred = false;
+
+                // Ensure it is a favorite
+                if (!isFavorite) {
+                  card.favoriteImages.push(filename);
+                  isFavorite = true;
+                }
+              } else {
+                // Handle OLD star if exists (it gets unstarred, so it should become favorite)
+                if (card.starredImage) {
+                  if (!card.favoriteImages.includes(card.starredImage)) {
+                    card.favoriteImages.push(card.starredImage);
+                  }
+                }
+
+                // Star the new one
+                card.starredImage = filename;
+                isStarred = true;
+
+                // Remove new star from favorites (enforce either-or)
+                const idx = card.favoriteImages.indexOf(filename);
+                if (idx > -1) {
+                  card.favoriteImages.splice(idx, 1);
+                  isFavorite = false;
+                }
+              }
+              return { isStarred, isFavorite };
+            },
+            { operation },
+          ),
+      );
+      if (!updated) return res.status(404).json({ error: "Card not found" });
 
-      await dataService.saveCard(card);
       res.json({
         success: true,
-        isStarred,
-        isFavorite,
-        starredImage: card.starredImage,
+        ...updated.result,
+        starredImage: updated.card.starredImage,
       });
     } catch (e: any) {
       res.status(500).json({ error: e.message });
     }
   });
 
-  // Download Gallery Images as Zip
+  // Download Gallery Images as Zip. Files keep their names unless an export
+  // profile (`profileId`, else the project's gallery profile) renames or
+  // converts them.
   router.post("/cards/:cardId/download-zip", async (req, res) => {
     const { cardId } = req.params;
-    const { projectId, filenames } = req.body;
+    const { projectId, filenames, profileId } = req.body;
 
     try {
       const project = await dataService.getProject(projectId);
@@ -337,14 +508,23 @@ export function createCardsRouter(
         return res.status(404).json({ error: "Project or Card not found" });
       }
 
-      // Output subfolder
-      const cardSubfolder = card.outputSubfolder || "default";
-      const assetsDir = path.join(
-        resolvedDataRoot,
-        "projects",
-        projectId,
-        "assets",
-        cardSubfolder,
+      let profile = DEFAULT_GALLERY_PROFILE;
+      const savedId = profileId ?? project.galleryExportProfileId;
+      if (savedId) {
+        const saved = findExportProfile(project, savedId);
+        if (!saved && profileId) {
+          return res.status(404).json({ error: "Export profile not found" });
+        }
+        if (saved) profile = saved;
+      }
+
+      const plan = await planGalleryExport(
+        dataService,
+        project,
+        card,
+        path.join(resolvedDataRoot, "projects", projectId, "assets"),
+        Array.isArray(filenames) ? filenames : [],
+        profile,
       );
 
       // Create archive
@@ -360,20 +540,7 @@ export function createCardsRouter(
       });
 
       archive.pipe(res);
-
-      if (Array.isArray(filenames)) {
-        for (const filename of filenames) {
-          const filePath = path.join(assetsDir, filename);
-          // Check exist
-          try {
-            await fs.access(filePath);
-            archive.file(filePath, { name: filename });
-          } catch {
-            logger.warn(`[Server] Skip zip file not found: ${filePath}`);
-          }
-        }
-      }
-
+      await addExportEntries(archive, plan.entries, profile);
       await archive.finalize();
     } catch (e: any) {
       logger.error("[Server] Zip gen error:", e);
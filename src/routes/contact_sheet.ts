@@ -0,0 +1,68 @@
+import { Router } from "express";
+import path from "path";
+import { DataService } from "../lib/data_service";
+import {
+  collectContactSheet,
+  ContactSheet,
+  ContactSheetOptions,
+  contactSheetProblem,
+  parseContactSheetOptions,
+  renderContactSheet,
+} from "../lib/contact_sheet";
+
+export function createContactSheetRouter(
+  dataService: DataService,
+  resolvedDataRoot: string,
+) {
+  const router = Router();
+
+  /**
+   * A contact sheet as PNG or PDF: the whole project, `?set=<id>`, or all
+   * favorites of `?card=<id>`, with `columns`, `sort`, `captions`, `paper`
+   * (PDF) and `thumbWidth` (PNG).
+   */
+  router.get("/projects/:id/contact-sheet", async (req, res) => {
+    const { id } = req.params;
+    let options: ContactSheetOptions;
+    try {
+      options = parseContactSheetOptions(req.query);
+    } catch (e: any) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    try {
+      const project = await dataService.getProject(id);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+
+      let sheet: ContactSheet;
+      try {
+        sheet = await collectContactSheet(
+          dataService,
+          project,
+          path.join(resolvedDataRoot, "projects", id, "assets"),
+          options,
+        );
+      } catch (e: any) {
+        // Unknown set or card
+        return res.status(404).json({ error: e.message });
+      }
+      const problem = contactSheetProblem(sheet, options);
+      if (problem) return res.status(400).json({ error: problem });
+
+      const file = await renderContactSheet(sheet, options);
+
+      const baseName =
+        sheet.title.replace(/[^a-z0-9]+/gi, "_").toLowerCase() || id;
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${baseName}_contact_sheet.${options.format}"`,
+      );
+      res.type(options.format === "pdf" ? "application/pdf" : "image/png");
+      res.send(file);
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,224 @@
+import { Router } from "express";
+import path from "path";
+import { DataService, ExportProfile } from "../lib/data_service";
+import {
+  DEFAULT_DECK_PROFILE,
+  normalizeExportProfile,
+  planDeckExport,
+} from "../lib/export_profiles";
+
+// File names shown by the preview
+const PREVIEW_NAMES = 12;
+
+export function createExportProfilesRouter(
+  dataService: DataService,
+  resolvedDataRoot: string,
+) {
+  const router = Router();
+
+  router.post("/projects/:projectId/export-profiles", async (req, res) => {
+    const { projectId } = req.params;
+    let profile: ExportProfile;
+    try {
+      profile = normalizeExportProfile(req.body);
+    } catch (e: any) {
+      return res.status(400).json({ error: e.message });
+    }
+    try {
+      const updated = await dataService.journaled(
+        `Create export profile "${profile.name}"`,
+        projectId,
+        "user",
+        (operation) =>
+          dataService.updateProject(
+            projectId,
+            (project) => {
+              project.exportProfiles = [
+                ...(project.exportProfiles || []),
+                profile,
+              ];
+            },
+            { operation },
+          ),
+      );
+      if (!updated) return res.status(404).json({ error: "Project not found" });
+      res.json({ success: true, profile, project: updated.project });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * File names a deck export would produce with the posted (possibly
+   * unsaved) profile settings, for checking a naming pattern.
+   */
+  router.post(
+    "/projects/:projectId/export-profiles/preview",
+    async (req, res) => {
+      const { projectId } = req.params;
+      const { setId, ...fields } = req.body;
+      let profile: ExportProfile;
+      try {
+        profile = normalizeExportProfile({
+          ...fields,
+          name: fields.name || DEFAULT_DECK_PROFILE.name,
+        });
+      } catch (e: any) {
+        return res.status(400).json({ error: e.message });
+      }
+      try {
+        const project = await dataService.getProject(projectId);
+        if (!project) {
+          return res.status(404).json({ error: "Project not found" });
+        }
+        let plan;
+        try {
+          plan = await planDeckExport(
+            dataService,
+            project,
+            path.join(resolvedDataRoot, "projects", projectId, "assets"),
+            profile,
+            setId || undefined,
+          );
+        } catch (e: any) {
+          return res.status(404).json({ error: e.message });
+        }
+        res.json({
+          files: plan.entries.length,
+          names: plan.entries.slice(0, PREVIEW_NAMES).map((e) => e.name),
+          skipped: plan.skipped,
+        });
+      } catch (e: any) {
+        res.status(500).json({ error: e.message });
+      }
+    },
+  );
+
+  // Profile used for gallery ZIP downloads; `profileId: null` goes back to
+  // keeping the generated file names
+  router.put(
+    "/projects/:projectId/export-profiles/gallery",
+    async (req, res) => {
+      const { projectId } = req.params;
+      const { profileId } = req.body;
+      try {
+        const project = await dataService.getProject(projectId);
+        if (!project) {
+          return res.status(404).json({ error: "Project not found" });
+        }
+        const profile = profileId
+          ? project.exportProfiles?.find((p) => p.id === profileId)
+          : undefined;
+        if (profileId && !profile) {
+          return res.status(404).json({ error: "Export profile not found" });
+        }
+
+        const updated = await dataService.journaled(
+          profile
+            ? `Use export profile "${profile.name}" for gallery downloads`
+            : "Stop using an export profile for gallery downloads",
+          projectId,
+          "user",
+          (operation) =>
+            dataService.updateProject(
+              projectId,
+              (latest) => {
+                if (profile) latest.galleryExportProfileId = profile.id;
+                else delete latest.galleryExportProfileId;
+              },
+              { operation },
+            ),
+        );
+        res.json({ success: true, project: updated?.project });
+      } catch (e: any) {
+        res.status(500).json({ error: e.message });
+      }
+    },
+  );
+
+  router.put(
+    "/projects/:projectId/export-profiles/:profileId",
+    async (req, res) => {
+      const { projectId, profileId } = req.params;
+      try {
+        const project = await dataService.getProject(projectId);
+        if (!project) {
+          return res.status(404).json({ error: "Project not found" });
+        }
+        const existing = project.exportProfiles?.find(
+          (p) => p.id === profileId,
+        );
+        if (!existing) {
+          return res.status(404).json({ error: "Export profile not found" });
+        }
+
+        let profile: ExportProfile;
+        try {
+          profile = normalizeExportProfile(req.body, existing);
+        } catch (e: any) {
+          return res.status(400).json({ error: e.message });
+        }
+
+        const updated = await dataService.journaled(
+          `Edit export profile "${profile.name}"`,
+          projectId,
+          "user",
+          (operation) =>
+            dataService.updateProject(
+              projectId,
+              (latest) => {
+                latest.exportProfiles = (latest.exportProfiles || []).map(
+                  (p) => (p.id === profileId ? profile : p),
+                );
+              },
+              { operation },
+            ),
+        );
+        res.json({ success: true, profile, project: updated?.project });
+      } catch (e: any) {
+        res.status(500).json({ error: e.message });
+      }
+    },
+  );
+
+  router.delete(
+    "/projects/:projectId/export-profiles/:profileId",
+    async (req, res) => {
+      const { projectId, profileId } = req.params;
+      try {
+        const project = await dataService.getProject(projectId);
+        if (!project) {
+          return res.status(404).json({ error: "Project not found" });
+        }
+        const profile = project.exportProfiles?.find((p) => p.id === profileId);
+        if (!profile) {
+          return res.status(404).json({ error: "Export profile not found" });
+        }
+
+        const updated = await dataService.journaled(
+          `Delete export profile "${profile.name}"`,
+          projectId,
+          "user",
+          (operation) =>
+            dataService.updateProject(
+              projectId,
+              (latest) => {
+                latest.exportProfiles = (latest.exportProfiles || []).filter(
+                  (p) => p.id !== profileId,
+                );
+                if (latest.galleryExportProfileId === profileId) {
+                  delete latest.galleryExportProfileId;
+                }
+              },
+              { operation },
+            ),
+        );
+        res.json({ success: true, project: updated?.project });
+      } catch (e: any) {
+        res.status(500).json({ error: e.message });
+      }
+    },
+  );
+
+  return router;
+}
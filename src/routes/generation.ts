@@ -1,165 +1,203 @@
 import { Router } from "express";
-import { DataService } from "../lib/data_service";
-import { ImageGenerator } from "../lib/image_generator";
-import { GenerationJob } from "./status";
+import { Card, DataService, Project } from "../lib/data_service";
+import {
+  createJobId,
+  GenerationJob,
+  GenerationRequest,
+  JobQueue,
+} from "../lib/job_queue";
+import { CARD_SELECTION_MODES, selectCards } from "../lib/card_selection";
+import { listImageProviders, resolveImageProvider } from "../lib/providers";
+import { BudgetExceededError, UsageLedger } from "../lib/usage_ledger";
+import { estimateJobCost } from "../lib/generation_runner";
+import {
+  buildPrompt,
+  PROMPT_OVERRIDE_MODES,
+  PromptOverrideMode,
+  undefinedVariablesMessage,
+} from "../lib/prompt_builder";
+import { resolveImageSettings } from "../lib/card_sets";
 import { logger } from "../lib/logger";
 import path from "path";
-import fs from "fs/promises";
 
 // Need a way to get the current API key dynamically since it changes
 type ApiKeyProvider = () => string;
-type BroadcastStatusFn = (job: GenerationJob) => void;
+
+/** Per-job generation parameters (the /generate body, minus the IDs) */
+interface JobOptions {
+  count?: number;
+  priority?: number;
+  promptOverride?: string;
+  promptMode?: PromptOverrideMode;
+  negativePromptOverride?: string;
+  arOverride?: string;
+  resOverride?: string;
+  referenceImageIds?: string[];
+  referenceImageFiles?: GenerationRequest["referenceImageFiles"];
+  batchId?: string;
+  batchTotal?: number;
+}
+
+/** Most images one job may generate (the count inputs' max) */
+const MAX_IMAGE_COUNT = 10;
+
+/** Parses a requested image count (default 1); null if out of range. */
+function parseImageCount(value: unknown): number | null {
+  if (value === undefined || value === null || value === "") return 1;
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 1 && count <= MAX_IMAGE_COUNT
+    ? count
+    : null;
+}
+
+const IMAGE_COUNT_ERROR = `count must be a whole number from 1 to ${MAX_IMAGE_COUNT}`;
+
+function createBatchId(): string {
+  return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
 
 export function createGenerationRouter(
   dataService: DataService,
-  activeJobs: Map<string, GenerationJob>,
-  broadcastStatus: BroadcastStatusFn,
+  jobQueue: JobQueue,
+  usageLedger: UsageLedger,
   getApiKey: ApiKeyProvider,
   resolvedDataRoot: string,
 ) {
   const router = Router();
 
-  router.post("/generate", async (req, res) => {
-    logger.info(
-      `[Server] POST /api/generate body: ${JSON.stringify(req.body)}`,
+  router.get("/providers", (req, res) => {
+    const hasKey = !!getApiKey();
+    res.json(
+      listImageProviders().map((p) => ({
+        id: p.id,
+        name: p.name,
+        description: p.description,
+        requiresApiKey: p.requiresApiKey,
+        available: !p.requiresApiKey || hasKey,
+      })),
     );
-    const {
-      cardId,
-      projectId,
-      count,
-      promptOverride,
-      arOverride,
-      resOverride,
-    } = req.body;
-
-    const API_KEY = getApiKey();
-    if (!API_KEY) {
-      res.status(401).json({ error: "API Key not set" });
-      return;
-    }
-
-    const project = await dataService.getProject(projectId);
-    const cards = await dataService.getCards(projectId);
-    const card = cards.find((c) => c.id === cardId);
-
-    if (!project || !card) {
-      res.status(404).json({ error: "Project or Card not found" });
-      return;
-    }
+  });
 
-    const generator = new ImageGenerator(API_KEY);
-    // Use override if provided, else use saved card prompt
-    let fullPrompt = "";
-    if (promptOverride !== undefined) {
-      fullPrompt = promptOverride;
-    } else {
-      // 1. Add Active Project Prefixes
-      const parts: string[] = [];
-      const modifiers = project.promptModifiers || [];
-      const disabled = new Set(card.inactiveModifiers || []);
-
-      const activePrefixes = modifiers
-        .filter((m) => m.type === "prefix" && !disabled.has(m.id))
-        .map((m) => m.text);
-      if (activePrefixes.length > 0) parts.push(...activePrefixes);
-
-      // 2. Card Prompt
-      if (card.prompt) parts.push(card.prompt);
-
-      // 3. Add Active Project Suffixes
-      const activeSuffixes = modifiers
-        .filter((m) => m.type === "suffix" && !disabled.has(m.id))
-        .map((m) => m.text);
-      if (activeSuffixes.length > 0) parts.push(...activeSuffixes);
-
-      // Join with newlines
-      fullPrompt = parts.join("\n\n");
+  // Resolves an unsaved card draft so the editor can preview the final prompt
+  router.post("/projects/:projectId/prompt-preview", async (req, res) => {
+    try {
+      const project = await dataService.getProject(req.params.projectId);
+      if (!project) {
+        res.status(404).json({ error: "Project not found" });
+        return;
+      }
+      const draft: Card = { ...req.body, projectId: project.id };
+      res.json(buildPrompt(project, draft));
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
     }
+  });
 
-    logger.info("------------------------------------------------");
-    logger.info(
-      `[Server] Generating Art for Card: ${card.name} (ID: ${card.id})`,
-    );
-    logger.info(`[Server] Project: ${project.name} (ID: ${project.id})`);
-    logger.info(`[Server] Full Prompt: ${fullPrompt}`);
-    // Resolve reference images if any
-    const referenceImageIds: string[] = req.body.referenceImageIds || [];
-    const referenceImageFiles: any[] = req.body.referenceImageFiles || [];
-    const referenceImages: { buffer: Buffer; mimeType: string }[] = [];
+  // The exact prompt a generation would use for a saved card. Pass
+  // `override` (and optionally `mode`) to preview an override.
+  router.get(
+    "/projects/:projectId/cards/:cardId/resolved-prompt",
+    async (req, res) => {
+      try {
+        const { projectId, cardId } = req.params;
+        const project = await dataService.getProject(projectId);
+        const card = (await dataService.getCards(projectId)).find(
+          (c) => c.id === cardId,
+        );
+        if (!project || !card) {
+          res.status(404).json({ error: "Project or Card not found" });
+          return;
+        }
 
-    // 1. Resolve temporary IDs
-    if (referenceImageIds.length > 0) {
-      logger.info(
-        `[Server] Using temporary reference images: ${referenceImageIds.join(
-          ", ",
-        )}`,
-      );
-      for (const id of referenceImageIds) {
-        const buf = await dataService.getTempImage(id, projectId);
-        if (buf) {
-          // Temp images are usually PNGs or JPEGs, we'll assume PNG for now or try to detect
-          // For simplicity, we'll use a generic image/png if we don't know
-          referenceImages.push({ buffer: buf, mimeType: "image/png" });
+        const override =
+          typeof req.query.override === "string"
+            ? req.query.override
+            : undefined;
+        const mode = (req.query.mode as PromptOverrideMode) || "body";
+        if (!PROMPT_OVERRIDE_MODES.includes(mode)) {
+          res.status(400).json({ error: `Unknown prompt mode: ${mode}` });
+          return;
         }
+
+        res.json({
+          ...buildPrompt(project, card, { override, overrideMode: mode }),
+          mode: override !== undefined ? mode : undefined,
+        });
+      } catch (e: any) {
+        res.status(500).json({ error: e.message });
       }
+    },
+  );
+
+  /**
+   * Refuses paid generations once a budget is reached, or when the jobs
+   * about to be queued would go over it along with what's already queued
+   * or running. Resolves to the HTTP error to send, or null when
+   * generation may proceed. The runner checks again before each image.
+   */
+  async function checkBudget(
+    projectId: string,
+    jobs: GenerationJob[],
+  ): Promise<{ status: number; error: string } | null> {
+    const projectedCost = jobs.reduce(
+      (sum, job) => sum + estimateJobCost(job),
+      0,
+    );
+    const pending = { total: 0, project: 0 };
+    for (const job of jobQueue.list()) {
+      if (job.status !== "queued" && job.status !== "generating") continue;
+      const cost = estimateJobCost(job);
+      pending.total += cost;
+      if (job.projectId === projectId) pending.project += cost;
     }
-
-    // 2. Resolve historical files
-    if (referenceImageFiles.length > 0) {
-      logger.info(
-        `[Server] Resolving ${referenceImageFiles.length} historical reference files...`,
+    try {
+      await usageLedger.assertWithinBudget(
+        projectId,
+        getApiKey(),
+        projectedCost,
+        pending,
       );
-      for (const refFile of referenceImageFiles) {
-        try {
-          const {
-            projectId: refProjectId,
-            cardId: refCardId,
-            filename: refFilename,
-          } = refFile;
-
-          logger.info(
-            `[Server] Attempting to resolve: project=${refProjectId}, card=${refCardId}, file=${refFilename}`,
-          );
-
-          const refCards = await dataService.getCards(refProjectId);
-          const refCard = refCards.find((c) => c.id === refCardId);
-
-          if (refCard) {
-            const refSubfolder = refCard.outputSubfolder || "default";
-            const filePath = path.join(
-              resolvedDataRoot,
-              "projects",
-              refProjectId,
-              "assets",
-              refSubfolder,
-              refFilename,
-            );
-
-            logger.info(`[Server] Final resolved path: ${filePath}`);
-            const buf = await fs.readFile(filePath);
-
-            // Determine mime type from extension
-            const ext = path.extname(refFilename).toLowerCase();
-            const mimeType =
-              ext === ".jpg" || ext === ".jpeg" ? "image/jpeg" : "image/png";
-
-            referenceImages.push({ buffer: buf, mimeType });
-            logger.info(
-              `[Server] Found and loaded reference image: ${refFilename} (${buf.length} bytes, type=${mimeType})`,
-            );
-          } else {
-            logger.warn(
-              `[Server] Failed to find card for reference: ${refCardId} in project ${refProjectId}`,
-            );
-          }
-        } catch (e: any) {
-          logger.warn(
-            `[Server] Failed to resolve reference file ${refFile.filename}: ${e.message}`,
-          );
-        }
+      return null;
+    } catch (e: any) {
+      if (e instanceof BudgetExceededError) {
+        logger.warn(`[Server] Refusing generation: ${e.message}`);
+        return { status: 402, error: e.message };
       }
+      return { status: 500, error: e.message };
     }
-    logger.info("------------------------------------------------");
+  }
+
+  /** Builds the queued job for one card, or the reason it can't be queued. */
+  function prepareJob(
+    project: Project,
+    card: Card,
+    options: JobOptions,
+  ):
+    | { job: GenerationJob }
+    | { status: number; error: string; undefinedVariables?: string[] } {
+    const providerDef = resolveImageProvider(project, card);
+    if (providerDef.requiresApiKey && !getApiKey()) {
+      return { status: 401, error: "API Key not set" };
+    }
+
+    // An override replaces the card body (modifiers still apply) unless
+    // promptMode is "full"
+    const built = buildPrompt(project, card, {
+      override: options.promptOverride,
+      overrideMode: options.promptMode,
+    });
+    if (built.undefinedVariables.length > 0) {
+      return {
+        status: 400,
+        error: undefinedVariablesMessage(built.undefinedVariables),
+        undefinedVariables: built.undefinedVariables,
+      };
+    }
+    const fullPrompt = built.prompt;
+    const negativePrompt =
+      options.negativePromptOverride !== undefined
+        ? options.negativePromptOverride
+        : built.negativePrompt;
 
     // Resolve output folder - SECURE
     // Path: data/projects/{projectId}/assets/{cardSubfolder}
@@ -171,7 +209,7 @@ export function createGenerationRouter(
     const outputFolder = path.join(
       resolvedDataRoot,
       "projects",
-      projectId,
+      project.id,
       "assets",
       cardSubfolder,
     );
@@ -179,116 +217,212 @@ export function createGenerationRouter(
     // Security check
     if (
       !outputFolder.startsWith(
-        path.join(resolvedDataRoot, "projects", projectId),
+        path.join(resolvedDataRoot, "projects", project.id),
       )
     ) {
-      res.status(403).json({ error: "Security Error: Invalid output path" });
-      return;
+      return { status: 403, error: "Security Error: Invalid output path" };
     }
 
-    const results: string[] = []; // Explicitly specificy type to avoid `never[]` inference issues
+    // Card → set → project defaults
+    const defaults = resolveImageSettings(project, card);
+    const aspectRatio = options.arOverride || defaults.aspectRatio;
+    const resolution = options.resOverride || defaults.resolution;
+
+    logger.info("------------------------------------------------");
+    logger.info(
+      `[Server] Queueing Art for Card: ${card.name} (ID: ${card.id})`,
+    );
+    logger.info(`[Server] Project: ${project.name} (ID: ${project.id})`);
+    logger.info(`[Server] Provider: ${providerDef.id}`);
+    logger.info(`[Server] Config: AR=${aspectRatio}, Res=${resolution}`);
+    logger.info(`[Server] Full Prompt: ${fullPrompt}`);
+    if (negativePrompt) {
+      logger.info(`[Server] Negative Prompt: ${negativePrompt}`);
+    }
+    logger.info("------------------------------------------------");
 
-    // Create generation job
-    const jobId = `job_${Date.now()}_${Math.random()
-      .toString(36)
-      .substr(2, 9)}`;
-    const num = count || 1;
     const job: GenerationJob = {
-      id: jobId,
-      projectId,
-      cardId,
+      id: createJobId(),
+      projectId: project.id,
+      cardId: card.id,
       cardName: card.name,
-      status: "generating",
+      status: "queued",
       current: 0,
-      total: num,
-      startedAt: Date.now(),
+      total: options.count || 1,
+      priority: Number(options.priority) || 0,
+      queuedAt: Date.now(),
       results: [],
+      // Lets the frontend draw correctly shaped placeholders
+      aspectRatio,
+      batchId: options.batchId,
+      batchTotal: options.batchTotal,
+      request: {
+        prompt: fullPrompt,
+        negativePrompt,
+        // Lets a regeneration swap the body while keeping the modifiers
+        promptBody: options.promptMode === "full" ? undefined : built.body,
+        // Only meaningful when the prompt was actually built from them
+        promptSections:
+          options.promptOverride === undefined
+            ? card.promptSections
+            : undefined,
+        cardRevision: card.revision,
+        aspectRatio,
+        resolution,
+        providerId: providerDef.id,
+        outputSubfolder: cardSubfolder,
+        referenceImageIds: options.referenceImageIds || [],
+        referenceImageFiles: options.referenceImageFiles || [],
+      },
     };
+    return { job };
+  }
 
-    activeJobs.set(jobId, job);
-    broadcastStatus(job);
+  router.post("/generate", async (req, res) => {
     logger.info(
-      `[Status] Started job ${jobId} for ${card.name} (${num} images)`,
+      `[Server] POST /api/generate body: ${JSON.stringify(req.body)}`,
     );
+    const { cardId, projectId, promptMode } = req.body;
 
-    // Start generation asynchronously
-    (async () => {
-      try {
-        const aspectRatio =
-          arOverride || card.aspectRatio || project.defaultAspectRatio || "2:3";
-        let resolution =
-          resOverride || card.resolution || project.defaultResolution || "2K";
-
-        if (!aspectRatio) resolution = "2K";
-
-        // Update job with aspectRatio so frontend can display correct placeholder shape
-        job.aspectRatio = aspectRatio;
-        broadcastStatus(job);
-
-        logger.info(`Config: AR=${aspectRatio}, Res=${resolution}`);
-
-        for (let i = 0; i < num; i++) {
-          const { buffer, mimeType, modelName } =
-            await generator.generateImageBuffer(fullPrompt, {
-              aspectRatio,
-              resolution,
-              referenceImages,
-            });
-
-          const savedPath = await generator.saveImage(
-            buffer,
-            mimeType,
-            outputFolder,
-            card.id,
-            fullPrompt,
-            {
-              title: card.name,
-              project: project.name,
-              cardId: card.id,
-              generationArgs: {
-                prompt: fullPrompt,
-                aspectRatio,
-                resolution,
-                referenceImageIds,
-                referenceImageFiles,
-                model: modelName,
-              },
-            },
-          );
-
-          // Return relative path for frontend
-          // Front end expects "data/..."
-          // savedPath is .../data/projects/123/assets/sub/img.png
-          // relToRoot is projects/123/assets/sub/img.png
-          const relToRoot = path.relative(resolvedDataRoot, savedPath);
-          const webPath = path.join("data", relToRoot);
-          results.push(webPath);
-          job.results?.push(webPath);
-
-          // Update job progress
-          job.current = i + 1;
-          broadcastStatus(job);
-          logger.info(
-            `[Status] Job ${jobId} progress: ${job.current}/${job.total}`,
-          );
-        }
+    const project = await dataService.getProject(projectId);
+    const cards = await dataService.getCards(projectId);
+    const card = cards.find((c) => c.id === cardId);
 
-        // Mark job as completed
-        job.status = "completed";
-        job.completedAt = Date.now();
-        broadcastStatus(job);
-        logger.info(`[Status] Job ${jobId} completed successfully`);
-      } catch (e: any) {
-        logger.error(`[Status] Job ${jobId} failed:`, e);
-        job.status = "error";
-        job.error = e.message;
-        job.completedAt = Date.now();
-        broadcastStatus(job);
+    if (!project || !card) {
+      res.status(404).json({ error: "Project or Card not found" });
+      return;
+    }
+
+    if (
+      promptMode !== undefined &&
+      !PROMPT_OVERRIDE_MODES.includes(promptMode)
+    ) {
+      res.status(400).json({ error: `Unknown prompt mode: ${promptMode}` });
+      return;
+    }
+
+    const count = parseImageCount(req.body.count);
+    if (count === null) {
+      res.status(400).json({ error: IMAGE_COUNT_ERROR });
+      return;
+    }
+
+    const prepared = prepareJob(project, card, { ...req.body, count });
+    if (!("job" in prepared)) {
+      const { status, ...body } = prepared;
+      res.status(status).json(body);
+      return;
+    }
+
+    // Free providers don't spend anything, so budgets don't apply to them
+    if (resolveImageProvider(project, card).requiresApiKey && getApiKey()) {
+      const refused = await checkBudget(projectId, [prepared.job]);
+      if (refused) {
+        res.status(refused.status).json({ error: refused.error });
+        return;
       }
-    })();
+    }
+
+    jobQueue.enqueue(prepared.job);
 
     // Respond immediately with job ID
-    res.json({ success: true, jobId, message: "Generation started" });
+    res.json({
+      success: true,
+      jobId: prepared.job.id,
+      message: "Generation queued",
+    });
+  });
+
+  // Queues one job per card matching the selection
+  router.post("/projects/:projectId/generate-batch", async (req, res) => {
+    try {
+      const { projectId } = req.params;
+      const { selection, priority, dryRun } = req.body;
+      const project = await dataService.getProject(projectId);
+      if (!project) {
+        res.status(404).json({ error: "Project not found" });
+        return;
+      }
+      if (!CARD_SELECTION_MODES.includes(selection?.mode)) {
+        res.status(400).json({
+          error: `selection.mode must be one of: ${CARD_SELECTION_MODES.join(", ")}`,
+        });
+        return;
+      }
+      const count = parseImageCount(req.body.count);
+      if (count === null) {
+        res.status(400).json({ error: IMAGE_COUNT_ERROR });
+        return;
+      }
+
+      const cards = await selectCards(dataService, projectId, selection);
+      // Lets the UI show what a selection matches before committing
+      if (dryRun) {
+        res.json({ cards: cards.map((c) => ({ id: c.id, name: c.name })) });
+        return;
+      }
+      if (cards.length === 0) {
+        res.status(400).json({ error: "No cards match the selection" });
+        return;
+      }
+
+      // Cards that can't be queued (e.g. undefined variables) are skipped and
+      // reported; the rest of the batch is queued
+      const batchId = createBatchId();
+      const jobs: GenerationJob[] = [];
+      const skipped: { cardId: string; cardName: string; error: string }[] = [];
+      for (const card of cards) {
+        const prepared = prepareJob(project, card, {
+          count,
+          priority,
+          batchId,
+        });
+        if ("job" in prepared) jobs.push(prepared.job);
+        else
+          skipped.push({
+            cardId: card.id,
+            cardName: card.name,
+            error: prepared.error,
+          });
+      }
+      if (jobs.length === 0) {
+        res.status(400).json({
+          error: `No cards could be queued (${skipped.length} skipped): ${skipped[0].error}`,
+          skipped,
+        });
+        return;
+      }
+
+      // The whole batch has to fit the budget, not just its first image
+      const needsKey = cards.some(
+        (c) => resolveImageProvider(project, c).requiresApiKey,
+      );
+      if (needsKey && getApiKey()) {
+        const refused = await checkBudget(projectId, jobs);
+        if (refused) {
+          res.status(refused.status).json({ error: refused.error });
+          return;
+        }
+      }
+
+      // Batch size is what actually got queued
+      jobs.forEach((job) => {
+        job.batchTotal = jobs.length;
+        jobQueue.enqueue(job);
+      });
+      logger.info(
+        `[Server] Batch ${batchId}: queued ${jobs.length} cards, skipped ${skipped.length}`,
+      );
+
+      res.json({
+        success: true,
+        batchId,
+        jobIds: jobs.map((j) => j.id),
+        skipped,
+      });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
   });
 
   return router;
@@ -0,0 +1,66 @@
+import { Router } from "express";
+import { DataService } from "../lib/data_service";
+import { JobHistory } from "../lib/job_history";
+import { JobStatus } from "../lib/job_queue";
+
+const STATUSES: JobStatus[] = ["completed", "error", "cancelled"];
+
+/** Accepts epoch milliseconds or anything Date can parse (e.g. 2024-05-01). */
+function parseDate(value: unknown): number | undefined | null {
+  if (value === undefined || value === "") return undefined;
+  const str = String(value);
+  const time = /^\d+$/.test(str) ? Number(str) : Date.parse(str);
+  return Number.isNaN(time) ? null : time;
+}
+
+export function createHistoryRouter(
+  dataService: DataService,
+  jobHistory: JobHistory,
+) {
+  const router = Router();
+
+  // Finished generation jobs for a project, newest first
+  router.get("/projects/:projectId/jobs", async (req, res) => {
+    const { projectId } = req.params;
+    const { cardId, status, from, to, q, limit, offset } = req.query;
+
+    const statuses = status
+      ? (String(status).split(",").filter(Boolean) as JobStatus[])
+      : undefined;
+    if (statuses?.some((s) => !STATUSES.includes(s))) {
+      return res
+        .status(400)
+        .json({ error: `Status must be one of: ${STATUSES.join(", ")}` });
+    }
+
+    const fromTime = parseDate(from);
+    let toTime = parseDate(to);
+    if (fromTime === null || toTime === null) {
+      return res.status(400).json({ error: "Invalid date range" });
+    }
+    // A bare date for "to" means "through the end of that day"
+    if (toTime !== undefined && /^\d{4}-\d{2}-\d{2}$/.test(String(to))) {
+      toTime += 24 * 60 * 60 * 1000 - 1;
+    }
+
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+
+      const result = await jobHistory.query(projectId, {
+        cardId: cardId ? String(cardId) : undefined,
+        statuses,
+        from: fromTime,
+        to: toTime,
+        search: q ? String(q) : undefined,
+        limit: Math.min(Math.max(Number(limit) || 50, 1), 500),
+        offset: Math.max(Number(offset) || 0, 0),
+      });
+      res.json(result);
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -2,7 +2,7 @@ import { Router } from "express";
 import { DataService } from "../lib/data_service";
 import path from "path";
 import fs from "fs/promises";
-import { exiftool } from "exiftool-vendored";
+import { readImageMetadata, imagePrompt } from "../lib/image_metadata";
 import { logger } from "../lib/logger";
 
 export function createImagesRouter(
@@ -77,33 +77,15 @@ export function createImagesRouter(
       }
 
       const stats = await fs.stat(fullPath);
-      const tags: any = await exiftool.read(fullPath);
-
-      let generationArgs = null;
-      // Try to parse UserComment (where we stored JSON)
-      const userComment = tags.UserComment || tags["XMP:UserComment"];
-      if (userComment) {
-        try {
-          // Sometimes it might be wrapped or have a header, but our writer does clean JSON usually.
-          // exiftool might return it as a string.
-          if (typeof userComment === "string" && userComment.startsWith("{")) {
-            generationArgs = JSON.parse(userComment);
-          } else if (typeof userComment === "object") {
-            generationArgs = userComment;
-          }
-        } catch (e) {
-          logger.warn("Failed to parse UserComment JSON", e);
-        }
-      }
+      const { tags, generationArgs } = await readImageMetadata(
+        dataService,
+        fullPath,
+      );
 
       res.json({
         filename: path.basename(fullPath),
         created: stats.birthtime,
-        prompt:
-          tags["XMP-dc:Description"] ||
-          tags.Description ||
-          tags.ImageDescription ||
-          "No prompt found",
+        prompt: imagePrompt(tags) || "No prompt found",
         description: tags["XMP-dc:Description"] || tags.Description || "",
         creator: tags["XMP-dc:Creator"] || tags.Creator || "",
         model:
@@ -0,0 +1,108 @@
+import { Router, Request } from "express";
+import path from "path";
+import { DataService } from "../lib/data_service";
+import { sortCards } from "../lib/card_sets";
+import { PdfWriter } from "../lib/pdf";
+import {
+  parsePrintOptions,
+  planPrintDeck,
+  PrintOptions,
+  summarizePrintPlan,
+  writePrintDeck,
+} from "../lib/print_deck";
+
+export function createPrintRouter(
+  dataService: DataService,
+  resolvedDataRoot: string,
+) {
+  const router = Router();
+
+  /**
+   * Options and cards for a print export. Like Export Deck, `?set=<id>`
+   * prints a single set; the card back may come from any set.
+   */
+  async function loadPrintJob(req: Request) {
+    const id = req.params.id as string;
+    const project = await dataService.getProject(id);
+    if (!project) return { status: 404, error: "Project not found" };
+
+    let options: PrintOptions;
+    try {
+      options = parsePrintOptions(req.query);
+    } catch (e: any) {
+      return { status: 400, error: e.message };
+    }
+
+    const onlySet =
+      typeof req.query.set === "string"
+        ? (project.sets || []).find((s) => s.id === req.query.set)
+        : undefined;
+    if (req.query.set !== undefined && !onlySet) {
+      return { status: 404, error: "Set not found" };
+    }
+
+    let cards = sortCards(project, await dataService.getCards(id));
+    if (onlySet) {
+      cards = cards.filter(
+        (c) => c.setId === onlySet.id || c.id === options.backCardId,
+      );
+    }
+
+    const assetsDir = path.join(resolvedDataRoot, "projects", id, "assets");
+    try {
+      const plan = await planPrintDeck(cards, assetsDir, options);
+      return { project, onlySet, plan };
+    } catch (e: any) {
+      return { status: 400, error: e.message };
+    }
+  }
+
+  // Preflight: page count, plus images that are missing or too small
+  router.get("/projects/:id/export-pdf/check", async (req, res) => {
+    try {
+      const job = await loadPrintJob(req);
+      if (!job.plan) return res.status(job.status).json({ error: job.error });
+      res.json(summarizePrintPlan(job.plan));
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Print-ready PDF of the starred images, streamed as it's built
+  router.get("/projects/:id/export-pdf", async (req, res) => {
+    try {
+      const job = await loadPrintJob(req);
+      if (!job.plan) return res.status(job.status).json({ error: job.error });
+      const { project, onlySet, plan } = job;
+      if (plan.cards.length === 0) {
+        return res.status(400).json({ error: "No starred images to print" });
+      }
+
+      const fileName =
+        (project.outputRoot || project.id) +
+        (onlySet ? `_${onlySet.name.replace(/[^a-z0-9_-]+/gi, "_")}` : "") +
+        `_${plan.options.size}.pdf`;
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileName}"`,
+      );
+
+      const writer = new PdfWriter((chunk) => res.write(chunk));
+      await writePrintDeck(writer, plan);
+      writer.finish(
+        onlySet ? `${project.name} - ${onlySet.name}` : project.name,
+      );
+      res.end();
+    } catch (e: any) {
+      if (!res.headersSent) {
+        res.status(500).json({ error: e.message });
+      } else {
+        // Part of the PDF has gone out; cut it off rather than end it cleanly
+        res.destroy(e);
+      }
+    }
+  });
+
+  return router;
+}
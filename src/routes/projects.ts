@@ -1,8 +1,19 @@
 import { Router } from "express";
-import { DataService, Project } from "../lib/data_service";
+import {
+  DataService,
+  Project,
+  RevisionConflictError,
+} from "../lib/data_service";
 import path from "path";
-import fs from "fs/promises";
 import archiver from "archiver";
+import {
+  addExportEntries,
+  DEFAULT_DECK_PROFILE,
+  findExportProfile,
+  planDeckExport,
+} from "../lib/export_profiles";
+import { addRenderedEntries, layoutFolder } from "../lib/card_layout";
+import { logger } from "../lib/logger";
 
 export function createProjectsRouter(
   dataService: DataService,
@@ -16,8 +27,24 @@ export function createProjectsRouter(
 
   router.post("/projects", async (req, res) => {
     const project: Project = req.body;
-    await dataService.saveProject(project);
-    res.json({ success: true, project });
+    try {
+      await dataService.journaled(
+        `Edit project "${project.name}"`,
+        project.id,
+        "user",
+        (operation) =>
+          dataService.saveProject(project, {
+            expectedRevision: project.revision,
+            operation,
+          }),
+      );
+      res.json({ success: true, project });
+    } catch (e: any) {
+      if (e instanceof RevisionConflictError) {
+        return res.status(409).json({ error: e.message, current: e.current });
+      }
+      res.status(500).json({ error: e.message });
+    }
   });
 
   router.delete("/projects/:id", async (req, res) => {
@@ -42,45 +69,8 @@ export function createProjectsRouter(
       const project = await dataService.getProject(projectId);
       if (!project) return res.status(404).json({ error: "Project not found" });
 
-      const cards = await dataService.getCards(projectId);
-      const allImages: { path: string; time: Date }[] = [];
-
-      // Collect images from all cards
-      for (const card of cards) {
-        // Construct asset path: data/projects/{projectId}/assets/{subfolder}
-        const outDir = path.join(
-          resolvedDataRoot,
-          "projects",
-          projectId,
-          "assets",
-          card.outputSubfolder || "default",
-        );
-
-        try {
-          await fs.access(outDir);
-          const files = await fs.readdir(outDir);
-          const archived = new Set(card.archivedImages || []);
-
-          for (const file of files) {
-            if (/\.(png|jpg|jpeg|webp)$/i.test(file) && !archived.has(file)) {
-              const fullPath = path.join(outDir, file);
-              const stats = await fs.stat(fullPath);
-              const rel = path.relative(resolvedDataRoot, fullPath);
-              allImages.push({
-                path: path.join("data", rel),
-                time: stats.birthtime,
-              });
-            }
-          }
-        } catch {
-          // Skip cards with no output directory
-          continue;
-        }
-      }
-
-      // Sort by newest first and limit to 6
-      allImages.sort((a, b) => b.time.getTime() - a.time.getTime());
-      const previews = allImages.slice(0, 6).map((img) => img.path);
+      const recent = await dataService.getRecentImages(projectId, 6);
+      const previews = recent.map((img) => img.path);
 
       res.json(previews);
     } catch (e: any) {
@@ -88,60 +78,82 @@ export function createProjectsRouter(
     }
   });
 
-  // Export Deck (Starred Images only)
+  // Export Deck: starred images by default, or as `?profile=<id>` (an
+  // export profile) selects, names and converts them. With sets, the
+  // default puts each set in a folder ("01 Core Set/...") in set order;
+  // `?set=<id>` exports a single set, and `?rendered=1` adds the cards
+  // rendered with the project's card layout.
   router.get("/projects/:id/export-deck", async (req, res) => {
     const { id } = req.params;
     try {
       const project = await dataService.getProject(id);
       if (!project) return res.status(404).json({ error: "Project not found" });
 
-      const cards = await dataService.getCards(id);
+      let profile = DEFAULT_DECK_PROFILE;
+      if (typeof req.query.profile === "string" && req.query.profile) {
+        const saved = findExportProfile(project, req.query.profile);
+        if (!saved) {
+          return res.status(404).json({ error: "Export profile not found" });
+        }
+        profile = saved;
+      }
+
+      const rendered = req.query.rendered === "1";
+      if (rendered && !project.cardLayout) {
+        return res.status(400).json({ error: "Project has no card layout" });
+      }
+
+      const setId =
+        typeof req.query.set === "string" ? req.query.set : undefined;
+      let plan;
+      try {
+        plan = await planDeckExport(
+          dataService,
+          project,
+          path.join(resolvedDataRoot, "projects", id, "assets"),
+          profile,
+          setId,
+        );
+      } catch (e: any) {
+        return res.status(404).json({ error: e.message });
+      }
 
-      const zipName = (project.outputRoot || project.id) + ".zip";
+      const onlySet = project.sets?.find((s) => s.id === setId);
+      const folderName = (name: string) =>
+        name.replace(/[^a-z0-9 _-]/gi, "_").trim() || "Set";
+      const zipName =
+        (project.outputRoot || project.id) +
+        (onlySet ? `_${folderName(onlySet.name).replace(/ /g, "_")}` : "") +
+        ".zip";
       res.setHeader("Content-Type", "application/zip");
       res.setHeader("Content-Disposition", `attachment; filename="${zipName}"`);
 
       const archive = archiver("zip", { zlib: { level: 9 } });
 
       archive.on("error", (err) => {
-        throw err;
+        logger.error("[Server] Export deck zip error:", err);
+        if (res.headersSent) res.destroy(err);
+        else res.status(500).json({ error: err.message });
       });
 
       archive.pipe(res);
-
-      for (const card of cards) {
-        if (card.starredImage) {
-          const subfolder = card.outputSubfolder || "default";
-          const imagePath = path.join(
-            resolvedDataRoot,
-            "projects",
-            id,
-            "assets",
-            subfolder,
-            card.starredImage,
-          );
-
-          try {
-            await fs.access(imagePath);
-            const ext = path.extname(card.starredImage);
-            // Filename is {outputSubfolder}.{ext} as requested
-            // If colliding, archiver might handle it or overwrite? Archiver appends.
-            // But user requirement implies uniqueness or simple naming.
-            // If outputSubfolder is empty/default, we might get collisions "default.jpg".
-            // We'll trust the requirement for now: "filename ... should be the card {outputSubfolder}.{ext}"
-            const nameInZip = (card.outputSubfolder || card.id) + ext;
-
-            archive.file(imagePath, { name: nameInZip });
-          } catch {
-            // Skip missing files
-          }
-        }
+      await addExportEntries(archive, plan.entries, profile);
+      if (rendered && project.cardLayout) {
+        await addRenderedEntries(
+          archive,
+          plan.entries,
+          project,
+          project.cardLayout,
+          layoutFolder(resolvedDataRoot, id),
+        );
       }
-
       await archive.finalize();
     } catch (e: any) {
       if (!res.headersSent) {
         res.status(500).json({ error: e.message });
+      } else {
+        // A card that failed to render mid-stream: cut the ZIP off
+        res.destroy(e);
       }
     }
   });
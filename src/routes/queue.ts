@@ -0,0 +1,111 @@
+import { Router } from "express";
+import { JobQueue, JobStateError } from "../lib/job_queue";
+
+export function createQueueRouter(jobQueue: JobQueue) {
+  const router = Router();
+
+  // Queue state plus all pending/running jobs in run order
+  router.get("/queue", (req, res) => {
+    const jobs = jobQueue
+      .list()
+      .filter((j) => j.status === "queued" || j.status === "generating")
+      .sort(
+        (a, b) =>
+          (a.status === "generating" ? 0 : 1) -
+            (b.status === "generating" ? 0 : 1) ||
+          b.priority - a.priority ||
+          a.queuedAt - b.queuedAt,
+      );
+    res.json({ ...jobQueue.getState(), jobs });
+  });
+
+  router.post("/queue/settings", async (req, res) => {
+    const {
+      globalConcurrency,
+      perProjectConcurrency,
+      projectConcurrency,
+      maxRetries,
+      retryBaseDelayMs,
+      retryMaxDelayMs,
+    } = req.body;
+    for (const value of [globalConcurrency, perProjectConcurrency]) {
+      if (value !== undefined && !(Number(value) >= 1)) {
+        return res
+          .status(400)
+          .json({ error: "Concurrency limits must be at least 1" });
+      }
+    }
+    for (const value of [maxRetries, retryBaseDelayMs, retryMaxDelayMs]) {
+      if (value !== undefined && !(Number(value) >= 0)) {
+        return res
+          .status(400)
+          .json({ error: "Retry settings must not be negative" });
+      }
+    }
+    const toNumber = (value: unknown) =>
+      value !== undefined ? Number(value) : undefined;
+    try {
+      await jobQueue.updateSettings({
+        globalConcurrency: toNumber(globalConcurrency),
+        perProjectConcurrency: toNumber(perProjectConcurrency),
+        projectConcurrency,
+        maxRetries: toNumber(maxRetries),
+        retryBaseDelayMs: toNumber(retryBaseDelayMs),
+        retryMaxDelayMs: toNumber(retryMaxDelayMs),
+      });
+      res.json({ success: true, state: jobQueue.getState() });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.post("/queue/pause", async (req, res) => {
+    try {
+      await jobQueue.pause();
+      res.json({ success: true, state: jobQueue.getState() });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.post("/queue/resume", async (req, res) => {
+    try {
+      await jobQueue.resume();
+      res.json({ success: true, state: jobQueue.getState() });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.post("/jobs/:jobId/cancel", (req, res) => {
+    if (!jobQueue.get(req.params.jobId)) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    try {
+      const job = jobQueue.cancel(req.params.jobId);
+      res.json({ success: true, job });
+    } catch (e: any) {
+      if (e instanceof JobStateError) {
+        return res.status(409).json({ error: e.message });
+      }
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.post("/jobs/:jobId/retry", (req, res) => {
+    if (!jobQueue.get(req.params.jobId)) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    try {
+      const job = jobQueue.retry(req.params.jobId);
+      res.json({ success: true, jobId: job.id, job });
+    } catch (e: any) {
+      if (e instanceof JobStateError) {
+        return res.status(409).json({ error: e.message });
+      }
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,88 @@
+import { Router } from "express";
+import { DataService } from "../lib/data_service";
+import { JobHistory } from "../lib/job_history";
+
+/** Card prompt revisions: listing them with their images, and restoring. */
+export function createRevisionsRouter(
+  dataService: DataService,
+  jobHistory: JobHistory,
+) {
+  const router = Router();
+
+  // Prompt-setting revisions of a card, newest first, each with the
+  // still-existing images generated from it
+  router.get(
+    "/projects/:projectId/cards/:cardId/revisions",
+    async (req, res) => {
+      const { projectId, cardId } = req.params;
+      try {
+        const card = (await dataService.getCards(projectId)).find(
+          (c) => c.id === cardId,
+        );
+        if (!card) return res.status(404).json({ error: "Card not found" });
+
+        const revisions = await dataService.getCardRevisions(projectId, cardId);
+        const { jobs } = await jobHistory.query(projectId, {
+          cardId,
+          limit: Number.MAX_SAFE_INTEGER,
+        });
+        const { images } = await dataService.listCardImages(
+          projectId,
+          cardId,
+          true,
+        );
+        const existing = new Set(images.map((img) => img.path));
+
+        // An image belongs to the newest logged revision at or before the
+        // one it was generated from (toggling a favorite bumps the card's
+        // revision without logging a new entry)
+        const imagesByRevision = new Map<number, string[]>();
+        for (const job of jobs) {
+          if (job.cardRevision === undefined) continue;
+          const source = revisions.find((r) => r.revision <= job.cardRevision!);
+          if (!source) continue;
+          const list = imagesByRevision.get(source.revision) || [];
+          list.push(...job.results.filter((result) => existing.has(result)));
+          imagesByRevision.set(source.revision, list);
+        }
+
+        res.json({
+          currentRevision: card.revision || 0,
+          revisions: revisions.map((revision) => ({
+            ...revision,
+            images: imagesByRevision.get(revision.revision) || [],
+          })),
+        });
+      } catch (e: any) {
+        res.status(500).json({ error: e.message });
+      }
+    },
+  );
+
+  router.post(
+    "/projects/:projectId/cards/:cardId/revisions/:revision/restore",
+    async (req, res) => {
+      const { projectId, cardId } = req.params;
+      const revision = Number(req.params.revision);
+      try {
+        const card = await dataService.journaled(
+          `Restore revision #${revision}`,
+          projectId,
+          "user",
+          (operation) =>
+            dataService.restoreCardRevision(projectId, cardId, revision, {
+              operation,
+            }),
+        );
+        if (!card) {
+          return res.status(404).json({ error: "Card or revision not found" });
+        }
+        res.json({ success: true, card });
+      } catch (e: any) {
+        res.status(500).json({ error: e.message });
+      }
+    },
+  );
+
+  return router;
+}
@@ -0,0 +1,42 @@
+import { Router } from "express";
+import { DataService } from "../lib/data_service";
+import { searchProject } from "../lib/search";
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+export function createSearchRouter(
+  dataService: DataService,
+  resolvedDataRoot: string,
+) {
+  const router = Router();
+
+  // Full-text search for the command palette: ?q=...&limit=N per type
+  router.get("/projects/:projectId/search", async (req, res) => {
+    const { projectId } = req.params;
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!query) return res.status(400).json({ error: "Query required" });
+    const limit = Math.min(
+      Math.max(parseInt(String(req.query.limit)) || DEFAULT_LIMIT, 1),
+      MAX_LIMIT,
+    );
+
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+
+      const groups = await searchProject(
+        dataService,
+        resolvedDataRoot,
+        projectId,
+        query,
+        limit,
+      );
+      res.json({ query, groups });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,152 @@
+import { Router } from "express";
+import { DataService } from "../lib/data_service";
+import { normalizeCardSet } from "../lib/card_sets";
+
+export function createSetsRouter(dataService: DataService) {
+  const router = Router();
+
+  router.post("/projects/:projectId/sets", async (req, res) => {
+    const { projectId } = req.params;
+    let set;
+    try {
+      set = normalizeCardSet(req.body);
+    } catch (e: any) {
+      return res.status(400).json({ error: e.message });
+    }
+    try {
+      const updated = await dataService.journaled(
+        `Create set "${set.name}"`,
+        projectId,
+        "user",
+        (operation) =>
+          dataService.updateProject(
+            projectId,
+            (project) => {
+              project.sets = [...(project.sets || []), set];
+            },
+            { operation },
+          ),
+      );
+      if (!updated) return res.status(404).json({ error: "Project not found" });
+      res.json({ success: true, set, project: updated.project });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.put("/projects/:projectId/sets/:setId", async (req, res) => {
+    const { projectId, setId } = req.params;
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+      const existing = project.sets?.find((s) => s.id === setId);
+      if (!existing) return res.status(404).json({ error: "Set not found" });
+
+      let set;
+      try {
+        set = normalizeCardSet(req.body, existing);
+      } catch (e: any) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      const updated = await dataService.journaled(
+        `Edit set "${set.name}"`,
+        projectId,
+        "user",
+        (operation) =>
+          dataService.updateProject(
+            projectId,
+            (latest) => {
+              latest.sets = (latest.sets || []).map((s) =>
+                s.id === setId ? set : s,
+              );
+            },
+            { operation },
+          ),
+      );
+      res.json({ success: true, set, project: updated?.project });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Deleting a set keeps its cards; they become unsorted
+  router.delete("/projects/:projectId/sets/:setId", async (req, res) => {
+    const { projectId, setId } = req.params;
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+      const set = project.sets?.find((s) => s.id === setId);
+      if (!set) return res.status(404).json({ error: "Set not found" });
+
+      const moved = await dataService.journaled(
+        `Delete set "${set.name}"`,
+        projectId,
+        "user",
+        async (operation) => {
+          const cards = (await dataService.getCards(projectId)).filter(
+            (c) => c.setId === setId,
+          );
+          for (const card of cards) {
+            await dataService.updateCard(
+              projectId,
+              card.id,
+              (latest) => {
+                delete latest.setId;
+                delete latest.order;
+              },
+              { operation },
+            );
+          }
+          await dataService.updateProject(
+            projectId,
+            (latest) => {
+              latest.sets = (latest.sets || []).filter((s) => s.id !== setId);
+            },
+            { operation },
+          );
+          return cards.length;
+        },
+      );
+      res.json({ success: true, cards: moved });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Reorders sets; sets missing from `setIds` keep their order after them
+  router.post("/projects/:projectId/sets/order", async (req, res) => {
+    const { projectId } = req.params;
+    const { setIds } = req.body;
+    if (!Array.isArray(setIds)) {
+      return res.status(400).json({ error: "setIds must be an array" });
+    }
+    try {
+      const updated = await dataService.journaled(
+        "Reorder sets",
+        projectId,
+        "user",
+        (operation) =>
+          dataService.updateProject(
+            projectId,
+            (project) => {
+              const sets = project.sets || [];
+              const rank = (id: string) => {
+                const index = setIds.indexOf(id);
+                return index === -1 ? setIds.length : index;
+              };
+              // Array.prototype.sort is stable, so unlisted sets keep order
+              project.sets = [...sets].sort((a, b) => rank(a.id) - rank(b.id));
+            },
+            { operation },
+          ),
+      );
+      if (!updated) return res.status(404).json({ error: "Project not found" });
+      res.json({ success: true, project: updated.project });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -1,24 +1,14 @@
 import { Router, Response } from "express";
 import { logger } from "../lib/logger";
+import { GenerationJob, QueueState } from "../lib/job_queue";
 
-export interface GenerationJob {
-  id: string;
-  projectId: string;
-  cardId: string;
-  cardName: string;
-  status: "generating" | "completed" | "error";
-  current: number;
-  total: number;
-  error?: string;
-  startedAt: number;
-  completedAt?: number;
-  results?: string[]; // Array of web paths (data/...)
-  aspectRatio?: string;
-}
+// Job types live with the queue; re-exported here for existing importers
+export type { GenerationJob } from "../lib/job_queue";
 
 export function createStatusRouter(
   activeJobs: Map<string, GenerationJob>,
   sseClients: Set<Response>,
+  getQueueState: () => QueueState,
 ) {
   const router = Router();
 
@@ -35,9 +25,9 @@ export function createStatusRouter(
     logger.info(`[SSE] Client connected. Total clients: ${sseClients.size}`);
 
     // Send current active jobs to the new client
-    // Only send jobs that are still generating (not completed/error)
+    // Only send jobs that are still pending (not completed/error)
     const activeJobsArray = Array.from(activeJobs.values()).filter(
-      (job) => job.status === "generating",
+      (job) => job.status === "generating" || job.status === "queued",
     );
     if (activeJobsArray.length > 0) {
       res.write(
@@ -48,6 +38,10 @@ export function createStatusRouter(
       );
     }
 
+    res.write(
+      `data: ${JSON.stringify({ type: "queue", state: getQueueState() })}\n\n`,
+    );
+
     // Send heartbeat every 30 seconds to keep connection alive
     const heartbeat = setInterval(() => {
       res.write(": heartbeat\n\n");
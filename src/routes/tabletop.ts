@@ -0,0 +1,102 @@
+import { Request, Response, Router } from "express";
+import path from "path";
+import archiver from "archiver";
+import { DataService } from "../lib/data_service";
+import { logger } from "../lib/logger";
+import {
+  buildTtsExport,
+  buildVttPackage,
+  collectTabletopDeck,
+  parseTabletopOptions,
+  TabletopDeck,
+  TabletopOptions,
+} from "../lib/tabletop_export";
+
+const FORMATS = {
+  tts: buildTtsExport,
+  vtt: (deck: TabletopDeck) => buildVttPackage(deck),
+};
+type TabletopFormat = keyof typeof FORMATS;
+
+export function createTabletopRouter(
+  dataService: DataService,
+  resolvedDataRoot: string,
+) {
+  const router = Router();
+
+  /**
+   * A ZIP for virtual tabletops from each card's starred image:
+   * `export-tts` (Tabletop Simulator sheets and saved object) or
+   * `export-vtt` (images and manifest.json), with `set`, `back` (a card id)
+   * and, for TTS, `imageUrl`.
+   */
+  const exportDeck =
+    (format: TabletopFormat) =>
+    async (req: Request<{ id: string }>, res: Response) => {
+      const { id } = req.params;
+      let options: TabletopOptions;
+      try {
+        options = parseTabletopOptions(req.query);
+      } catch (e: any) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      try {
+        const project = await dataService.getProject(id);
+        if (!project)
+          return res.status(404).json({ error: "Project not found" });
+
+        let deck: TabletopDeck;
+        try {
+          deck = await collectTabletopDeck(
+            dataService,
+            project,
+            path.join(resolvedDataRoot, "projects", id, "assets"),
+            options,
+          );
+        } catch (e: any) {
+          // Unknown set or card back
+          return res.status(404).json({ error: e.message });
+        }
+        if (!deck.cards.length) {
+          return res.status(400).json({
+            error: deck.missing.length
+              ? "None of these cards has a starred image"
+              : "There are no cards to export",
+          });
+        }
+
+        const files = await FORMATS[format](deck, options);
+
+        const zipName = `${project.outputRoot || project.id}_${format}.zip`;
+        res.setHeader("Content-Type", "application/zip");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${zipName}"`,
+        );
+
+        const archive = archiver("zip", { zlib: { level: 9 } });
+        archive.on("error", (err) => {
+          logger.error("[Server] Tabletop export zip error:", err);
+          // Once the ZIP has started streaming, all that's left is to cut it off
+          if (res.headersSent) res.destroy(err);
+          else res.status(500).json({ error: err.message });
+        });
+        archive.pipe(res);
+        for (const file of files) {
+          if (file.file) archive.file(file.file, { name: file.name });
+          else if (file.data) archive.append(file.data, { name: file.name });
+        }
+        await archive.finalize();
+      } catch (e: any) {
+        if (!res.headersSent) {
+          res.status(500).json({ error: e.message });
+        }
+      }
+    };
+
+  router.get("/projects/:id/export-tts", exportDeck("tts"));
+  router.get("/projects/:id/export-vtt", exportDeck("vtt"));
+
+  return router;
+}
@@ -0,0 +1,108 @@
+import { Router } from "express";
+import { DataService } from "../lib/data_service";
+import {
+  matchesTags,
+  normalizeTags,
+  replaceQueryTag,
+} from "../lib/card_selection";
+
+export function createTagsRouter(dataService: DataService) {
+  const router = Router();
+
+  /**
+   * Renames a tag on every card, in the project's tag colors and in smart
+   * collection queries, or removes it everywhere when `to` is null (a
+   * collection whose query was only about the tag is removed too). Tags
+   * compare case-insensitively, so this also fixes a tag's spelling.
+   */
+  async function replaceTag(
+    projectId: string,
+    from: string,
+    to: string | null,
+  ) {
+    const label = to
+      ? `Rename tag "${from}" to "${to}"`
+      : `Delete tag "${from}"`;
+    const isFrom = (tag: string) => tag.toLowerCase() === from.toLowerCase();
+
+    return dataService.journaled(
+      label,
+      projectId,
+      "user",
+      async (operation) => {
+        const cards = (await dataService.getCards(projectId)).filter((c) =>
+          matchesTags(c, [from]),
+        );
+        for (const card of cards) {
+          await dataService.updateCard(
+            projectId,
+            card.id,
+            (latest) => {
+              const tags = (latest.tags || []).map((t) => (isFrom(t) ? to : t));
+              latest.tags = normalizeTags(tags);
+            },
+            { operation },
+          );
+        }
+
+        let collections = 0;
+        await dataService.updateProject(
+          projectId,
+          (project) => {
+            if (project.smartCollections) {
+              project.smartCollections = project.smartCollections.flatMap(
+                (collection) => {
+                  const query = replaceQueryTag(collection.query, from, to);
+                  if (query === collection.query) return [collection];
+                  collections++;
+                  return query === null ? [] : [{ ...collection, query }];
+                },
+              );
+            }
+
+            const definition = project.tags?.find((t) => isFrom(t.name));
+            if (!definition) return;
+            const others = project.tags!.filter((t) => t !== definition);
+            // Keep the color unless the new name already has one
+            const merged = others.some(
+              (t) => t.name.toLowerCase() === to?.toLowerCase(),
+            );
+            project.tags =
+              to && !merged ? [...others, { ...definition, name: to }] : others;
+          },
+          { operation },
+        );
+        return { cards: cards.length, collections };
+      },
+    );
+  }
+
+  router.post("/projects/:projectId/tags/rename", async (req, res) => {
+    const from = String(req.body.from || "").trim();
+    const to = String(req.body.to || "").trim();
+    if (!from || !to) {
+      return res.status(400).json({ error: "Both tag names are required" });
+    }
+    try {
+      const updated = await replaceTag(req.params.projectId, from, to);
+      res.json({ success: true, ...updated });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.delete("/projects/:projectId/tags/:tag", async (req, res) => {
+    try {
+      const updated = await replaceTag(
+        req.params.projectId,
+        req.params.tag,
+        null,
+      );
+      res.json({ success: true, ...updated });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
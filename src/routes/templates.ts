@@ -0,0 +1,139 @@
+import { Router } from "express";
+import { DataService } from "../lib/data_service";
+import {
+  applyTemplate,
+  normalizeTemplate,
+  summarizeTemplate,
+  templateFromProject,
+  TemplateStore,
+} from "../lib/project_templates";
+import { BUILT_IN_TEMPLATES } from "../lib/builtin_templates";
+
+export function createTemplatesRouter(
+  dataService: DataService,
+  dataRoot: string,
+) {
+  const router = Router();
+  const store = new TemplateStore(dataRoot);
+
+  const findTemplate = async (id: string) =>
+    BUILT_IN_TEMPLATES.find((t) => t.id === id) || (await store.get(id));
+
+  // Built-in templates first, then the user's by name
+  router.get("/templates", async (req, res) => {
+    try {
+      const templates = [...BUILT_IN_TEMPLATES, ...(await store.list())];
+      res.json(templates.map(summarizeTemplate));
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Full template; `?download=1` serves it as a file to share
+  router.get("/templates/:id", async (req, res) => {
+    try {
+      const template = await findTemplate(req.params.id);
+      if (!template)
+        return res.status(404).json({ error: "Template not found" });
+
+      if (req.query.download) {
+        const fileName =
+          template.name.replace(/[^a-z0-9]+/gi, "_").toLowerCase() ||
+          "template";
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${fileName}.template.json"`,
+        );
+        const { id, builtIn, ...shared } = template;
+        return res.json(shared);
+      }
+      res.json(template);
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Import a template file
+  router.post("/templates", async (req, res) => {
+    let template;
+    try {
+      template = normalizeTemplate(req.body);
+    } catch (e: any) {
+      return res.status(400).json({ error: e.message });
+    }
+    try {
+      const stored = await store.create(template);
+      res.json({ success: true, template: summarizeTemplate(stored) });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.delete("/templates/:id", async (req, res) => {
+    const { id } = req.params;
+    if (BUILT_IN_TEMPLATES.some((t) => t.id === id)) {
+      return res
+        .status(400)
+        .json({ error: "Built-in templates can't be deleted" });
+    }
+    try {
+      if (!(await store.delete(id))) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+      res.json({ success: true });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Save a project (settings, sets, tags and cards, not images) as a template
+  router.post("/projects/:projectId/template", async (req, res) => {
+    const { projectId } = req.params;
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+
+      let template;
+      try {
+        template = templateFromProject(
+          project,
+          await dataService.getCards(projectId),
+          req.body.name || project.name,
+          req.body.description ?? project.description ?? "",
+        );
+      } catch (e: any) {
+        return res.status(400).json({ error: e.message });
+      }
+      const stored = await store.create(template);
+      res.json({ success: true, template: summarizeTemplate(stored) });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Seed a project with a template's sets, tags and cards
+  router.post("/projects/:projectId/apply-template", async (req, res) => {
+    const { projectId } = req.params;
+    try {
+      const template = await findTemplate(String(req.body.templateId || ""));
+      if (!template)
+        return res.status(404).json({ error: "Template not found" });
+      if (!(await dataService.getProject(projectId))) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+
+      const cards = await dataService.journaled(
+        `Apply template "${template.name}"`,
+        projectId,
+        "user",
+        (operation) =>
+          applyTemplate(dataService, projectId, template, operation),
+      );
+      res.json({ success: true, cards });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,92 @@
+import { Router } from "express";
+import { DataService } from "../lib/data_service";
+
+export function createUndoRouter(dataService: DataService) {
+  const router = Router();
+
+  // Undo the project's latest operation, or a specific one (Trash "Restore")
+  router.post("/undo", async (req, res) => {
+    const { projectId, operationId } = req.body;
+    if (!projectId) {
+      return res.status(400).json({ error: "projectId is required" });
+    }
+    try {
+      const operation = await dataService.undo(projectId, operationId);
+      if (!operation) return res.status(404).json({ error: "Nothing to undo" });
+      res.json({
+        success: true,
+        operation: { id: operation.id, label: operation.label },
+        ...(await dataService.peekUndo(projectId)),
+      });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.post("/redo", async (req, res) => {
+    const { projectId } = req.body;
+    if (!projectId) {
+      return res.status(400).json({ error: "projectId is required" });
+    }
+    try {
+      const operation = await dataService.redo(projectId);
+      if (!operation) return res.status(404).json({ error: "Nothing to redo" });
+      res.json({
+        success: true,
+        operation: { id: operation.id, label: operation.label },
+        ...(await dataService.peekUndo(projectId)),
+      });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Labels of what undo/redo would do next, e.g. for button tooltips
+  router.get("/projects/:projectId/undo", async (req, res) => {
+    try {
+      res.json(await dataService.peekUndo(req.params.projectId));
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.get("/projects/:projectId/trash", async (req, res) => {
+    try {
+      const [items, settings] = await Promise.all([
+        dataService.listTrash(req.params.projectId),
+        dataService.getTrashSettings(),
+      ]);
+      res.json({ items, settings });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.post("/projects/:projectId/trash/empty", async (req, res) => {
+    try {
+      const removed = await dataService.emptyTrash(req.params.projectId);
+      res.json({ success: true, removed });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.post("/trash/settings", async (req, res) => {
+    const retentionDays = Number(req.body.retentionDays);
+    if (!(retentionDays >= 1)) {
+      return res
+        .status(400)
+        .json({ error: "Retention must be at least 1 day" });
+    }
+    try {
+      const settings = await dataService.updateTrashSettings({
+        retentionDays,
+      });
+      res.json({ success: true, settings });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,84 @@
+import { Router } from "express";
+import { DataService } from "../lib/data_service";
+import { monthKey, UsageLedger } from "../lib/usage_ledger";
+
+function isLimitMap(value: unknown): boolean {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    Object.values(value).every((v) => v === null || Number(v) >= 0)
+  );
+}
+
+export function createUsageRouter(
+  dataService: DataService,
+  usageLedger: UsageLedger,
+) {
+  const router = Router();
+
+  // Usage totals for a month (defaults to the current one)
+  router.get("/usage", async (req, res) => {
+    const month = req.query.month ? String(req.query.month) : monthKey();
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({ error: "Month must be YYYY-MM" });
+    }
+    const projectId = req.query.projectId
+      ? String(req.query.projectId)
+      : undefined;
+    try {
+      const [summary, budgets] = await Promise.all([
+        usageLedger.summarize(month, projectId),
+        usageLedger.getBudgets(),
+      ]);
+      res.json({ ...summary, budgets });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.get("/projects/:projectId/usage", async (req, res) => {
+    const { projectId } = req.params;
+    try {
+      const project = await dataService.getProject(projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+      const month = req.query.month ? String(req.query.month) : monthKey();
+      res.json(await usageLedger.summarize(month, projectId));
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.get("/usage/budgets", async (req, res) => {
+    try {
+      res.json(await usageLedger.getBudgets());
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.post("/usage/budgets", async (req, res) => {
+    const { monthly, projects, keys } = req.body;
+    if (
+      (monthly !== undefined && monthly !== null && !(Number(monthly) >= 0)) ||
+      (projects !== undefined && !isLimitMap(projects)) ||
+      (keys !== undefined && !isLimitMap(keys))
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Budgets must be non-negative amounts" });
+    }
+    try {
+      const budgets = await usageLedger.updateBudgets({
+        monthly:
+          monthly === undefined || monthly === null ? monthly : Number(monthly),
+        projects,
+        keys,
+      });
+      res.json({ success: true, budgets });
+    } catch (e: any) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -5,6 +5,10 @@ import path from "path";
 import fsSync from "fs";
 import { DataService } from "./lib/data_service";
 import { ChatService } from "./lib/chat_service";
+import { JobQueue, QueueState } from "./lib/job_queue";
+import { createGenerationRunner } from "./lib/generation_runner";
+import { JobHistory } from "./lib/job_history";
+import { UsageLedger } from "./lib/usage_ledger";
 import { logger, configureLogger } from "./lib/logger";
 
 // Route modules
@@ -15,6 +19,21 @@ import { createStatusRouter, GenerationJob } from "./routes/status";
 import { createImagesRouter } from "./routes/images";
 import { createGenerationRouter } from "./routes/generation";
 import { createChatRouter } from "./routes/chat";
+import { createQueueRouter } from "./routes/queue";
+import { createHistoryRouter } from "./routes/history";
+import { createRevisionsRouter } from "./routes/revisions";
+import { createUsageRouter } from "./routes/usage";
+import { createUndoRouter } from "./routes/undo";
+import { createSearchRouter } from "./routes/search";
+import { createTagsRouter } from "./routes/tags";
+import { createSetsRouter } from "./routes/sets";
+import { createTemplatesRouter } from "./routes/templates";
+import { createCardImportRouter } from "./routes/card_import";
+import { createPrintRouter } from "./routes/print";
+import { createContactSheetRouter } from "./routes/contact_sheet";
+import { createExportProfilesRouter } from "./routes/export_profiles";
+import { createTabletopRouter } from "./routes/tabletop";
+import { createCardLayoutRouter } from "./routes/card_layout";
 
 // Wrapper to create App with config
 export function createApp(dataRoot?: string) {
@@ -35,6 +54,11 @@ export function createApp(dataRoot?: string) {
   // Perform one-time migration check
   dataService.migrate().then(() => {
     logger.info("[Server] Data migration check complete.");
+    // Index after migration so moved files don't churn the cache
+    dataService.watch();
+    dataService.purgeTrash().catch((e) => {
+      logger.error("[Server] Failed to purge trash:", e);
+    });
   });
 
   // Config API Key
@@ -44,6 +68,7 @@ export function createApp(dataRoot?: string) {
   let chatService: ChatService | null = null;
   const activeJobs = new Map<string, GenerationJob>();
   const sseClients = new Set<express.Response>();
+  const usageLedger = new UsageLedger(resolvedDataRoot, dataService);
 
   const initChatService = () => {
     // Always init, even if no key (for history access)
@@ -53,6 +78,8 @@ export function createApp(dataRoot?: string) {
     chatService.setDataRoot(resolvedDataRoot);
     // Needed for listing active jobs in chat or checks
     chatService.setGetActiveJobs(() => Array.from(activeJobs.values()));
+    // Token usage is recorded against the active key
+    chatService.setUsageLedger(usageLedger);
   };
   initChatService();
 
@@ -64,9 +91,9 @@ export function createApp(dataRoot?: string) {
   };
   const getChatService = () => chatService;
 
-  // Broadcast status update to all SSE clients
-  const broadcastStatus = (job: GenerationJob) => {
-    const message = `data: ${JSON.stringify(job)}\n\n`;
+  // Broadcast a message to all SSE clients
+  const broadcast = (payload: object) => {
+    const message = `data: ${JSON.stringify(payload)}\n\n`;
     sseClients.forEach((client) => {
       try {
         client.write(message);
@@ -76,6 +103,38 @@ export function createApp(dataRoot?: string) {
     });
   };
 
+  // Finished jobs are archived per project before they're cleaned up
+  const jobHistory = new JobHistory(resolvedDataRoot);
+
+  // Broadcast status update to all SSE clients
+  const broadcastStatus = (job: GenerationJob) => broadcast(job);
+  const broadcastQueueState = (state: QueueState) =>
+    broadcast({ type: "queue", state });
+
+  // Durable generation queue (jobs survive restarts)
+  const jobQueue = new JobQueue(
+    resolvedDataRoot,
+    activeJobs,
+    (job) => {
+      broadcastStatus(job);
+      jobHistory.record(job);
+    },
+    broadcastQueueState
+  );
+  jobQueue.setExecutor(
+    createGenerationRunner({
+      dataService,
+      dataRoot: resolvedDataRoot,
+      getApiKey: () => API_KEY,
+      usageLedger,
+      getSettings: () => jobQueue.getSettings(),
+      onProgress: (job) => jobQueue.update(job),
+    })
+  );
+  jobQueue.load().catch((e) => {
+    logger.error("[Queue] Failed to load persisted jobs:", e);
+  });
+
   // Cleanup old completed jobs (run periodically)
   const CLEANUP_INTERVAL = 60000; // 1 minute
   const JOB_RETENTION_TIME = 300000; // 5 minutes
@@ -83,24 +142,50 @@ export function createApp(dataRoot?: string) {
     const now = Date.now();
     for (const [jobId, job] of activeJobs.entries()) {
       if (job.completedAt && now - job.completedAt > JOB_RETENTION_TIME) {
-        activeJobs.delete(jobId);
+        jobQueue.remove(jobId);
         logger.info(`[Status] Cleaned up old job: ${jobId}`);
       }
     }
   }, CLEANUP_INTERVAL);
 
+  // Delete trashed files past the retention period
+  const TRASH_PURGE_INTERVAL = 3600000; // 1 hour
+  setInterval(() => {
+    dataService.purgeTrash().catch((e) => {
+      logger.error("[Server] Failed to purge trash:", e);
+    });
+  }, TRASH_PURGE_INTERVAL).unref();
+
   // --- Mount Routers ---
   app.use("/api", createConfigRouter(dataService, setApiKey));
   app.use("/api", createProjectsRouter(dataService, resolvedDataRoot));
   app.use("/api", createCardsRouter(dataService, resolvedDataRoot));
-  app.use("/api", createStatusRouter(activeJobs, sseClients));
+  app.use("/api", createTagsRouter(dataService));
+  app.use("/api", createSetsRouter(dataService));
+  app.use("/api", createTemplatesRouter(dataService, resolvedDataRoot));
+  app.use("/api", createCardImportRouter(dataService));
+  app.use("/api", createPrintRouter(dataService, resolvedDataRoot));
+  app.use("/api", createContactSheetRouter(dataService, resolvedDataRoot));
+  app.use("/api", createExportProfilesRouter(dataService, resolvedDataRoot));
+  app.use("/api", createTabletopRouter(dataService, resolvedDataRoot));
+  app.use("/api", createCardLayoutRouter(dataService, resolvedDataRoot));
+  app.use(
+    "/api",
+    createStatusRouter(activeJobs, sseClients, () => jobQueue.getState())
+  );
+  app.use("/api", createQueueRouter(jobQueue));
+  app.use("/api", createHistoryRouter(dataService, jobHistory));
+  app.use("/api", createRevisionsRouter(dataService, jobHistory));
+  app.use("/api", createUsageRouter(dataService, usageLedger));
+  app.use("/api", createUndoRouter(dataService));
+  app.use("/api", createSearchRouter(dataService, resolvedDataRoot));
   app.use("/api", createImagesRouter(dataService, resolvedDataRoot));
   app.use(
     "/api",
     createGenerationRouter(
       dataService,
-      activeJobs,
-      broadcastStatus,
+      jobQueue,
+      usageLedger,
       getApiKey,
       resolvedDataRoot
     )
@@ -1,10 +1,93 @@
 import { DataService, Card } from "../lib/data_service";
+import { ATTRIBUTE_NAME_PATTERN } from "../lib/prompt_builder";
+import { matchesTags, normalizeTags } from "../lib/card_selection";
+import { resolveImageSettings, sortCards } from "../lib/card_sets";
+
+// Gemini function schemas can't express free-form maps, so attributes are
+// passed as name/value pairs
+const attributesParameter = {
+  type: "ARRAY",
+  description:
+    "Card attributes used by prompt template variables, e.g. [{name: 'suit', value: 'Cups'}] for {{suit}}. An empty value removes the attribute.",
+  items: {
+    type: "OBJECT",
+    properties: {
+      name: { type: "STRING" },
+      value: { type: "STRING" },
+    },
+    required: ["name", "value"],
+  },
+};
+
+const tagsParameter = {
+  type: "ARRAY",
+  items: { type: "STRING" },
+  description:
+    "Tags for the card (e.g. ['character', 'major-arcana']). Replaces the card's current tags.",
+};
+
+const tagFilterParameters = {
+  tags: {
+    type: "ARRAY",
+    items: { type: "STRING" },
+    description: "Optional. Only return cards with these tags.",
+  },
+  tagMode: {
+    type: "STRING",
+    enum: ["all", "any"],
+    description:
+      "Whether cards need 'all' of the tags (default) or 'any' of them.",
+  },
+};
+
+const cardNumberParameter = {
+  type: "INTEGER",
+  description:
+    "Printed card number (e.g. 12 for card 12 of 78), used to order exported files and available to prompts as {{card.number}}. -1 removes it.",
+};
+
+const setIdParameter = {
+  type: "STRING",
+  description:
+    "ID of a card set from getProject's 'sets' (e.g. 'Major Arcana'). Empty string removes the card from its set.",
+};
+
+/** Applies the optional `tags`/`tagMode` filter of listCards and findCard */
+function filterByTags(cards: Card[], args: any): Card[] {
+  const tags = normalizeTags(args.tags);
+  if (tags.length === 0) return cards;
+  return cards.filter((c) => matchesTags(c, tags, args.tagMode || "all"));
+}
+
+function applyAttributes(
+  card: Card,
+  pairs: { name: string; value: string }[] | undefined
+) {
+  if (!pairs) return;
+  const attributes = { ...card.attributes };
+  for (const { name, value } of pairs) {
+    if (!ATTRIBUTE_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid attribute name "${name}": use letters, numbers, "_" or "-"`
+      );
+    }
+    if (value) attributes[name] = value;
+    else delete attributes[name];
+  }
+  card.attributes = attributes;
+}
+
+function applyCardNumber(card: Card, cardNumber: number | undefined) {
+  if (cardNumber === undefined) return;
+  if (cardNumber < 0) delete card.cardNumber;
+  else card.cardNumber = Math.floor(cardNumber);
+}
 
 export const cardTools = [
   {
     name: "listCards",
     description:
-      "List cards. Returns summary info (IDs, names, and Project IDs). Useful for finding cards.",
+      "List cards in card list order (by set, then position). Returns summary info (IDs, names, card numbers, tags, set IDs and Project IDs). Useful for finding cards.",
     parameters: {
       type: "OBJECT",
       properties: {
@@ -13,6 +96,11 @@ export const cardTools = [
           description:
             "Optional ID of the project. If omitted, lists cards from ALL projects.",
         },
+        setId: {
+          type: "STRING",
+          description: "Optional. Only return cards in this set.",
+        },
+        ...tagFilterParameters,
       },
       required: [],
     },
@@ -33,7 +121,7 @@ export const cardTools = [
   {
     name: "findCard",
     description:
-      "Find a card by name (fuzzy match). Returns ID, Name, and Project ID. Use this to find a card's location.",
+      "Find a card by name (fuzzy match). Returns ID, Name, tags, and Project ID. Use this to find a card's location.",
     parameters: {
       type: "OBJECT",
       properties: {
@@ -45,17 +133,24 @@ export const cardTools = [
           type: "STRING",
           description: "Optional project ID to limit search.",
         },
+        ...tagFilterParameters,
       },
       required: ["query"],
     },
   },
   {
     name: "createCards",
-    description: "Create one or more new cards in the project.",
+    description:
+      "Create one or more new cards in the project. Aspect ratio and resolution default to the set's, then the project's.",
     parameters: {
       type: "OBJECT",
       properties: {
         projectId: { type: "STRING" },
+        setId: {
+          ...setIdParameter,
+          description:
+            "Optional ID of a card set (from getProject's 'sets') to add the cards to, after its existing cards.",
+        },
         cards: {
           type: "ARRAY",
           items: {
@@ -65,6 +160,9 @@ export const cardTools = [
               prompt: { type: "STRING" },
               aspectRatio: { type: "STRING" },
               resolution: { type: "STRING" },
+              attributes: attributesParameter,
+              tags: tagsParameter,
+              cardNumber: cardNumberParameter,
             },
             required: ["name", "prompt"],
           },
@@ -94,6 +192,32 @@ export const cardTools = [
               description:
                 "List of Project Modifier IDs to disable for this specific card.",
             },
+            imageProvider: {
+              type: "STRING",
+              description:
+                "Image provider ID override for this card. Empty string uses the project default.",
+            },
+            negativePrompt: {
+              type: "STRING",
+              description:
+                "Things to keep out of the image (e.g. 'text, watermark, extra fingers'). Combined with the project's negative prompt.",
+            },
+            promptSections: {
+              type: "OBJECT",
+              description:
+                "Optional structured sections appended to the prompt as 'Label: text' lines. Only the provided sections are changed; pass an empty string to clear one.",
+              properties: {
+                subject: { type: "STRING" },
+                setting: { type: "STRING" },
+                lighting: { type: "STRING" },
+                composition: { type: "STRING" },
+                style: { type: "STRING" },
+              },
+            },
+            attributes: attributesParameter,
+            tags: tagsParameter,
+            setId: setIdParameter,
+            cardNumber: cardNumberParameter,
           },
         },
       },
@@ -136,12 +260,20 @@ export async function handleCardTool(
       const allCardsList = [];
       for (const p of projectsToList) {
         try {
-          // @ts-ignore
-          const cards = await dataService.getCards(p.id);
+          const cards = filterByTags(
+            sortCards(
+              await dataService.getProject(p.id),
+              await dataService.getCards(p.id)
+            ),
+            args
+          ).filter((c) => !args.setId || c.setId === args.setId);
           allCardsList.push(
             ...cards.map((c) => ({
               id: c.id,
               name: c.name,
+              cardNumber: c.cardNumber,
+              tags: c.tags || [],
+              setId: c.setId,
               projectId: c.projectId,
             }))
           );
@@ -172,13 +304,14 @@ export async function handleCardTool(
       for (const p of projectsToSearch) {
         // @ts-ignore
         const projectCards = await dataService.getCards(p.id);
-        const matches = projectCards.filter((c) =>
+        const matches = filterByTags(projectCards, args).filter((c) =>
           c.name.toLowerCase().includes(query)
         );
         found.push(
           ...matches.map((c) => ({
             id: c.id,
             name: c.name,
+            tags: c.tags || [],
             projectId: c.projectId,
           }))
         );
@@ -187,36 +320,94 @@ export async function handleCardTool(
     }
 
     case "createCards": {
-      const projects = await dataService.getProjects();
-      const project = projects.find((p) => p.id === args.projectId);
-
-      const newCards = [];
-      for (const cardData of args.cards) {
-        const id = await dataService.generateCardId(args.projectId);
-        const newCard: Card = {
-          id,
-          projectId: args.projectId,
-          name: cardData.name,
-          prompt: cardData.prompt,
-          outputSubfolder: cardData.name.replace(/[^a-z0-9]/gi, "_"),
-          aspectRatio:
-            cardData.aspectRatio || project?.defaultAspectRatio || "2:3",
-          resolution: cardData.resolution || project?.defaultResolution || "2K",
-        };
-        await dataService.saveCard(newCard);
-        newCards.push(newCard);
+      const project = await dataService.getProject(args.projectId);
+      if (!project) return { error: "Project not found" };
+      if (args.setId && !project.sets?.some((s) => s.id === args.setId)) {
+        return { error: `Set ${args.setId} not found` };
       }
-      return { created: newCards };
+
+      const newCards: Card[] = [];
+      await dataService.journaled(
+        `Assistant: create ${args.cards.length} card(s)`,
+        args.projectId,
+        "assistant",
+        async (operation) => {
+          for (const cardData of args.cards) {
+            // Same ID, asset folder and defaults as cards made in the editor
+            const newCard: Card = await dataService.initNewCard({
+              id: "",
+              projectId: args.projectId,
+              name: cardData.name,
+              prompt: cardData.prompt,
+              outputSubfolder: "",
+              aspectRatio: cardData.aspectRatio,
+              resolution: cardData.resolution,
+              setId: args.setId || undefined,
+            });
+            applyAttributes(newCard, cardData.attributes);
+            applyCardNumber(newCard, cardData.cardNumber);
+            if (cardData.tags) newCard.tags = normalizeTags(cardData.tags);
+            await dataService.saveCard(newCard, { operation });
+            newCards.push(newCard);
+          }
+        }
+      );
+      // What the cards will be generated at, including inherited defaults
+      return {
+        created: newCards.map((card) => ({
+          ...card,
+          imageSettings: resolveImageSettings(project, card),
+        })),
+      };
     }
 
     case "updateCard": {
-      const allCards = await dataService.getCards(args.projectId);
-      const card = allCards.find((c) => c.id === args.cardId);
-      if (!card) return { error: "Card not found" };
-
-      Object.assign(card, args.updates);
-      await dataService.saveCard(card);
-      return { updated: card, clientAction: "refreshCards" };
+      const {
+        promptSections,
+        attributes,
+        tags,
+        setId,
+        cardNumber,
+        ...updates
+      } = args.updates;
+      if (setId) {
+        const project = await dataService.getProject(args.projectId);
+        if (!project?.sets?.some((s) => s.id === setId)) {
+          return { error: `Set ${setId} not found` };
+        }
+      }
+      const updated = await dataService.journaled(
+        "Assistant: update card",
+        args.projectId,
+        "assistant",
+        (operation) =>
+          dataService.updateCard(
+            args.projectId,
+            args.cardId,
+            (card) => {
+              Object.assign(card, updates);
+              applyAttributes(card, attributes);
+              applyCardNumber(card, cardNumber);
+              if (tags) card.tags = normalizeTags(tags);
+              if (setId !== undefined && setId !== (card.setId || "")) {
+                // Sorts after the cards already placed in the new set
+                if (setId) card.setId = setId;
+                else delete card.setId;
+                delete card.order;
+              }
+              if (promptSections) {
+                // Merge so updating one section doesn't wipe the others
+                card.promptSections = {
+                  ...card.promptSections,
+                  ...promptSections,
+                };
+              }
+            },
+            { operation }
+          )
+      );
+      if (!updated) return { error: "Card not found" };
+      return { updated: updated.card, clientAction: "refreshCards" };
     }
 
     case "listCardImages": {
@@ -1,8 +1,19 @@
 import { DataService } from "../lib/data_service";
 import { logger } from "../lib/logger";
+import { buildPrompt, undefinedVariablesMessage } from "../lib/prompt_builder";
+import {
+  CONTACT_SHEET_SORTS,
+  collectContactSheet,
+  contactSheetProblem,
+  parseContactSheetOptions,
+  renderContactSheet,
+} from "../lib/contact_sheet";
 import path from "path";
 import fs from "fs/promises";
 
+// The model's copy of a contact sheet shows at most this many thumbnails
+const MODEL_SHEET_IMAGES = 60;
+
 export const generationTools = [
   {
     name: "generateImage",
@@ -14,11 +25,18 @@ export const generationTools = [
         cardId: { type: "STRING" },
         promptOverride: {
           type: "STRING",
-          description: "Optional prompt override",
+          description:
+            "Optional replacement for the card's prompt for this generation only. Active project modifiers (prefixes/suffixes) are still applied unless promptMode is 'full'.",
+        },
+        promptMode: {
+          type: "STRING",
+          enum: ["body", "full"],
+          description:
+            "How promptOverride is applied. 'body' (default) replaces only the card prompt and keeps project modifiers; 'full' sends the override as the entire prompt.",
         },
         count: {
           type: "INTEGER",
-          description: "Number of images to generate (default: 1)",
+          description: "Number of images to generate, 1-10 (default: 1)",
         },
         notifyOnCompletion: {
           type: "BOOLEAN",
@@ -66,6 +84,47 @@ export const generationTools = [
       required: ["projectId", "cardId", "filename"],
     },
   },
+  {
+    name: "createContactSheet",
+    description:
+      "Render a contact sheet: a grid of thumbnails with captions (card number and name, filename, star for the starred image, heart for favorites) to review many images at once. Covers every card in the project (its starred image, else its newest), one set, or all favorites of one card. You see the sheet as an image and the user gets a download link.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        projectId: { type: "STRING" },
+        setId: {
+          type: "STRING",
+          description: "Optional: only the cards in this set.",
+        },
+        cardId: {
+          type: "STRING",
+          description:
+            "Optional: all favorite images of this card instead of one image per card.",
+        },
+        columns: {
+          type: "INTEGER",
+          description: "Thumbnails per row, 1-12 (default: 5)",
+        },
+        sort: {
+          type: "STRING",
+          enum: CONTACT_SHEET_SORTS,
+          description:
+            "'deck' (card list order, default), 'name', 'number' (card number), 'newest' or 'oldest' image.",
+        },
+        captions: {
+          type: "BOOLEAN",
+          description: "Show captions under the thumbnails (default: true)",
+        },
+        format: {
+          type: "STRING",
+          enum: ["png", "pdf"],
+          description:
+            "Format of the user's download: one PNG, or PDF pages for printing (default: png).",
+        },
+      },
+      required: ["projectId"],
+    },
+  },
 ];
 
 export async function handleGenerationTool(
@@ -83,6 +142,19 @@ export async function handleGenerationTool(
 
       if (!proj || !c) return { error: "Project or Card not found" };
 
+      // Resolve up front so the model sees the exact prompt (and any
+      // undefined variables) instead of finding out from a failed job
+      const built = buildPrompt(proj, c, {
+        override: args.promptOverride,
+        overrideMode: args.promptMode,
+      });
+      if (built.undefinedVariables.length > 0) {
+        return {
+          error: undefinedVariablesMessage(built.undefinedVariables),
+          undefinedVariables: built.undefinedVariables,
+        };
+      }
+
       // Return 'clientAction' to trigger frontend logic (e.g. calling generation API)
       // This maintains the contract expected by chat.js onSpecialAction handler
 
@@ -93,6 +165,8 @@ export async function handleGenerationTool(
         projectId: pId,
         cardId: cId,
         promptOverride: args.promptOverride,
+        promptMode: args.promptMode,
+        resolvedPrompt: built.prompt,
         count: args.count || 1,
         notifyOnCompletion: args.notifyOnCompletion || false,
         referenceImageIds: args.referenceImageIds,
@@ -142,6 +216,57 @@ export async function handleGenerationTool(
         return { error: "Could not read file: " + filename };
       }
     }
+
+    case "createContactSheet": {
+      const project = await dataService.getProject(args.projectId);
+      if (!project) return { error: "Project not found" };
+
+      // `format` is for the download; the model always gets a small PNG of
+      // the first MODEL_SHEET_IMAGES thumbnails
+      const options = parseContactSheetOptions({
+        ...args,
+        format: args.format === "pdf" ? "pdf" : "png",
+      });
+      const sheet = await collectContactSheet(
+        dataService,
+        project,
+        path.join(dataRoot, "projects", project.id, "assets"),
+        options,
+      );
+      const problem = contactSheetProblem(sheet, options);
+      if (problem) return { error: problem };
+      const shown = sheet.items.slice(0, MODEL_SHEET_IMAGES);
+      const png = await renderContactSheet(
+        { ...sheet, items: shown },
+        { ...options, format: "png", thumbWidth: 160 },
+      );
+
+      const params = new URLSearchParams({
+        columns: String(options.columns),
+        sort: options.sort,
+        captions: options.captions ? "1" : "0",
+        format: options.format,
+      });
+      if (options.setId) params.set("set", options.setId);
+      if (options.cardId) params.set("card", options.cardId);
+
+      return {
+        success: true,
+        title: sheet.title,
+        imageCount: sheet.items.length,
+        downloadUrl: `/api/projects/${project.id}/contact-sheet?${params}`,
+        message:
+          `Contact sheet "${sheet.title}" with ${sheet.items.length} images. The image is attached` +
+          (shown.length < sheet.items.length
+            ? ` (showing the first ${shown.length})`
+            : "") +
+          "; the user can download the full sheet from the tool result.",
+        inlineData: {
+          mimeType: "image/png",
+          data: png.toString("base64"),
+        },
+      };
+    }
   }
   return null;
 }
@@ -66,6 +66,16 @@ export const projectTools = [
             description: { type: "STRING" },
             defaultAspectRatio: { type: "STRING" },
             defaultResolution: { type: "STRING" },
+            imageProvider: {
+              type: "STRING",
+              description:
+                "Default image provider ID for the project (e.g. 'gemini', 'placeholder').",
+            },
+            negativePrompt: {
+              type: "STRING",
+              description:
+                "Project-wide negative prompt applied to every card (e.g. 'text, watermark, blurry').",
+            },
           },
         },
       },
@@ -96,24 +106,42 @@ export async function handleProjectTool(
       );
 
     case "updateProject": {
-      const projectToUpdate = await dataService.getProject(args.projectId);
-      if (!projectToUpdate) return { error: "Project not found" };
-
-      Object.assign(projectToUpdate, args.updates);
-      await dataService.saveProject(projectToUpdate);
-      return { updated: projectToUpdate, clientAction: "refreshProject" };
+      const updated = await dataService.journaled(
+        "Assistant: update project",
+        args.projectId,
+        "assistant",
+        (operation) =>
+          dataService.updateProject(
+            args.projectId,
+            (p) => {
+              Object.assign(p, args.updates);
+            },
+            { operation }
+          )
+      );
+      if (!updated) return { error: "Project not found" };
+      return { updated: updated.project, clientAction: "refreshProject" };
     }
 
     case "addProjectModifier": {
-      const p = await dataService.getProject(args.projectId);
-      if (!p) return { error: "Project not found" };
-
       const newMod = {
         id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
         ...args.modifier,
       };
-      p.promptModifiers = [...(p.promptModifiers || []), newMod];
-      await dataService.saveProject(p);
+      const updated = await dataService.journaled(
+        `Assistant: add modifier "${newMod.name}"`,
+        args.projectId,
+        "assistant",
+        (operation) =>
+          dataService.updateProject(
+            args.projectId,
+            (p) => {
+              p.promptModifiers = [...(p.promptModifiers || []), newMod];
+            },
+            { operation }
+          )
+      );
+      if (!updated) return { error: "Project not found" };
       return {
         success: true,
         addedModifier: newMod,
@@ -125,14 +153,24 @@ export async function handleProjectTool(
       const p = await dataService.getProject(args.projectId);
       if (!p) return { error: "Project not found" };
 
-      const initialLen = (p.promptModifiers || []).length;
-      p.promptModifiers = (p.promptModifiers || []).filter(
-        (m) => m.id !== args.modifierId
-      );
-      if (p.promptModifiers.length === initialLen) {
+      if (!(p.promptModifiers || []).some((m) => m.id === args.modifierId)) {
         return { error: "Modifier ID not found" };
       } else {
-        await dataService.saveProject(p);
+        await dataService.journaled(
+          "Assistant: remove modifier",
+          args.projectId,
+          "assistant",
+          (operation) =>
+            dataService.updateProject(
+              args.projectId,
+              (latest) => {
+                latest.promptModifiers = (latest.promptModifiers || []).filter(
+                  (m) => m.id !== args.modifierId
+                );
+              },
+              { operation }
+            )
+        );
         return {
           success: true,
           removedId: args.modifierId,
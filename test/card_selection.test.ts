@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { replaceQueryTag } from "../src/lib/card_selection";
+
+test("replaceQueryTag renames tag terms", () => {
+  assert.equal(
+    replaceQueryTag("tag:Character AND no:starred", "character", "hero"),
+    "tag:hero AND no:starred",
+  );
+  assert.equal(
+    replaceQueryTag("(tag:cups OR tag:swords) -tag:cups", "cups", "Main Cast"),
+    '(tag:"Main Cast" OR tag:swords) -tag:"Main Cast"',
+  );
+  assert.equal(
+    replaceQueryTag('tag:"main cast" OR sun', "Main Cast", "cast"),
+    "tag:cast OR sun",
+  );
+});
+
+test("replaceQueryTag leaves other queries as written", () => {
+  for (const query of ["tag:cupsx  has:images", "name:tag:cups", "cups"]) {
+    assert.equal(replaceQueryTag(query, "cups", null), query);
+  }
+});
+
+test("replaceQueryTag drops a deleted tag's terms", () => {
+  const cases: [string, string | null][] = [
+    ["tag:draft", null],
+    ["-tag:draft", null],
+    ["(tag:draft OR -tag:draft)", null],
+    ["tag:draft AND no:starred", "no:starred"],
+    ["no:starred tag:draft", "no:starred"],
+    ["(tag:cups OR tag:swords) -tag:draft", "(tag:cups OR tag:swords)"],
+    ["(tag:draft OR tag:swords) has:images", "(tag:swords) has:images"],
+    // AND binds tighter, so only the AND is removed here
+    ["sun OR tag:draft moon", "sun OR moon"],
+    ["NOT (tag:draft) OR sun", "sun"],
+  ];
+  for (const [query, expected] of cases) {
+    assert.equal(replaceQueryTag(query, "draft", null), expected, query);
+  }
+});
@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { test } from "node:test";
+import { decodeJPEG, encodeJPEG, readJpegInfo } from "../src/lib/jpeg";
+import { decodePNG, encodePNG, Raster } from "../src/lib/png";
+import { encodeWebP } from "../src/lib/webp";
+
+// Fixtures are 30×21 (not a multiple of the 8/16 px JPEG blocks) and were
+// made with sharp; `<file>.rgba` holds the pixels a reference decoder read
+// back. See fixtures/README.md.
+const FIXTURES = path.join(__dirname, "fixtures");
+const WIDTH = 30;
+const HEIGHT = 21;
+
+function fixture(name: string) {
+  return fs.readFileSync(path.join(FIXTURES, name));
+}
+
+/** The RGBA pattern the fixtures were made from (gradients, varying alpha) */
+function pattern(opaque = false): Raster {
+  const pixels = fixture("rgba.png.rgba");
+  if (opaque) {
+    for (let i = 3; i < pixels.length; i += 4) pixels[i] = 255;
+  }
+  return Raster.fromPixels(WIDTH, HEIGHT, pixels);
+}
+
+/** Largest and mean per-channel difference between two RGBA buffers */
+function difference(actual: Buffer, expected: Buffer) {
+  assert.equal(actual.length, expected.length);
+  let max = 0;
+  let total = 0;
+  for (let i = 0; i < actual.length; i++) {
+    const diff = Math.abs(actual[i] - expected[i]);
+    max = Math.max(max, diff);
+    total += diff;
+  }
+  return { max, mean: total / actual.length };
+}
+
+function assertDecodes(
+  name: string,
+  decode: (buffer: Buffer) => Raster,
+  tolerance = { max: 0, mean: 0 },
+) {
+  const raster = decode(fixture(name));
+  assert.equal(raster.width, WIDTH);
+  assert.equal(raster.height, HEIGHT);
+  const { max, mean } = difference(raster.data, fixture(`${name}.rgba`));
+  assert.ok(max <= tolerance.max, `${name}: max difference ${max}`);
+  assert.ok(mean <= tolerance.mean, `${name}: mean difference ${mean}`);
+}
+
+test("decodePNG matches a reference decoder", () => {
+  for (const name of ["rgba.png", "rgb.png", "gray.png", "palette.png"]) {
+    assertDecodes(name, decodePNG);
+  }
+  assertDecodes("interlaced.png", decodePNG);
+  // 16-bit samples are truncated to 8 bits; the reference rounds
+  assertDecodes("rgba16.png", decodePNG, { max: 1, mean: 0.5 });
+});
+
+test("encodePNG round-trips exactly", () => {
+  const raster = pattern();
+  const decoded = decodePNG(
+    encodePNG(raster.width, raster.height, raster.data),
+  );
+  assert.equal(decoded.width, WIDTH);
+  assert.equal(decoded.height, HEIGHT);
+  assert.deepEqual(decoded.data, raster.data);
+});
+
+test("decodeJPEG matches libjpeg on baseline files", () => {
+  // Only IDCT rounding differs without chroma subsampling
+  assertDecodes("baseline-444.jpg", decodeJPEG, { max: 2, mean: 0.05 });
+  assertDecodes("gray.jpg", decodeJPEG, { max: 2, mean: 0.05 });
+  // Chroma is upsampled nearest-neighbor, libjpeg interpolates
+  assertDecodes("baseline-420.jpg", decodeJPEG, { max: 40, mean: 4 });
+});
+
+test("progressive JPEGs are detected and refused", () => {
+  const buffer = fixture("progressive.jpg");
+  assert.deepEqual(readJpegInfo(buffer), {
+    width: WIDTH,
+    height: HEIGHT,
+    components: 3,
+    progressive: true,
+  });
+  assert.throws(() => decodeJPEG(buffer), /Progressive JPEGs/);
+});
+
+test("encodeJPEG round-trips within its quality", () => {
+  const raster = pattern(true);
+  const high = encodeJPEG(raster, 90);
+  const low = encodeJPEG(raster, 50);
+  assert.deepEqual(readJpegInfo(high), {
+    width: WIDTH,
+    height: HEIGHT,
+    components: 3,
+    progressive: false,
+  });
+
+  const highError = difference(decodeJPEG(high).data, raster.data);
+  const lowError = difference(decodeJPEG(low).data, raster.data);
+  assert.ok(highError.max <= 16 && highError.mean <= 2, "quality 90");
+  assert.ok(lowError.max <= 40 && lowError.mean <= 4, "quality 50");
+  assert.ok(lowError.mean > highError.mean);
+  assert.ok(low.length < high.length);
+});
+
+test("encodeJPEG blends transparent pixels onto white", () => {
+  const raster = Raster.fromPixels(16, 16, Buffer.alloc(16 * 16 * 4));
+  const decoded = decodeJPEG(encodeJPEG(raster));
+  assert.ok(decoded.data.every((value) => value >= 254));
+});
+
+test("encodeWebP output is unchanged", () => {
+  // rgba.webp was checked to decode to the exact pattern with libwebp
+  assert.deepEqual(encodeWebP(pattern()), fixture("rgba.webp"));
+});
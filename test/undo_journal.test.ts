@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import { DataService } from "../src/lib/data_service";
+import { UndoJournal } from "../src/lib/undo_journal";
+
+const dataRoots: string[] = [];
+after(() =>
+  Promise.all(dataRoots.map((dir) => fs.rm(dir, { recursive: true }))),
+);
+
+async function createDataRoot() {
+  const dataRoot = await fs.mkdtemp(path.join(os.tmpdir(), "undo-"));
+  dataRoots.push(dataRoot);
+  return dataRoot;
+}
+
+async function readLog(dataRoot: string) {
+  const data = await fs.readFile(
+    path.join(dataRoot, "undo", "journal.jsonl"),
+    "utf-8",
+  );
+  return data
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+/** Commits an operation with no files to move, as `journaled` would */
+async function commit(journal: UndoJournal, projectId: string, label: string) {
+  const operation = journal.begin(label, projectId, "user");
+  operation.changes.push({ type: "project", fields: {} });
+  await journal.commit(operation);
+  return operation;
+}
+
+test("card edits record and undo only the changed fields", async () => {
+  const dataRoot = await createDataRoot();
+  const dataService = new DataService(dataRoot);
+  await dataService.saveCard({
+    id: "card_1",
+    projectId: "p1",
+    name: "The Fool",
+    prompt: "a fool at a cliff",
+    outputSubfolder: "card_1",
+  });
+
+  await dataService.journaled("Rename card", "p1", "user", (operation) =>
+    dataService.updateCard(
+      "p1",
+      "card_1",
+      (card) => {
+        card.name = "The Sun";
+        card.tags = ["major"];
+      },
+      { operation },
+    ),
+  );
+  const [record] = await readLog(dataRoot);
+  assert.deepEqual(record.operation.changes, [
+    {
+      type: "card-fields",
+      cardId: "card_1",
+      fields: {
+        name: { before: "The Fool", after: "The Sun" },
+        tags: { after: ["major"] },
+      },
+    },
+  ]);
+
+  // An edit made since is kept
+  await dataService.updateCard("p1", "card_1", (card) => {
+    card.prompt = "a sunny field";
+  });
+  await dataService.undo("p1");
+  const card = (await dataService.getCards("p1"))[0];
+  assert.equal(card.name, "The Fool");
+  assert.equal(card.tags, undefined);
+  assert.equal(card.prompt, "a sunny field");
+});
+
+test("the journal is appended to and replayed on load", async () => {
+  const dataRoot = await createDataRoot();
+  const projectsDir = path.join(dataRoot, "projects");
+  const journal = new UndoJournal(dataRoot, projectsDir);
+  await commit(journal, "p1", "First");
+  const second = await commit(journal, "p1", "Second");
+  await journal.setUndone(second, true);
+
+  const log = await readLog(dataRoot);
+  assert.deepEqual(
+    log.map((record) => record.type),
+    ["commit", "commit", "undone"],
+  );
+
+  const reloaded = new UndoJournal(dataRoot, projectsDir);
+  assert.deepEqual(await reloaded.peek("p1"), {
+    undo: "First",
+    redo: "Second",
+  });
+});
+
+test("each project keeps its own 200 operations", async () => {
+  const dataRoot = await createDataRoot();
+  const projectsDir = path.join(dataRoot, "projects");
+  const journal = new UndoJournal(dataRoot, projectsDir);
+  const other = await commit(journal, "p2", "Other project");
+  const first = await commit(journal, "p1", "Edit 0");
+  for (let i = 1; i <= 400; i++) {
+    await commit(journal, "p1", `Edit ${i}`);
+  }
+
+  assert.equal(await journal.next("p1", "undo", first.id), null);
+  assert.equal((await journal.next("p2", "undo"))?.id, other.id);
+
+  // 201 operations were forgotten, but the log is compacted to at most
+  // 200 records past the 201 live ones, and still replays the same
+  const log = await readLog(dataRoot);
+  assert.ok(log.length <= 401, `${log.length} records`);
+  const reloaded = new UndoJournal(dataRoot, projectsDir);
+  assert.equal((await reloaded.next("p1", "undo"))?.label, "Edit 400");
+  assert.equal(await reloaded.next("p1", "undo", first.id), null);
+  assert.equal((await reloaded.next("p2", "undo"))?.id, other.id);
+});
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import type { DataService } from "../src/lib/data_service";
+import { BudgetExceededError, UsageLedger } from "../src/lib/usage_ledger";
+
+const MODEL = "gemini-3-pro-image-preview";
+
+const dataRoots: string[] = [];
+after(() =>
+  Promise.all(dataRoots.map((dir) => fs.rm(dir, { recursive: true }))),
+);
+
+/** A ledger in a fresh folder, with one saved key named "main" */
+async function createLedger() {
+  const dataRoot = await fs.mkdtemp(path.join(os.tmpdir(), "usage-"));
+  dataRoots.push(dataRoot);
+  const dataService = {
+    getKeys: async () => [{ name: "main", key: "secret" }],
+  } as unknown as DataService;
+  return new UsageLedger(dataRoot, dataService);
+}
+
+async function recordImages(ledger: UsageLedger, projectId: string, n: number) {
+  for (let i = 0; i < n; i++) {
+    await ledger.recordImage({
+      jobId: "job_1",
+      projectId,
+      cardId: "card_1",
+      provider: "gemini",
+      model: MODEL,
+      resolution: "1K",
+      apiKey: "secret",
+    });
+  }
+}
+
+test("assertWithinBudget counts queued and running generations", async () => {
+  const ledger = await createLedger();
+  await ledger.updateBudgets({ projects: { p1: 1 } });
+  await recordImages(ledger, "p1", 2); // $0.268
+
+  await ledger.assertWithinBudget("p1", "secret", 0.5);
+  await assert.rejects(
+    ledger.assertWithinBudget("p1", "secret", 0.5, {
+      total: 0.5,
+      project: 0.5,
+    }),
+    (e: Error) =>
+      e instanceof BudgetExceededError &&
+      /about \$0\.50 queued/.test(e.message),
+  );
+  // Other projects' jobs don't count against this project's budget
+  await ledger.assertWithinBudget("p1", "secret", 0.5, {
+    total: 5,
+    project: 0,
+  });
+});
+test("assertWithinBudget sees usage recorded since the last check", async () => {
+  const ledger = await createLedger();
+  await ledger.updateBudgets({ monthly: 0.5, keys: { main: 0.3 } });
+
+  await recordImages(ledger, "p1", 2);
+  await ledger.assertWithinBudget("p2", "other key");
+  await assert.rejects(
+    ledger.assertWithinBudget("p2", "secret", 0.1),
+    /Key "main" budget would be exceeded/,
+  );
+
+  await recordImages(ledger, "p2", 2);
+  await assert.rejects(
+    ledger.assertWithinBudget("p2", "other key"),
+    /Monthly budget exceeded: \$0\.54 of \$0\.50/,
+  );
+  const summary = await ledger.summarize();
+  assert.equal(summary.totals.images, 4);
+  assert.equal(summary.byProject.p2.images, 2);
+});
+
+test("summaries read while usage is recorded count each image once", async () => {
+  const ledger = await createLedger();
+  await recordImages(ledger, "p1", 1);
+  const [before] = await Promise.all([
+    ledger.summarize(),
+    recordImages(ledger, "p1", 3),
+  ]);
+  assert.ok(before.totals.images >= 1 && before.totals.images <= 4);
+  assert.equal((await ledger.summarize()).totals.images, 4);
+  assert.equal((await ledger.summarize(undefined, "p1")).totals.images, 4);
+});